@@ -11,9 +11,14 @@ class DrillPressUI {
         this.ctx = this.canvas.getContext('2d');
         this.holes = [];
         this.selectedHoleIndex = -1;
+        this.editingHoleIndex = -1;
+        this.editingDraft = null;
+        this.flaggedHoles = new Set(); // Hole numbers that failed the pre-flight check
+        this.onHolesChanged = null; // Called after the hole list is re-rendered
+        this.onToolChanged = null; // Called with (toolDiameter, changes) when a tool entry is edited
         this.clickModeEnabled = false;
-        this.gridSize = 1; // 1 inch grid
-        this.scale = 10; // pixels per inch
+        this.gridSize = cobot.units === 'mm' ? 25 : 1; // 1 inch or 25 mm grid
+        this.scale = 10 / cobot.fromInches(1); // 10 pixels per inch, in machine units
         this.originX = 50; // Canvas origin offset
         this.originY = 550; // Canvas origin offset (inverted Y)
         
@@ -33,7 +38,7 @@ class DrillPressUI {
         this.canvas.width = 800;
         this.canvas.height = 600;
         
-        // Calculate visible work area in inches
+        // Calculate visible work area in machine units
         this.workWidth = (this.canvas.width - this.originX * 2) / this.scale;
         this.workHeight = (this.canvas.height - this.originY + 500) / this.scale;
         
@@ -72,10 +77,11 @@ class DrillPressUI {
         
         // Validate coordinates are within machine envelope
         if (this.cobot.machineEnvelope) {
-            if (workCoords.x < this.cobot.machineEnvelope.xmin || 
-                workCoords.x > this.cobot.machineEnvelope.xmax ||
-                workCoords.y < this.cobot.machineEnvelope.ymin || 
-                workCoords.y > this.cobot.machineEnvelope.ymax) {
+            const machineCoords = this.cobot.toMachineCoordinates(workCoords);
+            if (machineCoords.x < this.cobot.machineEnvelope.xmin || 
+                machineCoords.x > this.cobot.machineEnvelope.xmax ||
+                machineCoords.y < this.cobot.machineEnvelope.ymin || 
+                machineCoords.y > this.cobot.machineEnvelope.ymax) {
                 this.cobot.notify('Position outside machine envelope', 'warning');
                 return;
             }
@@ -117,6 +123,8 @@ class DrillPressUI {
 
     /**
      * Convert canvas coordinates to work coordinates
+     * 
+     * Work coordinates are relative to the datum, which sits at the canvas origin.
      * @private
      */
     _canvasToWork(canvasX, canvasY) {
@@ -232,7 +240,8 @@ class DrillPressUI {
         const datum = this.cobot.getDatum();
         if (!datum) return;
         
-        const canvasCoords = this._workToCanvas(datum.x, datum.y);
+        // Hole coordinates are datum-relative, so the datum is the work origin
+        const canvasCoords = this._workToCanvas(0, 0);
         
         // Draw datum marker
         this.ctx.fillStyle = '#f4a259';
@@ -262,7 +271,40 @@ class DrillPressUI {
     _drawHoles() {
         this.holes.forEach((hole, index) => {
             this._drawHole(hole, index === this.selectedHoleIndex);
+            if (this.flaggedHoles.has(hole.number)) {
+                this._drawFlag(hole);
+            }
+        });
+    }
+
+    /**
+     * Highlight holes that failed the pre-flight check
+     * @param {Array} holeNumbers - Hole numbers to flag (empty to clear)
+     */
+    setFlaggedHoles(holeNumbers) {
+        this.flaggedHoles = new Set(holeNumbers);
+        
+        document.querySelectorAll('#hole-list .hole-item').forEach(item => {
+            item.classList.toggle('flagged', this.flaggedHoles.has(parseInt(item.dataset.number)));
         });
+        this.draw();
+    }
+
+    /**
+     * Draw a warning ring around a flagged hole
+     * @private
+     */
+    _drawFlag(hole) {
+        const canvasCoords = this._workToCanvas(hole.x, hole.y);
+        const radius = ((hole.diameter || this.cobot.fromInches(0.25)) / 2) * this.scale + 6;
+        
+        this.ctx.strokeStyle = '#f44336';
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        this.ctx.arc(canvasCoords.x, canvasCoords.y, radius, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
     }
 
     /**
@@ -271,7 +313,7 @@ class DrillPressUI {
      */
     _drawHole(hole, isSelected) {
         const canvasCoords = this._workToCanvas(hole.x, hole.y);
-        const diameter = hole.diameter || 0.25;
+        const diameter = hole.diameter || this.cobot.fromInches(0.25);
         const radius = (diameter / 2) * this.scale;
         
         // Draw hole circle
@@ -316,23 +358,35 @@ class DrillPressUI {
     _drawMachineEnvelope() {
         if (!this.cobot.machineEnvelope) return;
         
+        // Corners in work coordinates; a rotated datum skews the rectangle
         const env = this.cobot.machineEnvelope;
-        const topLeft = this._workToCanvas(env.xmin, env.ymax);
-        const bottomRight = this._workToCanvas(env.xmax, env.ymin);
+        const corners = [
+            { x: env.xmin, y: env.ymin },
+            { x: env.xmax, y: env.ymin },
+            { x: env.xmax, y: env.ymax },
+            { x: env.xmin, y: env.ymax }
+        ].map(corner => {
+            const work = this.cobot.toWorkCoordinates(corner);
+            return this._workToCanvas(work.x, work.y);
+        });
         
         this.ctx.strokeStyle = '#ff9800';
         this.ctx.lineWidth = 2;
         this.ctx.setLineDash([5, 5]);
         
-        this.ctx.strokeRect(
-            topLeft.x,
-            topLeft.y,
-            bottomRight.x - topLeft.x,
-            bottomRight.y - topLeft.y
-        );
+        this.ctx.beginPath();
+        corners.forEach((corner, i) => {
+            if (i === 0) this.ctx.moveTo(corner.x, corner.y);
+            else this.ctx.lineTo(corner.x, corner.y);
+        });
+        this.ctx.closePath();
+        this.ctx.stroke();
         
         this.ctx.setLineDash([]);
         
+        // Label at the top-left-most corner
+        const topLeft = corners.reduce((best, corner) =>
+            corner.y + corner.x < best.y + best.x ? corner : best);
         // Label
         this.ctx.fillStyle = '#ff9800';
         this.ctx.font = '12px sans-serif';
@@ -363,18 +417,51 @@ class DrillPressUI {
         this.ctx.setLineDash([]);
     }
 
+    /**
+     * Read the hole parameters currently entered in the Hole Configuration form
+     * @param {string} type - Hole type to read settings for (default: the form's type)
+     * @returns {Object} Hole configuration including type-specific settings
+     */
+    getFormHoleConfig(type) {
+        const config = {
+            diameter: parseFloat(document.getElementById('hole-diameter').value),
+            depth: parseFloat(document.getElementById('hole-depth').value),
+            type: type || document.getElementById('hole-type').value
+        };
+        
+        if (config.type === 'pocket' || config.type === 'counterbore') {
+            config.stepover = parseFloat(document.getElementById('pocket-stepover').value);
+            config.finishAllowance = parseFloat(document.getElementById('pocket-finish-allowance').value) || 0;
+            config.stepdown = parseFloat(document.getElementById('pocket-stepdown').value) || undefined;
+        }
+        
+        if (config.type === 'counterbore') {
+            config.cbDiameter = parseFloat(document.getElementById('cb-diameter').value);
+            config.cbDepth = parseFloat(document.getElementById('cb-depth').value);
+        }
+        
+        if (config.type === 'peck') {
+            config.peckDepth = parseFloat(document.getElementById('peck-depth').value);
+            config.peckRetract = document.getElementById('peck-retract').value;
+            config.peckRetractDistance = parseFloat(document.getElementById('peck-retract-distance').value);
+            config.dwell = parseFloat(document.getElementById('peck-dwell').value) || 0;
+        }
+        
+        return config;
+    }
+
     /**
      * Add a hole to the list
+     * 
+     * Parameters not given in config are taken from the Hole Configuration form,
+     * so each hole keeps the settings that were active when it was placed.
      */
     addHole(x, y, config = {}) {
-        const hole = {
+        const hole = Object.assign(this.getFormHoleConfig(), config, {
             x: x,
             y: y,
-            diameter: config.diameter || parseFloat(document.getElementById('hole-diameter').value),
-            depth: config.depth || parseFloat(document.getElementById('hole-depth').value),
-            type: config.type || document.getElementById('hole-type').value,
             number: this.holes.length + 1
-        };
+        });
         
         this.holes.push(hole);
         this.updateHoleList();
@@ -386,6 +473,25 @@ class DrillPressUI {
         return hole;
     }
 
+    /**
+     * Update the parameters of an existing hole
+     * @param {number} index - Index of the hole to update
+     * @param {Object} changes - Hole properties to change
+     */
+    updateHole(index, changes) {
+        const hole = this.holes[index];
+        if (!hole) return null;
+        
+        Object.assign(hole, changes);
+        this.updateHoleList();
+        this.draw();
+        
+        // Save state after editing hole
+        this.saveState();
+        
+        return hole;
+    }
+
     /**
      * Remove a hole by index
      */
@@ -398,6 +504,7 @@ class DrillPressUI {
         });
         
         this.selectedHoleIndex = -1;
+        this.editingHoleIndex = -1;
         this.updateHoleList();
         this.draw();
         
@@ -411,6 +518,7 @@ class DrillPressUI {
     clearAllHoles() {
         this.holes = [];
         this.selectedHoleIndex = -1;
+        this.editingHoleIndex = -1;
         this.updateHoleList();
         this.draw();
         
@@ -470,6 +578,10 @@ class DrillPressUI {
         // Clear existing list
         listContainer.innerHTML = '';
         
+        if (this.onHolesChanged) {
+            this.onHolesChanged(this.holes);
+        }
+        
         if (this.holes.length === 0) {
             listContainer.innerHTML = '<p class="text-center text-muted">No holes defined yet. Add holes using the methods above.</p>';
             return;
@@ -479,20 +591,33 @@ class DrillPressUI {
         this.holes.forEach((hole, index) => {
             const item = document.createElement('div');
             item.className = 'hole-item';
+            item.dataset.number = hole.number;
             if (index === this.selectedHoleIndex) {
                 item.classList.add('selected');
             }
+            if (this.flaggedHoles.has(hole.number)) {
+                item.classList.add('flagged');
+            }
+            
+            if (index === this.editingHoleIndex) {
+                item.classList.add('editing');
+                item.innerHTML = this._renderHoleEditor(this.editingDraft || hole, index);
+                listContainer.appendChild(item);
+                return;
+            }
             
             item.innerHTML = `
                 <div class="hole-info">
                     <span><strong>#${hole.number}</strong></span>
-                    <span>X: ${hole.x.toFixed(3)}"</span>
-                    <span>Y: ${hole.y.toFixed(3)}"</span>
-                    <span>⌀ ${hole.diameter}"</span>
-                    <span>↓ ${hole.depth}"</span>
+                    <span>X: ${this.cobot.formatLength(hole.x)}</span>
+                    <span>Y: ${this.cobot.formatLength(hole.y)}</span>
+                    <span>⌀ ${this.cobot.formatLength(hole.diameter)}</span>
+                    <span>↓ ${this.cobot.formatLength(hole.depth)}</span>
+                    <span>${hole.type || ''}</span>
                 </div>
                 <div class="hole-actions">
                     <button class="btn-sm btn-accent" data-action="select" data-index="${index}">Select</button>
+                    <button class="btn-sm btn-secondary" data-action="edit" data-index="${index}">Edit</button>
                     <button class="btn-sm btn-outline" data-action="delete" data-index="${index}">Delete</button>
                 </div>
             `;
@@ -510,11 +635,180 @@ class DrillPressUI {
                     this.selectedHoleIndex = index;
                     this.updateHoleList();
                     this.draw();
+                } else if (action === 'edit') {
+                    this.editingHoleIndex = index;
+                    this.editingDraft = null;
+                    this.selectedHoleIndex = index;
+                    this.updateHoleList();
+                    this.draw();
+                } else if (action === 'save-edit') {
+                    this._saveHoleEditor(index);
+                } else if (action === 'cancel-edit') {
+                    this.editingHoleIndex = -1;
+                    this.editingDraft = null;
+                    this.updateHoleList();
                 } else if (action === 'delete') {
                     this.removeHole(index);
                 }
             });
         });
+        
+        // Re-render the editor when the hole type changes so the right fields show
+        const editType = listContainer.querySelector('[data-edit="type"]');
+        if (editType) {
+            editType.addEventListener('change', () => {
+                this.editingDraft = Object.assign({}, this.holes[this.editingHoleIndex], this._readHoleEditor());
+                this.updateHoleList();
+            });
+        }
+    }
+
+    /**
+     * Render the inline editor for a hole
+     * @private
+     */
+    _renderHoleEditor(hole, index) {
+        const defaults = this.getFormHoleConfig();
+        const inches = (n) => this.cobot.fromInches(n);
+        // Same steps as the form inputs, which are in machine units
+        const step = (id) => document.getElementById(id).step;
+        const value = (key, fallback) => {
+            const v = hole[key] !== undefined ? hole[key] : fallback;
+            return v !== undefined && !Number.isNaN(v) ? v : '';
+        };
+        const typeOptions = [
+            ['through', 'Through'],
+            ['peck', 'Peck'],
+            ['pocket', 'Pocket'],
+            ['counterbore', 'Counterbore']
+        ].map(([v, label]) => `<option value="${v}"${hole.type === v ? ' selected' : ''}>${label}</option>`).join('');
+        
+        let extraFields = '';
+        if (hole.type === 'counterbore') {
+            extraFields = `
+                <label>CB ⌀ <input type="number" step="${step('cb-diameter')}" data-edit="cbDiameter" value="${value('cbDiameter', defaults.cbDiameter || inches(0.5))}"></label>
+                <label>CB ↓ <input type="number" step="${step('cb-depth')}" data-edit="cbDepth" value="${value('cbDepth', defaults.cbDepth || inches(0.125))}"></label>
+            `;
+        } else if (hole.type === 'peck') {
+            extraFields = `
+                <label>Peck <input type="number" step="${step('peck-depth')}" data-edit="peckDepth" value="${value('peckDepth', defaults.peckDepth || inches(0.125))}"></label>
+            `;
+        }
+        
+        return `
+            <div class="hole-editor">
+                <strong>#${hole.number}</strong>
+                <label>X <input type="number" step="${step('single-x')}" data-edit="x" value="${value('x')}"></label>
+                <label>Y <input type="number" step="${step('single-y')}" data-edit="y" value="${value('y')}"></label>
+                <label>⌀ <input type="number" step="${step('hole-diameter')}" data-edit="diameter" value="${value('diameter')}"></label>
+                <label>↓ <input type="number" step="${step('hole-depth')}" data-edit="depth" value="${value('depth')}"></label>
+                <select data-edit="type">${typeOptions}</select>
+                ${extraFields}
+            </div>
+            <div class="hole-actions">
+                <button class="btn-sm btn-primary" data-action="save-edit" data-index="${index}">Save</button>
+                <button class="btn-sm btn-outline" data-action="cancel-edit" data-index="${index}">Cancel</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Read values from the inline hole editor
+     * @private
+     */
+    _readHoleEditor() {
+        const values = {};
+        document.querySelectorAll('#hole-list [data-edit]').forEach(input => {
+            const key = input.dataset.edit;
+            values[key] = key === 'type' ? input.value : parseFloat(input.value);
+        });
+        return values;
+    }
+
+    /**
+     * Apply the inline editor values to a hole
+     * @private
+     */
+    _saveHoleEditor(index) {
+        const changes = this._readHoleEditor();
+        
+        if (isNaN(changes.x) || isNaN(changes.y)) {
+            this.cobot.notify('Invalid coordinates', 'error');
+            return;
+        }
+        if (!(changes.diameter > 0) || !(changes.depth > 0)) {
+            this.cobot.notify('Diameter and depth must be greater than 0', 'error');
+            return;
+        }
+        
+        this.editingHoleIndex = -1;
+        this.editingDraft = null;
+        this.updateHole(index, changes);
+        this.cobot.notify(`Hole #${index + 1} updated`, 'success');
+    }
+
+    /**
+     * Update the tool list display
+     * 
+     * Each tool can be picked from the shared tool library or given a custom
+     * number and name.
+     * @param {Array} groups - Hole groups with tools assigned (see DrillToolpath.assignTools)
+     */
+    updateToolList(groups) {
+        const listContainer = document.getElementById('tool-list');
+        document.getElementById('tool-count').textContent = groups.length;
+        
+        listContainer.innerHTML = '';
+        
+        if (groups.length === 0) {
+            listContainer.innerHTML = '<p class="text-center text-muted">Tools appear here once holes are added.</p>';
+            return;
+        }
+        
+        groups.forEach(group => {
+            const holeCount = group.operations.reduce((sum, op) => sum + op.holes.length, 0);
+            const item = document.createElement('div');
+            item.className = 'tool-item';
+            item.innerHTML = `
+                <div class="tool-info">
+                    <span><strong>⌀ ${this.cobot.formatLength(group.toolDiameter)}</strong></span>
+                    <span>${group.operations.map(op => op.config.type).join(', ')}</span>
+                    <span>${holeCount} hole(s)</span>
+                </div>
+                <div class="tool-fields">
+                    <div class="tool-library-picker"></div>
+                    <label>T <input type="number" min="1" step="1" data-tool="number" value="${group.tool.number}"></label>
+                    <input type="text" data-tool="name">
+                </div>
+            `;
+            // Set as a property: tool names contain quotes (1/4")
+            item.querySelector('input[data-tool="name"]').value = group.tool.name;
+            
+            // Library tools of this diameter
+            new CobotToolPicker(this.cobot, item.querySelector('.tool-library-picker'), {
+                filter: tool => Math.abs(tool.diameter - group.toolDiameter) < this.cobot.fromInches(0.0005),
+                selectedId: group.tool.libraryId,
+                noneLabel: 'Custom tool',
+                allowManage: false,
+                onSelect: (tool) => {
+                    if (this.onToolChanged) {
+                        this.onToolChanged(group.toolDiameter, { libraryId: tool ? tool.id : null });
+                    }
+                }
+            });
+            
+            item.querySelectorAll('input[data-tool]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const field = input.dataset.tool;
+                    const value = field === 'number' ? parseInt(input.value) : input.value.trim();
+                    if (this.onToolChanged) {
+                        this.onToolChanged(group.toolDiameter, { [field]: value });
+                    }
+                });
+            });
+            
+            listContainer.appendChild(item);
+        });
     }
 
     /**
@@ -560,12 +854,13 @@ class DrillPressUI {
         const displayDiv = document.getElementById('datum-display');
         
         if (datum) {
-            statusSpan.textContent = `(${datum.x.toFixed(3)}, ${datum.y.toFixed(3)}, ${datum.z.toFixed(3)})`;
+            statusSpan.textContent = `${datum.label} (${datum.x.toFixed(3)}, ${datum.y.toFixed(3)}, ${datum.z.toFixed(3)})`;
             displayDiv.classList.remove('hidden');
             
             document.getElementById('datum-x').textContent = datum.x.toFixed(3);
             document.getElementById('datum-y').textContent = datum.y.toFixed(3);
             document.getElementById('datum-z').textContent = datum.z.toFixed(3);
+            document.getElementById('datum-rotation').textContent = `${(datum.rotation || 0).toFixed(2)}°`;
         } else {
             statusSpan.textContent = 'Not Set';
             displayDiv.classList.add('hidden');
@@ -613,6 +908,7 @@ class DrillPressUI {
     validateConfiguration() {
         const diameter = parseFloat(document.getElementById('hole-diameter').value);
         const depth = parseFloat(document.getElementById('hole-depth').value);
+        const type = document.getElementById('hole-type').value;
         const warnings = [];
         
         // Check against machine capabilities
@@ -620,16 +916,16 @@ class DrillPressUI {
             const envelope = this.cobot.machineEnvelope;
             
             if (depth > Math.abs(envelope.zmin)) {
-                warnings.push(`Depth exceeds Z travel (${Math.abs(envelope.zmin)}")`);
+                warnings.push(`Depth exceeds Z travel (${this.cobot.formatLength(Math.abs(envelope.zmin))})`);
             }
         }
         
         // Check for reasonable values
-        if (diameter > 3.0) {
+        if (diameter > this.cobot.fromInches(3.0)) {
             warnings.push('Large diameter - consider using pocket mode');
         }
         
-        if (depth / diameter > 3) {
+        if (depth / diameter > 3 && type !== 'peck') {
             warnings.push('Deep hole - may need peck drilling');
         }
         
@@ -1,217 +1,502 @@
 /**
  * Drill Press - Toolpath Generation
  * 
- * Generates OpenSBP code for various drilling operations
+ * Builds toolpaths (CobotToolpath) for various drilling operations, written
+ * as OpenSBP or G-code by the CobotCore post-processors
  */
 
 class DrillToolpath {
     constructor(cobot) {
         this.cobot = cobot;
+        this.origin = { x: 0, y: 0, z: 0 }; // Datum offset of the program being generated
     }
 
     /**
-     * Generate complete OpenSBP program for drilling
+     * Scale the lengths in a list of holes, e.g. when the machine units change
+     * @param {Array} holes - Hole objects (converted in place)
+     * @param {number} factor - Multiplier from the old units to the new
+     * @returns {Array} The holes
+     */
+    static convertHoleUnits(holes, factor) {
+        const lengthFields = [
+            'x', 'y', 'diameter', 'depth', 'finishAllowance', 'stepdown',
+            'cbDiameter', 'cbDepth', 'peckDepth', 'peckRetractDistance'
+        ];
+        holes.forEach(hole => {
+            lengthFields.forEach(key => {
+                if (typeof hole[key] === 'number') {
+                    hole[key] *= factor;
+                }
+            });
+        });
+        return holes;
+    }
+
+    /**
+     * Generate complete program for drilling
      * @param {Array} holes - Array of hole objects
-     * @param {Object} config - Drilling configuration
-     * @returns {string} OpenSBP program
+     * @param {Object} config - Drilling configuration (job defaults), see generateToolpath
+     * @param {string} format - Program format, a key of CobotCore.POST_PROCESSORS (default 'sbp')
+     * @returns {string} OpenSBP or G-code program
      */
-    generate(holes, config) {
+    generate(holes, config, format = 'sbp') {
+        return this.cobot.postProcess(this.generateToolpath(holes, config), format);
+    }
+
+    /**
+     * Build the toolpath for drilling
+     * 
+     * Each hole's own diameter, depth, type and type-specific settings take
+     * precedence over the job config, which supplies defaults for anything a
+     * hole does not specify. Holes are grouped by tool and operation so each
+     * tool is used for all of its holes, with a tool change between groups.
+     * 
+     * Hole positions and depths are relative to the datum; the operations are
+     * in machine coordinates with the datum offset and rotation applied. Each
+     * hole's operations are tagged {hole: number}.
+     * @param {Array} holes - Array of hole objects
+     * @param {Object} config - Drilling configuration (job defaults)
+     * @param {Object} config.tools - Optional tool assignments keyed by tool diameter
+     * @returns {CobotToolpath} Toolpath for CobotCore.postProcess
+     */
+    generateToolpath(holes, config) {
         if (!holes || holes.length === 0) {
             throw new Error('No holes to drill');
         }
 
-        const sbp = [];
+        const toolpath = this.cobot.createToolpath();
         const settings = this.cobot.getGlobalSettings();
+        this.origin = this.cobot.getDatumOffset();
+        this.safeZ = (config.safeZ || settings.safeZ) + this.origin.z;
         
-        // Header
-        sbp.push(this._generateHeader(holes, config));
+        // Numbered up front: a counterbore's pilot and bore are cut in different groups
+        const placed = holes.map((hole, index) => {
+            const machine = this.cobot.toMachineCoordinates(hole);
+            return Object.assign({}, hole, { x: machine.x, y: machine.y, number: hole.number || index + 1 });
+        });
+        const groups = this.assignTools(this.groupHoles(placed, config), config.tools);
+        groups.forEach(group => {
+            group.tool.rpm = this._toolRPM(group, config);
+        });
         
         // Initialization
-        sbp.push(this._generateInit(config, settings));
+        this._generateInit(toolpath, config, settings);
         
-        // Sort holes by proximity for efficient toolpath
-        const sortedHoles = this._optimizeHoleOrder(holes);
-        
-        // Process each hole
-        sortedHoles.forEach((hole, index) => {
-            sbp.push(this._generateHoleOperation(hole, index + 1, config, settings));
+        groups.forEach((group, groupIndex) => {
+            // Sort holes by proximity for efficient toolpath
+            const ordered = group.operations.map(operation => this._optimizeHoleOrder(operation.holes));
+            
+            // A new bit is touched off on the material at its first hole
+            toolpath.toolChange(group.tool, {
+                first: groupIndex === 0,
+                safeZ: this.safeZ,
+                touchOffX: ordered[0][0].x,
+                touchOffY: ordered[0][0].y
+            });
+            
+            group.operations.forEach((operation, operationIndex) => {
+                this._generateOperationHeader(toolpath, group, operation);
+                
+                ordered[operationIndex].forEach(hole => {
+                    this._generateHoleOperation(toolpath, hole, hole.number, operation.config, settings);
+                });
+            });
         });
         
         // Footer/cleanup
-        sbp.push(this.cobot.generateSBPFooter({
-            safeZ: config.safeZ || settings.safeZ
-        }));
+        toolpath.end({ safeZ: this.safeZ });
+        
+        // Header last so it can carry the run time estimate
+        const estimate = this.cobot.estimateJob(toolpath);
+        return this._generateHeader(this.cobot.createToolpath(), holes, groups, config, estimate).append(toolpath);
+    }
+
+    /**
+     * Resolve the effective configuration for a hole
+     * @param {Object} hole - Hole object with optional per-hole parameters
+     * @param {Object} config - Job configuration used as defaults
+     * @returns {Object} Hole configuration
+     */
+    resolveHoleConfig(hole, config) {
+        const resolved = Object.assign({}, config);
+        
+        [
+            'diameter', 'depth', 'type',
+            'stepover', 'finishAllowance', 'stepdown',
+            'cbDiameter', 'cbDepth',
+            'peckDepth', 'peckRetract', 'peckRetractDistance', 'dwell'
+        ].forEach(key => {
+            if (hole[key] !== undefined && hole[key] !== null && !Number.isNaN(hole[key])) {
+                resolved[key] = hole[key];
+            }
+        });
+        
+        return resolved;
+    }
+
+    /**
+     * Group holes by tool, then by operation within each tool
+     * 
+     * Drilled holes (through, peck, counterbore pilot) use a bit matching the
+     * hole diameter; pockets are milled with the global tool diameter. A
+     * counterbore is split in two: its pilot is drilled in the drill group
+     * and its bore is milled as a pocket (marked counterbore: true) in the
+     * milling tool group. Groups are ordered smallest tool first.
+     * @param {Array} holes - Array of hole objects
+     * @param {Object} config - Job configuration used as defaults
+     * @returns {Array} Groups of the form {toolDiameter, operations: [{config, holes}]}
+     */
+    groupHoles(holes, config) {
+        const settings = this.cobot.getGlobalSettings();
+        const groups = [];
+        
+        const addOperation = (hole, holeConfig) => {
+            const toolDiameter = holeConfig.type === 'pocket' ? settings.toolDiameter : holeConfig.diameter;
+            
+            let group = groups.find(g => g.toolDiameter === toolDiameter);
+            if (!group) {
+                group = { toolDiameter: toolDiameter, operations: [] };
+                groups.push(group);
+            }
+            
+            const key = this._operationKey(holeConfig);
+            let operation = group.operations.find(op => op.key === key);
+            if (!operation) {
+                operation = { key: key, config: holeConfig, holes: [] };
+                group.operations.push(operation);
+            }
+            operation.holes.push(hole);
+        };
+        
+        holes.forEach(hole => {
+            const holeConfig = this.resolveHoleConfig(hole, config);
+            addOperation(hole, holeConfig);
+            
+            if (holeConfig.type === 'counterbore' && holeConfig.cbDiameter && holeConfig.cbDepth) {
+                addOperation(hole, Object.assign({}, holeConfig, {
+                    type: 'pocket',
+                    diameter: holeConfig.cbDiameter,
+                    depth: holeConfig.cbDepth,
+                    counterbore: true
+                }));
+            }
+        });
+        
+        // Drill before milling within each tool
+        const typeOrder = ['through', 'blind', 'peck', 'counterbore', 'pocket'];
+        groups.forEach(group => {
+            group.operations.sort((a, b) => typeOrder.indexOf(a.config.type) - typeOrder.indexOf(b.config.type));
+        });
+        
+        groups.sort((a, b) => a.toolDiameter - b.toolDiameter);
+        return groups;
+    }
+
+    /**
+     * Name of an operation from groupHoles(), e.g. 'peck' or 'counterbore pilot'
+     * @param {Object} opConfig - Operation configuration
+     * @returns {string} Operation label
+     */
+    operationLabel(opConfig) {
+        if (opConfig.type === 'counterbore') return 'counterbore pilot';
+        return opConfig.counterbore ? 'counterbore' : opConfig.type;
+    }
+
+    /**
+     * Attach a tool entry to each hole group
+     * 
+     * An assignment in tools (keyed by tool diameter) may name a tool library
+     * entry (libraryId) and/or override its number and name. Groups without an
+     * assignment use a matching library tool when there is one, else the
+     * lowest unused tool number and a name describing the bit.
+     * @param {Array} groups - Groups from groupHoles()
+     * @param {Object} tools - Tool assignments keyed by tool diameter
+     * @returns {Array} The same groups, each with a tool {number, name, diameter, libraryId}
+     */
+    assignTools(groups, tools = {}) {
+        const usedNumbers = new Set();
+        
+        groups.forEach(group => {
+            const assigned = tools[String(group.toolDiameter)] || {};
+            const isMill = group.operations.some(op => op.config.type === 'pocket');
+            const libraryTool = assigned.libraryId
+                ? this.cobot.getTool(assigned.libraryId)
+                : (assigned.number ? null : this._matchLibraryTool(group.toolDiameter, isMill));
+            
+            group.tool = {
+                number: assigned.number || null,
+                name: assigned.name || (libraryTool ? libraryTool.name : `${this.cobot.formatLength(group.toolDiameter)} ${isMill ? 'end mill' : 'drill'}`),
+                diameter: group.toolDiameter,
+                libraryId: libraryTool ? libraryTool.id : null
+            };
+            
+            if (group.tool.number) {
+                usedNumbers.add(group.tool.number);
+            } else if (libraryTool && !usedNumbers.has(libraryTool.toolNumber)) {
+                group.tool.number = libraryTool.toolNumber;
+                usedNumbers.add(libraryTool.toolNumber);
+            }
+        });
+        
+        let nextNumber = 1;
+        groups.forEach(group => {
+            if (!group.tool.number) {
+                while (usedNumbers.has(nextNumber)) nextNumber++;
+                group.tool.number = nextNumber;
+                usedNumbers.add(nextNumber);
+            }
+        });
+        
+        return groups;
+    }
+
+    /**
+     * Spindle speed for a tool group
+     * 
+     * Milling groups use the job's spindle speed; drills get the calculated
+     * speed for the job material when one is set.
+     * @private
+     */
+    _toolRPM(group, config) {
+        const isMill = group.operations.some(op => op.config.type === 'pocket');
+        if (isMill && config.rpm) {
+            return config.rpm;
+        }
+        if (!config.material || !CobotCore.MATERIALS[config.material]) {
+            return config.rpm || null;
+        }
         
-        return sbp.join('\n');
+        const libraryTool = group.tool.libraryId ? this.cobot.getTool(group.tool.libraryId) : null;
+        const tool = libraryTool || { diameter: group.toolDiameter, fluteCount: 2, type: isMill ? 'end_mill' : 'drill' };
+        return this.cobot.calculateFeedsAndSpeeds(tool, config.material).rpm;
+    }
+
+    /**
+     * Find the library tool best suited to a hole group
+     * @private
+     */
+    _matchLibraryTool(diameter, isMill) {
+        const activeTool = this.cobot.getActiveTool();
+        if (isMill && activeTool && Math.abs(activeTool.diameter - diameter) < this.cobot.fromInches(0.0005)) {
+            return activeTool;
+        }
+        
+        return this.cobot.findTools(diameter, isMill ? 'end_mill' : 'drill')[0] ||
+            this.cobot.findTools(diameter)[0] ||
+            null;
+    }
+
+    /**
+     * Build a key identifying holes that can share one operation
+     * @private
+     */
+    _operationKey(holeConfig) {
+        const keyParts = [holeConfig.type, holeConfig.diameter, holeConfig.depth];
+        
+        if (holeConfig.type === 'pocket') {
+            keyParts.push(holeConfig.stepover, holeConfig.finishAllowance, holeConfig.stepdown, !!holeConfig.counterbore);
+        }
+        if (holeConfig.type === 'peck') {
+            keyParts.push(holeConfig.peckDepth, holeConfig.peckRetract, holeConfig.peckRetractDistance, holeConfig.dwell);
+        }
+        
+        return keyParts.join('|');
     }
 
     /**
      * Generate header section
      * @private
      */
-    _generateHeader(holes, config) {
-        const description = `Drilling ${holes.length} hole(s)`;
-        return this.cobot.generateSBPHeader(description, {
+    _generateHeader(toolpath, holes, groups, config, estimate) {
+        const operationCount = groups.reduce((sum, group) => sum + group.operations.length, 0);
+        return toolpath.header(`Drilling ${holes.length} hole(s)`, {
             materialThickness: config.materialThickness,
-            bitDiameter: config.diameter,
-            notes: `${config.type} holes, ${config.depth}" deep`
+            notes: `${operationCount} operation(s) using ${groups.length} tool(s)`,
+            tools: groups.map(group => group.tool),
+            datum: this.cobot.getDatum(),
+            estimate: estimate
         });
     }
 
+    /**
+     * Generate comment introducing an operation
+     * @private
+     */
+    _generateOperationHeader(toolpath, group, operation) {
+        const opConfig = operation.config;
+        const fmt = (v) => this.cobot.formatLength(v);
+        toolpath.comment(`======== ${this.operationLabel(opConfig)} holes: ${fmt(opConfig.diameter)} dia, ${fmt(opConfig.depth)} deep ` +
+            `(${operation.holes.length} hole(s), T${group.tool.number}) ========`);
+    }
+
     /**
      * Generate initialization section
      * @private
      */
-    _generateInit(config, settings) {
-        const lines = [];
-        
-        lines.push("' === Initialization ===");
-        
-        // Variables
-        const safeZ = config.safeZ || settings.safeZ;
-        const feedRate = config.feedRate || settings.feedRate;
-        const plungeRate = config.plungeRate || settings.plungeRate;
-        
-        lines.push(`&safeZ=${this.cobot.formatSBPNumber(safeZ)}`);
-        lines.push(`&plungeRate=${this.cobot.formatSBPNumber(plungeRate)}`);
-        lines.push(`&feedRate=${this.cobot.formatSBPNumber(feedRate)}`);
-        lines.push(`&depth=${this.cobot.formatSBPNumber(config.depth)}`);
-        lines.push('');
-        
-        // Set speeds
-        lines.push(`MS,${this.cobot.formatSBPNumber(feedRate)},${this.cobot.formatSBPNumber(feedRate)}`);
-        lines.push(`VS,,,${this.cobot.formatSBPNumber(plungeRate)}`);
-        lines.push('');
-        
-        // Start spindle
-        lines.push('C9  \' Select tool');
-        lines.push('C6  \' Start spindle');
-        lines.push(`PAUSE ${settings.spindleStartupTime}  \' Wait for spindle`);
-        lines.push('');
-        
-        // Move to safe Z
-        lines.push('JZ,%(safeZ)  \' Move to safe Z');
-        lines.push('');
-        
-        return lines.join('\n');
+    _generateInit(toolpath, config, settings) {
+        toolpath.start({
+            safeZ: this.safeZ,
+            feedRate: config.feedRate || settings.feedRate,
+            plungeRate: config.plungeRate || settings.plungeRate
+        });
     }
 
     /**
-     * Generate operation for a single hole
+     * Convert a Z depth (relative to the material top) to a machine Z
      * @private
      */
-    _generateHoleOperation(hole, holeNum, config, settings) {
-        const lines = [];
-        
-        lines.push(`' --- Hole ${holeNum} at (${this.cobot.formatSBPNumber(hole.x)}, ${this.cobot.formatSBPNumber(hole.y)}) ---`);
+    _z(depth) {
+        return depth + this.origin.z;
+    }
+
+    /**
+     * Generate operations for a single hole
+     * @private
+     */
+    _generateHoleOperation(toolpath, hole, holeNum, config, settings) {
+        toolpath.tag({ hole: holeNum });
+        toolpath.comment(`--- Hole ${holeNum} at (${this.cobot.formatSBPNumber(hole.x)}, ${this.cobot.formatSBPNumber(hole.y)}) ---`);
         
         switch (config.type) {
             case 'through':
             case 'blind':
-                lines.push(this._generatePlungeHole(hole, config));
+                this._generatePlungeHole(toolpath, hole, config);
+                break;
+                
+            case 'peck':
+                this._generatePeckHole(toolpath, hole, config);
                 break;
                 
             case 'pocket':
-                lines.push(this._generatePocketHole(hole, config));
+                this._generatePocketHole(toolpath, hole, config, settings);
                 break;
                 
             case 'counterbore':
-                lines.push(this._generateCounterboreHole(hole, config));
+                // Pilot only; the bore is milled as a pocket with the milling tool
+                toolpath.comment('Drilling pilot hole');
+                this._generatePlungeHole(toolpath, hole, config);
                 break;
                 
             default:
-                lines.push(this._generatePlungeHole(hole, config));
+                this._generatePlungeHole(toolpath, hole, config);
         }
         
-        lines.push('');
-        return lines.join('\n');
+        toolpath.comment();
+        toolpath.tag(null);
     }
 
     /**
      * Generate simple plunge hole operation
      * @private
      */
-    _generatePlungeHole(hole, config) {
-        const lines = [];
-        const x = this.cobot.formatSBPNumber(hole.x);
-        const y = this.cobot.formatSBPNumber(hole.y);
-        const depth = this.cobot.formatSBPNumber(-Math.abs(config.depth));
-        
-        lines.push(`J2,${x},${y}  \' Position over hole`);
-        lines.push(`MZ,${depth}  \' Plunge to depth`);
-        lines.push('JZ,%(safeZ)  \' Retract to safe Z');
-        
-        return lines.join('\n');
+    _generatePlungeHole(toolpath, hole, config) {
+        toolpath.drill({
+            x: hole.x,
+            y: hole.y,
+            z: this._z(-Math.abs(config.depth)),
+            r: this.safeZ,
+            surface: this._z(0)
+        });
     }
 
     /**
-     * Generate pocket/helical hole operation
+     * Generate peck drilling operation for deep holes
+     * 
+     * Drills in increments of config.peckDepth, retracting between pecks to
+     * clear chips. A 'full' retract goes to safe Z; a 'partial' retract lifts
+     * only config.peckRetractDistance above the current depth. Each peck
+     * rapids back to just above the previous depth before feeding again.
      * @private
      */
-    _generatePocketHole(hole, config) {
-        const lines = [];
-        const x = this.cobot.formatSBPNumber(hole.x);
-        const y = this.cobot.formatSBPNumber(hole.y);
-        const diameter = config.diameter;
+    _generatePeckHole(toolpath, hole, config) {
         const depth = Math.abs(config.depth);
+        const retractDistance = Math.abs(config.peckRetractDistance) || this.cobot.fromInches(0.05);
+        
+        toolpath.drill({
+            x: hole.x,
+            y: hole.y,
+            z: this._z(-depth),
+            r: this.safeZ,
+            surface: this._z(0),
+            peckDepth: Math.min(Math.abs(config.peckDepth) || depth, depth),
+            retract: config.peckRetract || 'full',
+            retractDistance: retractDistance,
+            clearance: Math.min(retractDistance, this.cobot.fromInches(0.02)), // Re-entry gap above previous depth
+            dwell: config.dwell || 0
+        });
+    }
+
+    /**
+     * Generate pocket hole operation
+     * 
+     * The tool path is compensated for the global tool diameter so the
+     * finished hole matches config.diameter. Each depth pass ramps down on a
+     * helix near the center, clears outward in concentric rings spaced by the
+     * stepover, and a final finishing pass cuts the wall at full depth.
+     * @private
+     */
+    _generatePocketHole(toolpath, hole, config, settings) {
+        const fmt = (value) => this.cobot.formatSBPNumber(value);
+        const cx = hole.x;
+        const cy = hole.y;
+        const depth = Math.abs(config.depth);
+        const toolDiameter = settings.toolDiameter;
+        const toolRadius = toolDiameter / 2;
+        
+        // Radius of the tool center for the finished wall
+        const finishRadius = config.diameter / 2 - toolRadius;
+        if (finishRadius <= this.cobot.fromInches(0.001)) {
+            toolpath.comment('Pocket diameter matches tool diameter - plunging');
+            this._generatePlungeHole(toolpath, hole, config);
+            return;
+        }
         
-        // Calculate helical parameters
-        const stepover = diameter * 0.4; // 40% stepover
-        const depthPerPass = Math.min(diameter * 0.5, 0.25); // Max 1/4" per pass
-        const numPasses = Math.ceil(depth / depthPerPass);
+        const stepover = toolDiameter * (config.stepover || 40) / 100;
+        const finishAllowance = Math.min(
+            config.finishAllowance !== undefined ? config.finishAllowance : this.cobot.fromInches(0.01),
+            finishRadius / 2
+        );
+        const roughRadius = finishRadius - finishAllowance;
+        const rampRadius = Math.min(roughRadius, toolRadius / 2);
+        
+        const depthPerPass = config.stepdown || Math.min(toolDiameter * 0.5, this.cobot.fromInches(0.25)); // Max 1/4" per pass by default
+        const numPasses = Math.ceil(depth / depthPerPass - 1e-9);
         const actualDepthPerPass = depth / numPasses;
         
-        lines.push(`' Pocket hole: ${numPasses} depth passes`);
-        lines.push(`J2,${x},${y}  \' Move to center`);
+        // Evenly spaced ring radii from the ramp circle out to the roughing wall
+        const rings = [];
+        const numRings = Math.ceil((roughRadius - rampRadius) / stepover - 1e-9);
+        for (let ring = 1; ring <= numRings; ring++) {
+            rings.push(rampRadius + (roughRadius - rampRadius) * ring / numRings);
+        }
+        
+        toolpath.comment(`Pocket hole: ${numPasses} depth passes, ${rings.length} rings, finish radius ${fmt(finishRadius)}`);
+        toolpath.rapid({ x: cx + rampRadius, y: cy }, 'Move to ramp start');
+        toolpath.feed({ z: this._z(0) }, 'Feed to material surface');
         
-        // Helical plunge with expanding spiral
         for (let pass = 1; pass <= numPasses; pass++) {
             const currentDepth = -actualDepthPerPass * pass;
-            const spiralRadius = diameter / 2;
             
-            lines.push(`' Depth pass ${pass} to ${this.cobot.formatSBPNumber(currentDepth)}"`);
+            toolpath.comment(`Depth pass ${pass} to ${fmt(currentDepth)} ${this.cobot.units}`);
             
-            // Move down while spiraling out
-            lines.push(`M2,${x},${y},${this.cobot.formatSBPNumber(currentDepth)}`);
+            // Helical ramp down one revolution, then a flat pass at the bottom
+            toolpath.feed({ x: cx + rampRadius, y: cy });
+            toolpath.circle(cx, cy, rampRadius, { plunge: -actualDepthPerPass, repetitions: 1, comment: 'Helical ramp' });
             
-            // Circle at full diameter
-            if (spiralRadius > 0) {
-                const circleX = this.cobot.formatSBPNumber(parseFloat(x) + spiralRadius);
-                lines.push(`M2,${circleX},${y},`);
-                lines.push(`CG,${x},${y},1,0,360,1,${this.cobot.formatSBPNumber(currentDepth)}`);
-            }
+            // Clear outward in concentric rings
+            rings.forEach(radius => {
+                toolpath.feed({ x: cx + radius, y: cy });
+                toolpath.circle(cx, cy, radius);
+            });
         }
         
-        lines.push(`J2,${x},${y}  \' Return to center`);
-        lines.push('JZ,%(safeZ)  \' Retract to safe Z');
+        // Finishing pass at full depth
+        toolpath.comment('Finishing pass');
+        toolpath.feed({ x: cx + finishRadius, y: cy });
+        toolpath.circle(cx, cy, finishRadius);
         
-        return lines.join('\n');
-    }
-
-    /**
-     * Generate counterbore hole operation
-     * @private
-     */
-    _generateCounterboreHole(hole, config) {
-        const lines = [];
-        
-        // First drill the through hole
-        lines.push("' Drilling pilot hole");
-        lines.push(this._generatePlungeHole(hole, config));
-        
-        // Then pocket the counterbore
-        if (config.cbDiameter && config.cbDepth) {
-            lines.push('');
-            lines.push("' Counterbore pocket");
-            const cbConfig = {
-                diameter: config.cbDiameter,
-                depth: config.cbDepth,
-                type: 'pocket'
-            };
-            lines.push(this._generatePocketHole(hole, cbConfig));
-        }
-        
-        return lines.join('\n');
+        toolpath.feed({ x: cx, y: cy }, 'Return to center');
+        toolpath.rapid({ z: this.safeZ }, 'Retract to safe Z');
     }
 
     /**
@@ -265,6 +550,58 @@ class DrillToolpath {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Pre-flight safety check of a generated toolpath, attributed to holes
+     * @param {CobotToolpath} toolpath - Toolpath returned by generateToolpath()
+     * @param {Object} options - Passed to CobotCore.preflightCheck
+     * @returns {Object} {ok, issues, holeNumbers}; issue messages name the hole they belong to
+     */
+    preflight(toolpath, options = {}) {
+        const check = this.cobot.preflightCheck(toolpath, options);
+        
+        // Report each kind of problem once per hole
+        const holeNumbers = new Set();
+        const seen = new Set();
+        const issues = [];
+        check.issues.forEach(issue => {
+            const hole = issue.tag ? issue.tag.hole : null;
+            if (hole === null || hole === undefined) {
+                issues.push(Object.assign({ hole: null }, issue));
+                return;
+            }
+            
+            holeNumbers.add(hole);
+            if (seen.has(`${hole}:${issue.type}`)) return;
+            seen.add(`${hole}:${issue.type}`);
+            issues.push(Object.assign({}, issue, { hole: hole, message: `Hole #${hole}: ${issue.message}` }));
+        });
+        
+        return {
+            ok: check.ok,
+            issues: issues,
+            holeNumbers: Array.from(holeNumbers)
+        };
+    }
+
+    /**
+     * Validate the effective configuration of every hole
+     * @param {Array} holes - Array of hole objects
+     * @param {Object} config - Job configuration used as defaults
+     * @returns {Array} Error messages prefixed with the hole number
+     */
+    validateHoles(holes, config) {
+        const errors = [];
+        
+        holes.forEach((hole, index) => {
+            const holeErrors = this.validateConfig(this.resolveHoleConfig(hole, config));
+            holeErrors.forEach(error => {
+                errors.push(`Hole #${hole.number || index + 1}: ${error}`);
+            });
+        });
+        
+        return errors;
+    }
+
     /**
      * Validate hole configuration
      */
@@ -279,10 +616,40 @@ class DrillToolpath {
             errors.push('Depth must be greater than 0');
         }
         
+        const toolDiameter = this.cobot.getGlobalSettings().toolDiameter;
+        if (config.type === 'pocket' && config.diameter < toolDiameter) {
+            errors.push(`Pocket diameter must be at least the tool diameter (${this.cobot.formatLength(toolDiameter)})`);
+        }
+        
+        if (config.type === 'pocket' || config.type === 'counterbore') {
+            if (config.stepover !== undefined && (!(config.stepover > 0) || config.stepover > 100)) {
+                errors.push('Stepover must be between 1% and 100% of tool diameter');
+            }
+        }
+        
+        if (config.stepdown !== undefined && !(config.stepdown > 0)) {
+            errors.push('Stepdown must be greater than 0');
+        }
+        
+        if (config.type === 'peck') {
+            if (!config.peckDepth || config.peckDepth <= 0) {
+                errors.push('Peck depth must be greater than 0');
+            }
+            if (config.peckRetract === 'partial' && (!config.peckRetractDistance || config.peckRetractDistance <= 0)) {
+                errors.push('Partial retract distance must be greater than 0');
+            }
+            if (config.dwell < 0) {
+                errors.push('Dwell time cannot be negative');
+            }
+        }
+        
         if (config.type === 'counterbore') {
             if (!config.cbDiameter || config.cbDiameter <= config.diameter) {
                 errors.push('Counterbore diameter must be larger than hole diameter');
             }
+            if (config.cbDiameter < toolDiameter) {
+                errors.push(`Counterbore diameter must be at least the tool diameter (${this.cobot.formatLength(toolDiameter)})`);
+            }
             if (!config.cbDepth || config.cbDepth <= 0) {
                 errors.push('Counterbore depth must be greater than 0');
             }
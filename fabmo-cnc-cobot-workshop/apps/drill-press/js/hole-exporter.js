@@ -0,0 +1,137 @@
+/**
+ * Drill Press - Hole Export
+ * 
+ * Writes the hole layout as DXF and SVG drawings for CAD, and as a 1:1
+ * printable drill template with crosshairs and hole labels for hand
+ * drilling or checking a part. Coordinates are in machine units,
+ * measured from the active datum.
+ */
+
+class HoleExporter {
+    constructor(cobot) {
+        this.cobot = cobot;
+    }
+
+    /**
+     * Build a drawing of the holes
+     * 
+     * Holes go on the HOLES layer and counterbores on COUNTERBORES. A
+     * template adds crosshairs, hole labels, the datum and a scale check
+     * bar on their own layers.
+     * @param {Array} holes - Holes from DrillPressUI
+     * @param {Object} options - Drawing options
+     * @param {boolean} options.template - Add the drill template marks
+     * @param {string} options.diameterSymbol - Diameter sign used in labels
+     * @param {string} options.title - Title printed on the template
+     * @returns {Object} Drawing for CobotDXF.write or CobotSVG.write
+     */
+    toDrawing(holes, options = {}) {
+        const inch = this.cobot.fromInches(1);
+        const entities = [];
+        
+        holes.forEach(hole => {
+            entities.push({ type: 'CIRCLE', layer: 'HOLES', x: hole.x, y: hole.y, radius: hole.diameter / 2 });
+            if (hole.type === 'counterbore' && hole.cbDiameter > 0) {
+                entities.push({ type: 'CIRCLE', layer: 'COUNTERBORES', x: hole.x, y: hole.y, radius: hole.cbDiameter / 2 });
+            }
+        });
+        
+        if (options.template) {
+            const textHeight = 0.125 * inch;
+            const symbol = options.diameterSymbol || 'Ø';
+            
+            holes.forEach((hole, i) => {
+                const outer = Math.max(hole.diameter, hole.type === 'counterbore' ? hole.cbDiameter || 0 : 0) / 2;
+                entities.push(...this._crosshair(hole.x, hole.y, outer + 0.125 * inch, 'CROSSHAIRS'));
+                entities.push({
+                    type: 'TEXT',
+                    layer: 'LABELS',
+                    x: hole.x + outer + 0.05 * inch,
+                    y: hole.y + outer + 0.05 * inch,
+                    height: textHeight,
+                    text: `${hole.number || i + 1}  ${symbol}${this.cobot.formatLength(hole.diameter)}`
+                });
+            });
+            
+            // Datum mark at the origin
+            entities.push(...this._crosshair(0, 0, 0.25 * inch, 'DATUM'));
+            entities.push({ type: 'CIRCLE', layer: 'DATUM', x: 0, y: 0, radius: 0.1 * inch });
+            entities.push({ type: 'TEXT', layer: 'DATUM', x: 0.15 * inch, y: -0.3 * inch, height: textHeight, text: 'DATUM' });
+            
+            entities.push(...this._scaleBar(entities, textHeight, options.title));
+        }
+        
+        return { units: this.cobot.units, entities: entities };
+    }
+
+    /**
+     * Write the holes as a DXF drawing
+     * @param {Array} holes - Holes from DrillPressUI
+     * @param {Object} options - Drawing options, see toDrawing
+     * @returns {string} DXF file contents
+     */
+    toDXF(holes, options = {}) {
+        // AutoCAD's code for the diameter sign
+        const drawing = this.toDrawing(holes, Object.assign({ diameterSymbol: '%%c' }, options));
+        return new CobotDXF().write(drawing);
+    }
+
+    /**
+     * Write the holes as an SVG drawing sized to print 1:1
+     * @param {Array} holes - Holes from DrillPressUI
+     * @param {Object} options - Drawing options, see toDrawing
+     * @returns {string} SVG file contents
+     */
+    toSVG(holes, options = {}) {
+        const inch = this.cobot.fromInches(1);
+        const drawing = this.toDrawing(holes, options);
+        return new CobotSVG().write(drawing, {
+            margin: (options.template ? 0.5 : 0.25) * inch,
+            strokeWidth: 0.01 * inch,
+            title: options.title
+        });
+    }
+
+    /**
+     * Two crossing lines through a point
+     * @private
+     */
+    _crosshair(x, y, reach, layer) {
+        return [
+            { type: 'LINE', layer: layer, x: x - reach, y: y, x2: x + reach, y2: y },
+            { type: 'LINE', layer: layer, x: x, y: y - reach, x2: x, y2: y + reach }
+        ];
+    }
+
+    /**
+     * A scale check bar (4 in or 100 mm) with the title, below the layout
+     * @private
+     */
+    _scaleBar(entities, textHeight, title) {
+        const length = this.cobot.units === 'mm' ? 100 : 4;
+        const tick = this.cobot.fromInches(0.1);
+        const left = Math.min(...entities.map(entity => entity.x - (entity.radius || 0)));
+        const bottom = Math.min(...entities.map(entity => Math.min(entity.y - (entity.radius || 0), entity.y2 === undefined ? Infinity : entity.y2)));
+        const y = bottom - 4 * textHeight;
+        
+        const bar = [
+            { type: 'LINE', layer: 'SCALE', x: left, y: y, x2: left + length, y2: y },
+            { type: 'LINE', layer: 'SCALE', x: left, y: y - tick, x2: left, y2: y + tick },
+            { type: 'LINE', layer: 'SCALE', x: left + length, y: y - tick, x2: left + length, y2: y + tick },
+            {
+                type: 'TEXT',
+                layer: 'SCALE',
+                x: left + length / 2,
+                y: y + tick,
+                height: textHeight,
+                align: 'middle',
+                text: `${length} ${this.cobot.units} - check this measures ${length} ${this.cobot.units} when printed`
+            }
+        ];
+        
+        if (title) {
+            bar.push({ type: 'TEXT', layer: 'SCALE', x: left, y: y - tick - 2 * textHeight, height: textHeight, text: title });
+        }
+        return bar;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * Drill Press - Hole Import
+ * 
+ * Turns CAD drawings (DXF, SVG) and spreadsheets (CSV) into hole
+ * positions in machine units, measured from the active datum
+ */
+
+class HoleImporter {
+    constructor(cobot) {
+        this.cobot = cobot;
+    }
+
+    /**
+     * Get holes from a drawing parsed by CobotDXF or CobotSVG
+     * 
+     * Each circle becomes a hole of the circle's diameter and each ellipse
+     * a hole of its mean diameter; POINTs become holes with no diameter
+     * (the form diameter is used).
+     * @param {Object} drawing - Parsed drawing
+     * @param {Object} options - Import options
+     * @param {Array} options.layers - Layer names to import (default: all)
+     * @param {boolean} options.includePoints - Also import POINT entities
+     * @param {string} options.units - Drawing units, or 'auto' to use the file's units
+     * @param {string} options.origin - 'drawing' puts the drawing origin at the datum,
+     *   'lower-left' puts the lower-left of the holes at the datum
+     * @param {number} options.offsetX - Added to X after placement (machine units)
+     * @param {number} options.offsetY - Added to Y after placement (machine units)
+     * @returns {Object} {holes: [{x, y, diameter, layer}], warnings}
+     */
+    fromDrawing(drawing, options = {}) {
+        const warnings = [];
+        const layers = options.layers && options.layers.length > 0 ? options.layers : null;
+        const scale = this._scale(options.units, drawing.units, 'Drawing', warnings);
+        
+        const entities = drawing.entities
+            .filter(entity => !layers || layers.includes(entity.layer))
+            .filter(entity => entity.type !== 'POINT' || options.includePoints);
+        const holes = entities.map(entity => ({
+            x: entity.x * scale,
+            y: entity.y * scale,
+            diameter: entity.type === 'POINT' ? undefined : entity.radius * 2 * scale,
+            layer: entity.layer
+        }));
+        
+        const ellipses = entities.filter(entity => entity.type === 'ELLIPSE' && Math.abs(entity.rx - entity.ry) > 0.01 * entity.radius);
+        if (ellipses.length > 0) {
+            warnings.push(`${ellipses.length} ellipse(s) imported at their mean diameter`);
+        }
+        
+        const skipped = Object.keys(drawing.skipped).map(type => `${drawing.skipped[type]} ${type}`);
+        if (skipped.length > 0) {
+            warnings.push(`Not imported: ${skipped.join(', ')}`);
+        }
+        if (drawing.skipped.INSERT) {
+            warnings.push('Explode blocks in CAD to import the holes inside them');
+        }
+        
+        return { holes: this._place(holes, options, warnings), warnings };
+    }
+
+    /**
+     * Read a CSV (or semicolon/tab separated) spreadsheet export
+     * 
+     * Columns are matched to x, y, diameter, depth and type by their
+     * header names; without a header row they are taken in that order.
+     * A unit in the X or diameter header, e.g. "X (mm)", sets the units.
+     * @param {string} text - File contents
+     * @returns {Object} {headers, hasHeader, rows, columns: {x, y, diameter, depth, type} (column index or -1), units}
+     * @throws {Error} If the file has no rows
+     */
+    readCSV(text) {
+        const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+        if (lines.length === 0) {
+            throw new Error('File is empty');
+        }
+        
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            lines[0].split(d).length > lines[0].split(best).length ? d : best, ',');
+        const rows = lines.map(line => this._splitCSVLine(line, delimiter));
+        const hasHeader = rows[0].some(cell => cell.trim() && isNaN(this._number(cell)));
+        const headers = hasHeader ? rows.shift().map(cell => cell.trim()) : rows[0].map((cell, i) => `Column ${i + 1}`);
+        
+        const columns = {};
+        Object.keys(HoleImporter.CSV_COLUMNS).forEach((field, order) => {
+            const index = hasHeader
+                ? headers.findIndex(header => HoleImporter.CSV_COLUMNS[field].includes(this._headerKey(header)))
+                : order;
+            columns[field] = index < headers.length ? index : -1;
+        });
+        
+        const unitMatch = [columns.x, columns.diameter]
+            .filter(i => hasHeader && i >= 0)
+            .map(i => headers[i].match(/[([\s](in|inch|inches|mm|cm)[)\]]?\s*$/i))
+            .find(match => match);
+        const units = unitMatch ? { inch: 'in', inches: 'in' }[unitMatch[1].toLowerCase()] || unitMatch[1].toLowerCase() : null;
+        
+        return { headers, hasHeader, rows, columns, units };
+    }
+
+    /**
+     * Get holes from a table read by readCSV
+     * @param {Object} table - Table from readCSV
+     * @param {Object} options - Import options
+     * @param {Object} options.columns - Column index per field; default: the detected columns
+     * @param {string} options.units - Units of the values, or 'auto' for the header's units
+     * @param {string} options.origin - 'drawing' keeps the coordinates, 'lower-left' moves
+     *   the lower-left hole to the datum
+     * @param {number} options.offsetX - Added to X after placement (machine units)
+     * @param {number} options.offsetY - Added to Y after placement (machine units)
+     * @returns {Object} {holes: [{x, y, diameter, depth, type}], warnings}
+     */
+    fromCSV(table, options = {}) {
+        const warnings = [];
+        const columns = Object.assign({}, table.columns, options.columns);
+        const scale = this._scale(options.units, table.units, 'Spreadsheet', warnings);
+        
+        if (!(columns.x >= 0) || !(columns.y >= 0)) {
+            return { holes: [], warnings: ['Choose the X and Y columns'] };
+        }
+        
+        const holes = [];
+        table.rows.forEach((row, i) => {
+            const rowNumber = i + (table.hasHeader ? 2 : 1);
+            const cell = (field) => (columns[field] >= 0 ? row[columns[field]] : undefined);
+            const x = this._number(cell('x'));
+            const y = this._number(cell('y'));
+            if (isNaN(x) || isNaN(y)) {
+                warnings.push(`Row ${rowNumber} skipped: X and Y must be numbers`);
+                return;
+            }
+            
+            const hole = { x: x * scale, y: y * scale };
+            const diameter = this._number(cell('diameter'));
+            if (diameter > 0) hole.diameter = diameter * scale;
+            // Depths given as Z coordinates (negative) are accepted too
+            const depth = Math.abs(this._number(cell('depth')));
+            if (depth > 0) hole.depth = depth * scale;
+            
+            const typeText = String(cell('type') || '').trim().toLowerCase();
+            if (typeText) {
+                hole.type = HoleImporter.CSV_TYPES[typeText];
+                if (!hole.type) {
+                    warnings.push(`Row ${rowNumber}: unknown hole type "${typeText}", form type used`);
+                    delete hole.type;
+                }
+            }
+            holes.push(hole);
+        });
+        
+        return { holes: this._place(holes, options, warnings), warnings };
+    }
+
+    /**
+     * Scale from file units to machine units
+     * @private
+     */
+    _scale(selected, fileUnits, source, warnings) {
+        let units = selected && selected !== 'auto' ? selected : fileUnits;
+        if (!units) {
+            units = this.cobot.units;
+            warnings.push(`${source} has no units; read as ${CobotCore.UNITS[units].name}`);
+        }
+        return this.cobot.fromInches(CobotDXF.INCHES_PER_UNIT[units]);
+    }
+
+    /**
+     * Split a CSV line, honouring double-quoted fields
+     * @private
+     */
+    _splitCSVLine(line, delimiter) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && !cell.trim()) {
+                // Quotes only open a field at its start, so 1/4" stays a value
+                quoted = true;
+            } else if (ch === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell);
+        return cells;
+    }
+
+    /**
+     * Read a number from a cell: decimals, fractions ("1/4", "1 1/4")
+     * and an optional trailing inch mark or unit
+     * @private
+     */
+    _number(cell) {
+        const text = String(cell === undefined ? '' : cell).trim().replace(/\s*("|in|mm|cm)$/i, '');
+        const fraction = text.match(/^(-?)(?:(\d+)\s+)?(\d+)\/(\d+)$/);
+        if (fraction) {
+            const value = (parseInt(fraction[2] || '0', 10) + parseInt(fraction[3], 10) / parseInt(fraction[4], 10));
+            return fraction[1] ? -value : value;
+        }
+        return text && isFinite(text) ? parseFloat(text) : NaN;
+    }
+
+    /**
+     * Normalize a header for matching: lower case, no units or punctuation
+     * @private
+     */
+    _headerKey(header) {
+        return header.toLowerCase().replace(/[([].*$/, '').replace(/\s(in|inch|inches|mm|cm)$/, '').replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Move holes into place, round them and drop duplicates
+     * @private
+     */
+    _place(holes, options, warnings) {
+        let dx = options.offsetX || 0;
+        let dy = options.offsetY || 0;
+        if (options.origin === 'lower-left' && holes.length > 0) {
+            dx -= holes.reduce((min, hole) => Math.min(min, hole.x), Infinity);
+            dy -= holes.reduce((min, hole) => Math.min(min, hole.y), Infinity);
+        }
+        
+        const round = (value) => Math.round(value * 10000) / 10000;
+        const placed = [];
+        holes.forEach(hole => {
+            const result = Object.assign({}, hole, {
+                x: round(hole.x + dx),
+                y: round(hole.y + dy),
+                diameter: hole.diameter === undefined ? undefined : round(hole.diameter)
+            });
+            if (hole.depth !== undefined) result.depth = round(hole.depth);
+            
+            const duplicate = placed.some(p => p.x === result.x && p.y === result.y && p.diameter === result.diameter);
+            if (!duplicate) {
+                placed.push(result);
+            }
+        });
+        
+        if (placed.length < holes.length) {
+            warnings.push(`${holes.length - placed.length} duplicate hole(s) skipped`);
+        }
+        return placed;
+    }
+}
+
+/**
+ * Header names accepted for each CSV column, normalized (see _headerKey)
+ * @static
+ */
+HoleImporter.CSV_COLUMNS = {
+    x: ['x', 'xpos', 'xposition', 'posx', 'centerx', 'cx', 'xcoord', 'xcoordinate'],
+    y: ['y', 'ypos', 'yposition', 'posy', 'centery', 'cy', 'ycoord', 'ycoordinate'],
+    diameter: ['diameter', 'dia', 'diam', 'd', 'size', 'holesize', 'holediameter', 'drill', 'drillsize'],
+    depth: ['depth', 'z', 'holedepth', 'deep'],
+    type: ['type', 'holetype', 'operation', 'op', 'kind']
+};
+
+/**
+ * Hole types by CSV type text
+ * @static
+ */
+HoleImporter.CSV_TYPES = {
+    through: 'through',
+    blind: 'through',
+    drill: 'through',
+    peck: 'peck',
+    pocket: 'pocket',
+    counterbore: 'counterbore',
+    cbore: 'counterbore',
+    cb: 'counterbore'
+};
\ No newline at end of file
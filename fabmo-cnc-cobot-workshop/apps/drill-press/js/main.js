@@ -11,6 +11,16 @@
     let cobot;
     let ui;
     let toolpath;
+    let viewer;
+    let datumPicker;
+    let millToolPicker;
+    let projectManager;
+    let currentProject = null; // Open project document, null when untitled
+    let importer;
+    let importSource = null; // File chosen on the Import tab: {format, drawing|table}
+    let exporter;
+    let previewCode = '';
+    let estimateTimer = null;
     
     /**
      * Initialize the application
@@ -23,9 +33,50 @@
             
             console.log('Drill Press initialized with FabMo config');
             
+            // Saved state, validated on load; problems are shown, not silently reset
+            cobot.onSettingsError(error => cobot.notify(error.message, 'error'));
+            cobot.setAppSettingsSchema({
+                version: 2,
+                fields: {
+                    lastProjectId: { type: 'string', nullable: true },
+                    toolAssignments: { type: 'object' }
+                },
+                migrations: {
+                    // The single saved hole list becomes a project
+                    2: migrateSavedHoles
+                },
+                defaults: { lastProjectId: null, toolAssignments: {} },
+                convertUnits: (settings, factor) => {
+                    settings.toolAssignments = convertToolAssignments(settings.toolAssignments || {}, factor);
+                }
+            });
+            
+            // Labels and input defaults in machine units
+            applyUnits();
+            
             // Initialize UI and toolpath
             ui = new DrillPressUI(cobot);
             toolpath = new DrillToolpath(cobot);
+            importer = new HoleImporter(cobot);
+            exporter = new HoleExporter(cobot);
+            
+            // Keep the tool list in step with the holes
+            ui.onHolesChanged = () => {
+                refreshToolList();
+                scheduleEstimate();
+            };
+            ui.onToolChanged = handleToolChanged;
+            refreshToolList();
+            
+            // Milling tool used for pockets and counterbores, from the shared library
+            millToolPicker = new CobotToolPicker(cobot, 'mill-tool-picker', {
+                filter: tool => tool.type === 'end_mill' || tool.type === 'ball_nose',
+                selectedId: cobot.getGlobalSettings().activeToolId,
+                onSelect: handleMillToolSelected
+            });
+            
+            // Material list and suggested feeds for the milling tool
+            setupFeedsAndSpeeds();
             
             // Load saved state
             loadAppState();
@@ -33,9 +84,37 @@
             // Setup event listeners
             setupEventListeners();
             
+            // Active datum, shared with the other workshop apps
+            datumPicker = new CobotDatumPicker(cobot, 'datum-picker');
+            projectManager = new CobotProjectManager(cobot, {
+                onOpen: project => {
+                    openProject(project);
+                    cobot.notify(`Opened ${project.name}`, 'success');
+                },
+                getCurrentId: () => currentProject && currentProject.id
+            });
+            cobot.onDatumChange(handleDatumChanged);
+            cobot.storage.on('conflict', handleStorageConflict);
+            
             // Update datum display
             ui.updateDatumDisplay();
             
+            // Job time and cost estimate
+            document.getElementById('machine-rate').value = cobot.getGlobalSettings().machineHourlyRate;
+            
+            // Program format written by Save Job and Drill Now
+            const formatSelect = document.getElementById('program-format');
+            Object.keys(CobotCore.POST_PROCESSORS).forEach(key => {
+                formatSelect.add(new Option(CobotCore.POST_PROCESSORS[key].name, key));
+            });
+            formatSelect.value = cobot.getPostProcessor().key;
+            
+            // Touch plate settings
+            document.getElementById('probe-plate-thickness').value = cobot.getGlobalSettings().probePlateThickness;
+            document.getElementById('probe-double-touch').value = cobot.getGlobalSettings().probeDoubleTouch ? 'double' : 'single';
+            document.getElementById('probe-diameter').value = cobot.getGlobalSettings().probeDiameter;
+            scheduleEstimate();
+            
             cobot.notify('Drill Press ready!', 'success');
             
         } catch (error) {
@@ -44,6 +123,41 @@
         }
     }
 
+    /**
+     * Show machine units on labels and convert the inch defaults of length
+     * inputs (marked data-length) on metric machines
+     */
+    function applyUnits() {
+        document.querySelectorAll('.unit-label').forEach(label => {
+            label.textContent = cobot.units;
+        });
+        if (cobot.units === 'in') return;
+        
+        const decimals = CobotCore.UNITS[cobot.units].decimals;
+        const convert = (inches) => parseFloat(cobot.fromInches(inches).toFixed(decimals));
+        
+        document.querySelectorAll('input[data-length]').forEach(input => {
+            // Round steps to 1, 2 or 5 of a power of ten, e.g. 1/8" -> 2 mm
+            const exact = cobot.fromInches(parseFloat(input.step));
+            const power = Math.pow(10, Math.floor(Math.log10(exact)));
+            const step = [5, 2, 1].map(n => n * power).find(n => n <= exact);
+            input.step = parseFloat(step.toFixed(decimals));
+            
+            if (input.hasAttribute('min')) {
+                const min = parseFloat(input.min);
+                input.min = min > 0 ? Math.max(input.step, (Math.round(convert(min) / step) * step).toFixed(decimals)) : 0;
+            }
+            if (input.hasAttribute('max')) {
+                input.max = convert(parseFloat(input.max));
+            }
+            input.value = convert(parseFloat(input.value));
+        });
+        
+        const diameter = document.getElementById('hole-diameter');
+        document.getElementById('hole-diameter-hint').textContent =
+            `Bit diameter (${cobot.formatLength(diameter.min)} to ${cobot.formatLength(diameter.max)})`;
+    }
+
     /**
      * Setup all event listeners
      */
@@ -56,6 +170,14 @@
         // Hole type change
         document.getElementById('hole-type').addEventListener('change', handleHoleTypeChange);
         
+        // Feeds and speeds
+        document.getElementById('material').addEventListener('change', handleMaterialChange);
+        document.getElementById('material-thickness').addEventListener('change', handleMaterialThicknessChange);
+        document.getElementById('use-suggested-feeds').addEventListener('click', () => applySuggestedFeeds(true));
+        ['feed-rate', 'plunge-rate', 'spindle-rpm', 'pocket-stepdown'].forEach(id => {
+            document.getElementById(id).addEventListener('input', handleFeedOverride);
+        });
+        
         // Single hole controls
         document.getElementById('use-current-position').addEventListener('click', handleUseCurrentPosition);
         document.getElementById('add-single-hole').addEventListener('click', handleAddSingleHole);
@@ -70,20 +192,42 @@
         // Manual click mode
         document.getElementById('toggle-click-mode').addEventListener('click', handleToggleClickMode);
         
+        // Drawing import
+        document.getElementById('import-file').addEventListener('change', handleImportFileChange);
+        document.getElementById('import-holes').addEventListener('click', handleImportHoles);
+        
         // Hole list management
         document.getElementById('clear-all-holes').addEventListener('click', handleClearAllHoles);
-        document.getElementById('save-hole-list').addEventListener('click', handleSaveHoleList);
+        
+        // Projects
+        document.getElementById('new-project').addEventListener('click', handleNewProject);
+        document.getElementById('open-projects').addEventListener('click', () => projectManager.open());
+        document.getElementById('save-project').addEventListener('click', handleSaveProject);
+        document.getElementById('export-holes').addEventListener('click', handleExportHoles);
         
         // Datum controls
         document.getElementById('set-datum-current').addEventListener('click', handleSetDatumCurrent);
         document.getElementById('set-datum-zero').addEventListener('click', handleSetDatumZero);
         document.getElementById('clear-datum').addEventListener('click', handleClearDatum);
+        document.getElementById('probe-z').addEventListener('click', handleProbeZ);
+        document.getElementById('probe-plate-thickness').addEventListener('change', handleProbeSettingsChange);
+        document.getElementById('probe-double-touch').addEventListener('change', handleProbeSettingsChange);
+        document.getElementById('probe-corner-run').addEventListener('click', handleProbeCorner);
+        document.getElementById('probe-diameter').addEventListener('change', handleProbeSettingsChange);
+        document.getElementById('capture-registration-point').addEventListener('click', handleCaptureRegistrationPoint);
+        document.getElementById('register-stock').addEventListener('click', handleRegisterStock);
+        document.getElementById('reset-registration').addEventListener('click', handleResetRegistration);
         
         // Action buttons
         document.getElementById('preview-toolpath').addEventListener('click', handlePreviewToolpath);
         document.getElementById('save-job').addEventListener('click', handleSaveJob);
         document.getElementById('drill-now').addEventListener('click', handleDrillNow);
         
+        // Re-estimate when any job setting changes
+        document.querySelector('.controls').addEventListener('change', scheduleEstimate);
+        document.getElementById('machine-rate').addEventListener('input', handleMachineRateChange);
+        document.getElementById('program-format').addEventListener('change', handleProgramFormatChange);
+        
         // Modal controls
         document.querySelectorAll('.modal-close, #close-preview').forEach(btn => {
             btn.addEventListener('click', closeModal);
@@ -137,7 +281,7 @@
     }
 
     /**
-     * Handle hole type change (show/hide counterbore settings)
+     * Handle hole type change (show/hide pocket, counterbore and peck settings)
      */
     function handleHoleTypeChange(e) {
         const cbSettings = document.getElementById('counterbore-settings');
@@ -146,6 +290,20 @@
         } else {
             cbSettings.classList.add('hidden');
         }
+        
+        const pocketSettings = document.getElementById('pocket-settings');
+        if (e.target.value === 'pocket' || e.target.value === 'counterbore') {
+            pocketSettings.classList.remove('hidden');
+        } else {
+            pocketSettings.classList.add('hidden');
+        }
+        
+        const peckSettings = document.getElementById('peck-settings');
+        if (e.target.value === 'peck') {
+            peckSettings.classList.remove('hidden');
+        } else {
+            peckSettings.classList.add('hidden');
+        }
     }
 
     /**
@@ -161,7 +319,8 @@
      */
     async function handleUseCurrentPosition() {
         try {
-            const pos = await cobot.getPosition();
+            // Holes are relative to the datum
+            const pos = cobot.toWorkCoordinates(await cobot.getPosition());
             document.getElementById('single-x').value = pos.x.toFixed(3);
             document.getElementById('single-y').value = pos.y.toFixed(3);
             cobot.notify('Position updated from machine', 'success');
@@ -257,6 +416,196 @@
         }
     }
 
+    /**
+     * Read the chosen drawing or spreadsheet and show its layers or columns
+     */
+    function handleImportFileChange(e) {
+        const file = e.target.files[0];
+        const summary = document.getElementById('import-summary');
+        importSource = null;
+        document.getElementById('import-layers').innerHTML = '';
+        document.getElementById('import-holes').disabled = true;
+        if (!file) return;
+        
+        const extension = file.name.split('.').pop().toLowerCase();
+        const format = extension === 'svg' ? 'svg' : (extension === 'csv' || extension === 'txt' ? 'csv' : 'dxf');
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                if (format === 'csv') {
+                    importSource = { format, table: importer.readCSV(reader.result) };
+                } else {
+                    const parser = format === 'svg' ? new CobotSVG() : new CobotDXF();
+                    importSource = { format, drawing: parser.parse(reader.result) };
+                }
+            } catch (error) {
+                summary.textContent = error.message;
+                cobot.notify('Could not read file: ' + error.message, 'error');
+                return;
+            }
+            
+            document.getElementById('import-columns').classList.toggle('hidden', format !== 'csv');
+            document.getElementById('import-layers-group').classList.toggle('hidden', format === 'csv');
+            
+            if (format === 'csv') {
+                showImportColumns(importSource.table);
+                const units = importSource.table.units ? `values in ${importSource.table.units}` : 'no units in the headers';
+                summary.textContent = `${importSource.table.rows.length} rows, ${units}`;
+            } else {
+                showImportLayers(importSource.drawing);
+                const entities = importSource.drawing.entities;
+                const points = entities.filter(entity => entity.type === 'POINT').length;
+                const units = importSource.drawing.units ? `drawn in ${importSource.drawing.units}` : 'no units set';
+                summary.textContent = `${entities.length - points} circles, ${points} points, ${units}`;
+            }
+            document.getElementById('import-holes').disabled = false;
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * List a drawing's layers with their entity counts
+     */
+    function showImportLayers(drawing) {
+        const layerSelect = document.getElementById('import-layers');
+        drawing.layers.forEach(layer => {
+            const count = drawing.entities.filter(entity => entity.layer === layer).length;
+            const option = document.createElement('option');
+            option.value = layer;
+            option.textContent = `${layer} (${count})`;
+            layerSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the column selects from a spreadsheet's headers, preselecting
+     * the detected columns
+     */
+    function showImportColumns(table) {
+        document.querySelectorAll('#import-columns select').forEach(select => {
+            const field = select.dataset.column;
+            const required = field === 'x' || field === 'y';
+            select.innerHTML = (required ? '' : '<option value="-1">(none, use form)</option>') +
+                table.headers.map((header, i) => `<option value="${i}"></option>`).join('');
+            table.headers.forEach((header, i) => {
+                select.querySelector(`option[value="${i}"]`).textContent = header;
+            });
+            select.value = table.columns[field] >= 0 ? table.columns[field] : (required ? 0 : -1);
+        });
+    }
+
+    /**
+     * Add the imported holes to the hole list
+     */
+    function handleImportHoles() {
+        if (!importSource) return;
+        
+        const options = {
+            units: document.getElementById('import-units').value,
+            origin: document.getElementById('import-origin').value,
+            offsetX: parseFloat(document.getElementById('import-offset-x').value) || 0,
+            offsetY: parseFloat(document.getElementById('import-offset-y').value) || 0
+        };
+        
+        let result;
+        if (importSource.format === 'csv') {
+            options.columns = {};
+            document.querySelectorAll('#import-columns select').forEach(select => {
+                options.columns[select.dataset.column] = parseInt(select.value, 10);
+            });
+            result = importer.fromCSV(importSource.table, options);
+        } else {
+            options.layers = Array.from(document.getElementById('import-layers').selectedOptions).map(option => option.value);
+            options.includePoints = document.getElementById('import-points').value === 'points';
+            result = importer.fromDrawing(importSource.drawing, options);
+        }
+        
+        if (result.holes.length === 0) {
+            cobot.notify(importSource.format === 'csv' ? 'No holes found in the file' : 'No holes found on the selected layers', 'warning');
+            result.warnings.forEach(warning => cobot.notify(warning, 'warning'));
+            return;
+        }
+        
+        // Imported values override the Hole Configuration form
+        const existing = document.getElementById('import-mode').value === 'replace' ? [] : ui.getHoles();
+        const imported = result.holes.map(hole => {
+            const values = {};
+            ['x', 'y', 'diameter', 'depth', 'type'].forEach(key => {
+                if (hole[key] !== undefined) values[key] = hole[key];
+            });
+            return Object.assign(ui.getFormHoleConfig(hole.type), values);
+        });
+        ui.loadHoles(existing.concat(imported));
+        ui.saveState();
+        
+        cobot.notify(`Imported ${imported.length} holes`, 'success');
+        result.warnings.slice(0, 5).forEach(warning => cobot.notify(warning, 'warning'));
+    }
+
+    /**
+     * Export the hole layout as a drawing or drill template
+     */
+    function handleExportHoles() {
+        const holes = ui.getHoles();
+        if (holes.length === 0) {
+            cobot.notify('No holes to export', 'warning');
+            return;
+        }
+        
+        const format = document.getElementById('export-format').value;
+        const name = currentProject ? currentProject.name : 'Drill layout';
+        const fileName = name.replace(/[^\w\- ]+/g, '').trim() || 'drill-layout';
+        const title = `${name} - ${holes.length} holes, 1:1, ${new Date().toLocaleDateString()}`;
+        
+        try {
+            if (format === 'dxf') {
+                downloadFile(exporter.toDXF(holes), `${fileName}.dxf`, 'application/dxf');
+            } else if (format === 'svg') {
+                downloadFile(exporter.toSVG(holes), `${fileName}.svg`, 'image/svg+xml');
+            } else if (format === 'template-svg') {
+                downloadFile(exporter.toSVG(holes, { template: true, title }), `${fileName} template.svg`, 'image/svg+xml');
+            } else {
+                printTemplate(exporter.toSVG(holes, { template: true, title }), title);
+            }
+        } catch (error) {
+            cobot.notify('Export failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Save text as a file in the browser's downloads
+     */
+    function downloadFile(text, fileName, type) {
+        const blob = new Blob([text], { type: type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Open a drill template in a new window and print it, so it can be
+     * printed on paper or saved as a PDF
+     */
+    function printTemplate(svg, title) {
+        const win = window.open('', '_blank');
+        if (!win) {
+            cobot.notify('Allow pop-ups to print the template', 'warning');
+            return;
+        }
+        
+        // No page margins or scaling, so the template prints true to size
+        win.document.write(`<!DOCTYPE html><html><head><title>${title.replace(/</g, '&lt;')}</title>
+            <style>@page { margin: 0; } body { margin: 0; } svg { display: block; }</style>
+            </head><body>${svg.replace(/^<\?xml[^>]*>\s*/, '')}</body></html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+        cobot.notify('Print at 100% scale (not "fit to page") and check the scale bar', 'info');
+    }
+
     /**
      * Clear all holes
      */
@@ -270,21 +619,399 @@
     }
 
     /**
-     * Save hole list to app settings
+     * Save the holes and settings as a project, asking for a name the first time
      */
-    function handleSaveHoleList() {
+    function handleSaveProject() {
         const holes = ui.getHoles();
         if (holes.length === 0) {
             cobot.notify('No holes to save', 'warning');
             return;
         }
         
-        cobot.setAppSettings({
-            savedHoles: holes,
-            savedAt: new Date().toISOString()
+        let name = currentProject && currentProject.name;
+        if (!name) {
+            name = prompt('Project name:', `Drill job ${new Date().toLocaleDateString()}`);
+            if (!name || !name.trim()) return;
+        }
+        
+        try {
+            currentProject = cobot.saveProject(buildProject(name));
+            cobot.setAppSettings({ lastProjectId: currentProject.id });
+            updateProjectName();
+            cobot.notify(`Saved ${currentProject.name}`, 'success');
+        } catch (error) {
+            cobot.notify('Failed to save project: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Start an untitled project with no holes
+     */
+    function handleNewProject() {
+        if (ui.getHoles().length > 0 && !confirm('Start a new project? Unsaved holes will be cleared.')) {
+            return;
+        }
+        
+        ui.clearAllHoles();
+        currentProject = null;
+        cobot.setAppSettings({ lastProjectId: null });
+        updateProjectName();
+    }
+
+    /**
+     * Build a project document from the current holes and settings
+     */
+    function buildProject(name) {
+        const config = getHoleConfig();
+        delete config.tools;
+        
+        const fields = {
+            name: name,
+            material: {
+                key: config.material,
+                thickness: parseFloat(document.getElementById('material-thickness').value)
+            },
+            tools: {
+                activeToolId: cobot.getGlobalSettings().activeToolId,
+                assignments: getToolAssignments()
+            },
+            summary: `${ui.getHoles().length} holes`,
+            data: {
+                holes: ui.getHoles(),
+                holeConfig: config
+            }
+        };
+        
+        // Re-saving keeps the project's identity
+        if (currentProject) {
+            Object.assign(fields, {
+                id: currentProject.id,
+                description: currentProject.description,
+                created: currentProject.created
+            });
+        }
+        
+        return cobot.createProject(fields);
+    }
+
+    /**
+     * Load a project's holes, hole configuration, material, tools and datum
+     * @param {Object} project - Project document
+     * @param {Object} options - Open options
+     * @param {boolean} options.restoreDatum - Make the project's datum active (default true)
+     */
+    function openProject(project, options = {}) {
+        const data = JSON.parse(JSON.stringify(project.data));
+        const holes = data.holes || [];
+        const config = data.holeConfig || {};
+        const material = Object.assign({}, project.material);
+        let assignments = (project.tools && project.tools.assignments) || {};
+        
+        // Projects saved on a machine in other units
+        const factor = cobot.convertLength(1, project.units);
+        if (factor !== 1) {
+            DrillToolpath.convertHoleUnits(holes, factor);
+            DrillToolpath.convertHoleUnits([config], factor);
+            ['feedRate', 'plungeRate'].forEach(key => {
+                if (typeof config[key] === 'number') config[key] *= factor;
+            });
+            if (typeof material.thickness === 'number') material.thickness *= factor;
+            assignments = convertToolAssignments(assignments, factor);
+        }
+        
+        if (material.key && CobotCore.MATERIALS[material.key]) {
+            document.getElementById('material').value = material.key;
+            cobot.setGlobalSettings({ material: material.key });
+        }
+        if (material.thickness > 0) {
+            document.getElementById('material-thickness').value = material.thickness;
+            cobot.setGlobalSettings({ materialThickness: material.thickness });
+        }
+        
+        const toolId = project.tools && project.tools.activeToolId;
+        if (toolId && cobot.getTool(toolId)) {
+            cobot.setActiveTool(toolId);
+            millToolPicker.setSelected(toolId);
+        }
+        
+        applyHoleConfig(config);
+        restoreProjectDatum(project.datum, options.restoreDatum !== false);
+        
+        currentProject = project;
+        cobot.setAppSettings({ lastProjectId: project.id, toolAssignments: assignments });
+        ui.loadHoles(holes);
+        updateProjectName();
+    }
+
+    /**
+     * Fill the Hole Configuration and feeds form from a saved configuration
+     */
+    function applyHoleConfig(config) {
+        [
+            ['hole-diameter', config.diameter],
+            ['hole-depth', config.depth],
+            ['hole-type', config.type],
+            ['pocket-stepover', config.stepover],
+            ['pocket-finish-allowance', config.finishAllowance],
+            ['cb-diameter', config.cbDiameter],
+            ['cb-depth', config.cbDepth],
+            ['peck-depth', config.peckDepth],
+            ['peck-retract', config.peckRetract],
+            ['peck-retract-distance', config.peckRetractDistance],
+            ['peck-dwell', config.dwell]
+        ].forEach(([id, value]) => {
+            if (value !== undefined && value !== null) {
+                document.getElementById(id).value = value;
+            }
+        });
+        handleHoleTypeChange({ target: document.getElementById('hole-type') });
+        
+        // Saved feeds that differ from the suggestion are kept as overrides
+        applySuggestedFeeds(true);
+        [
+            ['feed-rate', config.feedRate],
+            ['plunge-rate', config.plungeRate],
+            ['spindle-rpm', config.rpm],
+            ['pocket-stepdown', config.stepdown]
+        ].forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (typeof value === 'number' && Math.abs(value - parseFloat(input.value)) > 1e-6) {
+                input.value = value;
+                input.dataset.override = 'true';
+                input.classList.add('overridden');
+            }
         });
+        checkFeedOverrides();
+    }
+
+    /**
+     * Make a project's datum active, adding it to the registry if this
+     * machine does not have it
+     * @param {Object|null} datum - Datum reference saved in the project
+     * @param {boolean} activate - Switch the active datum; otherwise only warn when it differs
+     */
+    function restoreProjectDatum(datum, activate) {
+        if (!datum) return;
+        
+        const active = cobot.getDatum();
+        if (active && active.id === datum.id) return;
+        
+        if (!activate) {
+            cobot.notify(`This project was set up with datum ${datum.label}; select it before cutting`, 'warning');
+            return;
+        }
+        
+        if (cobot.getDatumById(datum.id)) {
+            cobot.setActiveDatum(datum.id);
+        } else {
+            cobot.saveDatum(datum, { activate: true });
+            cobot.notify(`Added datum ${datum.label} from the project`, 'info');
+        }
+    }
+
+    /**
+     * Show the open project's name
+     */
+    function updateProjectName() {
+        document.getElementById('project-name').textContent = currentProject ? currentProject.name : 'Untitled';
+    }
+
+    /**
+     * Scale tool assignments, which are keyed by tool diameter
+     * @param {Object} assignments - Assignments keyed by diameter
+     * @param {number} factor - Multiplier from the old units to the new
+     * @returns {Object} Converted assignments
+     */
+    function convertToolAssignments(assignments, factor) {
+        const converted = {};
+        Object.keys(assignments).forEach(diameter => {
+            converted[String(parseFloat(diameter) * factor)] = assignments[diameter];
+        });
+        return converted;
+    }
+
+    /**
+     * Get tool assignments saved for this app, keyed by tool diameter
+     */
+    function getToolAssignments() {
+        return cobot.getAppSettings().toolAssignments || {};
+    }
+
+    /**
+     * Re-render the tool list from the current holes
+     */
+    function refreshToolList() {
+        const config = getHoleConfig();
+        const groups = toolpath.assignTools(toolpath.groupHoles(ui.getHoles(), config), getToolAssignments());
+        ui.updateToolList(groups);
+    }
+
+    /**
+     * Use the selected library tool for milling operations
+     */
+    function handleMillToolSelected(tool) {
+        if (!tool) return;
+        
+        cobot.setActiveTool(tool.id);
+        refreshToolList();
+        applySuggestedFeeds();
+        cobot.notify(`Milling with ${tool.name}`, 'info');
+    }
+
+    /**
+     * Fill the material list and apply suggested feeds
+     */
+    function setupFeedsAndSpeeds() {
+        const select = document.getElementById('material');
+        
+        Object.keys(CobotCore.MATERIALS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = CobotCore.MATERIALS[key].name;
+            select.appendChild(option);
+        });
+        select.value = cobot.getGlobalSettings().material;
+        document.getElementById('material-thickness').value = cobot.getGlobalSettings().materialThickness;
+        
+        applySuggestedFeeds();
+    }
+
+    /**
+     * Get the tool feeds and speeds are calculated for (the milling tool)
+     */
+    function getFeedsTool() {
+        const settings = cobot.getGlobalSettings();
+        return cobot.getActiveTool() || {
+            name: `${cobot.formatLength(settings.toolDiameter)} bit`,
+            diameter: settings.toolDiameter,
+            fluteCount: 2,
+            type: settings.bitType
+        };
+    }
+
+    /**
+     * Fill feed, plunge, RPM and stepdown from the calculator
+     * @param {boolean} force - Also replace values the user has overridden
+     */
+    function applySuggestedFeeds(force) {
+        const tool = getFeedsTool();
+        const material = document.getElementById('material').value;
+        const suggestion = cobot.calculateFeedsAndSpeeds(tool, material);
+        
+        [
+            ['feed-rate', suggestion.feedRate],
+            ['plunge-rate', suggestion.plungeRate],
+            ['spindle-rpm', suggestion.rpm],
+            ['pocket-stepdown', suggestion.stepdown]
+        ].forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (force) {
+                delete input.dataset.override;
+                input.classList.remove('overridden');
+            }
+            if (!input.dataset.override) {
+                input.value = value;
+            }
+        });
+        
+        document.getElementById('feeds-suggestion').textContent =
+            `Suggested for ${tool.name} in ${CobotCore.MATERIALS[material].name}: ` +
+            `${suggestion.feedRate} ${cobot.getRateLabel()} feed, ${suggestion.plungeRate} ${cobot.getRateLabel()} plunge, ` +
+            `${suggestion.rpm} RPM, ${cobot.formatLength(suggestion.stepdown)} stepdown`;
+        
+        checkFeedOverrides(suggestion.warnings);
+    }
+
+    /**
+     * Flag feed and plunge values outside the safe chipload range
+     * @param {Array} extraWarnings - Warnings from the calculator to show as well
+     */
+    function checkFeedOverrides(extraWarnings = []) {
+        const tool = getFeedsTool();
+        const material = document.getElementById('material').value;
+        const feedRate = parseFloat(document.getElementById('feed-rate').value);
+        const plungeRate = parseFloat(document.getElementById('plunge-rate').value);
+        const rpm = parseFloat(document.getElementById('spindle-rpm').value);
+        const warnings = [...extraWarnings];
+        
+        if (rpm > 0) {
+            const feedCheck = cobot.checkChipload(tool, material, feedRate, rpm);
+            if (feedCheck.status !== 'ok') {
+                warnings.push(`Feed: ${feedCheck.message}`);
+            }
+            
+            const plungeCheck = cobot.checkChipload(tool, material, plungeRate, rpm);
+            if (plungeCheck.status === 'high') {
+                warnings.push(`Plunge: ${plungeCheck.message}`);
+            }
+        }
         
-        cobot.notify(`Saved ${holes.length} holes`, 'success');
+        const warningsDiv = document.getElementById('feeds-warnings');
+        if (warnings.length > 0) {
+            warningsDiv.innerHTML = warnings.map(w => `<div>⚠️ ${w}</div>`).join('');
+            warningsDiv.classList.remove('hidden');
+        } else {
+            warningsDiv.innerHTML = '';
+            warningsDiv.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Remember a user-entered feed value so suggestions don't replace it
+     */
+    function handleFeedOverride(e) {
+        e.target.dataset.override = 'true';
+        e.target.classList.add('overridden');
+        checkFeedOverrides();
+    }
+
+    /**
+     * Save the selected material and refresh suggested feeds
+     */
+    function handleMaterialChange(e) {
+        cobot.setGlobalSettings({ material: e.target.value });
+        applySuggestedFeeds();
+    }
+
+    /**
+     * Save the material thickness
+     */
+    function handleMaterialThicknessChange(e) {
+        const thickness = parseFloat(e.target.value);
+        if (thickness > 0) {
+            cobot.setGlobalSettings({ materialThickness: thickness });
+        }
+    }
+
+    /**
+     * Save an edited tool number, name or library selection
+     */
+    function handleToolChanged(toolDiameter, changes) {
+        if (changes.number !== undefined && !(changes.number >= 1)) {
+            cobot.notify('Tool number must be 1 or greater', 'error');
+            refreshToolList();
+            return;
+        }
+        
+        const assignments = getToolAssignments();
+        const key = String(toolDiameter);
+        
+        if (changes.libraryId !== undefined) {
+            // Picking a library tool takes its number and name from the library
+            assignments[key] = { libraryId: changes.libraryId };
+        } else {
+            const groups = toolpath.assignTools(toolpath.groupHoles(ui.getHoles(), getHoleConfig()), assignments);
+            const current = groups.find(g => g.toolDiameter === toolDiameter);
+            
+            // Pin the auto-assigned values so later edits to other tools don't renumber this one
+            assignments[key] = Object.assign(
+                current ? { number: current.tool.number, name: current.tool.name, libraryId: current.tool.libraryId } : {},
+                assignments[key],
+                changes
+            );
+        }
+        cobot.setAppSettings({ toolAssignments: assignments });
+        refreshToolList();
     }
 
     /**
@@ -293,8 +1020,7 @@
     async function handleSetDatumCurrent() {
         try {
             await cobot.setDatumFromCurrentPosition('Drill Press Work Origin');
-            ui.updateDatumDisplay();
-            cobot.notify('Datum set from current position', 'success');
+            cobot.notify('Datum X/Y set from current position; Probe Material Top sets Z', 'success');
         } catch (error) {
             console.error('Failed to set datum:', error);
             cobot.notify('Failed to set datum', 'error');
@@ -302,17 +1028,20 @@
     }
 
     /**
-     * Set datum to 0,0,0
+     * Activate the Machine Zero datum (0,0,0), creating it if needed
+     * 
+     * The active fixture datum is left unchanged in the registry.
      */
     function handleSetDatumZero() {
-        cobot.setDatum({
+        const existing = cobot.getDatums().find(datum => datum.label === 'Machine Zero');
+        cobot.saveDatum(Object.assign({}, existing, {
             x: 0,
             y: 0,
             z: 0,
+            rotation: 0,
             label: 'Machine Zero',
             appName: 'Drill Press'
-        });
-        ui.updateDatumDisplay();
+        }), { activate: true });
         cobot.notify('Datum set to 0,0,0', 'success');
     }
 
@@ -321,10 +1050,148 @@
      */
     function handleClearDatum() {
         cobot.clearDatum();
-        ui.updateDatumDisplay();
         cobot.notify('Datum cleared', 'info');
     }
 
+    /**
+     * Probe the material top with the touch plate and set the datum Z
+     */
+    async function handleProbeZ() {
+        const confirmed = confirm(
+            'Place the touch plate under the bit and attach the clip.\n\n' +
+            'The bit will move down until it touches the plate. Continue?'
+        );
+        if (!confirmed) return;
+        
+        const button = document.getElementById('probe-z');
+        button.disabled = true;
+        try {
+            const result = await cobot.probeZ();
+            cobot.notify(`Material top found at Z=${result.surfaceZ.toFixed(3)}; remove the touch plate`, 'success');
+        } catch (error) {
+            console.error('Probe failed:', error);
+            cobot.notify('Probe failed: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Find the stock corner with X and Y edge probes and set the datum there
+     */
+    async function handleProbeCorner() {
+        const corner = document.getElementById('probe-corner');
+        const confirmed = confirm(
+            `Find the ${corner.options[corner.selectedIndex].text.toLowerCase()} corner?\n\n` +
+            'The probe will move off each edge, lower beside the stock and ' +
+            'probe back toward it. Attach the probe clip. Continue?'
+        );
+        if (!confirmed) return;
+        
+        const button = document.getElementById('probe-corner-run');
+        button.disabled = true;
+        try {
+            const result = await cobot.probeCorner({ corner: corner.value });
+            cobot.notify(`Corner found at X=${result.x.toFixed(3)}, Y=${result.y.toFixed(3)}`, 'success');
+        } catch (error) {
+            console.error('Corner probe failed:', error);
+            cobot.notify('Corner probe failed: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Save touch plate and edge probe settings
+     */
+    function handleProbeSettingsChange() {
+        const thickness = parseFloat(document.getElementById('probe-plate-thickness').value);
+        const diameter = parseFloat(document.getElementById('probe-diameter').value);
+        cobot.setGlobalSettings({
+            probePlateThickness: thickness >= 0 ? thickness : 0,
+            probeDoubleTouch: document.getElementById('probe-double-touch').value === 'double',
+            probeDiameter: diameter >= 0 ? diameter : 0
+        });
+    }
+
+    /**
+     * Capture the current position as a stock registration point
+     */
+    async function handleCaptureRegistrationPoint() {
+        try {
+            const points = await cobot.captureRegistrationPoint();
+            updateRegistrationPoints();
+            cobot.notify(`Registration point ${points.length} captured`, 'success');
+        } catch (error) {
+            console.error('Failed to capture registration point:', error);
+            cobot.notify(error.message, 'error');
+        }
+    }
+
+    /**
+     * Rotate the active datum to follow the stock edge
+     */
+    function handleRegisterStock() {
+        try {
+            const datum = cobot.registerStock();
+            updateRegistrationPoints();
+            cobot.notify(`Stock registered: ${datum.rotation.toFixed(2)}° from the X axis`, 'success');
+        } catch (error) {
+            cobot.notify('Registration failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Discard captured registration points
+     */
+    function handleResetRegistration() {
+        cobot.clearRegistrationPoints();
+        updateRegistrationPoints();
+    }
+
+    /**
+     * Show captured registration points and the edge angle so far
+     */
+    function updateRegistrationPoints() {
+        const points = cobot.registrationPoints;
+        const list = document.getElementById('registration-points');
+        
+        list.innerHTML = points.map((point, i) =>
+            `<li>P${i + 1}: X=${point.x.toFixed(3)}, Y=${point.y.toFixed(3)}</li>`
+        ).join('');
+        if (points.length >= 2) {
+            try {
+                const registration = cobot.computeStockRegistration(points);
+                list.innerHTML += `<li>Edge angle: ${registration.rotation.toFixed(2)}°</li>`;
+            } catch (error) {
+                list.innerHTML += `<li>${error.message}</li>`;
+            }
+        }
+        
+        document.getElementById('registration-count').textContent = Math.min(points.length + 1, 3);
+        document.getElementById('capture-registration-point').disabled = points.length >= 3;
+        document.getElementById('register-stock').disabled = points.length < 2;
+    }
+
+    /**
+     * Tell the operator when a change from another device replaced theirs
+     */
+    function handleStorageConflict(conflict) {
+        if (conflict.resolution === 'remote') {
+            cobot.notify('Workshop data was changed on another device; the newer version was kept', 'warning');
+        }
+    }
+
+    /**
+     * Refresh everything that depends on the active datum, including
+     * changes made in another workshop app
+     */
+    function handleDatumChanged() {
+        datumPicker.render();
+        ui.updateDatumDisplay();
+        scheduleEstimate();
+    }
+
     /**
      * Preview generated toolpath
      */
@@ -337,25 +1204,194 @@
         
         try {
             const config = getHoleConfig();
-            const errors = toolpath.validateConfig(config);
+            const errors = toolpath.validateHoles(holes, config);
             
             if (errors.length > 0) {
                 cobot.notify('Configuration errors: ' + errors.join(', '), 'error');
                 return;
             }
             
-            const sbpCode = toolpath.generate(holes, config);
+            const job = generateProgram(holes, config);
+            previewCode = job.program;
             
-            // Show in modal
-            document.getElementById('toolpath-preview-content').textContent = sbpCode;
+            const check = runPreflight(job.toolpath);
+            if (!check.ok) {
+                cobot.notify(`Pre-flight check found ${check.issues.length} problem(s); this job cannot be run as is`, 'warning');
+            }
+            
+            // Show the modal first so the viewer can size its canvas
             document.getElementById('preview-modal').classList.remove('hidden');
             
+            // The viewer simulates the OpenSBP version of the same operations
+            const result = getViewer().load(job.sbpCode);
+            if (result.errors.length > 0) {
+                cobot.notify(`Preview could not simulate ${result.errors.length} line(s)`, 'warning');
+            }
+            
         } catch (error) {
             console.error('Preview error:', error);
             cobot.notify('Failed to generate preview: ' + error.message, 'error');
         }
     }
 
+    /**
+     * Refresh the job estimate once settings stop changing
+     */
+    function scheduleEstimate() {
+        clearTimeout(estimateTimer);
+        estimateTimer = setTimeout(updateEstimate, 300);
+    }
+
+    /**
+     * Show the estimated run time and cost next to Drill Now
+     */
+    function updateEstimate() {
+        const holes = ui.getHoles();
+        const timeEl = document.getElementById('estimate-time');
+        const costEl = document.getElementById('estimate-cost');
+        const breakdownEl = document.getElementById('estimate-breakdown');
+        
+        costEl.textContent = '';
+        breakdownEl.textContent = '';
+        
+        if (holes.length === 0) {
+            timeEl.textContent = '-';
+            showPreflightIssues([]);
+            return;
+        }
+        
+        const config = getHoleConfig();
+        if (toolpath.validateHoles(holes, config).length > 0) {
+            timeEl.textContent = 'fix configuration errors to estimate';
+            return;
+        }
+        
+        try {
+            const drillPath = toolpath.generateToolpath(holes, config);
+            runPreflight(drillPath);
+            
+            const estimate = cobot.estimateJob(drillPath);
+            timeEl.textContent = cobot.formatDuration(estimate.seconds);
+            breakdownEl.textContent = cobot.formatEstimate(estimate);
+            if (estimate.cost !== null) {
+                costEl.textContent = ` · ${cobot.formatCost(estimate)}`;
+            }
+        } catch (error) {
+            console.error('Estimate error:', error);
+            timeEl.textContent = '-';
+        }
+    }
+
+    /**
+     * Run the pre-flight safety check, flag offending holes and list the issues
+     * @returns {Object} Result of DrillToolpath.preflight
+     */
+    function runPreflight(drillPath) {
+        const check = toolpath.preflight(drillPath);
+        
+        ui.setFlaggedHoles(check.holeNumbers);
+        showPreflightIssues(check.issues);
+        return check;
+    }
+
+    /**
+     * List pre-flight issues under the job estimate
+     */
+    function showPreflightIssues(issues) {
+        const list = document.getElementById('preflight-issues');
+        const maxShown = 6;
+        
+        list.innerHTML = '';
+        issues.slice(0, maxShown).forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = issue.message;
+            list.appendChild(item);
+        });
+        if (issues.length > maxShown) {
+            const item = document.createElement('li');
+            item.textContent = `...and ${issues.length - maxShown} more`;
+            list.appendChild(item);
+        }
+        list.classList.toggle('hidden', issues.length === 0);
+    }
+
+    /**
+     * Refuse to send a job that failed the pre-flight check
+     * @returns {boolean} True if the job may be sent
+     */
+    function checkPreflight(drillPath) {
+        const check = runPreflight(drillPath);
+        if (check.ok) return true;
+        
+        const holes = check.holeNumbers.length > 0 ? ` (holes ${check.holeNumbers.map(n => '#' + n).join(', ')})` : '';
+        cobot.notify(`Pre-flight check failed: ${check.issues.length} problem(s)${holes}. ${check.issues[0].message}`, 'error');
+        return false;
+    }
+
+    /**
+     * Generate the job in the chosen program format
+     * 
+     * Pre-flight checks read the toolpath itself; the preview simulates
+     * OpenSBP, so the OpenSBP version of the same toolpath is returned too.
+     * @returns {Object} {program, format, toolpath, sbpCode}
+     */
+    function generateProgram(holes, config) {
+        const drillPath = toolpath.generateToolpath(holes, config);
+        const format = cobot.getPostProcessor().key;
+        const sbpCode = cobot.postProcess(drillPath, 'sbp');
+        
+        return {
+            program: format === 'sbp' ? sbpCode : cobot.postProcess(drillPath, format),
+            format: format,
+            toolpath: drillPath,
+            sbpCode: sbpCode
+        };
+    }
+
+    /**
+     * Save the program format used for jobs
+     */
+    function handleProgramFormatChange(e) {
+        cobot.setGlobalSettings({ postProcessor: e.target.value });
+        cobot.notify(`Jobs will be written as ${CobotCore.POST_PROCESSORS[e.target.value].name}`, 'info');
+    }
+
+    /**
+     * Save the machine hourly rate used for cost estimates
+     */
+    function handleMachineRateChange(e) {
+        const rate = parseFloat(e.target.value);
+        cobot.setGlobalSettings({ machineHourlyRate: rate > 0 ? rate : 0 });
+        scheduleEstimate();
+    }
+
+    /**
+     * Create the toolpath viewer, refreshing its machine and material settings
+     */
+    function getViewer() {
+        const settings = cobot.getGlobalSettings();
+        const origin = cobot.getDatumOffset();
+        const options = {
+            envelope: cobot.machineEnvelope,
+            material: { thickness: settings.materialThickness, top: origin.z },
+            units: cobot.units,
+            simulator: {
+                start: { x: 0, y: 0, z: settings.safeZ + origin.z },
+                jogSpeedXY: settings.jogSpeedXY,
+                jogSpeedZ: settings.jogSpeedZ,
+                safeZ: settings.safeZ + origin.z,
+                probeContact: { z: origin.z + settings.probePlateThickness } // Touch-offs at tool changes
+            }
+        };
+        
+        if (!viewer) {
+            viewer = new CobotToolpathViewer('toolpath-viewer', options);
+        } else {
+            Object.assign(viewer.options, options);
+        }
+        return viewer;
+    }
+
     /**
      * Save job to FabMo
      */
@@ -368,18 +1404,23 @@
         
         try {
             const config = getHoleConfig();
-            const errors = toolpath.validateConfig(config);
+            const errors = toolpath.validateHoles(holes, config);
             
             if (errors.length > 0) {
                 cobot.notify('Configuration errors: ' + errors.join(', '), 'error');
                 return;
             }
             
-            const sbpCode = toolpath.generate(holes, config);
+            const job = generateProgram(holes, config);
+            
+            if (!checkPreflight(job.toolpath)) {
+                return;
+            }
             
-            await cobot.submitJob(sbpCode, {
+            await cobot.submitJob(job.program, {
                 name: `Drill Press - ${holes.length} holes`,
-                description: `${config.type} holes, ${config.diameter}" dia, ${config.depth}" deep`
+                description: describeJob(holes, config),
+                format: job.format
             });
             
             cobot.notify('Job saved successfully', 'success');
@@ -401,10 +1442,11 @@
         }
         
         const confirmed = confirm(
-            `Ready to drill ${holes.length} hole(s)?\n\n` +
+            `Ready to drill ${holes.length} hole(s)?\n` +
+            `Estimated time: ${document.getElementById('estimate-time').textContent}\n\n` +
             `Make sure:\n` +
             `- Material is secured\n` +
-            `- Bit is installed and zeroed\n` +
+            `- Bit is installed and the material top probed (Probe Material Top)\n` +
             `- Safety equipment is in place\n\n` +
             `Continue?`
         );
@@ -413,18 +1455,23 @@
         
         try {
             const config = getHoleConfig();
-            const errors = toolpath.validateConfig(config);
+            const errors = toolpath.validateHoles(holes, config);
             
             if (errors.length > 0) {
                 cobot.notify('Configuration errors: ' + errors.join(', '), 'error');
                 return;
             }
             
-            const sbpCode = toolpath.generate(holes, config);
+            const job = generateProgram(holes, config);
+            
+            if (!checkPreflight(job.toolpath)) {
+                return;
+            }
             
-            await cobot.runJob(sbpCode, {
+            await cobot.runJob(job.program, {
                 name: `Drill Press - ${holes.length} holes`,
-                description: `${config.type} holes, ${config.diameter}" dia, ${config.depth}" deep`
+                description: describeJob(holes, config),
+                format: job.format
             });
             
             cobot.notify('Drilling started!', 'success');
@@ -435,13 +1482,22 @@
         }
     }
 
+    /**
+     * Build a short job description from the hole operations
+     */
+    function describeJob(holes, config) {
+        return toolpath.groupHoles(holes, config)
+            .map(group => group.operations
+                .map(op => `${op.holes.length}x ${toolpath.operationLabel(op.config)} ${cobot.formatLength(op.config.diameter)} dia, ${cobot.formatLength(op.config.depth)} deep`)
+                .join('; '))
+            .join('; ');
+    }
+
     /**
      * Copy toolpath to clipboard
      */
     function handleCopyToolpath() {
-        const code = document.getElementById('toolpath-preview-content').textContent;
-        
-        navigator.clipboard.writeText(code).then(() => {
+        navigator.clipboard.writeText(previewCode).then(() => {
             cobot.notify('Toolpath copied to clipboard', 'success');
         }).catch(err => {
             console.error('Copy failed:', err);
@@ -454,6 +1510,7 @@
      */
     function closeModal() {
         document.getElementById('preview-modal').classList.add('hidden');
+        if (viewer) viewer.stop();
     }
 
     /**
@@ -475,16 +1532,99 @@ ADDING HOLES:
 - Array: Specify rows, columns, and spacing
 - Pattern: Create circular or arc patterns
 - Manual: Enable click mode and click on canvas
+- Import: Load a DXF or SVG drawing; circles (and SVG ellipses) become
+  holes of their diameter, DXF points optionally use the form diameter.
+  Pick layers and units, and place the drawing origin or the lower-left
+  hole at the datum. CSV spreadsheets are read by column: X, Y and
+  optionally diameter, depth and type, matched by header name
+
+HOLE LIST:
+- Each hole keeps the settings active when it was added
+- Use Edit in the hole list to change a hole's position or parameters
+
+PROJECTS:
+- Save Project stores the holes, hole configuration, feeds, material,
+  tool selections and datum on the machine under a name
+- Projects… lists saved projects to open, duplicate, delete or
+  download as a JSON file; Upload… adds a downloaded project
+- The last project is reopened when the app starts
+- Export Layout saves the holes as a DXF or SVG drawing for CAD, or
+  as a 1:1 drill template with crosshairs, hole numbers and diameters.
+  Print the template at 100% scale (choose Save as PDF for a PDF) and
+  measure the scale bar before drilling by hand
 
 HOLE TYPES:
 - Through/Blind: Simple plunge operation
-- Pocket: Helical interpolation for larger holes
+- Peck Drill: Drills deep holes in steps, retracting to clear chips
+- Pocket: Helical ramp and concentric clearing, sized for the tool
+  diameter in settings, with a finishing pass
 - Counterbore: Combines through hole with pocket
 
+TOOLS:
+- Holes are grouped by bit size, one tool per group
+- Pick each tool from the shared tool library, or set a custom number and name
+- Pockets are milled with the Milling Tool chosen in the Tools card
+- The job pauses at each tool change to swap bits, then touches the new
+  bit off on the plate at its first hole so the material top stays put
+
+FEEDS & SPEEDS:
+- Choose the material; feed, plunge, RPM and stepdown are suggested
+  for the milling tool
+- Values you type are kept and flagged if outside safe chipload
+- Use Suggested Feeds restores the calculated values
+
+PREVIEW:
+- Shows the simulated motion: rapids dashed orange, feeds blue,
+  plunge depths in red, the material block and the machine envelope
+- Drag to orbit, shift-drag to pan, scroll to zoom
+- Step or play through the program; the current SBP line is highlighted
+- Copy to Clipboard copies the program in the chosen Program Format
+
+PROGRAM FORMAT:
+- OpenSBP runs on ShopBot and FabMo machines
+- G-code is for other controllers: holes use canned cycles (G81, G82
+  dwell; pecks are written out as moves that retract to safe Z),
+  pockets use G2 arcs, and tool changes stop with M0. Dwells (G4 P, G82
+  P) are written in seconds; check your controller expects seconds
+- The preview, estimate and pre-flight check simulate the OpenSBP version
+  of the same job
+
 DATUM:
 - Set work origin for coordinate reference
-- Can be set from current position or manually
-- Shared across all Cobot Workshop apps
+- Save named datums for each fixture (Manage…), with an optional
+  rotation for fixtures that are not square to the machine
+- Can be set from current position (X/Y only) or manually
+- Export/import the datum list as JSON to share it between machines
+- Probe Material Top lowers the bit onto the touch plate and sets the
+  datum Z to the top of the material (plate thickness subtracted)
+- Find Corner probes the X and Y edges of the stock near the chosen
+  corner (compensating for the probe diameter) and sets the datum at
+  the actual corner of the board
+- Skewed stock: capture two points along the board's X edge (nearest
+  the corner first) and optionally one on the adjacent edge, then
+  Register Stock; holes follow the board instead of the gantry
+- Hole positions and depths are measured from the datum; the job is
+  written in machine coordinates with the datum applied
+- The active datum is shared across all Cobot Workshop apps and is saved
+  on the machine, so every tablet and laptop sees the same datums
+
+UNITS:
+- All lengths and speeds are in the machine's units (inches or mm),
+  shown on each label
+- Saved holes, settings, tools and datums from a machine in the other
+  units are converted when loaded
+
+PRE-FLIGHT CHECK:
+- Every move is checked against the machine envelope (with the datum
+  applied), the material thickness plus spoilboard allowance, and safe Z
+- Holes that fail are circled in red; Save Job and Drill Now are refused
+  until they are fixed
+
+ESTIMATE:
+- Run time is estimated from the generated program: rapids at jog
+  speed, cuts at the feed rates, spindle spin-up and tool changes
+- Enter a machine rate per hour to see the job cost
+- The estimate is also written into the job header
 
 WORKFLOW:
 1. Set datum (optional but recommended)
@@ -498,39 +1638,56 @@ WORKFLOW:
 
     /**
      * Get current hole configuration from form
+     * 
+     * Used as the job defaults for any parameter a hole does not carry itself.
      */
     function getHoleConfig() {
-        const config = {
-            diameter: parseFloat(document.getElementById('hole-diameter').value),
-            depth: parseFloat(document.getElementById('hole-depth').value),
-            type: document.getElementById('hole-type').value,
-            plungeRate: parseFloat(document.getElementById('plunge-rate').value)
-        };
-        
-        if (config.type === 'counterbore') {
-            config.cbDiameter = parseFloat(document.getElementById('cb-diameter').value);
-            config.cbDepth = parseFloat(document.getElementById('cb-depth').value);
-        }
-        
+        const config = ui.getFormHoleConfig();
+        config.plungeRate = parseFloat(document.getElementById('plunge-rate').value);
+        config.feedRate = parseFloat(document.getElementById('feed-rate').value);
+        config.rpm = parseFloat(document.getElementById('spindle-rpm').value) || null;
+        config.material = document.getElementById('material').value;
+        config.tools = getToolAssignments();
         return config;
     }
 
     /**
-     * Load saved application state
+     * Reopen the project that was open last time
      */
     function loadAppState() {
-        const appSettings = cobot.getAppSettings();
+        const projectId = cobot.getAppSettings().lastProjectId;
+        if (!projectId) return;
         
-        if (appSettings.savedHoles && appSettings.savedHoles.length > 0) {
-            const loadSaved = confirm(
-                `Found ${appSettings.savedHoles.length} saved holes from ${new Date(appSettings.savedAt).toLocaleString()}.\n\nLoad them?`
-            );
-            
-            if (loadSaved) {
-                ui.loadHoles(appSettings.savedHoles);
-                cobot.notify('Loaded saved holes', 'success');
-            }
+        const project = cobot.getProject(projectId);
+        if (!project || cobot.validateProject(project).length > 0) {
+            cobot.setAppSettings({ lastProjectId: null });
+            return;
+        }
+        
+        // Other apps may have changed the datum since; leave it as it is
+        openProject(project, { restoreDatum: false });
+        cobot.notify(`Reopened ${project.name}`, 'info');
+    }
+
+    /**
+     * Settings migration: save the hole list kept in app settings before
+     * projects existed as a project
+     */
+    function migrateSavedHoles(settings) {
+        if (Array.isArray(settings.savedHoles) && settings.savedHoles.length > 0) {
+            const savedAt = settings.savedAt ? new Date(settings.savedAt) : new Date();
+            const project = cobot.saveProject(cobot.createProject({
+                name: `Saved holes ${savedAt.toLocaleDateString()}`,
+                units: settings.units || cobot.units,
+                summary: `${settings.savedHoles.length} holes`,
+                data: { holes: settings.savedHoles }
+            }));
+            settings.lastProjectId = project.id;
         }
+        
+        delete settings.savedHoles;
+        delete settings.savedAt;
+        return settings;
     }
 
     // Initialize when DOM is ready
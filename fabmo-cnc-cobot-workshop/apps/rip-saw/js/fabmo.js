@@ -1,29 +0,0 @@
-   fabmo-cnc-cobot-workshop-tools/
-   ├── DrillPress/
-   │   ├── index.html
-   │   ├── js/
-   │   │   ├── fabmo.js
-   │   │   ├── drillpress.js
-   │   ├── css/
-   │   │   ├── styles.css
-   ├── RipSaw/
-   │   ├── index.html
-   │   ├── js/
-   │   │   ├── fabmo.js
-   │   │   ├── ripsaw.js
-   │   ├── css/
-   │   │   ├── styles.css
-   ├── ChopSaw/
-   │   ├── index.html
-   │   ├── js/
-   │   │   ├── fabmo.js
-   │   │   ├── chopsaw.js
-   │   ├── css/
-   │   │   ├── styles.css
-   ├── shared/
-   │   ├── js/
-   │   │   ├── fabmo.js
-   │   ├── css/
-   │   │   ├── styles.css
-   ├── README.md
-   └── package.json
\ No newline at end of file
@@ -0,0 +1,912 @@
+/**
+ * Rip Saw - Main Application
+ * 
+ * Entry point and application orchestration
+ */
+
+(function() {
+    'use strict';
+    
+    // Global instances
+    let cobot;
+    let ui;
+    let toolpath;
+    let viewer;
+    let datumPicker;
+    let toolPicker;
+    let previewCode = '';
+    let estimateTimer = null;
+    
+    // Saved job settings and the inputs they are read from
+    const JOB_FIELDS = {
+        sheetLength: 'sheet-length',
+        sheetWidth: 'sheet-width',
+        direction: 'cut-direction',
+        overcut: 'overcut',
+        leadIn: 'lead-in',
+        tabCount: 'tab-count',
+        tabWidth: 'tab-width',
+        tabHeight: 'tab-height',
+        onionSkin: 'onion-skin'
+    };
+    
+    /**
+     * Initialize the application
+     */
+    async function init() {
+        try {
+            // Initialize cobot core
+            cobot = new CobotCore('Rip Saw', '1.0.0');
+            await cobot.init();
+            
+            console.log('Rip Saw initialized with FabMo config');
+            
+            // Saved state, validated on load; problems are shown, not silently reset
+            cobot.onSettingsError(error => cobot.notify(error.message, 'error'));
+            cobot.setAppSettingsSchema({
+                version: 1,
+                fields: {
+                    sheetLength: { type: 'number', min: 0, length: true },
+                    sheetWidth: { type: 'number', min: 0, length: true },
+                    direction: { type: 'string', enum: ['x', 'y'] },
+                    strips: { type: 'array' },
+                    overcut: { type: 'number', min: 0, length: true },
+                    leadIn: { type: 'number', min: 0, length: true },
+                    tabCount: { type: 'integer', min: 0 },
+                    tabWidth: { type: 'number', min: 0, length: true },
+                    tabHeight: { type: 'number', min: 0, length: true },
+                    onionSkin: { type: 'number', min: 0, length: true }
+                },
+                defaults: {},
+                convertUnits: (settings, factor) => {
+                    if (Array.isArray(settings.strips)) {
+                        RipToolpath.convertConfigUnits({ strips: settings.strips }, factor);
+                    }
+                }
+            });
+            
+            // Labels and input defaults in machine units
+            applyUnits();
+            
+            // Initialize UI and toolpath
+            ui = new RipSawUI(cobot);
+            toolpath = new RipToolpath(cobot);
+            ui.onStripsChanged = () => {
+                saveJobSettings();
+                scheduleEstimate();
+            };
+            
+            // Bit from the shared library; its diameter is the kerf
+            toolPicker = new CobotToolPicker(cobot, 'rip-tool-picker', {
+                filter: tool => tool.type === 'end_mill' || tool.type === 'ball_nose',
+                selectedId: cobot.getGlobalSettings().activeToolId,
+                onSelect: handleToolSelected
+            });
+            
+            // Material list and suggested feeds for the bit
+            setupFeedsAndSpeeds();
+            
+            // Load saved state
+            loadAppState();
+            
+            // Setup event listeners
+            setupEventListeners();
+            
+            // Active datum, shared with the other workshop apps
+            datumPicker = new CobotDatumPicker(cobot, 'datum-picker');
+            cobot.onDatumChange(handleDatumChanged);
+            cobot.storage.on('conflict', handleStorageConflict);
+            
+            // Update datum display
+            ui.updateDatumDisplay();
+            
+            // Job time and cost estimate
+            document.getElementById('machine-rate').value = cobot.getGlobalSettings().machineHourlyRate;
+            
+            // Program format written by Save Job and Rip Now
+            const formatSelect = document.getElementById('program-format');
+            Object.keys(CobotCore.POST_PROCESSORS).forEach(key => {
+                formatSelect.add(new Option(CobotCore.POST_PROCESSORS[key].name, key));
+            });
+            formatSelect.value = cobot.getPostProcessor().key;
+            scheduleEstimate();
+            
+            cobot.notify('Rip Saw ready!', 'success');
+            
+        } catch (error) {
+            console.error('Initialization error:', error);
+            alert('Failed to initialize Rip Saw: ' + error.message);
+        }
+    }
+
+    /**
+     * Show machine units on labels and convert the inch defaults of length
+     * inputs (marked data-length) on metric machines
+     */
+    function applyUnits() {
+        document.querySelectorAll('.unit-label').forEach(label => {
+            label.textContent = cobot.units;
+        });
+        if (cobot.units === 'in') return;
+        
+        const decimals = CobotCore.UNITS[cobot.units].decimals;
+        const convert = (inches) => parseFloat(cobot.fromInches(inches).toFixed(decimals));
+        
+        document.querySelectorAll('input[data-length]').forEach(input => {
+            // Round steps to 1, 2 or 5 of a power of ten, e.g. 1/8" -> 2 mm
+            const exact = cobot.fromInches(parseFloat(input.step));
+            const power = Math.pow(10, Math.floor(Math.log10(exact)));
+            const step = [5, 2, 1].map(n => n * power).find(n => n <= exact);
+            input.step = parseFloat(step.toFixed(decimals));
+            
+            if (input.hasAttribute('min')) {
+                const min = parseFloat(input.min);
+                input.min = min > 0 ? Math.max(input.step, (Math.round(convert(min) / step) * step).toFixed(decimals)) : 0;
+            }
+            if (input.hasAttribute('max')) {
+                input.max = convert(parseFloat(input.max));
+            }
+            input.value = convert(parseFloat(input.value));
+        });
+    }
+
+    /**
+     * Setup all event listeners
+     */
+    function setupEventListeners() {
+        // Feeds and speeds
+        document.getElementById('material').addEventListener('change', handleMaterialChange);
+        document.getElementById('material-thickness').addEventListener('change', handleMaterialThicknessChange);
+        document.getElementById('use-suggested-feeds').addEventListener('click', () => applySuggestedFeeds(true));
+        ['feed-rate', 'plunge-rate', 'spindle-rpm', 'stepdown'].forEach(id => {
+            document.getElementById(id).addEventListener('input', handleFeedOverride);
+        });
+        
+        // Strips
+        document.getElementById('add-strip').addEventListener('click', handleAddStrip);
+        document.getElementById('clear-strips').addEventListener('click', handleClearStrips);
+        
+        // Datum controls
+        document.getElementById('set-datum-current').addEventListener('click', handleSetDatumCurrent);
+        document.getElementById('set-datum-zero').addEventListener('click', handleSetDatumZero);
+        document.getElementById('clear-datum').addEventListener('click', handleClearDatum);
+        document.getElementById('probe-z').addEventListener('click', handleProbeZ);
+        
+        // Action buttons
+        document.getElementById('preview-toolpath').addEventListener('click', handlePreviewToolpath);
+        document.getElementById('save-job').addEventListener('click', handleSaveJob);
+        document.getElementById('rip-now').addEventListener('click', handleRipNow);
+        
+        // Save and re-estimate when any job setting changes
+        document.querySelector('.controls').addEventListener('change', handleJobSettingsChange);
+        document.getElementById('machine-rate').addEventListener('input', handleMachineRateChange);
+        document.getElementById('program-format').addEventListener('change', handleProgramFormatChange);
+        
+        // Modal controls
+        document.querySelectorAll('.modal-close, #close-preview').forEach(btn => {
+            btn.addEventListener('click', closeModal);
+        });
+        document.getElementById('copy-toolpath').addEventListener('click', handleCopyToolpath);
+        
+        // Settings and help
+        document.getElementById('show-settings')?.addEventListener('click', handleShowSettings);
+        document.getElementById('show-help')?.addEventListener('click', handleShowHelp);
+    }
+
+    /**
+     * Add strips of the width and count entered
+     */
+    function handleAddStrip() {
+        const width = parseFloat(document.getElementById('strip-width').value);
+        const count = parseInt(document.getElementById('strip-count').value);
+        
+        if (!(width > 0) || !(count >= 1)) {
+            cobot.notify('Enter a strip width greater than 0 and a count of at least 1', 'error');
+            return;
+        }
+        
+        ui.addStrip(width, count);
+    }
+
+    /**
+     * Remove all strips
+     */
+    function handleClearStrips() {
+        if (ui.getStrips().length === 0) return;
+        
+        if (confirm('Remove all strips?')) {
+            ui.setStrips([]);
+            saveJobSettings();
+            scheduleEstimate();
+        }
+    }
+
+    /**
+     * Use the selected library tool for ripping
+     */
+    function handleToolSelected(tool) {
+        if (!tool) return;
+        
+        cobot.setActiveTool(tool.id);
+        applySuggestedFeeds();
+        scheduleEstimate();
+        cobot.notify(`Ripping with ${tool.name} (${cobot.formatLength(tool.diameter)} kerf)`, 'info');
+    }
+
+    /**
+     * Fill the material list and apply suggested feeds
+     */
+    function setupFeedsAndSpeeds() {
+        const select = document.getElementById('material');
+        
+        Object.keys(CobotCore.MATERIALS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = CobotCore.MATERIALS[key].name;
+            select.appendChild(option);
+        });
+        select.value = cobot.getGlobalSettings().material;
+        document.getElementById('material-thickness').value = cobot.getGlobalSettings().materialThickness;
+        
+        applySuggestedFeeds();
+    }
+
+    /**
+     * Get the bit the strips are ripped with
+     */
+    function getFeedsTool() {
+        const settings = cobot.getGlobalSettings();
+        return cobot.getActiveTool() || {
+            name: `${cobot.formatLength(settings.toolDiameter)} bit`,
+            diameter: settings.toolDiameter,
+            fluteCount: 2,
+            type: settings.bitType
+        };
+    }
+
+    /**
+     * Fill feed, plunge, RPM and stepdown from the calculator
+     * @param {boolean} force - Also replace values the user has overridden
+     */
+    function applySuggestedFeeds(force) {
+        const tool = getFeedsTool();
+        const material = document.getElementById('material').value;
+        const suggestion = cobot.calculateFeedsAndSpeeds(tool, material);
+        
+        [
+            ['feed-rate', suggestion.feedRate],
+            ['plunge-rate', suggestion.plungeRate],
+            ['spindle-rpm', suggestion.rpm],
+            ['stepdown', suggestion.stepdown]
+        ].forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (force) {
+                delete input.dataset.override;
+                input.classList.remove('overridden');
+            }
+            if (!input.dataset.override) {
+                input.value = value;
+            }
+        });
+        
+        document.getElementById('feeds-suggestion').textContent =
+            `Suggested for ${tool.name} in ${CobotCore.MATERIALS[material].name}: ` +
+            `${suggestion.feedRate} ${cobot.getRateLabel()} feed, ${suggestion.plungeRate} ${cobot.getRateLabel()} plunge, ` +
+            `${suggestion.rpm} RPM, ${cobot.formatLength(suggestion.stepdown)} stepdown`;
+        
+        checkFeedOverrides(suggestion.warnings);
+    }
+
+    /**
+     * Flag feed and plunge values outside the safe chipload range
+     * @param {Array} extraWarnings - Warnings from the calculator to show as well
+     */
+    function checkFeedOverrides(extraWarnings = []) {
+        const tool = getFeedsTool();
+        const material = document.getElementById('material').value;
+        const feedRate = parseFloat(document.getElementById('feed-rate').value);
+        const plungeRate = parseFloat(document.getElementById('plunge-rate').value);
+        const rpm = parseFloat(document.getElementById('spindle-rpm').value);
+        const warnings = [...extraWarnings];
+        
+        if (rpm > 0) {
+            const feedCheck = cobot.checkChipload(tool, material, feedRate, rpm);
+            if (feedCheck.status !== 'ok') {
+                warnings.push(`Feed: ${feedCheck.message}`);
+            }
+            
+            const plungeCheck = cobot.checkChipload(tool, material, plungeRate, rpm);
+            if (plungeCheck.status === 'high') {
+                warnings.push(`Plunge: ${plungeCheck.message}`);
+            }
+        }
+        
+        const warningsDiv = document.getElementById('feeds-warnings');
+        if (warnings.length > 0) {
+            warningsDiv.innerHTML = warnings.map(w => `<div>⚠️ ${w}</div>`).join('');
+            warningsDiv.classList.remove('hidden');
+        } else {
+            warningsDiv.innerHTML = '';
+            warningsDiv.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Remember a user-entered feed value so suggestions don't replace it
+     */
+    function handleFeedOverride(e) {
+        e.target.dataset.override = 'true';
+        e.target.classList.add('overridden');
+        checkFeedOverrides();
+    }
+
+    /**
+     * Save the selected material and refresh suggested feeds
+     */
+    function handleMaterialChange(e) {
+        cobot.setGlobalSettings({ material: e.target.value });
+        applySuggestedFeeds();
+    }
+
+    /**
+     * Save the material thickness
+     */
+    function handleMaterialThicknessChange(e) {
+        const thickness = parseFloat(e.target.value);
+        if (thickness > 0) {
+            cobot.setGlobalSettings({ materialThickness: thickness });
+        }
+    }
+
+    /**
+     * Set datum from current position
+     */
+    async function handleSetDatumCurrent() {
+        try {
+            await cobot.setDatumFromCurrentPosition('Rip Saw Sheet Corner');
+            cobot.notify('Datum X/Y set from current position; Probe Material Top sets Z', 'success');
+        } catch (error) {
+            console.error('Failed to set datum:', error);
+            cobot.notify('Failed to set datum', 'error');
+        }
+    }
+
+    /**
+     * Activate the Machine Zero datum (0,0,0), creating it if needed
+     * 
+     * The active fixture datum is left unchanged in the registry.
+     */
+    function handleSetDatumZero() {
+        const existing = cobot.getDatums().find(datum => datum.label === 'Machine Zero');
+        cobot.saveDatum(Object.assign({}, existing, {
+            x: 0,
+            y: 0,
+            z: 0,
+            rotation: 0,
+            label: 'Machine Zero',
+            appName: 'Rip Saw'
+        }), { activate: true });
+        cobot.notify('Datum set to 0,0,0', 'success');
+    }
+
+    /**
+     * Clear datum
+     */
+    function handleClearDatum() {
+        cobot.clearDatum();
+        cobot.notify('Datum cleared', 'info');
+    }
+
+    /**
+     * Probe the material top with the touch plate and set the datum Z
+     */
+    async function handleProbeZ() {
+        const confirmed = confirm(
+            'Place the touch plate under the bit and attach the clip.\n\n' +
+            'The bit will move down until it touches the plate. Continue?'
+        );
+        if (!confirmed) return;
+        
+        const button = document.getElementById('probe-z');
+        button.disabled = true;
+        try {
+            const result = await cobot.probeZ();
+            cobot.notify(`Material top found at Z=${result.surfaceZ.toFixed(3)}; remove the touch plate`, 'success');
+        } catch (error) {
+            console.error('Probe failed:', error);
+            cobot.notify('Probe failed: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Tell the operator when a change from another device replaced theirs
+     */
+    function handleStorageConflict(conflict) {
+        if (conflict.resolution === 'remote') {
+            cobot.notify('Workshop data was changed on another device; the newer version was kept', 'warning');
+        }
+    }
+
+    /**
+     * Refresh everything that depends on the active datum, including
+     * changes made in another workshop app
+     */
+    function handleDatumChanged() {
+        datumPicker.render();
+        ui.updateDatumDisplay();
+        scheduleEstimate();
+    }
+
+    /**
+     * Save the job settings and refresh the layout and estimate
+     */
+    function handleJobSettingsChange() {
+        saveJobSettings();
+        scheduleEstimate();
+    }
+
+    /**
+     * Preview generated toolpath
+     */
+    function handlePreviewToolpath() {
+        try {
+            const config = getRipConfig();
+            const errors = toolpath.validateConfig(config);
+            
+            if (errors.length > 0) {
+                cobot.notify('Configuration errors: ' + errors.join(', '), 'error');
+                return;
+            }
+            
+            const job = generateProgram(config);
+            previewCode = job.program;
+            
+            const check = runPreflight(job.toolpath);
+            if (!check.ok) {
+                cobot.notify(`Pre-flight check found ${check.issues.length} problem(s); this job cannot be run as is`, 'warning');
+            }
+            
+            // Show the modal first so the viewer can size its canvas
+            document.getElementById('preview-modal').classList.remove('hidden');
+            
+            // The viewer simulates the OpenSBP version of the same operations
+            const result = getViewer().load(job.sbpCode);
+            if (result.errors.length > 0) {
+                cobot.notify(`Preview could not simulate ${result.errors.length} line(s)`, 'warning');
+            }
+            
+        } catch (error) {
+            console.error('Preview error:', error);
+            cobot.notify('Failed to generate preview: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Refresh the layout and job estimate once settings stop changing
+     */
+    function scheduleEstimate() {
+        clearTimeout(estimateTimer);
+        estimateTimer = setTimeout(updateEstimate, 300);
+    }
+
+    /**
+     * Redraw the strip layout and show the estimated run time and cost
+     * next to Rip Now
+     */
+    function updateEstimate() {
+        const config = getRipConfig();
+        const timeEl = document.getElementById('estimate-time');
+        const costEl = document.getElementById('estimate-cost');
+        const breakdownEl = document.getElementById('estimate-breakdown');
+        
+        costEl.textContent = '';
+        breakdownEl.textContent = '';
+        
+        // Lay out whatever strips are valid so the canvas follows edits
+        const strips = config.strips.filter(strip => strip.width > 0 && strip.count >= 1);
+        if (config.sheetLength > 0 && config.sheetWidth > 0 && config.tool.diameter > 0 && strips.length > 0) {
+            const layoutConfig = Object.assign({}, config, { strips: strips });
+            ui.setLayout(toolpath.layout(layoutConfig), layoutConfig);
+        } else {
+            ui.setLayout(null, config);
+        }
+        
+        if (config.strips.length === 0) {
+            timeEl.textContent = '-';
+            showPreflightIssues([]);
+            ui.setFlaggedCuts([]);
+            return;
+        }
+        
+        if (toolpath.validateConfig(config).length > 0) {
+            timeEl.textContent = 'fix configuration errors to estimate';
+            return;
+        }
+        
+        try {
+            const ripPath = toolpath.generateToolpath(config);
+            runPreflight(ripPath);
+            
+            const estimate = cobot.estimateJob(ripPath);
+            timeEl.textContent = cobot.formatDuration(estimate.seconds);
+            breakdownEl.textContent = cobot.formatEstimate(estimate);
+            if (estimate.cost !== null) {
+                costEl.textContent = ` · ${cobot.formatCost(estimate)}`;
+            }
+        } catch (error) {
+            console.error('Estimate error:', error);
+            timeEl.textContent = '-';
+        }
+    }
+
+    /**
+     * Run the pre-flight safety check, flag offending cuts and list the issues
+     * @returns {Object} Result of RipToolpath.preflight
+     */
+    function runPreflight(ripPath) {
+        const check = toolpath.preflight(ripPath);
+        
+        ui.setFlaggedCuts(check.cutNumbers);
+        showPreflightIssues(check.issues.concat(check.warnings));
+        return check;
+    }
+
+    /**
+     * List pre-flight issues and warnings under the job estimate
+     */
+    function showPreflightIssues(issues) {
+        const list = document.getElementById('preflight-issues');
+        const maxShown = 6;
+        
+        list.innerHTML = '';
+        issues.slice(0, maxShown).forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = issue.message;
+            list.appendChild(item);
+        });
+        if (issues.length > maxShown) {
+            const item = document.createElement('li');
+            item.textContent = `...and ${issues.length - maxShown} more`;
+            list.appendChild(item);
+        }
+        list.classList.toggle('hidden', issues.length === 0);
+    }
+
+    /**
+     * Refuse to send a job that failed the pre-flight check
+     * @returns {boolean} True if the job may be sent
+     */
+    function checkPreflight(ripPath) {
+        const check = runPreflight(ripPath);
+        if (check.ok) return true;
+        
+        const cuts = check.cutNumbers.length > 0 ? ` (cuts ${check.cutNumbers.map(n => '#' + n).join(', ')})` : '';
+        cobot.notify(`Pre-flight check failed: ${check.issues.length} problem(s)${cuts}. ${check.issues[0].message}`, 'error');
+        return false;
+    }
+
+    /**
+     * Generate the job in the chosen program format
+     * 
+     * Pre-flight checks read the toolpath itself; the preview simulates
+     * OpenSBP, so the OpenSBP version of the same toolpath is returned too.
+     * @returns {Object} {program, format, toolpath, sbpCode}
+     */
+    function generateProgram(config) {
+        const ripPath = toolpath.generateToolpath(config);
+        const format = cobot.getPostProcessor().key;
+        const sbpCode = cobot.postProcess(ripPath, 'sbp');
+        
+        return {
+            program: format === 'sbp' ? sbpCode : cobot.postProcess(ripPath, format),
+            format: format,
+            toolpath: ripPath,
+            sbpCode: sbpCode
+        };
+    }
+
+    /**
+     * Save the program format used for jobs
+     */
+    function handleProgramFormatChange(e) {
+        cobot.setGlobalSettings({ postProcessor: e.target.value });
+        cobot.notify(`Jobs will be written as ${CobotCore.POST_PROCESSORS[e.target.value].name}`, 'info');
+    }
+
+    /**
+     * Save the machine hourly rate used for cost estimates
+     */
+    function handleMachineRateChange(e) {
+        const rate = parseFloat(e.target.value);
+        cobot.setGlobalSettings({ machineHourlyRate: rate > 0 ? rate : 0 });
+        scheduleEstimate();
+    }
+
+    /**
+     * Create the toolpath viewer, refreshing its machine and material settings
+     */
+    function getViewer() {
+        const settings = cobot.getGlobalSettings();
+        const origin = cobot.getDatumOffset();
+        const options = {
+            envelope: cobot.machineEnvelope,
+            material: { thickness: settings.materialThickness, top: origin.z },
+            units: cobot.units,
+            simulator: {
+                start: { x: 0, y: 0, z: settings.safeZ + origin.z },
+                jogSpeedXY: settings.jogSpeedXY,
+                jogSpeedZ: settings.jogSpeedZ,
+                safeZ: settings.safeZ + origin.z,
+                probeContact: { z: origin.z + settings.probePlateThickness } // Touch-offs at tool changes
+            }
+        };
+        
+        if (!viewer) {
+            viewer = new CobotToolpathViewer('toolpath-viewer', options);
+        } else {
+            Object.assign(viewer.options, options);
+        }
+        return viewer;
+    }
+
+    /**
+     * Save job to FabMo
+     */
+    async function handleSaveJob() {
+        try {
+            const config = getRipConfig();
+            const errors = toolpath.validateConfig(config);
+            
+            if (errors.length > 0) {
+                cobot.notify('Configuration errors: ' + errors.join(', '), 'error');
+                return;
+            }
+            
+            const job = generateProgram(config);
+            
+            if (!checkPreflight(job.toolpath)) {
+                return;
+            }
+            
+            const layout = toolpath.layout(config);
+            await cobot.submitJob(job.program, {
+                name: `Rip Saw - ${layout.strips.length} strips`,
+                description: describeJob(layout),
+                format: job.format
+            });
+            
+            cobot.notify('Job saved successfully', 'success');
+            
+        } catch (error) {
+            console.error('Save error:', error);
+            cobot.notify('Failed to save job: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Run ripping operation now
+     */
+    async function handleRipNow() {
+        const config = getRipConfig();
+        const errors = toolpath.validateConfig(config);
+        
+        if (errors.length > 0) {
+            cobot.notify('Configuration errors: ' + errors.join(', '), 'error');
+            return;
+        }
+        
+        const layout = toolpath.layout(config);
+        const unplaced = layout.unplaced.length > 0
+            ? `${layout.unplaced.length} strip(s) don't fit on the sheet and will not be cut\n`
+            : '';
+        const holdDown = config.tabs.count > 0 || config.onionSkin > 0
+            ? `- Strips are held by tabs or an onion skin; cut them free afterwards\n`
+            : `- Material is held down on both sides of every cut (strips come loose)\n`;
+        const confirmed = confirm(
+            `Ready to rip ${layout.strips.length} strip(s) with ${layout.cuts.length} cut(s)?\n` +
+            unplaced +
+            `Estimated time: ${document.getElementById('estimate-time').textContent}\n\n` +
+            `Make sure:\n` +
+            `- Material is secured\n` +
+            holdDown +
+            `- Bit is installed and the material top probed (Probe Material Top)\n` +
+            `- Safety equipment is in place\n\n` +
+            `Continue?`
+        );
+        
+        if (!confirmed) return;
+        
+        try {
+            const job = generateProgram(config);
+            
+            if (!checkPreflight(job.toolpath)) {
+                return;
+            }
+            
+            await cobot.runJob(job.program, {
+                name: `Rip Saw - ${layout.strips.length} strips`,
+                description: describeJob(layout),
+                format: job.format
+            });
+            
+            cobot.notify('Ripping started!', 'success');
+            
+        } catch (error) {
+            console.error('Rip error:', error);
+            cobot.notify('Failed to start ripping: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Build a short job description from the strip layout
+     */
+    function describeJob(layout) {
+        const counts = new Map();
+        layout.strips.forEach(strip => {
+            counts.set(strip.width, (counts.get(strip.width) || 0) + 1);
+        });
+        
+        const strips = Array.from(counts.entries())
+            .map(([width, count]) => `${count}x ${cobot.formatLength(width)}`)
+            .join(', ');
+        return `${strips} strips; ${layout.cuts.length} cuts, ${cobot.formatLength(layout.kerf)} kerf`;
+    }
+
+    /**
+     * Copy toolpath to clipboard
+     */
+    function handleCopyToolpath() {
+        navigator.clipboard.writeText(previewCode).then(() => {
+            cobot.notify('Toolpath copied to clipboard', 'success');
+        }).catch(err => {
+            console.error('Copy failed:', err);
+            cobot.notify('Failed to copy to clipboard', 'error');
+        });
+    }
+
+    /**
+     * Close modal
+     */
+    function closeModal() {
+        document.getElementById('preview-modal').classList.add('hidden');
+        if (viewer) viewer.stop();
+    }
+
+    /**
+     * Show settings (placeholder)
+     */
+    function handleShowSettings() {
+        alert('Settings panel coming soon!');
+    }
+
+    /**
+     * Show help (placeholder)
+     */
+    function handleShowHelp() {
+        const helpText = `
+Rip Saw - Quick Guide
+
+SHEET:
+- Enter the sheet length (along the cuts) and width (across them)
+- Choose whether the cuts run along the machine X or Y axis
+- The sheet's corner sits at the datum; strips are laid out from the
+  datum edge across the sheet
+
+STRIPS:
+- Add each strip width with the number of strips you want
+- Strips are cut in list order; the kerf (bit diameter) between
+  strips is allowed for, so every strip comes out at its full width
+- Strips that don't fit are reported; what is left over is offcut
+
+CUTS:
+- Each cut runs the full length of the sheet, starting and ending past
+  the ends by the lead-in, in passes no deeper than the stepdown
+- Near the edge of the machine (a datum at machine zero) the lead-in is
+  shortened to what the machine can reach, and the bit ramps down into
+  the sheet end instead of plunging beside it
+- Overcut goes below the sheet into the spoilboard so strips cut
+  cleanly; keep it within the spoilboard allowance
+- Tabs leave small bridges in every cut so strips stay in place
+- An onion skin leaves a thin layer on every cut, then cuts all of the
+  skins through at the end
+
+WORKFLOW:
+1. Set datum at the sheet corner and probe the material top
+2. Enter the sheet size and strips
+3. Preview toolpath to verify
+4. Save job or run immediately
+        `.trim();
+        
+        alert(helpText);
+    }
+
+    /**
+     * Get the rip configuration from the form
+     */
+    function getRipConfig() {
+        const tool = getFeedsTool();
+        const number = (id) => parseFloat(document.getElementById(id).value);
+        
+        return {
+            sheetLength: number('sheet-length'),
+            sheetWidth: number('sheet-width'),
+            materialThickness: number('material-thickness'),
+            strips: ui.getStrips(),
+            direction: document.getElementById('cut-direction').value,
+            tool: {
+                number: tool.toolNumber || 1,
+                name: tool.name,
+                diameter: tool.diameter,
+                libraryId: tool.id || null
+            },
+            stepdown: number('stepdown'),
+            overcut: number('overcut') || 0,
+            leadIn: number('lead-in') || 0,
+            tabs: {
+                count: parseInt(document.getElementById('tab-count').value) || 0,
+                width: number('tab-width'),
+                height: number('tab-height')
+            },
+            onionSkin: number('onion-skin') || 0,
+            feedRate: number('feed-rate'),
+            plungeRate: number('plunge-rate'),
+            rpm: number('spindle-rpm') || null,
+            material: document.getElementById('material').value
+        };
+    }
+
+    /**
+     * Save the sheet, strips and cut options
+     */
+    function saveJobSettings() {
+        const settings = { strips: ui.getStrips() };
+        Object.keys(JOB_FIELDS).forEach(key => {
+            const value = document.getElementById(JOB_FIELDS[key]).value;
+            if (key === 'direction') {
+                settings[key] = value;
+            } else if (value !== '' && !Number.isNaN(Number(value))) {
+                settings[key] = Number(value);
+            }
+        });
+        
+        try {
+            cobot.setAppSettings(settings);
+        } catch (error) {
+            // Leave the last valid settings saved until the form is fixed
+            console.warn('Rip settings not saved:', error.message);
+        }
+    }
+
+    /**
+     * Restore the saved sheet, strips and cut options
+     */
+    function loadAppState() {
+        const settings = cobot.getAppSettings();
+        
+        Object.keys(JOB_FIELDS).forEach(key => {
+            if (settings[key] !== undefined) {
+                document.getElementById(JOB_FIELDS[key]).value = settings[key];
+            }
+        });
+        
+        if (Array.isArray(settings.strips) && settings.strips.length > 0) {
+            ui.setStrips(settings.strips.filter(strip => strip && strip.width > 0));
+        } else {
+            // Start with the strip entered in the form
+            ui.setStrips([{
+                width: parseFloat(document.getElementById('strip-width').value),
+                count: parseInt(document.getElementById('strip-count').value)
+            }]);
+        }
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+    
+})();
\ No newline at end of file
@@ -0,0 +1,448 @@
+/**
+ * Rip Saw - UI Management
+ * 
+ * Handles the strip list, the sheet preview canvas and UI state
+ */
+
+class RipSawUI {
+    constructor(cobot) {
+        this.cobot = cobot;
+        this.canvas = document.getElementById('workpiece-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.strips = []; // Strips to cut, [{width, count}]
+        this.layout = null; // Layout from RipToolpath.layout()
+        this.config = null; // Rip configuration the layout was made for
+        this.flaggedCuts = new Set(); // Cut numbers that failed the pre-flight check
+        this.onStripsChanged = null; // Called after the strip list changes
+        this.margin = 60; // Space around the sheet for labels
+        this.scale = 10 / cobot.fromInches(1); // Pixels per machine unit, refit to the sheet on draw
+        this.originX = this.margin; // Canvas position of the datum
+        this.originY = 600 - this.margin;
+        
+        this.canvas.width = 800;
+        this.canvas.height = 600;
+        this.draw();
+    }
+
+    /**
+     * Show a strip layout on the canvas
+     * @param {Object} layout - Layout from RipToolpath.layout() (null to clear)
+     * @param {Object} config - Rip configuration the layout was made for
+     */
+    setLayout(layout, config) {
+        this.layout = layout;
+        this.config = config;
+        this.draw();
+        this._updateSummary();
+    }
+
+    /**
+     * Highlight cuts that failed the pre-flight check
+     * @param {Array} cutNumbers - Cut numbers to flag (empty to clear)
+     */
+    setFlaggedCuts(cutNumbers) {
+        this.flaggedCuts = new Set(cutNumbers);
+        this.draw();
+    }
+
+    /**
+     * Work coordinates of a point given along and across the cuts
+     * @private
+     */
+    _work(along, across) {
+        return this.config && this.config.direction === 'y' ? { x: across, y: along } : { x: along, y: across };
+    }
+
+    /**
+     * Convert work coordinates to canvas coordinates
+     * @private
+     */
+    _workToCanvas(workX, workY) {
+        return {
+            x: this.originX + (workX * this.scale),
+            y: this.originY - (workY * this.scale) // Invert Y
+        };
+    }
+
+    /**
+     * Fit the sheet to the canvas, leaving the margin around it
+     * @private
+     */
+    _fitSheet() {
+        const corner = this._work(this.config.sheetLength, this.config.sheetWidth);
+        const usableWidth = this.canvas.width - this.margin * 2;
+        const usableHeight = this.canvas.height - this.margin * 2;
+        this.scale = Math.min(usableWidth / corner.x, usableHeight / corner.y);
+        this.originX = this.margin;
+        this.originY = this.canvas.height - this.margin;
+    }
+
+    /**
+     * Canvas rectangle for a band across the sheet, running its full length
+     * @private
+     */
+    _band(start, end) {
+        const a = this._workToCanvas(this._work(0, start).x, this._work(0, start).y);
+        const b = this._workToCanvas(this._work(this.config.sheetLength, end).x, this._work(this.config.sheetLength, end).y);
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+        };
+    }
+
+    /**
+     * Main drawing function
+     */
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        if (!this.layout || !(this.config.sheetLength > 0) || !(this.config.sheetWidth > 0)) {
+            this.ctx.fillStyle = '#666';
+            this.ctx.font = '16px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('Enter the sheet size and strip widths to see the layout', this.canvas.width / 2, this.canvas.height / 2);
+            this.ctx.textAlign = 'left';
+            return;
+        }
+        
+        this._fitSheet();
+        this._drawSheet();
+        this._drawStrips();
+        this._drawOffcut();
+        this._drawCuts();
+        this._drawAxes();
+        this._drawDatum();
+        this._drawMachineEnvelope();
+    }
+
+    /**
+     * Draw the sheet outline
+     * @private
+     */
+    _drawSheet() {
+        const rect = this._band(0, this.config.sheetWidth);
+        this.ctx.fillStyle = '#f5e6c8';
+        this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.strokeStyle = '#8b6b3d';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    /**
+     * Draw the strips, shaded alternately and labelled with their widths
+     * @private
+     */
+    _drawStrips() {
+        this.layout.strips.forEach((strip, index) => {
+            const rect = this._band(strip.start, strip.end);
+            this.ctx.fillStyle = index % 2 === 0 ? 'rgba(44, 95, 45, 0.2)' : 'rgba(46, 107, 184, 0.2)';
+            this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            
+            this.ctx.fillStyle = '#2c5f2d';
+            this.ctx.font = 'bold 12px sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            const label = `#${strip.number}: ${this.cobot.formatLength(strip.width)}`;
+            if (Math.min(rect.width, rect.height) >= 14) {
+                this.ctx.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+            }
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'alphabetic';
+        });
+    }
+
+    /**
+     * Hatch the offcut left past the last cut
+     * @private
+     */
+    _drawOffcut() {
+        const offcut = this.layout.offcut;
+        if (!offcut) return;
+        
+        const rect = this._band(offcut.start, offcut.end);
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        this.ctx.clip();
+        
+        this.ctx.strokeStyle = '#9e9e9e';
+        this.ctx.lineWidth = 1;
+        for (let d = -rect.height; d < rect.width; d += 8) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(rect.x + d, rect.y + rect.height);
+            this.ctx.lineTo(rect.x + d + rect.height, rect.y);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw each cut as its kerf, with tabs and pre-flight flags
+     * @private
+     */
+    _drawCuts() {
+        const tabs = this.config.tabs || {};
+        
+        this.layout.cuts.forEach(cut => {
+            // At least a pixel wide so thin kerfs stay visible
+            const rect = this._band(cut.start, cut.end);
+            if (this.config.direction === 'y') {
+                rect.width = Math.max(rect.width, 1);
+            } else {
+                rect.height = Math.max(rect.height, 1);
+            }
+            this.ctx.fillStyle = '#c62828';
+            this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            
+            // Tabs bridge the kerf
+            this.ctx.fillStyle = '#8b6b3d';
+            this.layout.tabCenters.forEach(center => {
+                const a = this._work(center - tabs.width / 2, cut.start);
+                const b = this._work(center + tabs.width / 2, cut.end);
+                const p = this._workToCanvas(a.x, a.y);
+                const q = this._workToCanvas(b.x, b.y);
+                this.ctx.fillRect(Math.min(p.x, q.x), Math.min(p.y, q.y),
+                    Math.max(Math.abs(q.x - p.x), 1), Math.max(Math.abs(q.y - p.y), 1));
+            });
+            
+            if (this.flaggedCuts.has(cut.number)) {
+                this.ctx.strokeStyle = '#f44336';
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash([4, 3]);
+                this.ctx.strokeRect(rect.x - 4, rect.y - 4, rect.width + 8, rect.height + 8);
+                this.ctx.setLineDash([]);
+            }
+        });
+    }
+
+    /**
+     * Draw the axis directions and the sheet dimensions
+     * @private
+     */
+    _drawAxes() {
+        const far = this._workToCanvas(this._work(this.config.sheetLength, this.config.sheetWidth).x,
+            this._work(this.config.sheetLength, this.config.sheetWidth).y);
+        const fmt = (v) => this.cobot.formatLength(v);
+        const xLength = this.config.direction === 'y' ? this.config.sheetWidth : this.config.sheetLength;
+        const yLength = this.config.direction === 'y' ? this.config.sheetLength : this.config.sheetWidth;
+        
+        this.ctx.fillStyle = '#2c5f2d';
+        this.ctx.font = 'bold 14px sans-serif';
+        this.ctx.fillText(`X: ${fmt(xLength)}`, (this.originX + far.x) / 2 - 30, this.originY + 25);
+        this.ctx.save();
+        this.ctx.translate(this.originX - 20, (this.originY + far.y) / 2 + 30);
+        this.ctx.rotate(-Math.PI / 2);
+        this.ctx.fillText(`Y: ${fmt(yLength)}`, 0, 0);
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw datum point if set
+     * @private
+     */
+    _drawDatum() {
+        const datum = this.cobot.getDatum();
+        if (!datum) return;
+        
+        // The sheet corner is placed at the datum, the work origin
+        const canvasCoords = this._workToCanvas(0, 0);
+        
+        // Draw datum marker
+        this.ctx.fillStyle = '#f4a259';
+        this.ctx.strokeStyle = '#d8793f';
+        this.ctx.lineWidth = 2;
+        
+        // Diamond shape
+        this.ctx.beginPath();
+        this.ctx.moveTo(canvasCoords.x, canvasCoords.y - 10);
+        this.ctx.lineTo(canvasCoords.x + 10, canvasCoords.y);
+        this.ctx.lineTo(canvasCoords.x, canvasCoords.y + 10);
+        this.ctx.lineTo(canvasCoords.x - 10, canvasCoords.y);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        // Label
+        this.ctx.fillStyle = '#d8793f';
+        this.ctx.font = '12px sans-serif';
+        this.ctx.fillText('DATUM', canvasCoords.x - 20, canvasCoords.y + 25);
+    }
+
+    /**
+     * Draw machine envelope boundary
+     * @private
+     */
+    _drawMachineEnvelope() {
+        if (!this.cobot.machineEnvelope) return;
+        
+        // Corners in work coordinates; a rotated datum skews the rectangle
+        const env = this.cobot.machineEnvelope;
+        const corners = [
+            { x: env.xmin, y: env.ymin },
+            { x: env.xmax, y: env.ymin },
+            { x: env.xmax, y: env.ymax },
+            { x: env.xmin, y: env.ymax }
+        ].map(corner => {
+            const work = this.cobot.toWorkCoordinates(corner);
+            return this._workToCanvas(work.x, work.y);
+        });
+        
+        this.ctx.strokeStyle = '#ff9800';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([5, 5]);
+        
+        this.ctx.beginPath();
+        corners.forEach((corner, i) => {
+            if (i === 0) this.ctx.moveTo(corner.x, corner.y);
+            else this.ctx.lineTo(corner.x, corner.y);
+        });
+        this.ctx.closePath();
+        this.ctx.stroke();
+        
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Show strip, cut and yield totals in the canvas overlay
+     * @private
+     */
+    _updateSummary() {
+        const info = document.getElementById('layout-summary');
+        if (!this.layout) {
+            info.textContent = '-';
+            info.classList.remove('warning');
+            return;
+        }
+        
+        const parts = [
+            `${this.layout.strips.length} strip(s)`,
+            `${this.layout.cuts.length} cut(s)`,
+            `Yield ${Math.round(this.layout.yield * 100)}%`
+        ];
+        if (this.layout.offcut) {
+            parts.push(`Offcut ${this.cobot.formatLength(this.layout.offcut.width)}`);
+        }
+        if (this.layout.unplaced.length > 0) {
+            parts.push(`${this.layout.unplaced.length} strip(s) don't fit`);
+        }
+        info.textContent = parts.join(' | ');
+        info.classList.toggle('warning', this.layout.unplaced.length > 0);
+    }
+
+    /**
+     * Update the strip list display
+     */
+    updateStripList() {
+        const listContainer = document.getElementById('strip-list');
+        const inches = (n) => this.cobot.fromInches(n);
+        const widthStep = this.cobot.units === 'mm' ? 0.5 : 0.0625;
+        
+        listContainer.innerHTML = '';
+        
+        if (this.strips.length === 0) {
+            listContainer.innerHTML = '<p class="text-center text-muted">No strips yet. Add the widths you want to cut.</p>';
+        }
+        
+        this.strips.forEach((strip, index) => {
+            const item = document.createElement('div');
+            item.className = 'strip-item';
+            item.innerHTML = `
+                <span class="strip-number">${index + 1}</span>
+                <label>Width <input type="number" data-field="width" data-index="${index}" value="${strip.width}" step="${widthStep}" min="${inches(0.0625)}"></label>
+                <label>Count <input type="number" data-field="count" data-index="${index}" value="${strip.count}" step="1" min="1"></label>
+                <button class="btn-sm btn-outline" data-action="delete" data-index="${index}">Remove</button>
+            `;
+            listContainer.appendChild(item);
+        });
+        
+        listContainer.querySelectorAll('input[data-field]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                const field = e.target.dataset.field;
+                const value = field === 'count' ? parseInt(e.target.value) : parseFloat(e.target.value);
+                this.strips[index][field] = value;
+                this._stripsChanged();
+            });
+        });
+        
+        listContainer.querySelectorAll('button[data-action="delete"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.removeStrip(parseInt(e.target.dataset.index));
+            });
+        });
+    }
+
+    /**
+     * Add strips of one width
+     * @param {number} width - Strip width
+     * @param {number} count - Number of strips (default 1)
+     */
+    addStrip(width, count = 1) {
+        this.strips.push({ width: width, count: count });
+        this.updateStripList();
+        this._stripsChanged();
+    }
+
+    /**
+     * Remove a strip entry
+     * @param {number} index - Index in the strip list
+     */
+    removeStrip(index) {
+        this.strips.splice(index, 1);
+        this.updateStripList();
+        this._stripsChanged();
+    }
+
+    /**
+     * Notify that the strips changed
+     * @private
+     */
+    _stripsChanged() {
+        if (this.onStripsChanged) {
+            this.onStripsChanged(this.getStrips());
+        }
+    }
+
+    /**
+     * Get the strips to cut
+     * @returns {Array} Copies of the strip entries, [{width, count}]
+     */
+    getStrips() {
+        return this.strips.map(strip => Object.assign({}, strip));
+    }
+
+    /**
+     * Replace the strips to cut
+     * @param {Array} strips - Strip entries, [{width, count}]
+     */
+    setStrips(strips) {
+        this.strips = (strips || []).map(strip => ({ width: strip.width, count: strip.count || 1 }));
+        this.updateStripList();
+    }
+
+    /**
+     * Update datum display
+     */
+    updateDatumDisplay() {
+        const datum = this.cobot.getDatum();
+        const statusSpan = document.getElementById('datum-status');
+        const displayDiv = document.getElementById('datum-display');
+        
+        if (datum) {
+            statusSpan.textContent = `${datum.label} (${datum.x.toFixed(3)}, ${datum.y.toFixed(3)}, ${datum.z.toFixed(3)})`;
+            displayDiv.classList.remove('hidden');
+            
+            document.getElementById('datum-x').textContent = datum.x.toFixed(3);
+            document.getElementById('datum-y').textContent = datum.y.toFixed(3);
+            document.getElementById('datum-z').textContent = datum.z.toFixed(3);
+            document.getElementById('datum-rotation').textContent = `${(datum.rotation || 0).toFixed(2)}°`;
+        } else {
+            statusSpan.textContent = 'Not Set';
+            displayDiv.classList.add('hidden');
+        }
+        
+        this.draw();
+    }
+}
\ No newline at end of file
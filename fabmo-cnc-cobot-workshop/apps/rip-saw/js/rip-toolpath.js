@@ -0,0 +1,498 @@
+/**
+ * Rip Saw - Strip Layout and Toolpath Generation
+ * 
+ * Lays strips out across a sheet, allowing for the kerf of the bit, and
+ * builds the full-length rip cuts between them as a CobotToolpath, written
+ * as OpenSBP or G-code by the CobotCore post-processors
+ */
+
+class RipToolpath {
+    constructor(cobot) {
+        this.cobot = cobot;
+        this.origin = { x: 0, y: 0, z: 0 }; // Datum offset of the program being generated
+    }
+
+    /**
+     * Scale the lengths in a rip configuration, e.g. when the machine units change
+     * @param {Object} config - Rip configuration (converted in place)
+     * @param {number} factor - Multiplier from the old units to the new
+     * @returns {Object} The configuration
+     */
+    static convertConfigUnits(config, factor) {
+        ['sheetLength', 'sheetWidth', 'materialThickness', 'stepdown', 'overcut', 'leadIn', 'onionSkin'].forEach(key => {
+            if (typeof config[key] === 'number') {
+                config[key] *= factor;
+            }
+        });
+        (config.strips || []).forEach(strip => {
+            if (typeof strip.width === 'number') {
+                strip.width *= factor;
+            }
+        });
+        if (config.tabs) {
+            ['width', 'height'].forEach(key => {
+                if (typeof config.tabs[key] === 'number') {
+                    config.tabs[key] *= factor;
+                }
+            });
+        }
+        return config;
+    }
+
+    /**
+     * Lay strips out across the sheet
+     * 
+     * Strips are placed in list order starting at the datum edge of the
+     * sheet (across = 0), each followed by a cut one kerf (bit diameter)
+     * wide. A strip that ends at the far edge of the sheet needs no cut.
+     * Once a strip does not fit, it and every strip after it are left
+     * unplaced, and whatever remains past the last cut is offcut.
+     * @param {Object} config - Rip configuration, see generateToolpath
+     * @returns {Object} {strips: [{number, width, start, end}], cuts: [{number, position, start, end}],
+     *   unplaced: [width], offcut: {start, end, width} or null, kerf, tabCenters, yield}
+     */
+    layout(config) {
+        const tolerance = this.cobot.fromInches(0.0005);
+        const kerf = config.tool ? config.tool.diameter : this.cobot.getGlobalSettings().toolDiameter;
+        const sheetWidth = config.sheetWidth;
+        const strips = [];
+        const cuts = [];
+        const unplaced = [];
+        
+        let position = 0;
+        (config.strips || []).forEach(entry => {
+            for (let i = 0; i < (entry.count || 1); i++) {
+                const end = position + entry.width;
+                if (unplaced.length > 0 || end > sheetWidth + tolerance) {
+                    unplaced.push(entry.width);
+                    continue;
+                }
+                
+                strips.push({ number: strips.length + 1, width: entry.width, start: position, end: end });
+                if (sheetWidth - end <= tolerance) {
+                    position = sheetWidth;
+                    continue;
+                }
+                
+                // The kerf starts at the strip edge, with the tool centered on it
+                cuts.push({ number: cuts.length + 1, position: end + kerf / 2, start: end, end: end + kerf });
+                position = end + kerf;
+            }
+        });
+        
+        const offcutWidth = sheetWidth - position;
+        const used = strips.reduce((sum, strip) => sum + strip.width, 0);
+        return {
+            strips: strips,
+            cuts: cuts,
+            unplaced: unplaced,
+            offcut: offcutWidth > tolerance ? { start: position, end: sheetWidth, width: offcutWidth } : null,
+            kerf: kerf,
+            tabCenters: this.tabCenters(config),
+            yield: sheetWidth > 0 ? used / sheetWidth : 0
+        };
+    }
+
+    /**
+     * Depth passes for each cut
+     * 
+     * Passes are evenly spaced down to the main cut depth: the material
+     * thickness plus the overcut, or the material thickness less the onion
+     * skin when one is left for a final pass.
+     * @param {Object} config - Rip configuration
+     * @returns {Object} {depths: [depth], finalDepth, tabDepth} where tabDepth is null without tabs
+     */
+    passDepths(config) {
+        const thickness = config.materialThickness;
+        const finalDepth = thickness + (config.overcut || 0);
+        const mainDepth = config.onionSkin > 0 ? thickness - config.onionSkin : finalDepth;
+        const stepdown = config.stepdown || Math.min(config.tool.diameter, this.cobot.fromInches(0.25));
+        const numPasses = Math.max(1, Math.ceil(mainDepth / stepdown - 1e-9));
+        
+        const depths = [];
+        for (let pass = 1; pass <= numPasses; pass++) {
+            depths.push(mainDepth * pass / numPasses);
+        }
+        
+        const tabs = config.tabs || {};
+        return {
+            depths: depths,
+            finalDepth: finalDepth,
+            tabDepth: tabs.count > 0 ? thickness - tabs.height : null
+        };
+    }
+
+    /**
+     * Positions along the cut where tabs are left, evenly spaced
+     * @param {Object} config - Rip configuration
+     * @returns {Array} Tab centers, measured from the start of the sheet
+     */
+    tabCenters(config) {
+        const tabs = config.tabs || {};
+        const centers = [];
+        for (let i = 1; i <= (tabs.count || 0); i++) {
+            centers.push(config.sheetLength * i / (tabs.count + 1));
+        }
+        return centers;
+    }
+
+    /**
+     * Generate complete program for ripping
+     * @param {Object} config - Rip configuration, see generateToolpath
+     * @param {string} format - Program format, a key of CobotCore.POST_PROCESSORS (default 'sbp')
+     * @returns {string} OpenSBP or G-code program
+     */
+    generate(config, format = 'sbp') {
+        return this.cobot.postProcess(this.generateToolpath(config), format);
+    }
+
+    /**
+     * Build the toolpath for ripping
+     * 
+     * Every cut runs the full length of the sheet plus the lead-in past each
+     * end, so the bit enters and leaves the material from the side; the
+     * lead-in is shortened where the machine cannot reach it. Depth
+     * passes alternate direction; with tabs, passes below the tab top lift
+     * over each tab. With an onion skin, the skins of all cuts are cut
+     * through in a final pass once every strip has been cut free of its
+     * neighbours down to the skin.
+     * 
+     * Sheet positions are relative to the datum; the operations are in
+     * machine coordinates with the datum offset and rotation applied. Each
+     * cut's operations are tagged {cut: number}.
+     * @param {Object} config - Rip configuration
+     * @param {number} config.sheetLength - Sheet length along the cuts
+     * @param {number} config.sheetWidth - Sheet width across the cuts
+     * @param {number} config.materialThickness - Sheet thickness
+     * @param {Array} config.strips - Strips to cut, [{width, count}]
+     * @param {string} config.direction - Axis the cuts run along, 'x' or 'y'
+     * @param {Object} config.tool - {number, name, diameter, libraryId}; the diameter is the kerf
+     * @param {number} config.stepdown - Maximum depth per pass
+     * @param {number} config.overcut - Depth cut into the spoilboard below the sheet
+     * @param {number} config.leadIn - Clearance between the bit and the sheet ends
+     * @param {Object} config.tabs - {count, width, height} tabs left in each cut
+     * @param {number} config.onionSkin - Thickness left for the final pass (0 for none)
+     * @returns {CobotToolpath} Toolpath for CobotCore.postProcess
+     */
+    generateToolpath(config) {
+        const layout = this.layout(config);
+        if (layout.cuts.length === 0) {
+            throw new Error('No cuts to make');
+        }
+        
+        const toolpath = this.cobot.createToolpath();
+        const settings = this.cobot.getGlobalSettings();
+        this.origin = this.cobot.getDatumOffset();
+        this.safeZ = (config.safeZ || settings.safeZ) + this.origin.z;
+        this.direction = config.direction === 'y' ? 'y' : 'x';
+        
+        const passes = this.passDepths(config);
+        const overrun = (config.leadIn || 0) + config.tool.diameter / 2;
+        const ends = [-overrun, config.sheetLength + overrun];
+        const tabSpans = this.tabCenters(config).map(center => {
+            // Widen by the bit radius so the finished tab is the full tab width
+            const half = config.tabs.width / 2 + config.tool.diameter / 2;
+            return [center - half, center + half];
+        });
+        
+        toolpath.start({
+            safeZ: this.safeZ,
+            feedRate: config.feedRate || settings.feedRate,
+            plungeRate: config.plungeRate || settings.plungeRate
+        });
+        toolpath.toolChange(Object.assign({}, config.tool, { rpm: config.rpm || config.tool.rpm || null }), {
+            first: true,
+            safeZ: this.safeZ
+        });
+        
+        this.along = 0;
+        this.z = this.safeZ;
+        this.rampRatio = (config.feedRate || settings.feedRate) / (config.plungeRate || settings.plungeRate);
+        this.rampedCuts = [];
+        layout.cuts.forEach(cut => {
+            cut.ends = this._cutEnds(cut, ends, config.sheetLength);
+            // Where the shortened lead-in leaves the bit over the sheet, it ramps in
+            cut.rampIn = [cut.ends[0] > -config.tool.diameter / 2 + 1e-9, cut.ends[1] < config.sheetLength + config.tool.diameter / 2 - 1e-9];
+            if (cut.rampIn[0] || cut.rampIn[1]) {
+                this.rampedCuts.push(cut.number);
+            }
+            toolpath.tag({ cut: cut.number });
+            toolpath.comment(`--- Cut ${cut.number} at ${this.cobot.formatSBPNumber(cut.position)} ---`);
+            
+            passes.depths.forEach((depth, index) => {
+                const lift = passes.tabDepth !== null && depth > passes.tabDepth + 1e-9;
+                this._generatePass(toolpath, cut, cut.ends, depth, lift ? tabSpans : [], passes.tabDepth,
+                    `Pass ${index + 1} of ${passes.depths.length}`, index === 0);
+            });
+            
+            toolpath.rapid({ z: this.safeZ }, 'Retract to safe Z');
+            toolpath.comment();
+            toolpath.tag(null);
+            cut.openDepth = passes.depths[passes.depths.length - 1];
+        });
+        
+        if (config.onionSkin > 0) {
+            toolpath.comment('======== Onion skin passes ========');
+            layout.cuts.slice().reverse().forEach(cut => {
+                toolpath.tag({ cut: cut.number });
+                const lift = passes.tabDepth !== null && passes.finalDepth > passes.tabDepth + 1e-9;
+                this._generatePass(toolpath, cut, cut.ends, passes.finalDepth, lift ? tabSpans : [], passes.tabDepth,
+                    `Cut ${cut.number} through the skin`, true);
+                toolpath.rapid({ z: this.safeZ }, 'Retract to safe Z');
+                toolpath.tag(null);
+            });
+            toolpath.comment();
+        }
+        
+        // Footer/cleanup
+        toolpath.end({ safeZ: this.safeZ });
+        
+        // Header last so it can carry the run time estimate
+        const estimate = this.cobot.estimateJob(toolpath);
+        return this._generateHeader(this.cobot.createToolpath(), layout, passes, config, estimate).append(toolpath);
+    }
+
+    /**
+     * Generate header section
+     * @private
+     */
+    _generateHeader(toolpath, layout, passes, config, estimate) {
+        const fmt = (v) => this.cobot.formatLength(v);
+        const notes = [`${layout.cuts.length} cut(s) along ${this.direction.toUpperCase()}, ${passes.depths.length} pass(es) each`];
+        if (passes.tabDepth !== null) {
+            notes.push(`${config.tabs.count} tab(s) per cut, ${fmt(config.tabs.height)} high`);
+        }
+        if (config.onionSkin > 0) {
+            notes.push(`${fmt(config.onionSkin)} onion skin`);
+        }
+        if (this.rampedCuts.length > 0) {
+            notes.push('lead-in shortened to stay inside the machine; cuts ramp into the sheet ends');
+        }
+        
+        return toolpath.header(`Ripping ${layout.strips.length} strip(s) from a ${fmt(config.sheetLength)} x ${fmt(config.sheetWidth)} sheet`, {
+            materialThickness: config.materialThickness,
+            bitDiameter: layout.kerf,
+            notes: notes.join('; '),
+            tools: [config.tool],
+            datum: this.cobot.getDatum(),
+            estimate: estimate
+        });
+    }
+
+    /**
+     * Generate one depth pass along a cut
+     * 
+     * Starts from whichever end of the cut is nearer the bit. When the bit
+     * is not already there (the first pass of a cut) it rapids over at safe
+     * Z first. Beside the sheet it plunges; where the end is over the sheet
+     * (cut.rampIn) it ramps down along the cut at no more than the plunge
+     * rate. Spans in tabSpans are crossed at the tab depth.
+     * @private
+     */
+    _generatePass(toolpath, cut, ends, depth, tabSpans, tabDepth, label, moveToStart) {
+        const forward = Math.abs(this.along - ends[0]) <= Math.abs(this.along - ends[1]);
+        const from = forward ? ends[0] : ends[1];
+        const to = forward ? ends[1] : ends[0];
+        const z = this._z(-depth);
+        
+        if (moveToStart) {
+            toolpath.rapid(this._point(from, cut.position), 'Move to cut start');
+        }
+        toolpath.comment(`${label} to ${this.cobot.formatSBPNumber(-depth)} ${this.cobot.units}`);
+        
+        const spans = forward ? tabSpans : tabSpans.map(span => [span[1], span[0]]).reverse();
+        if (cut.rampIn[forward ? 0 : 1]) {
+            // From the bottom of the kerf cut so far (the sheet top on a first pass)
+            const top = moveToStart ? this._z(-(cut.openDepth || 0)) : this.z;
+            if (moveToStart) {
+                toolpath.feed({ z: top }, cut.openDepth ? 'Down into the kerf' : 'Down to the sheet top');
+            }
+            // Reach full depth before the first tab
+            const room = Math.min(Math.abs(to - from), spans.length > 0 ? Math.abs(spans[0][0] - from) : Infinity);
+            const length = Math.min((top - z) * this.rampRatio, room);
+            toolpath.feed(Object.assign(this._point(from + (forward ? length : -length), cut.position), { z: z }), 'Ramp into the sheet end');
+        } else {
+            toolpath.feed({ z: z }, 'Plunge beside the sheet');
+        }
+        
+        spans.forEach(span => {
+            toolpath.feed(this._point(span[0], cut.position));
+            toolpath.feed({ z: this._z(-tabDepth) }, 'Lift over tab');
+            toolpath.feed(this._point(span[1], cut.position));
+            toolpath.feed({ z: z });
+        });
+        
+        toolpath.feed(this._point(to, cut.position));
+        this.along = to;
+        this.z = z;
+    }
+
+    /**
+     * Ends of a cut, with the lead-in shortened where it would leave the
+     * machine envelope
+     * 
+     * A datum at the edge of the machine (such as machine zero) leaves no
+     * room for the lead-in, so the cut starts as far out as the machine
+     * reaches: at worst with the bit centered on the sheet end, which still
+     * cuts it through, ramping in over the sheet. Ends that cannot reach the
+     * sheet are kept for the pre-flight check to report.
+     * @private
+     */
+    _cutEnds(cut, ends, sheetLength) {
+        const envelope = this.cobot.machineEnvelope;
+        if (!envelope) return ends;
+        
+        // Range of 'along' that stays inside the envelope on this cut's line
+        const base = this._point(0, cut.position);
+        const step = this._point(1, cut.position);
+        let low = -Infinity;
+        let high = Infinity;
+        ['x', 'y'].forEach(axis => {
+            const rate = step[axis] - base[axis];
+            if (Math.abs(rate) < 1e-9) return;
+            const limits = [(envelope[axis + 'min'] - base[axis]) / rate, (envelope[axis + 'max'] - base[axis]) / rate];
+            low = Math.max(low, Math.min(...limits));
+            high = Math.min(high, Math.max(...limits));
+        });
+        
+        return [
+            ends[0] < low && low <= 0 ? low : ends[0],
+            ends[1] > high && high >= sheetLength ? high : ends[1]
+        ];
+    }
+
+    /**
+     * Machine XY of a point given along and across the cuts
+     * @private
+     */
+    _point(along, across) {
+        const work = this.direction === 'y' ? { x: across, y: along } : { x: along, y: across };
+        const machine = this.cobot.toMachineCoordinates(work);
+        return { x: machine.x, y: machine.y };
+    }
+
+    /**
+     * Convert a Z depth (relative to the material top) to a machine Z
+     * @private
+     */
+    _z(depth) {
+        return depth + this.origin.z;
+    }
+
+    /**
+     * Pre-flight safety check of a generated toolpath, attributed to cuts
+     * 
+     * Cuts that ramp into the sheet because the lead-in was shortened are
+     * reported as warnings; they do not fail the check.
+     * @param {CobotToolpath} toolpath - Toolpath returned by generateToolpath()
+     * @param {Object} options - Passed to CobotCore.preflightCheck
+     * @returns {Object} {ok, issues, warnings, cutNumbers}; messages name the cut they belong to
+     */
+    preflight(toolpath, options = {}) {
+        const check = this.cobot.preflightCheck(toolpath, options);
+        
+        // Report each kind of problem once per cut
+        const cutNumbers = new Set();
+        const seen = new Set();
+        const issues = [];
+        check.issues.forEach(issue => {
+            const cut = issue.tag ? issue.tag.cut : null;
+            if (cut === null || cut === undefined) {
+                issues.push(Object.assign({ cut: null }, issue));
+                return;
+            }
+            
+            cutNumbers.add(cut);
+            if (seen.has(`${cut}:${issue.type}`)) return;
+            seen.add(`${cut}:${issue.type}`);
+            issues.push(Object.assign({}, issue, { cut: cut, message: `Cut #${cut}: ${issue.message}` }));
+        });
+        
+        const warnings = (this.rampedCuts || []).map(cut => ({
+            line: null,
+            type: 'lead_in',
+            cut: cut,
+            message: `Cut #${cut}: no room for the lead-in at the machine's edge; the bit ramps into the sheet end`,
+            point: null,
+            tag: { cut: cut }
+        }));
+        
+        return {
+            ok: check.ok,
+            issues: issues,
+            warnings: warnings,
+            cutNumbers: Array.from(cutNumbers)
+        };
+    }
+
+    /**
+     * Validate rip configuration
+     */
+    validateConfig(config) {
+        const errors = [];
+        
+        if (!(config.sheetLength > 0)) {
+            errors.push('Sheet length must be greater than 0');
+        }
+        
+        if (!(config.sheetWidth > 0)) {
+            errors.push('Sheet width must be greater than 0');
+        }
+        
+        if (!(config.materialThickness > 0)) {
+            errors.push('Material thickness must be greater than 0');
+        }
+        
+        if (!config.tool || !(config.tool.diameter > 0)) {
+            errors.push('Bit diameter must be greater than 0');
+        }
+        
+        const strips = config.strips || [];
+        if (strips.length === 0) {
+            errors.push('Add at least one strip');
+        }
+        strips.forEach((strip, index) => {
+            if (!(strip.width > 0)) {
+                errors.push(`Strip #${index + 1}: Width must be greater than 0`);
+            }
+            if (!Number.isInteger(strip.count) || strip.count < 1) {
+                errors.push(`Strip #${index + 1}: Count must be a whole number of at least 1`);
+            }
+        });
+        
+        if (config.stepdown !== undefined && !(config.stepdown > 0)) {
+            errors.push('Stepdown must be greater than 0');
+        }
+        
+        if (config.overcut < 0) {
+            errors.push('Overcut cannot be negative');
+        }
+        
+        if (config.leadIn < 0) {
+            errors.push('Lead-in cannot be negative');
+        }
+        
+        const tabs = config.tabs || {};
+        if (tabs.count > 0) {
+            if (!(tabs.width > 0)) {
+                errors.push('Tab width must be greater than 0');
+            }
+            if (!(tabs.height > 0) || tabs.height >= config.materialThickness) {
+                errors.push('Tab height must be greater than 0 and less than the material thickness');
+            }
+            if (tabs.width * tabs.count >= config.sheetLength) {
+                errors.push('Tabs take up the whole length of the cut');
+            }
+        }
+        
+        if (config.onionSkin < 0 || config.onionSkin >= config.materialThickness) {
+            errors.push('Onion skin must be at least 0 and less than the material thickness');
+        }
+        
+        if (errors.length === 0 && this.layout(config).cuts.length === 0) {
+            errors.push('No cuts to make - the first strip fills the sheet or does not fit on it');
+        }
+        
+        return errors;
+    }
+}
\ No newline at end of file
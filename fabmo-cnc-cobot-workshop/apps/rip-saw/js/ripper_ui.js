@@ -1,7 +0,0 @@
-   fabmo-cnc-cobot-workshop/
-   ├── drillpress-app/
-   ├── ripsaw-app/
-   ├── chopsaw-app/
-   ├── shared/
-   ├── README.md
-   └── package.json
\ No newline at end of file
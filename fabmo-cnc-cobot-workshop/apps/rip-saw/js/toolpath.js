@@ -1,23 +0,0 @@
-   fabmo-cnc-cobot-workshop/
-   ├── README.md
-   ├── package.json
-   ├── server.js
-   ├── config/
-   │   ├── config.js
-   ├── routes/
-   │   ├── drillpress.js
-   │   ├── ripsaw.js
-   │   ├── chopsaw.js
-   ├── dashboard/
-   │   ├── index.html
-   │   ├── css/
-   │   │   ├── styles.css
-   │   ├── js/
-   │   │   ├── fabmo.js
-   │   │   ├── drillpress.js
-   │   │   ├── ripsaw.js
-   │   │   ├── chopsaw.js
-   ├── profiles/
-   │   ├── default.json
-   ├── db.js
-   └── README.md
\ No newline at end of file
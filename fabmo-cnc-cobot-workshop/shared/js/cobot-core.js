@@ -3,9 +3,15 @@
  * 
  * Provides common functionality for all workshop mini-apps including:
  * - FabMo API initialization
- * - Settings persistence and management
- * - Datum/registration coordination
+ * - Settings persistence (on the machine, cached locally) and management
+ * - Named datum registry and registration coordination
+ * - Shared tool library
+ * - Feeds and speeds calculation
  * - OpenSBP generation utilities
+ * - Toolpath building and post-processing to OpenSBP or G-code
+ * - Job time and cost estimates
+ * - Pre-flight safety checks
+ * - Touch-plate and edge probing
  * - Common UI helpers
  * 
  * @module cobot-core
@@ -15,13 +21,14 @@
 
 (function(root, factory) {
     if (typeof define === 'function' && define.amd) {
-        define(['fabmo'], factory);
+        define(['fabmo', 'sbp-simulator', 'cobot-storage', 'cobot-toolpath'], factory);
     } else if (typeof exports === 'object') {
-        module.exports = factory(require('./fabmo'));
+        // The dashboard client only runs in the browser; under Node the caller defines global.FabMoDashboard
+        module.exports = factory(global.FabMoDashboard, require('./sbp-simulator'), require('./cobot-storage'), require('./cobot-toolpath'));
     } else {
-        root.CobotCore = factory(root.FabMoDashboard);
+        root.CobotCore = factory(root.FabMoDashboard, root.SBPSimulator, root.CobotStorage, root.CobotToolpath);
     }
-}(this, function(FabMoDashboard) {
+}(this, function(FabMoDashboard, SBPSimulator, CobotStorage, CobotToolpath) {
     'use strict';
 
     /**
@@ -40,9 +47,48 @@
             
             // Settings storage keys
             this.STORAGE_PREFIX = 'cobot_workshop_';
-            this.DATUM_KEY = this.STORAGE_PREFIX + 'datum';
+            this.DATUM_KEY = this.STORAGE_PREFIX + 'datum'; // Single datum, before the registry
+            this.DATUMS_KEY = this.STORAGE_PREFIX + 'datums';
             this.SETTINGS_KEY = this.STORAGE_PREFIX + 'settings';
+            this.TOOLS_KEY = this.STORAGE_PREFIX + 'tools';
+            this.PROJECTS_KEY = this.STORAGE_PREFIX + 'projects'; // Project index
+            this.PROJECT_KEY_PREFIX = this.STORAGE_PREFIX + 'project_'; // One key per project
             this.APP_SETTINGS_KEY = this.STORAGE_PREFIX + appName.toLowerCase().replace(/\s+/g, '_');
+            
+            // Workshop state is kept on the machine, cached in localStorage
+            this.storage = new CobotStorage(this.fabmo, {
+                prefix: this.STORAGE_PREFIX,
+                appKeys: [this.APP_SETTINGS_KEY],
+                isShared: key => key.startsWith(this.PROJECT_KEY_PREFIX) ||
+                    [this.DATUM_KEY, this.DATUMS_KEY, this.SETTINGS_KEY, this.TOOLS_KEY, this.PROJECTS_KEY].includes(key)
+            });
+            
+            this.registrationPoints = []; // Machine positions captured for registerStock
+            
+            // Settings that could not be loaded as saved
+            this.settingsErrors = [];
+            this.settingsErrorListeners = [];
+            this.setAppSettingsSchema({});
+            
+            // Datum changes from other workshop apps and devices
+            this.datumListeners = [];
+            this.storage.on('change', (key) => {
+                if (key === this.DATUMS_KEY) this._notifyDatumChange();
+            });
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener('storage', (e) => {
+                    if (e.key === this.DATUMS_KEY) this._notifyDatumChange();
+                });
+            }
+            
+            // Pick up changes made on other devices when the app is shown again
+            if (typeof document !== 'undefined' && document.addEventListener) {
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible' && this.initialized) {
+                        this.syncStorage();
+                    }
+                });
+            }
         }
 
         /**
@@ -54,7 +100,7 @@
                 return Promise.resolve(this.config);
             }
 
-            return new Promise((resolve, reject) => {
+            const config = await new Promise((resolve, reject) => {
                 this.fabmo.getConfig((err, config) => {
                     if (err) {
                         console.error('Failed to get FabMo config:', err);
@@ -80,6 +126,25 @@
                     resolve(config);
                 });
             });
+            
+            await this.syncStorage();
+            return config;
+        }
+
+        /**
+         * Sync workshop state with the machine
+         * 
+         * Failures are logged and the cached state stays in use.
+         * @returns {Promise<boolean>} True if the machine was reached
+         */
+        async syncStorage() {
+            try {
+                await this.storage.sync();
+                return true;
+            } catch (error) {
+                console.warn('Machine storage unavailable, using cached workshop data:', error);
+                return false;
+            }
         }
 
         /**
@@ -110,342 +175,2562 @@
         // ====================================================================
 
         /**
-         * Set a datum point for cross-app coordination
+         * Set the active datum's position for cross-app coordination
+         * 
+         * Updates the active datum in the registry (keeping its name,
+         * description and rotation), or creates and activates a new datum
+         * when none is active.
          * @param {Object} datum - Datum information
+         * @param {string} datum.id - Optional registry id to update instead of the active datum
          * @param {number} datum.x - X coordinate
          * @param {number} datum.y - Y coordinate
          * @param {number} datum.z - Z coordinate (often 0 for material top)
-         * @param {string} datum.label - Optional label
+         * @param {number} datum.rotation - Optional rotation in degrees (counterclockwise)
+         * @param {string} datum.label - Optional label, used when a new datum is created
          * @param {string} datum.appName - App that set the datum
          */
         setDatum(datum) {
-            const datumData = {
+            const existing = datum.id ? this.getDatumById(datum.id) : this.getDatum();
+            const datumData = Object.assign({}, existing, {
                 x: datum.x || 0,
                 y: datum.y || 0,
                 z: datum.z || 0,
-                label: datum.label || 'Datum',
-                appName: datum.appName || this.appName,
-                timestamp: Date.now(),
-                units: this.units
-            };
+                appName: datum.appName || this.appName
+            });
             
-            localStorage.setItem(this.DATUM_KEY, JSON.stringify(datumData));
-            console.log('Datum set:', datumData);
-            return datumData;
+            if (!existing) {
+                datumData.label = datum.label || 'Datum';
+            }
+            if (datum.rotation !== undefined) {
+                datumData.rotation = datum.rotation;
+            }
+            
+            return this.saveDatum(datumData, { activate: true });
         }
 
         /**
-         * Get the current datum point
-         * @returns {Object|null} Datum data or null if not set
+         * Get the active datum
+         * @returns {Object|null} Datum data or null if none is active
          */
         getDatum() {
-            const datumStr = localStorage.getItem(this.DATUM_KEY);
-            if (!datumStr) return null;
-            
-            try {
-                return JSON.parse(datumStr);
-            } catch (e) {
-                console.error('Failed to parse datum:', e);
-                return null;
-            }
+            const registry = this._getDatumRegistry();
+            return registry.datums.find(datum => datum.id === registry.activeId) || null;
         }
 
         /**
-         * Clear the datum
+         * Clear the active datum (registry entries are kept)
          */
         clearDatum() {
-            localStorage.removeItem(this.DATUM_KEY);
+            this.setActiveDatum(null);
             console.log('Datum cleared');
         }
 
         /**
-         * Set datum from current machine position
+         * Set the datum X/Y from the current machine position
+         * 
+         * Z is kept from the active datum (0 when none): the bit is rarely
+         * resting on the material, so Z comes only from Probe Material Top.
+         * @param {string} label - Datum label
+         * @returns {Object} Datum data
          */
         async setDatumFromCurrentPosition(label) {
             const pos = await this.getPosition();
+            const active = this.getDatum();
             return this.setDatum({
                 x: pos.x,
                 y: pos.y,
-                z: pos.z,
+                z: active ? active.z : 0,
                 label: label || 'Current Position',
                 appName: this.appName
             });
         }
 
-        // ====================================================================
-        // SETTINGS MANAGEMENT
-        // ====================================================================
-
         /**
-         * Get global workshop settings
-         * @returns {Object} Global settings
+         * Record the current machine position as a stock registration point
+         * 
+         * Jog to the stock edge that should become the work X axis and capture
+         * two points along it, nearest the origin corner first. An optional
+         * third point on the adjacent edge locates the corner itself.
+         * @returns {Array} Registration points captured so far
          */
-        getGlobalSettings() {
-            const settingsStr = localStorage.getItem(this.SETTINGS_KEY);
-            if (!settingsStr) {
-                return this._getDefaultGlobalSettings();
-            }
-            
-            try {
-                const settings = JSON.parse(settingsStr);
-                // Merge with defaults to ensure all keys exist
-                return Object.assign(this._getDefaultGlobalSettings(), settings);
-            } catch (e) {
-                console.error('Failed to parse global settings:', e);
-                return this._getDefaultGlobalSettings();
+        async captureRegistrationPoint() {
+            if (this.registrationPoints.length >= 3) {
+                throw new Error('Three registration points already captured');
             }
+            const pos = await this.getPosition();
+            this.registrationPoints.push({ x: pos.x, y: pos.y, z: pos.z });
+            return this.registrationPoints.slice();
         }
 
         /**
-         * Save global workshop settings
-         * @param {Object} settings - Settings to save
+         * Discard captured registration points
          */
-        setGlobalSettings(settings) {
-            const current = this.getGlobalSettings();
-            const updated = Object.assign(current, settings);
-            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(updated));
-            console.log('Global settings updated:', updated);
-            return updated;
+        clearRegistrationPoints() {
+            this.registrationPoints = [];
         }
 
         /**
-         * Get default global settings
-         * @private
+         * Compute the origin and rotation of skewed stock from probed points
+         * 
+         * Points 1 and 2 lie on the stock's X edge; the rotation is the angle
+         * of that edge. With a third point on the adjacent (Y) edge the origin
+         * is the corner where the edges meet, assuming the stock is square;
+         * otherwise the origin is point 1.
+         * @param {Array} points - Two or three machine positions {x, y}
+         * @returns {Object} Registration {x, y, rotation, edgeLength}
          */
-        _getDefaultGlobalSettings() {
+        computeStockRegistration(points) {
+            if (!points || points.length < 2 || points.length > 3) {
+                throw new Error('Registration needs two or three points');
+            }
+            
+            const [p1, p2, p3] = points;
+            const dx = p2.x - p1.x;
+            const dy = p2.y - p1.y;
+            const edgeLength = Math.sqrt(dx * dx + dy * dy);
+            const minSpacing = this.units === 'mm' ? 25 : 1;
+            if (edgeLength < minSpacing) {
+                throw new Error(`Registration points 1 and 2 must be at least ${minSpacing} ${this.units} apart`);
+            }
+            
+            const ux = dx / edgeLength;
+            const uy = dy / edgeLength;
+            let origin = { x: p1.x, y: p1.y };
+            if (p3) {
+                // Foot of the perpendicular from point 3 onto the X edge
+                const along = (p3.x - p1.x) * ux + (p3.y - p1.y) * uy;
+                origin = { x: p1.x + along * ux, y: p1.y + along * uy };
+            }
+            
             return {
-                safeZ: this.config?.opensbp?.safeZ || 0.5,
-                units: this.units,
-                spindleStartupTime: 3, // seconds
-                feedRate: 2.0, // inches per second
-                plungeRate: 0.5, // inches per second
-                toolDiameter: 0.25, // inches
-                bitType: 'end_mill',
-                preferMetric: false
+                x: origin.x,
+                y: origin.y,
+                rotation: Math.atan2(dy, dx) * 180 / Math.PI,
+                edgeLength
             };
         }
 
         /**
-         * Get app-specific settings
-         * @returns {Object} App settings
+         * Register skewed stock and apply it to the active datum
+         * 
+         * The datum's X/Y and rotation come from the registration; Z is kept
+         * from the active datum unless given. Programs generated afterwards
+         * follow the stock instead of the machine axes.
+         * @param {Object} options - Registration options
+         * @param {Array} options.points - Points to use (default: captured points)
+         * @param {number} options.z - Datum Z (default: active datum Z, or 0)
+         * @param {string} options.label - Label when a new datum is created
+         * @returns {Object} The saved datum
          */
-        getAppSettings() {
-            const settingsStr = localStorage.getItem(this.APP_SETTINGS_KEY);
-            if (!settingsStr) return {};
+        registerStock(options = {}) {
+            const registration = this.computeStockRegistration(options.points || this.registrationPoints);
+            const active = this.getDatum();
+            const z = options.z !== undefined ? options.z : (active ? active.z : 0);
             
-            try {
-                return JSON.parse(settingsStr);
-            } catch (e) {
-                console.error('Failed to parse app settings:', e);
-                return {};
-            }
+            const datum = this.setDatum({
+                x: registration.x,
+                y: registration.y,
+                z,
+                rotation: registration.rotation,
+                label: options.label || 'Registered Stock',
+                appName: this.appName
+            });
+            this.clearRegistrationPoints();
+            return datum;
         }
 
         /**
-         * Save app-specific settings
-         * @param {Object} settings - Settings to save
+         * Get all datums in the registry
+         * @returns {Array} Datum objects
          */
-        setAppSettings(settings) {
-            const current = this.getAppSettings();
-            const updated = Object.assign(current, settings);
-            localStorage.setItem(this.APP_SETTINGS_KEY, JSON.stringify(updated));
-            console.log(`${this.appName} settings updated:`, updated);
-            return updated;
+        getDatums() {
+            return this._getDatumRegistry().datums;
         }
 
         /**
-         * Clear all app settings
+         * Get a datum by id
+         * @param {string} id - Datum id
+         * @returns {Object|null} Datum or null if not found
          */
-        clearAppSettings() {
-            localStorage.removeItem(this.APP_SETTINGS_KEY);
-            console.log(`${this.appName} settings cleared`);
+        getDatumById(id) {
+            return this.getDatums().find(datum => datum.id === id) || null;
         }
 
-        // ====================================================================
-        // OPENSBP GENERATION UTILITIES
-        // ====================================================================
-
         /**
-         * Generate standard OpenSBP header
-         * @param {string} description - Brief description of the operation
-         * @param {Object} options - Additional header options
-         * @returns {string} OpenSBP header
+         * Add or update a named datum (work offset) in the registry
+         * @param {Object} datum - Datum data; an existing id updates that datum
+         * @param {string} datum.label - Name, e.g. "Left Fence"
+         * @param {string} datum.description - Optional description of the fixture
+         * @param {number} datum.x - X coordinate
+         * @param {number} datum.y - Y coordinate
+         * @param {number} datum.z - Z coordinate
+         * @param {number} datum.rotation - Fixture rotation in degrees (counterclockwise)
+         * @param {Object} options - Save options
+         * @param {boolean} options.activate - Make this the active datum
+         * @returns {Object} The saved datum
          */
-        generateSBPHeader(description, options = {}) {
-            const lines = [];
-            lines.push("' ====================================================================");
-            lines.push(`' CNC Cobot Workshop: ${this.appName}`);
-            lines.push(`' ${description}`);
-            lines.push("' ====================================================================");
-            lines.push(`' Generated: ${new Date().toLocaleString()}`);
-            lines.push(`' App Version: ${this.version}`);
-            
-            if (options.materialThickness) {
-                lines.push(`' Material Thickness: ${options.materialThickness} ${this.units}`);
+        saveDatum(datum, options = {}) {
+            const errors = this.validateDatum(datum);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
             }
-            if (options.bitDiameter) {
-                lines.push(`' Bit Diameter: ${options.bitDiameter} ${this.units}`);
+            
+            const registry = this._getDatumRegistry();
+            const datumData = {
+                id: datum.id || `datum_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+                label: datum.label.trim(),
+                description: datum.description || '',
+                x: datum.x || 0,
+                y: datum.y || 0,
+                z: datum.z || 0,
+                rotation: datum.rotation || 0,
+                appName: datum.appName || this.appName,
+                timestamp: Date.now(),
+                units: datum.units || this.units
+            };
+            
+            const index = registry.datums.findIndex(d => d.id === datumData.id);
+            if (index >= 0) {
+                registry.datums[index] = datumData;
+            } else {
+                registry.datums.push(datumData);
             }
-            if (options.notes) {
-                lines.push(`' Notes: ${options.notes}`);
+            if (options.activate) {
+                registry.activeId = datumData.id;
             }
             
-            lines.push("'");
-            return lines.join('\n');
+            this._saveDatumRegistry(registry);
+            console.log('Datum saved:', datumData);
+            return datumData;
         }
 
         /**
-         * Generate standard OpenSBP initialization sequence
-         * @param {Object} options - Options for initialization
-         * @returns {string} OpenSBP initialization code
+         * Remove a datum from the registry
+         * @param {string} id - Datum id
          */
-        generateSBPInit(options = {}) {
-            const settings = this.getGlobalSettings();
-            const safeZ = options.safeZ || settings.safeZ;
-            const spindleDelay = options.spindleDelay || settings.spindleStartupTime;
-            
-            const lines = [];
-            lines.push("' Initialization");
-            lines.push(`&safeZ=${safeZ.toFixed(3)}`);
-            
-            if (options.feedRate) {
-                lines.push(`MS,${options.feedRate.toFixed(3)},${options.feedRate.toFixed(3)}`);
+        deleteDatum(id) {
+            const registry = this._getDatumRegistry();
+            registry.datums = registry.datums.filter(datum => datum.id !== id);
+            if (registry.activeId === id) {
+                registry.activeId = null;
             }
-            if (options.plungeRate) {
-                lines.push(`VS,,,${options.plungeRate.toFixed(3)}`);
+            this._saveDatumRegistry(registry);
+            console.log('Datum deleted:', id);
+        }
+
+        /**
+         * Select the active datum shared by all workshop apps
+         * @param {string|null} id - Datum id, or null for machine coordinates
+         */
+        setActiveDatum(id) {
+            const registry = this._getDatumRegistry();
+            if (id && !registry.datums.some(datum => datum.id === id)) {
+                throw new Error(`Unknown datum: ${id}`);
             }
+            registry.activeId = id || null;
+            this._saveDatumRegistry(registry);
+        }
+
+        /**
+         * Validate datum data
+         * @param {Object} datum - Datum data
+         * @returns {Array} Error messages
+         */
+        validateDatum(datum) {
+            const errors = [];
             
-            if (options.startSpindle !== false) {
-                lines.push('C9  \' Select tool');
-                lines.push('C6  \' Spindle on');
-                lines.push(`PAUSE ${spindleDelay}  \' Wait for spindle to reach speed`);
+            if (!datum.label || !String(datum.label).trim()) {
+                errors.push('Datum name is required');
             }
+            ['x', 'y', 'z', 'rotation'].forEach(axis => {
+                if (datum[axis] !== undefined && datum[axis] !== null && !isFinite(datum[axis])) {
+                    errors.push(`Datum ${axis.toUpperCase()} must be a number`);
+                }
+            });
             
-            lines.push(`JZ,%(safeZ)  \' Move to safe Z`);
-            lines.push('');
-            
-            return lines.join('\n');
+            return errors;
         }
 
         /**
-         * Generate standard OpenSBP cleanup/footer sequence
-         * @param {Object} options - Options for cleanup
-         * @returns {string} OpenSBP cleanup code
+         * Export the datum registry as JSON
+         * @returns {string} JSON document for importDatums
          */
-        generateSBPFooter(options = {}) {
-            const settings = this.getGlobalSettings();
-            const safeZ = options.safeZ || settings.safeZ;
-            const returnHome = options.returnHome !== false;
+        exportDatums() {
+            return JSON.stringify({
+                format: 'cobot-workshop-datums',
+                version: 1,
+                exported: new Date().toISOString(),
+                datums: this.getDatums()
+            }, null, 2);
+        }
+
+        /**
+         * Import datums exported by exportDatums
+         * 
+         * Datums with the same id or name as an existing datum replace it.
+         * @param {string|Object} json - Exported document (or its parsed object)
+         * @param {Object} options - Import options
+         * @param {boolean} options.replace - Discard the current registry first
+         * @returns {number} Number of datums imported
+         */
+        importDatums(json, options = {}) {
+            let data;
+            try {
+                data = typeof json === 'string' ? JSON.parse(json) : json;
+            } catch (e) {
+                throw new Error('Datum file is not valid JSON');
+            }
             
-            const lines = [];
-            lines.push('');
-            lines.push("' Cleanup");
-            lines.push(`JZ,${safeZ.toFixed(3)}  \' Return to safe Z`);
-            lines.push('C7  \' Spindle off');
+            const datums = Array.isArray(data) ? data : data && data.datums;
+            if (!Array.isArray(datums)) {
+                throw new Error('No datums found in file');
+            }
             
-            if (returnHome) {
-                lines.push('J2,0,0  \' Return to home position');
+            const errors = [];
+            datums.forEach((datum, index) => {
+                this.validateDatum(datum).forEach(error => {
+                    errors.push(`Datum ${datum.label || index + 1}: ${error}`);
+                });
+            });
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
             }
             
-            lines.push('END');
-            return lines.join('\n');
+            const registry = options.replace ? { activeId: null, datums: [] } : this._getDatumRegistry();
+            datums.forEach(datum => {
+                const name = datum.label.trim().toLowerCase();
+                const index = registry.datums.findIndex(d => d.id === datum.id || d.label.toLowerCase() === name);
+                const imported = Object.assign({ description: '', rotation: 0, units: this.units }, datum, {
+                    id: index >= 0 ? registry.datums[index].id : datum.id || `datum_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+                    label: datum.label.trim()
+                });
+                
+                if (index >= 0) {
+                    registry.datums[index] = imported;
+                } else {
+                    registry.datums.push(imported);
+                }
+            });
+            
+            this._saveDatumRegistry(registry);
+            return datums.length;
         }
 
         /**
-         * Format a number for OpenSBP output
-         * @param {number} value - Value to format
-         * @param {number} decimals - Number of decimal places (default 3)
-         * @returns {string} Formatted number
+         * Register a callback for datum registry changes, including changes
+         * made by other workshop apps
+         * @param {Function} callback - Called with the active datum (or null)
          */
-        formatSBPNumber(value, decimals = 3) {
-            return value.toFixed(decimals);
+        onDatumChange(callback) {
+            this.datumListeners.push(callback);
         }
 
-        // ====================================================================
-        // JOB MANAGEMENT
-        // ====================================================================
-
         /**
-         * Submit an OpenSBP job to FabMo
-         * @param {string} sbpCode - OpenSBP code to run
-         * @param {Object} options - Job options
-         * @returns {Promise} Resolves when job is submitted
+         * Read the datum registry, migrating a single legacy datum
+         * @private
          */
-        async submitJob(sbpCode, options = {}) {
-            const jobOptions = {
-                name: options.name || `${this.appName} Job`,
-                description: options.description || '',
-                compressed: false
-            };
-
-            return new Promise((resolve, reject) => {
-                this.fabmo.submitJob(sbpCode, jobOptions, (err, result) => {
-                    if (err) {
-                        console.error('Failed to submit job:', err);
-                        reject(err);
-                        return;
-                    }
-                    console.log('Job submitted:', result);
-                    resolve(result);
+        _getDatumRegistry() {
+            const registryStr = this.storage.getItem(this.DATUMS_KEY);
+            if (!registryStr) return this._migrateLegacyDatum();
+            
+            try {
+                const registry = JSON.parse(registryStr);
+                const datums = Array.isArray(registry.datums) ? registry.datums : [];
+                
+                // Datums recorded in other units follow the machine
+                const foreign = datums.filter(datum => datum.units && datum.units !== this.units && CobotCore.UNITS[datum.units]);
+                foreign.forEach(datum => {
+                    ['x', 'y', 'z'].forEach(axis => {
+                        datum[axis] = this.convertLength(datum[axis], datum.units);
+                    });
+                    datum.units = this.units;
                 });
-            });
+                if (foreign.length > 0) {
+                    this.storage.setItem(this.DATUMS_KEY, JSON.stringify({ activeId: registry.activeId || null, datums }));
+                    console.log(`Converted ${foreign.length} datum(s) to ${this.units}`);
+                }
+                
+                return {
+                    activeId: registry.activeId || null,
+                    datums
+                };
+            } catch (e) {
+                console.error('Failed to parse datum registry:', e);
+                return { activeId: null, datums: [] };
+            }
         }
 
         /**
-         * Run an OpenSBP job immediately
-         * @param {string} sbpCode - OpenSBP code to run
-         * @param {Object} options - Job options
-         * @returns {Promise} Resolves when job starts
+         * Persist the datum registry and notify listeners
+         * @private
          */
-        async runJob(sbpCode, options = {}) {
-            const result = await this.submitJob(sbpCode, options);
+        _saveDatumRegistry(registry) {
+            this.storage.setItem(this.DATUMS_KEY, JSON.stringify(registry));
+            this._notifyDatumChange();
+        }
+
+        /**
+         * Move a datum saved under the old single-datum key into the registry
+         * @private
+         */
+        _migrateLegacyDatum() {
+            const registry = { activeId: null, datums: [] };
+            const legacyStr = this.storage.getItem(this.DATUM_KEY);
+            if (!legacyStr) return registry;
             
-            return new Promise((resolve, reject) => {
-                this.fabmo.runNext((err) => {
-                    if (err) {
-                        console.error('Failed to run job:', err);
-                        reject(err);
-                        return;
-                    }
-                    resolve(result);
+            try {
+                const legacy = JSON.parse(legacyStr);
+                const datum = Object.assign({ description: '', rotation: 0 }, legacy, {
+                    id: `datum_${Date.now().toString(36)}`
                 });
-            });
+                registry.datums.push(datum);
+                registry.activeId = datum.id;
+                this.storage.setItem(this.DATUMS_KEY, JSON.stringify(registry));
+                this.storage.removeItem(this.DATUM_KEY);
+                console.log('Migrated datum into registry:', datum);
+            } catch (e) {
+                console.error('Failed to migrate datum:', e);
+            }
+            return registry;
         }
 
-        // ====================================================================
-        // UTILITY FUNCTIONS
-        // ====================================================================
+        /**
+         * Call datum change listeners
+         * @private
+         */
+        _notifyDatumChange() {
+            const datum = this.getDatum();
+            this.datumListeners.forEach(callback => callback(datum));
+        }
 
         /**
-         * Check if a point is within machine envelope
-         * @param {number} x - X coordinate
-         * @param {number} y - Y coordinate
-         * @param {number} z - Z coordinate
-         * @returns {boolean} True if within bounds
+         * Get the datum offset applied to generated coordinates
+         * @returns {Object} Datum {x, y, z, rotation}, or zeros when no datum is active
          */
-        isWithinEnvelope(x, y, z) {
-            if (!this.machineEnvelope) return true; // No bounds checking if not initialized
-            
-            return (
-                x >= this.machineEnvelope.xmin && x <= this.machineEnvelope.xmax &&
-                y >= this.machineEnvelope.ymin && y <= this.machineEnvelope.ymax &&
-                z >= this.machineEnvelope.zmin && z <= this.machineEnvelope.zmax
-            );
+        getDatumOffset() {
+            const datum = this.getDatum();
+            return datum ?
+                { x: datum.x, y: datum.y, z: datum.z, rotation: datum.rotation || 0 } :
+                { x: 0, y: 0, z: 0, rotation: 0 };
         }
 
         /**
-         * Get safe Z height
-         * @returns {number} Safe Z coordinate
+         * Convert work (datum-relative) coordinates to machine coordinates
+         * 
+         * Work X/Y are rotated by the datum rotation about the datum origin.
+         * @param {Object} point - {x, y, z}; missing axes are treated as 0
+         * @returns {Object} Machine coordinates {x, y, z}
          */
-        getSafeZ() {
-            const settings = this.getGlobalSettings();
-            return settings.safeZ;
+        toMachineCoordinates(point) {
+            const offset = this.getDatumOffset();
+            const angle = offset.rotation * Math.PI / 180;
+            const x = point.x || 0;
+            const y = point.y || 0;
+            return {
+                x: offset.x + x * Math.cos(angle) - y * Math.sin(angle),
+                y: offset.y + x * Math.sin(angle) + y * Math.cos(angle),
+                z: (point.z || 0) + offset.z
+            };
         }
 
         /**
-         * Show a notification to the user
-         * @param {string} message - Message to display
-         * @param {string} type - Notification type: 'info', 'success', 'warning', 'error'
+         * Convert machine coordinates to work (datum-relative) coordinates
+         * @param {Object} point - {x, y, z}; missing axes are treated as 0
+         * @returns {Object} Work coordinates {x, y, z}
+         */
+        toWorkCoordinates(point) {
+            const offset = this.getDatumOffset();
+            const angle = offset.rotation * Math.PI / 180;
+            const dx = (point.x || 0) - offset.x;
+            const dy = (point.y || 0) - offset.y;
+            return {
+                x: dx * Math.cos(angle) + dy * Math.sin(angle),
+                y: -dx * Math.sin(angle) + dy * Math.cos(angle),
+                z: (point.z || 0) - offset.z
+            };
+        }
+
+        // ====================================================================
+        // SETTINGS MANAGEMENT
+        // ====================================================================
+
+        /**
+         * Get global workshop settings
+         * 
+         * Stored settings are migrated to the current schema version and
+         * validated on load; invalid values fall back to their defaults.
+         * @returns {Object} Global settings
+         */
+        getGlobalSettings() {
+            return this._loadSettings(this.SETTINGS_KEY, CobotCore.SETTINGS_SCHEMA, this._getDefaultGlobalSettings());
+        }
+
+        /**
+         * Save global workshop settings
+         * @param {Object} settings - Settings to save
+         * @throws {Error} If a value does not match the settings schema
+         */
+        setGlobalSettings(settings) {
+            const errors = this.validateSettings(settings, CobotCore.SETTINGS_SCHEMA);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
+            }
+            
+            const current = this.getGlobalSettings();
+            const updated = Object.assign(current, settings, {
+                schemaVersion: Math.max(current.schemaVersion || 0, CobotCore.SETTINGS_SCHEMA.version)
+            });
+            this.storage.setItem(this.SETTINGS_KEY, JSON.stringify(updated));
+            console.log('Global settings updated:', updated);
+            return updated;
+        }
+
+        /**
+         * Get default global settings
+         * @private
+         */
+        _getDefaultGlobalSettings() {
+            // Lengths and speeds are in machine units: round metric values, not converted inches
+            const metric = this.units === 'mm';
+            const len = (inches, mm) => (metric ? mm : inches);
+            
+            return {
+                safeZ: this.config?.opensbp?.safeZ || len(0.5, 12),
+                units: this.units,
+                spindleStartupTime: 3, // seconds
+                feedRate: len(2.0, 50), // per second
+                plungeRate: len(0.5, 12), // per second
+                toolDiameter: len(0.25, 6.35),
+                bitType: 'end_mill',
+                activeToolId: null, // tool library entry behind toolDiameter/bitType
+                toolChangeX: 0, // machine position for manual tool changes
+                toolChangeY: 0,
+                material: 'plywood', // key into CobotCore.MATERIALS
+                jogSpeedXY: this.config?.opensbp?.jogxy_speed || len(6.0, 150), // per second
+                jogSpeedZ: this.config?.opensbp?.jogz_speed || len(3.0, 75), // per second
+                materialThickness: len(0.75, 18),
+                spoilboardAllowance: len(0.05, 1), // cuts may go this far below the material
+                toolChangeTime: 60, // seconds allowed for each operator tool change
+                machineHourlyRate: 0, // cost per machine hour, 0 to hide costs
+                currencySymbol: '$',
+                probePlateThickness: len(0.125, 3.175), // Z touch plate
+                probeSpeed: len(0.1, 2.5), // per second, final touch
+                probeFastSpeed: len(0.5, 12), // per second, first of a double touch
+                probeBackoff: len(0.05, 1), // backed off between touches
+                probeRetract: len(0.25, 6), // above the contact after probing
+                probeMaxTravel: len(2.0, 50), // the probe may travel before giving up
+                probeInput: 1, // input the touch plate clip is wired to
+                probeDoubleTouch: true,
+                probeDiameter: len(0.25, 6.35), // edge probe pin or bit
+                probeClearance: len(0.5, 12), // the edge probe moves off the stock
+                probeEdgeDepth: len(0.25, 6), // below the start height to probe edges
+                maxFeedRate: len(4.0, 100), // per second
+                maxPlungeRate: len(1.0, 25), // per second
+                minSpindleRPM: 8000,
+                maxSpindleRPM: 24000,
+                preferMetric: metric,
+                postProcessor: 'sbp' // program format, key into CobotCore.POST_PROCESSORS
+            };
+        }
+
+        /**
+         * Get app-specific settings
+         * @returns {Object} App settings, migrated and validated against the app's schema
+         */
+        getAppSettings() {
+            const schema = this.appSettingsSchema;
+            return this._loadSettings(this.APP_SETTINGS_KEY, schema, Object.assign({}, schema.defaults));
+        }
+
+        /**
+         * Save app-specific settings
+         * @param {Object} settings - Settings to save
+         * @throws {Error} If a value does not match the app's settings schema
+         */
+        setAppSettings(settings) {
+            const errors = this.validateSettings(settings, this.appSettingsSchema);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
+            }
+            
+            const current = this.getAppSettings();
+            const updated = Object.assign(current, settings, {
+                schemaVersion: Math.max(current.schemaVersion || 0, this.appSettingsSchema.version),
+                units: this.units
+            });
+            this.storage.setItem(this.APP_SETTINGS_KEY, JSON.stringify(updated));
+            console.log(`${this.appName} settings updated:`, updated);
+            return updated;
+        }
+
+        /**
+         * Clear all app settings
+         */
+        clearAppSettings() {
+            this.storage.removeItem(this.APP_SETTINGS_KEY);
+            console.log(`${this.appName} settings cleared`);
+        }
+
+        /**
+         * Declare the app's settings schema
+         * 
+         * Call before the first getAppSettings. Same shape as
+         * CobotCore.SETTINGS_SCHEMA, plus optional defaults and an optional
+         * convertUnits(settings, factor) for values nested in objects.
+         * @param {Object} schema - Settings schema
+         * @param {number} schema.version - Current schema version
+         * @param {Object} schema.fields - Field definitions keyed by setting name
+         * @param {Object} schema.migrations - Functions keyed by the version they migrate to
+         * @param {Object} schema.defaults - Default values
+         * @param {Function} schema.convertUnits - Converts nested lengths when the machine units change
+         */
+        setAppSettingsSchema(schema) {
+            this.appSettingsSchema = Object.assign({ version: 0, fields: {}, migrations: {}, defaults: {} }, schema);
+        }
+
+        /**
+         * Validate settings against a schema
+         * @param {Object} settings - Settings to check (only the given keys are checked)
+         * @param {Object} schema - Settings schema
+         * @returns {Array} Error messages
+         */
+        validateSettings(settings, schema) {
+            const errors = [];
+            
+            Object.keys(settings).forEach(name => {
+                const field = schema.fields[name];
+                const error = field && this._settingsFieldError(name, settings[name], field);
+                if (error) {
+                    errors.push(error);
+                }
+            });
+            
+            return errors;
+        }
+
+        /**
+         * Register a callback for settings that could not be loaded as saved
+         * 
+         * Called with {key, message, backupKey}; backupKey names the copy of
+         * corrupt data that was moved aside.
+         * @param {Function} callback - Error callback
+         */
+        onSettingsError(callback) {
+            this.settingsErrorListeners.push(callback);
+        }
+
+        /**
+         * Load, migrate and validate stored settings
+         * 
+         * Corrupt data (unparseable, not an object, or a failing migration)
+         * is moved to a backup key and reported; defaults are used until the
+         * settings are saved again. Migrated or repaired settings are written
+         * back so each problem is reported once.
+         * @private
+         */
+        _loadSettings(key, schema, defaults) {
+            const raw = this.storage.getItem(key);
+            if (!raw) return defaults;
+            
+            let settings;
+            try {
+                settings = JSON.parse(raw);
+            } catch (e) {
+                return this._quarantineSettings(key, raw, 'not valid JSON', defaults);
+            }
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                return this._quarantineSettings(key, raw, 'not a settings object', defaults);
+            }
+            
+            const version = settings.schemaVersion || 0;
+            if (version > schema.version) {
+                this._reportSettingsError({
+                    key,
+                    message: `Settings were saved by a newer version of the workshop apps (schema ${version}); update this app before changing them`
+                });
+            }
+            
+            for (let v = version + 1; v <= schema.version; v++) {
+                const migrate = schema.migrations && schema.migrations[v];
+                try {
+                    settings = migrate ? migrate.call(this, Object.assign({}, settings)) : settings;
+                } catch (e) {
+                    return this._quarantineSettings(key, raw, `migration to schema ${v} failed: ${e.message}`, defaults);
+                }
+            }
+            
+            const converted = this._convertSettingsUnits(settings, schema);
+            
+            const problems = [];
+            Object.keys(schema.fields).forEach(name => {
+                if (!(name in settings)) return;
+                
+                const field = schema.fields[name];
+                const value = this._coerceSettingsValue(settings[name], field);
+                const error = this._settingsFieldError(name, value, field);
+                if (error) {
+                    problems.push(error);
+                    delete settings[name];
+                } else {
+                    settings[name] = value;
+                }
+            });
+            
+            if (version < schema.version || converted || problems.length > 0) {
+                settings.schemaVersion = Math.max(version, schema.version);
+                if (version <= schema.version) {
+                    this.storage.setItem(key, JSON.stringify(settings));
+                }
+            }
+            if (problems.length > 0) {
+                this._reportSettingsError({ key, message: `Invalid saved settings replaced by defaults: ${problems.join(', ')}` });
+            }
+            
+            return Object.assign(defaults, settings);
+        }
+
+        /**
+         * Convert settings saved in other units to the machine units
+         * 
+         * Converts schema fields marked length, then calls the schema's
+         * convertUnits(settings, factor) for nested data such as hole lists.
+         * @private
+         * @returns {boolean} True if the settings were converted
+         */
+        _convertSettingsUnits(settings, schema) {
+            const from = settings.units;
+            if (!from || from === this.units || !CobotCore.UNITS[from]) return false;
+            
+            const factor = this.convertLength(1, from);
+            Object.keys(schema.fields).forEach(name => {
+                if (schema.fields[name].length && typeof settings[name] === 'number') {
+                    settings[name] *= factor;
+                }
+            });
+            if (schema.convertUnits) {
+                schema.convertUnits.call(this, settings, factor);
+            }
+            
+            settings.units = this.units;
+            console.log(`Converted ${from} settings to ${this.units}`);
+            return true;
+        }
+
+        /**
+         * Move corrupt settings aside and report them
+         * 
+         * The backup stays in this browser and is not synced; a later
+         * failure of the same key replaces it, so backups do not pile up.
+         * @private
+         */
+        _quarantineSettings(key, raw, reason, defaults) {
+            const backupKey = `${key}_corrupt`;
+            localStorage.setItem(backupKey, raw);
+            this.storage.removeItem(key);
+            
+            this._reportSettingsError({
+                key,
+                backupKey,
+                message: `Saved settings could not be loaded (${reason}); defaults are in use and the old data was kept as ${backupKey}`
+            });
+            return defaults;
+        }
+
+        /**
+         * Record a settings error once and call listeners
+         * @private
+         */
+        _reportSettingsError(error) {
+            if (this.settingsErrors.some(e => e.message === error.message)) return;
+            
+            console.error(`Settings error (${error.key}): ${error.message}`);
+            this.settingsErrors.push(error);
+            this.settingsErrorListeners.forEach(callback => callback(error));
+        }
+
+        /**
+         * Convert stored strings to the field type where unambiguous
+         * @private
+         */
+        _coerceSettingsValue(value, field) {
+            if (typeof value !== 'string') return value;
+            
+            if ((field.type === 'number' || field.type === 'integer') && value.trim() !== '' && isFinite(value)) {
+                return Number(value);
+            }
+            if (field.type === 'boolean' && (value === 'true' || value === 'false')) {
+                return value === 'true';
+            }
+            return value;
+        }
+
+        /**
+         * Check one setting against its field definition
+         * @private
+         */
+        _settingsFieldError(name, value, field) {
+            if (value === null || value === undefined) {
+                return field.nullable ? null : `${name} is required`;
+            }
+            
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (field.type === 'number' || field.type === 'integer') {
+                if (actual !== 'number' || !isFinite(value)) return `${name} must be a number`;
+                if (field.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+                if (field.min !== undefined && value < field.min) return `${name} must be at least ${field.min}`;
+                if (field.max !== undefined && value > field.max) return `${name} must be at most ${field.max}`;
+            } else if (actual !== field.type) {
+                return `${name} must be ${field.type === 'array' || field.type === 'object' ? 'an' : 'a'} ${field.type}`;
+            }
+            
+            const options = typeof field.enum === 'function' ? field.enum() : field.enum;
+            if (options && !options.includes(value)) {
+                return `${name} must be one of ${options.join(', ')}`;
+            }
+            return null;
+        }
+
+        // ====================================================================
+        // TOOL LIBRARY
+        // ====================================================================
+
+        /**
+         * Get all tools in the shared tool library
+         * @returns {Array} Tool objects
+         */
+        getTools() {
+            const toolsStr = this.storage.getItem(this.TOOLS_KEY);
+            if (!toolsStr) return this._convertToolUnits(this._getDefaultTools());
+            
+            try {
+                const tools = JSON.parse(toolsStr);
+                if (tools.some(tool => tool.units && tool.units !== this.units)) {
+                    this._convertToolUnits(tools);
+                    this.storage.setItem(this.TOOLS_KEY, JSON.stringify(tools));
+                }
+                return tools;
+            } catch (e) {
+                console.error('Failed to parse tool library:', e);
+                return this._convertToolUnits(this._getDefaultTools());
+            }
+        }
+
+        /**
+         * Get a tool by id
+         * @param {string} id - Tool id
+         * @returns {Object|null} Tool or null if not found
+         */
+        getTool(id) {
+            return this.getTools().find(tool => tool.id === id) || null;
+        }
+
+        /**
+         * Find library tools matching a diameter
+         * @param {number} diameter - Tool diameter
+         * @param {string} type - Optional tool type to match
+         * @returns {Array} Matching tools
+         */
+        findTools(diameter, type) {
+            return this.getTools().filter(tool =>
+                Math.abs(tool.diameter - diameter) < this.fromInches(0.0005) &&
+                (!type || tool.type === type)
+            );
+        }
+
+        /**
+         * Add or update a tool in the library
+         * @param {Object} tool - Tool data; an existing id updates that tool
+         * @param {string} tool.name - Display name
+         * @param {string} tool.type - One of CobotCore.TOOL_TYPES
+         * @param {number} tool.diameter - Cutting diameter
+         * @param {number} tool.fluteCount - Number of flutes
+         * @param {number} tool.fluteLength - Cutting length of the flutes
+         * @param {number} tool.toolNumber - Tool number used for C9 tool changes
+         * @param {number} tool.feedRate - Recommended feed rate
+         * @param {number} tool.plungeRate - Recommended plunge rate
+         * @param {number} tool.rpm - Recommended spindle RPM
+         * @returns {Object} The saved tool
+         */
+        saveTool(tool) {
+            const errors = this.validateTool(tool);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
+            }
+            
+            const tools = this.getTools();
+            const toolData = {
+                id: tool.id || `tool_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+                name: tool.name.trim(),
+                type: tool.type,
+                diameter: tool.diameter,
+                fluteCount: tool.fluteCount || 2,
+                fluteLength: tool.fluteLength || 0,
+                toolNumber: tool.toolNumber || 1,
+                feedRate: tool.feedRate || null,
+                plungeRate: tool.plungeRate || null,
+                rpm: tool.rpm || null,
+                units: this.units
+            };
+            
+            const index = tools.findIndex(t => t.id === toolData.id);
+            if (index >= 0) {
+                tools[index] = toolData;
+            } else {
+                tools.push(toolData);
+            }
+            
+            this.storage.setItem(this.TOOLS_KEY, JSON.stringify(tools));
+            console.log('Tool saved:', toolData);
+            
+            // Keep the global tool settings in step with the active tool
+            if (this.getGlobalSettings().activeToolId === toolData.id) {
+                this.setActiveTool(toolData.id);
+            }
+            
+            return toolData;
+        }
+
+        /**
+         * Remove a tool from the library
+         * @param {string} id - Tool id
+         */
+        deleteTool(id) {
+            const tools = this.getTools().filter(tool => tool.id !== id);
+            this.storage.setItem(this.TOOLS_KEY, JSON.stringify(tools));
+            
+            if (this.getGlobalSettings().activeToolId === id) {
+                this.setGlobalSettings({ activeToolId: null });
+            }
+            console.log('Tool deleted:', id);
+        }
+
+        /**
+         * Validate tool data
+         * @param {Object} tool - Tool data
+         * @returns {Array} Error messages
+         */
+        validateTool(tool) {
+            const errors = [];
+            
+            if (!tool.name || !tool.name.trim()) {
+                errors.push('Tool name is required');
+            }
+            if (!CobotCore.TOOL_TYPES[tool.type]) {
+                errors.push('Unknown tool type');
+            }
+            if (!tool.diameter || tool.diameter <= 0) {
+                errors.push('Tool diameter must be greater than 0');
+            }
+            if (tool.fluteCount !== undefined && tool.fluteCount !== null && !(tool.fluteCount >= 1)) {
+                errors.push('Flute count must be at least 1');
+            }
+            if (tool.toolNumber !== undefined && tool.toolNumber !== null && !(tool.toolNumber >= 1)) {
+                errors.push('Tool number must be 1 or greater');
+            }
+            
+            return errors;
+        }
+
+        /**
+         * Get the active tool (used for milling operations such as pockets)
+         * @returns {Object|null} Active tool or null if none selected
+         */
+        getActiveTool() {
+            const id = this.getGlobalSettings().activeToolId;
+            return id ? this.getTool(id) : null;
+        }
+
+        /**
+         * Set the active tool and copy its diameter and type into the global settings
+         * @param {string} id - Tool id
+         * @returns {Object} The active tool
+         */
+        setActiveTool(id) {
+            const tool = this.getTool(id);
+            if (!tool) {
+                throw new Error(`Unknown tool: ${id}`);
+            }
+            
+            this.setGlobalSettings({
+                activeToolId: tool.id,
+                toolDiameter: tool.diameter,
+                bitType: tool.type
+            });
+            return tool;
+        }
+
+        /**
+         * Convert tools recorded in other units to the machine units, in place
+         * @private
+         */
+        _convertToolUnits(tools) {
+            tools.forEach(tool => {
+                if (!tool.units || tool.units === this.units || !CobotCore.UNITS[tool.units]) return;
+                
+                ['diameter', 'fluteLength', 'feedRate', 'plungeRate'].forEach(key => {
+                    if (typeof tool[key] === 'number') {
+                        tool[key] = Math.round(this.convertLength(tool[key], tool.units) * 10000) / 10000;
+                    }
+                });
+                tool.units = this.units;
+            });
+            return tools;
+        }
+
+        /**
+         * Get the starter tool library (inches; converted by getTools)
+         * @private
+         */
+        _getDefaultTools() {
+            return [
+                { id: 'default_em_250', name: '1/4" 2-Flute End Mill', type: 'end_mill', diameter: 0.25, fluteCount: 2, fluteLength: 1.0, toolNumber: 1, feedRate: 2.0, plungeRate: 0.5, rpm: 18000, units: 'in' },
+                { id: 'default_em_125', name: '1/8" 2-Flute End Mill', type: 'end_mill', diameter: 0.125, fluteCount: 2, fluteLength: 0.5, toolNumber: 2, feedRate: 1.0, plungeRate: 0.3, rpm: 18000, units: 'in' },
+                { id: 'default_dr_250', name: '1/4" Brad Point Drill', type: 'drill', diameter: 0.25, fluteCount: 2, fluteLength: 2.0, toolNumber: 3, feedRate: null, plungeRate: 0.5, rpm: 12000, units: 'in' },
+                { id: 'default_dr_375', name: '3/8" Brad Point Drill', type: 'drill', diameter: 0.375, fluteCount: 2, fluteLength: 2.5, toolNumber: 4, feedRate: null, plungeRate: 0.4, rpm: 10000, units: 'in' },
+                { id: 'default_vb_90', name: '1/2" 90° V-Bit', type: 'v_bit', diameter: 0.5, fluteCount: 2, fluteLength: 0.25, toolNumber: 5, feedRate: 1.5, plungeRate: 0.5, rpm: 16000, units: 'in' },
+                { id: 'default_bn_250', name: '1/4" Ball Nose', type: 'ball_nose', diameter: 0.25, fluteCount: 2, fluteLength: 0.75, toolNumber: 6, feedRate: 1.5, plungeRate: 0.4, rpm: 18000, units: 'in' }
+            ];
+        }
+
+        // ====================================================================
+        // FEEDS & SPEEDS
+        // ====================================================================
+
+        /**
+         * Get the recommended chipload range for a tool in a material
+         * 
+         * Interpolates the material's chipload table (inches per tooth at 1/8",
+         * 1/4" and 1/2" diameters) at the tool diameter.
+         * @param {Object} tool - Tool with diameter in machine units
+         * @param {string} materialKey - Key into CobotCore.MATERIALS
+         * @returns {Object} {min, max} chipload in machine units per tooth
+         */
+        getChiploadRange(tool, materialKey) {
+            const material = CobotCore.MATERIALS[materialKey];
+            if (!material) {
+                throw new Error(`Unknown material: ${materialKey}`);
+            }
+            
+            const table = material.chipload;
+            const diameters = Object.keys(table).map(Number).sort((a, b) => a - b);
+            const d = Math.min(Math.max(this.toInches(tool.diameter), diameters[0]), diameters[diameters.length - 1]);
+            
+            for (let i = 0; i < diameters.length - 1; i++) {
+                const d0 = diameters[i];
+                const d1 = diameters[i + 1];
+                if (d <= d1) {
+                    const t = (d - d0) / (d1 - d0);
+                    return {
+                        min: this.fromInches(table[d0][0] + (table[d1][0] - table[d0][0]) * t),
+                        max: this.fromInches(table[d0][1] + (table[d1][1] - table[d0][1]) * t)
+                    };
+                }
+            }
+            
+            const last = table[diameters[diameters.length - 1]];
+            return { min: this.fromInches(last[0]), max: this.fromInches(last[1]) };
+        }
+
+        /**
+         * Propose feeds and speeds for a tool in a material
+         * 
+         * Targets the middle of the chipload range at the material's spindle
+         * speed. When that feed exceeds the machine's maximum, the spindle speed
+         * is lowered (down to minSpindleRPM) to hold the chipload before the feed
+         * is capped.
+         * @param {Object} tool - Tool library entry (diameter, fluteCount, type)
+         * @param {string} materialKey - Key into CobotCore.MATERIALS
+         * @returns {Object} {rpm, chipload, feedRate, plungeRate, stepdown, warnings}
+         */
+        calculateFeedsAndSpeeds(tool, materialKey) {
+            const settings = this.getGlobalSettings();
+            const material = CobotCore.MATERIALS[materialKey];
+            const range = this.getChiploadRange(tool, materialKey);
+            const flutes = tool.fluteCount || 2;
+            const chipload = (range.min + range.max) / 2;
+            const warnings = [];
+            
+            let rpm = Math.min(Math.max(material.rpm, settings.minSpindleRPM), settings.maxSpindleRPM);
+            let feedRate = rpm * flutes * chipload / 60; // machine units per second
+            
+            if (feedRate > settings.maxFeedRate) {
+                rpm = Math.max(settings.maxFeedRate * 60 / (flutes * chipload), settings.minSpindleRPM);
+                feedRate = Math.min(rpm * flutes * chipload / 60, settings.maxFeedRate);
+                if (feedRate * 60 / (rpm * flutes) < range.min) {
+                    warnings.push('Machine feed limit keeps chipload below the recommended range - expect heat and rubbing');
+                }
+            }
+            
+            // Drills only plunge; mills plunge at a fraction of the feed
+            const plungeFactor = tool.type === 'drill' ? 0.5 : material.plungeFactor;
+            const plungeRate = Math.min(feedRate * plungeFactor, settings.maxPlungeRate);
+            const stepdown = tool.diameter * material.stepdownFactor;
+            
+            if (tool.fluteLength && stepdown > tool.fluteLength) {
+                warnings.push('Stepdown exceeds flute length');
+            }
+            
+            return {
+                material: materialKey,
+                rpm: Math.round(rpm / 100) * 100,
+                chipload: Math.round(chipload * 100000) / 100000,
+                feedRate: Math.round(feedRate * 100) / 100,
+                plungeRate: Math.round(plungeRate * 100) / 100,
+                stepdown: Math.round(stepdown * 1000) / 1000,
+                warnings: warnings
+            };
+        }
+
+        /**
+         * Check a feed rate and spindle speed against the safe chipload range
+         * @param {Object} tool - Tool library entry (diameter, fluteCount)
+         * @param {string} materialKey - Key into CobotCore.MATERIALS
+         * @param {number} feedRate - Feed rate in machine units per second
+         * @param {number} rpm - Spindle speed
+         * @returns {Object} {chipload, min, max, status: 'ok'|'low'|'high', message}
+         */
+        checkChipload(tool, materialKey, feedRate, rpm) {
+            const range = this.getChiploadRange(tool, materialKey);
+            const chipload = feedRate * 60 / (rpm * (tool.fluteCount || 2));
+            const result = { chipload: chipload, min: range.min, max: range.max, status: 'ok', message: '' };
+            
+            if (chipload > range.max) {
+                result.status = 'high';
+                result.message = `Chipload ${this.formatLength(chipload, 4)} exceeds safe maximum ${this.formatLength(range.max, 4)} - risk of tool breakage`;
+            } else if (chipload < range.min) {
+                result.status = 'low';
+                result.message = `Chipload ${this.formatLength(chipload, 4)} below ${this.formatLength(range.min, 4)} - tool may rub and burn`;
+            }
+            
+            return result;
+        }
+
+        // ====================================================================
+        // OPENSBP GENERATION UTILITIES
+        // ====================================================================
+
+        /**
+         * Generate standard OpenSBP header
+         * @param {string} description - Brief description of the operation
+         * @param {Object} options - Additional header options
+         * @returns {string} OpenSBP header
+         */
+        generateSBPHeader(description, options = {}) {
+            const lines = this._headerLines(description, options).map(line => `' ${line}`);
+            lines.push("'");
+            return lines.join('\n');
+        }
+
+        /**
+         * Describe a datum for a program header
+         * @private
+         */
+        _describeDatum(datum) {
+            if (!datum) {
+                return 'none (machine coordinates)';
+            }
+            const fmt = (v) => this.formatSBPNumber(v);
+            const rotation = datum.rotation ? ` rotated ${fmt(datum.rotation)} deg` : '';
+            return `${datum.label} at X${fmt(datum.x)} Y${fmt(datum.y)} Z${fmt(datum.z)}${rotation} ` +
+                `(${datum.units || this.units}, set by ${datum.appName})`;
+        }
+
+        /**
+         * Generate standard OpenSBP initialization sequence
+         * @param {Object} options - Options for initialization
+         * @returns {string} OpenSBP initialization code
+         */
+        generateSBPInit(options = {}) {
+            const settings = this.getGlobalSettings();
+            const safeZ = options.safeZ || settings.safeZ;
+            const spindleDelay = options.spindleDelay || settings.spindleStartupTime;
+            
+            const lines = [];
+            lines.push("' Initialization");
+            lines.push(`&safeZ=${safeZ.toFixed(3)}`);
+            
+            // MS sets XY and Z move speeds
+            if (options.feedRate || options.plungeRate) {
+                const feedRate = options.feedRate || settings.feedRate;
+                const plungeRate = options.plungeRate || settings.plungeRate;
+                lines.push(`MS,${feedRate.toFixed(3)},${plungeRate.toFixed(3)}`);
+            }
+            
+            if (options.startSpindle !== false) {
+                if (options.toolNumber) {
+                    lines.push(`&Tool=${options.toolNumber}`);
+                }
+                lines.push('C9  \' Select tool');
+                lines.push('C6  \' Spindle on');
+                lines.push(`PAUSE ${spindleDelay}  \' Wait for spindle to reach speed`);
+            }
+            
+            lines.push(`JZ,%(safeZ)  \' Move to safe Z`);
+            lines.push('');
+            
+            return lines.join('\n');
+        }
+
+        /**
+         * Generate an OpenSBP tool change block
+         * 
+         * The first tool of a program is selected and the spindle started. Later
+         * tools stop the spindle, move to the tool change position, run C9 with
+         * &Tool set, and PAUSE so the operator can install the bit. The new bit
+         * is then probed on the touch plate at the touch-off point and the Z
+         * location set so the material top stays at surfaceZ: program Z is
+         * absolute, so the datum Z remains valid for every tool.
+         * @param {Object} tool - Tool to load
+         * @param {number} tool.number - Tool number passed to C9 through &Tool
+         * @param {string} tool.name - Tool description shown to the operator
+         * @param {number} tool.diameter - Tool diameter
+         * @param {number} tool.rpm - Optional spindle speed, set with TR
+         * @param {Object} options - Tool change options
+         * @param {boolean} options.first - True for the first tool in a program
+         * @param {number} options.safeZ - Default from global settings
+         * @param {number} options.spindleDelay - Spin-up pause; default from global settings
+         * @param {number} options.toolChangeX - Tool change position; default from global settings
+         * @param {number} options.toolChangeY - Tool change position; default from global settings
+         * @param {number} options.touchOffX - Touch-off point over the material; default the tool change position
+         * @param {number} options.touchOffY - Touch-off point over the material; default the tool change position
+         * @param {number} options.surfaceZ - Material top; default the active datum Z
+         * @returns {string} OpenSBP tool change code
+         */
+        generateSBPToolChange(tool, options = {}) {
+            const settings = this.getGlobalSettings();
+            const safeZ = options.safeZ || settings.safeZ;
+            const spindleDelay = options.spindleDelay || settings.spindleStartupTime;
+            const changeX = options.toolChangeX !== undefined ? options.toolChangeX : settings.toolChangeX;
+            const changeY = options.toolChangeY !== undefined ? options.toolChangeY : settings.toolChangeY;
+            const touchOff = this._getTouchOff(options, changeX, changeY);
+            const fmt = (v) => this.formatSBPNumber(v);
+            
+            const lines = [];
+            lines.push(`' ==== Tool T${tool.number}: ${tool.name} ====`);
+            
+            if (!options.first) {
+                lines.push(`JZ,${safeZ.toFixed(3)}  \' Retract to safe Z`);
+                lines.push('C7  \' Spindle off');
+                lines.push(`J2,${this.formatSBPNumber(changeX)},${this.formatSBPNumber(changeY)}  \' Move to tool change position`);
+            }
+            
+            lines.push(`&Tool=${tool.number}`);
+            lines.push('C9  \' Select tool');
+            
+            if (!options.first) {
+                lines.push(`' Install T${tool.number} (${tool.name}), then resume`);
+                lines.push('PAUSE');
+                lines.push(`J2,${fmt(touchOff.x)},${fmt(touchOff.y)}  \' Move over the material to touch off`);
+                lines.push(`' Place the touch plate under the bit and attach the clip, then resume`);
+                lines.push('PAUSE');
+                lines.push(`&target = %(3) - ${fmt(touchOff.probe.maxTravel)}`);
+                lines.push(...this._probeTouchLines('Z', '&target', -1, touchOff.probe));
+                lines.push(`VA,,,${fmt(touchOff.contactZ)}  \' Set Z so the material top stays at ${fmt(touchOff.surfaceZ)}`);
+                lines.push(`JZ,${safeZ.toFixed(3)}  \' Clear the plate`);
+                lines.push(`' Remove the touch plate and clip, then resume`);
+                lines.push('PAUSE');
+            }
+            
+            if (tool.rpm) {
+                lines.push(`TR,${Math.round(tool.rpm)}  \' Set spindle speed`);
+            }
+            lines.push('C6  \' Spindle on');
+            lines.push(`PAUSE ${spindleDelay}  \' Wait for spindle to reach speed`);
+            lines.push(`JZ,${safeZ.toFixed(3)}  \' Move to safe Z`);
+            lines.push('');
+            
+            return lines.join('\n');
+        }
+
+        /**
+         * Generate standard OpenSBP cleanup/footer sequence
+         * @param {Object} options - Options for cleanup
+         * @returns {string} OpenSBP cleanup code
+         */
+        generateSBPFooter(options = {}) {
+            const settings = this.getGlobalSettings();
+            const safeZ = options.safeZ || settings.safeZ;
+            const returnHome = options.returnHome !== false;
+            
+            const lines = [];
+            lines.push('');
+            lines.push("' Cleanup");
+            lines.push(`JZ,${safeZ.toFixed(3)}  \' Return to safe Z`);
+            lines.push('C7  \' Spindle off');
+            
+            if (returnHome) {
+                lines.push('J2,0,0  \' Return to home position');
+            }
+            
+            lines.push('END');
+            return lines.join('\n');
+        }
+
+        /**
+         * Format a number for OpenSBP output
+         * @param {number} value - Value to format
+         * @param {number} decimals - Number of decimal places (default 3)
+         * @returns {string} Formatted number
+         */
+        formatSBPNumber(value, decimals = 3) {
+            return value.toFixed(decimals);
+        }
+
+        // ====================================================================
+        // POST-PROCESSING
+        // ====================================================================
+
+        /**
+         * Start a toolpath with this machine's units, safe Z (above the
+         * active datum), spindle spin-up time, tool change position and
+         * material top (the datum Z) that later tools are touched off to
+         * @returns {CobotToolpath} Empty toolpath
+         */
+        createToolpath() {
+            const settings = this.getGlobalSettings();
+            return new CobotToolpath({
+                units: this.units,
+                safeZ: settings.safeZ + this.getDatumOffset().z,
+                spindleDelay: settings.spindleStartupTime,
+                toolChangeX: settings.toolChangeX,
+                toolChangeY: settings.toolChangeY,
+                surfaceZ: this.getDatumOffset().z,
+                probe: {
+                    plateThickness: settings.probePlateThickness,
+                    speed: settings.probeSpeed,
+                    fastSpeed: settings.probeFastSpeed,
+                    backoff: settings.probeBackoff,
+                    doubleTouch: settings.probeDoubleTouch
+                }
+            });
+        }
+
+        /**
+         * Write a toolpath as a machine program
+         * 
+         * Apps describe a job as a CobotToolpath (see cobot-toolpath.js for
+         * the operations) in machine coordinates and machine units, and the
+         * post-processor writes it for the chosen controller.
+         * @param {CobotToolpath|Array} toolpath - Toolpath, or its list of operations
+         * @param {string} format - Key of CobotCore.POST_PROCESSORS (default from global settings)
+         * @returns {string} Program text
+         * @throws {Error} If the format or an operation type is unknown
+         */
+        postProcess(toolpath, format = this.getGlobalSettings().postProcessor) {
+            if (!CobotCore.POST_PROCESSORS[format]) {
+                throw new Error(`Unknown program format: ${format}`);
+            }
+            
+            const operations = Array.isArray(toolpath) ? toolpath : toolpath.operations;
+            const state = { x: null, y: null, z: null, safeZ: null, feedRate: null, plungeRate: null, f: null, cycle: false };
+            const lines = [];
+            operations.forEach(op => {
+                const render = format === 'gcode' ? this._gcodeOperation(op, state) : this._sbpOperation(op, state);
+                lines.push(...render);
+                
+                // Track the tool position for operations relative to it
+                if (op.type === 'start' || op.type === 'toolChange' || op.type === 'end') {
+                    state.z = op.safeZ !== undefined ? op.safeZ : state.z;
+                } else if (op.type === 'drill') {
+                    state.x = op.x;
+                    state.y = op.y;
+                } else {
+                    ['x', 'y', 'z'].forEach(axis => {
+                        if (op[axis] !== undefined) state[axis] = op[axis];
+                    });
+                }
+            });
+            
+            return lines.join('\n');
+        }
+
+        /**
+         * Get the post-processor for a program format
+         * @param {string} format - Key of CobotCore.POST_PROCESSORS (default from global settings)
+         * @returns {Object} {key, name, extension}
+         */
+        getPostProcessor(format = this.getGlobalSettings().postProcessor) {
+            const post = CobotCore.POST_PROCESSORS[format] || CobotCore.POST_PROCESSORS.sbp;
+            return Object.assign({ key: CobotCore.POST_PROCESSORS[format] ? format : 'sbp' }, post);
+        }
+
+        /**
+         * Lines of the program header, without comment marks
+         * @private
+         */
+        _headerLines(description, options = {}) {
+            const lines = [];
+            lines.push('====================================================================');
+            lines.push(`CNC Cobot Workshop: ${this.appName}`);
+            lines.push(description);
+            lines.push('====================================================================');
+            lines.push(`Generated: ${new Date().toLocaleString()}`);
+            lines.push(`App Version: ${this.version}`);
+            lines.push(`Units: ${CobotCore.UNITS[this.units].name} - run only with the machine in ${CobotCore.UNITS[this.units].name}`);
+            
+            if (options.materialThickness) {
+                lines.push(`Material Thickness: ${this.formatLength(options.materialThickness)}`);
+            }
+            if (options.bitDiameter) {
+                lines.push(`Bit Diameter: ${this.formatLength(options.bitDiameter)}`);
+            }
+            if (options.notes) {
+                lines.push(`Notes: ${options.notes}`);
+            }
+            if (options.tools && options.tools.length > 0) {
+                lines.push('Tools:');
+                options.tools.forEach(tool => {
+                    lines.push(`  T${tool.number}: ${tool.name} (${this.formatLength(tool.diameter)})`);
+                });
+            }
+            if (options.datum !== undefined) {
+                lines.push(`Datum: ${this._describeDatum(options.datum)}`);
+            }
+            if (options.estimate) {
+                lines.push(`Estimated Time: ${this.formatEstimate(options.estimate)}`);
+                if (options.estimate.cost !== null) {
+                    lines.push(`Estimated Cost: ${this.formatCost(options.estimate)}`);
+                }
+            }
+            
+            return lines;
+        }
+
+        /**
+         * Render one operation as OpenSBP lines
+         * @private
+         */
+        _sbpOperation(op, state) {
+            const fmt = (value) => this.formatSBPNumber(value);
+            // Heights at the program's safe Z use the &safeZ variable
+            const z = (value) => (state.safeZ !== null && Math.abs(value - state.safeZ) < 1e-9 ? '%(safeZ)' : fmt(value));
+            const note = op.comment ? `  ' ${op.comment}` : '';
+            
+            switch (op.type) {
+                case 'start':
+                    state.safeZ = op.safeZ;
+                    return [
+                        "' === Initialization ===",
+                        `&safeZ=${fmt(op.safeZ)}`,
+                        `&plungeRate=${fmt(op.plungeRate)}`,
+                        `&feedRate=${fmt(op.feedRate)}`,
+                        '',
+                        `MS,${fmt(op.feedRate)},${fmt(op.plungeRate)}`,
+                        '',
+                        "JZ,%(safeZ)  ' Move to safe Z",
+                        ''
+                    ];
+                case 'header':
+                    return this.generateSBPHeader(op.description, op.options).split('\n');
+                case 'comment':
+                    return [op.text ? `' ${op.text}` : ''];
+                case 'feedRate':
+                    return [`MS,${fmt(op.xy)},${fmt(op.z)}${note}`];
+                case 'rapid':
+                case 'feed': {
+                    const letter = op.type === 'rapid' ? 'J' : 'M';
+                    if (op.x === undefined && op.y === undefined) return [`${letter}Z,${z(op.z)}${note}`];
+                    
+                    const xy = `${fmt(op.x !== undefined ? op.x : state.x)},${fmt(op.y !== undefined ? op.y : state.y)}`;
+                    if (op.z !== undefined) return [`${letter}3,${xy},${z(op.z)}${note}`];
+                    return [`${letter}2,${xy}${note}`];
+                }
+                case 'arc': {
+                    // CG,,EndX,EndY,XCenterOffset,YCenterOffset,T,Direction[,Plunge,Repetitions,,,Option,NoPullUp]
+                    // Option 3 is a spiral plunge with a bottom pass
+                    const direction = op.clockwise === false ? -1 : 1;
+                    const helix = op.plunge ? `,${fmt(op.plunge)},${op.repetitions || 1},,,3,1` : '';
+                    return [`CG,,${fmt(op.x)},${fmt(op.y)},${fmt(op.i)},${fmt(op.j)},T,${direction}${helix}${note}`];
+                }
+                case 'drill':
+                    return [].concat(...CobotToolpath.expandDrill(op, this.units).map(step => this._sbpOperation(step, state)));
+                case 'spindle':
+                    if (!op.on) return [`C7${note || "  ' Spindle off"}`];
+                    return (op.rpm ? [`TR,${Math.round(op.rpm)}  ' Set spindle speed`] : []).concat(`C6${note || "  ' Spindle on"}`);
+                case 'pause':
+                    if (op.seconds > 0) return [`PAUSE ${op.seconds}${note}`];
+                    return (op.comment ? [`' ${op.comment}`] : []).concat('PAUSE');
+                case 'toolChange':
+                    return this.generateSBPToolChange(op.tool, op).split('\n');
+                case 'end':
+                    return this.generateSBPFooter({ safeZ: op.safeZ, returnHome: op.returnHome }).split('\n');
+                default:
+                    throw new Error(`Unknown program operation: ${op.type}`);
+            }
+        }
+
+        /**
+         * Render one operation as G-code lines
+         * 
+         * Feed rates are written in units per minute. Drill cycles use G81
+         * and G82 (dwell) with G98, so the tool returns to the height it
+         * started at. Pecks are written out as moves so they retract to
+         * safe Z as in OpenSBP: G83 only goes back to the R plane, and G73
+         * has no word for the retract distance.
+         * @private
+         */
+        _gcodeOperation(op, state) {
+            const fmt = (value) => this.formatSBPNumber(value);
+            const rate = (perSecond) => (perSecond * 60).toFixed(1);
+            const note = op.comment ? ` (${this._gcodeComment(op.comment)})` : '';
+            const lines = [];
+            
+            // Cancel a running drill cycle before anything else moves the tool
+            if (state.cycle && op.type !== 'drill' && op.type !== 'comment') {
+                lines.push('G80');
+                state.cycle = false;
+            }
+            
+            const axes = (move) => ['x', 'y', 'z']
+                .filter(axis => move[axis] !== undefined)
+                .map(axis => `${axis.toUpperCase()}${fmt(move[axis])}`)
+                .join(' ');
+            // XY (or combined) moves cut at the feed rate, Z-only moves at the plunge rate
+            const feed = (move) => {
+                const f = move.x === undefined && move.y === undefined ? state.plungeRate : state.feedRate;
+                if (f === null || f === state.f) return '';
+                state.f = f;
+                return ` F${rate(f)}`;
+            };
+            
+            switch (op.type) {
+                case 'start':
+                    state.safeZ = op.safeZ;
+                    state.feedRate = op.feedRate;
+                    state.plungeRate = op.plungeRate;
+                    lines.push('(=== Initialization ===)');
+                    lines.push(`G90 G94 G17 ${this.units === 'mm' ? 'G21' : 'G20'} (Absolute, units per minute, XY plane, ${CobotCore.UNITS[this.units].name})`);
+                    lines.push(`G0 Z${fmt(op.safeZ)} (Move to safe Z)`);
+                    lines.push('');
+                    break;
+                case 'header':
+                    lines.push(...this._headerLines(op.description, op.options).map(line => `(${this._gcodeComment(line)})`));
+                    lines.push('');
+                    break;
+                case 'comment':
+                    lines.push(op.text ? `(${this._gcodeComment(op.text)})` : '');
+                    break;
+                case 'feedRate':
+                    state.feedRate = op.xy;
+                    state.plungeRate = op.z;
+                    break;
+                case 'rapid':
+                    lines.push(`G0 ${axes(op)}${note}`);
+                    break;
+                case 'feed':
+                    lines.push(`G1 ${axes(op)}${feed(op)}${note}`);
+                    break;
+                case 'arc': {
+                    const code = op.clockwise === false ? 'G3' : 'G2';
+                    const arc = `${code} X${fmt(op.x)} Y${fmt(op.y)} I${fmt(op.i)} J${fmt(op.j)}`;
+                    const f = feed(op);
+                    if (op.plunge) {
+                        // One helical turn per repetition, then a flat turn at the bottom
+                        let z = state.z;
+                        for (let turn = 0; turn < (op.repetitions || 1); turn++) {
+                            z += op.plunge;
+                            lines.push(`${arc} Z${fmt(z)}${turn === 0 ? f : ''}${turn === 0 ? note : ''}`);
+                        }
+                        lines.push(arc);
+                        state.z = z;
+                    } else {
+                        lines.push(`${arc}${f}${note}`);
+                    }
+                    break;
+                }
+                case 'drill': {
+                    if (op.peckDepth > 0) {
+                        lines.push(...[].concat(...CobotToolpath.expandDrill(op, this.units).map(step => this._gcodeOperation(step, state))));
+                        break;
+                    }
+                    let cycle = 'G81';
+                    let extra = '';
+                    if (op.dwell > 0) {
+                        cycle = 'G82';
+                        extra = ` P${this._gcodeDwell(op.dwell)}`;
+                    }
+                    // Start the cycle just above the surface rather than at safe Z
+                    const surface = op.surface !== undefined ? op.surface : op.r;
+                    const r = Math.min(op.r, surface + this.fromInches(0.1));
+                    const f = state.plungeRate !== null && state.plungeRate !== state.f ? ` F${rate(state.plungeRate)}` : '';
+                    state.f = state.plungeRate;
+                    lines.push(`G98 ${cycle} X${fmt(op.x)} Y${fmt(op.y)} Z${fmt(op.z)} R${fmt(r)}${extra}${f}${note}`);
+                    state.cycle = true;
+                    break;
+                }
+                case 'spindle':
+                    lines.push(op.on ? `${op.rpm ? `S${Math.round(op.rpm)} ` : ''}M3${note || ' (Spindle on)'}` : `M5${note || ' (Spindle off)'}`);
+                    break;
+                case 'pause':
+                    if (op.seconds > 0) {
+                        lines.push(`G4 P${this._gcodeDwell(op.seconds)}${note}`);
+                    } else {
+                        lines.push(`M0${note}`);
+                    }
+                    break;
+                case 'toolChange':
+                    lines.push(...this._gcodeToolChange(op.tool, op));
+                    break;
+                case 'end':
+                    lines.push('');
+                    lines.push('(Cleanup)');
+                    lines.push(`G0 Z${fmt(op.safeZ || this.getGlobalSettings().safeZ)} (Return to safe Z)`);
+                    lines.push('M5 (Spindle off)');
+                    if (op.returnHome !== false) {
+                        lines.push('G0 X0.000 Y0.000 (Return to home position)');
+                    }
+                    lines.push('M30');
+                    break;
+                default:
+                    throw new Error(`Unknown program operation: ${op.type}`);
+            }
+            
+            return lines;
+        }
+
+        /**
+         * Render a tool change as G-code, following generateSBPToolChange
+         * @private
+         */
+        _gcodeToolChange(tool, options) {
+            const settings = this.getGlobalSettings();
+            const fmt = (value) => this.formatSBPNumber(value);
+            const safeZ = options.safeZ || settings.safeZ;
+            const spindleDelay = options.spindleDelay || settings.spindleStartupTime;
+            const changeX = options.toolChangeX !== undefined ? options.toolChangeX : settings.toolChangeX;
+            const changeY = options.toolChangeY !== undefined ? options.toolChangeY : settings.toolChangeY;
+            const touchOff = this._getTouchOff(options, changeX, changeY);
+            const lines = [];
+            
+            lines.push(`(==== Tool T${tool.number}: ${this._gcodeComment(tool.name)} ====)`);
+            if (!options.first) {
+                lines.push(`G0 Z${fmt(safeZ)} (Retract to safe Z)`);
+                lines.push('M5 (Spindle off)');
+                lines.push(`G0 X${fmt(changeX)} Y${fmt(changeY)} (Move to tool change position)`);
+            }
+            lines.push(`T${tool.number} M6 (Select tool)`);
+            if (!options.first) {
+                lines.push(`M0 (Install T${tool.number} ${this._gcodeComment(tool.name)}, then resume)`);
+                lines.push(`G0 X${fmt(touchOff.x)} Y${fmt(touchOff.y)} (Move over the material to touch off)`);
+                lines.push('M0 (Place the touch plate under the bit and attach the clip, then resume)');
+                lines.push(`G38.2 Z${fmt(safeZ - touchOff.probe.maxTravel)} F${(touchOff.probe.speed * 60).toFixed(1)} (Touch the plate)`);
+                lines.push(`G10 L20 P0 Z${fmt(touchOff.contactZ)} (Set Z so the material top stays at ${fmt(touchOff.surfaceZ)})`);
+                lines.push(`G0 Z${fmt(safeZ)} (Clear the plate)`);
+                lines.push('M0 (Remove the touch plate and clip, then resume)');
+            }
+            lines.push(`${tool.rpm ? `S${Math.round(tool.rpm)} ` : ''}M3 (Spindle on)`);
+            lines.push(`G4 P${this._gcodeDwell(spindleDelay)} (Wait for spindle to reach speed)`);
+            lines.push(`G0 Z${fmt(safeZ)} (Move to safe Z)`);
+            lines.push('');
+            
+            return lines;
+        }
+
+        /**
+         * Touch-off point, material top and probe options for a tool change;
+         * the plate top is where the new bit makes contact
+         * @private
+         */
+        _getTouchOff(options, changeX, changeY) {
+            const probe = this._getProbeOptions({});
+            const surfaceZ = options.surfaceZ !== undefined ? options.surfaceZ : this.getDatumOffset().z;
+            return {
+                x: options.touchOffX !== undefined ? options.touchOffX : changeX,
+                y: options.touchOffY !== undefined ? options.touchOffY : changeY,
+                surfaceZ: surfaceZ,
+                contactZ: surfaceZ + probe.plateThickness,
+                probe: probe
+            };
+        }
+
+        /**
+         * Make text safe inside a G-code comment
+         * @private
+         */
+        _gcodeComment(text) {
+            return String(text).replace(/\(/g, '[').replace(/\)/g, ']');
+        }
+
+        /**
+         * Dwell time as the G-code P word, in the post-processor's dwell units
+         * @private
+         */
+        _gcodeDwell(seconds) {
+            if (CobotCore.POST_PROCESSORS.gcode.dwellUnits === 'milliseconds') {
+                return Math.round(seconds * 1000);
+            }
+            return seconds;
+        }
+
+        // ====================================================================
+        // JOB ESTIMATES
+        // ====================================================================
+
+        /**
+         * Estimate run time and cost of a toolpath or OpenSBP program
+         * 
+         * Simulates the job: rapids at jog speed, feeds at the rates set in
+         * it, timed pauses (spindle spin-up, dwells) as written, and
+         * toolChangeTime for each operator pause. The pauses of one tool
+         * change (install, touch off) count once, as one tool change.
+         * @param {CobotToolpath|string} program - Toolpath, or OpenSBP program text
+         * @param {Object} options - Overrides for jogSpeedXY, jogSpeedZ, toolChangeTime, machineHourlyRate
+         * @returns {Object} Estimate {seconds, rapidSeconds, feedSeconds, pauseSeconds,
+         *   toolChangeSeconds, toolChanges, rapidDistance, feedDistance, cost, hourlyRate, errors}
+         */
+        estimateJob(program, options = {}) {
+            const settings = Object.assign(this.getGlobalSettings(), options);
+            const safeZ = settings.safeZ + this.getDatumOffset().z;
+            const result = this._simulate(program, {
+                start: { x: 0, y: 0, z: safeZ },
+                jogSpeedXY: settings.jogSpeedXY,
+                jogSpeedZ: settings.jogSpeedZ,
+                safeZ: safeZ,
+                operatorPauseTime: settings.toolChangeTime,
+                probeContact: { z: this.getDatumOffset().z + settings.probePlateThickness }
+            });
+            
+            const seconds = result.time.total;
+            const hourlyRate = settings.machineHourlyRate || 0;
+            
+            return {
+                seconds: seconds,
+                rapidSeconds: result.time.rapid,
+                feedSeconds: result.time.feed,
+                pauseSeconds: result.time.pause,
+                toolChangeSeconds: result.time.operator,
+                toolChanges: result.events.filter(e => e.type === 'pause' && e.toolChange).length,
+                rapidDistance: result.distance.rapid,
+                feedDistance: result.distance.feed,
+                cost: hourlyRate > 0 ? seconds / 3600 * hourlyRate : null,
+                hourlyRate: hourlyRate,
+                errors: result.errors
+            };
+        }
+
+        /**
+         * Simulate a toolpath, or OpenSBP program text
+         * @private
+         */
+        _simulate(program, options) {
+            if (typeof program === 'string') {
+                return new SBPSimulator(options).run(program);
+            }
+            return program.simulate(options);
+        }
+
+        /**
+         * Format a duration for display
+         * @param {number} seconds - Duration in seconds
+         * @returns {string} e.g. "1h 05m", "4m 12s", "35s"
+         */
+        formatDuration(seconds) {
+            const total = Math.round(seconds);
+            const h = Math.floor(total / 3600);
+            const m = Math.floor((total % 3600) / 60);
+            const s = total % 60;
+            
+            if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+            if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+            return `${s}s`;
+        }
+
+        /**
+         * Format an estimate's time breakdown
+         * @param {Object} estimate - Result of estimateJob
+         * @returns {string} Total time with cutting, rapid, pause and tool change parts
+         */
+        formatEstimate(estimate) {
+            const parts = [
+                `cutting ${this.formatDuration(estimate.feedSeconds)}`,
+                `rapids ${this.formatDuration(estimate.rapidSeconds)}`,
+                `pauses ${this.formatDuration(estimate.pauseSeconds)}`
+            ];
+            if (estimate.toolChanges > 0) {
+                parts.push(`${estimate.toolChanges} tool change(s) ${this.formatDuration(estimate.toolChangeSeconds)}`);
+            }
+            return `${this.formatDuration(estimate.seconds)} (${parts.join(', ')})`;
+        }
+
+        /**
+         * Format an estimate's machine cost
+         * @param {Object} estimate - Result of estimateJob
+         * @returns {string} Cost and rate, or empty string when no rate is set
+         */
+        formatCost(estimate) {
+            if (estimate.cost === null) return '';
+            
+            const symbol = this.getGlobalSettings().currencySymbol;
+            return `${symbol}${estimate.cost.toFixed(2)} at ${symbol}${estimate.hourlyRate.toFixed(2)}/hr`;
+        }
+
+        // ====================================================================
+        // PRE-FLIGHT CHECKS
+        // ====================================================================
+
+        /**
+         * Check a toolpath or OpenSBP program is safe to run
+         * 
+         * Walks every simulated motion in machine coordinates (program
+         * coordinates plus offset; programs from the workshop apps already
+         * have the datum applied) and checks:
+         * - every point is inside the machine envelope
+         * - no cut goes deeper than the material thickness plus spoilboard allowance
+         * - safe Z and every XY rapid are above the material surface
+         * @param {CobotToolpath|string} program - Toolpath, or OpenSBP program text
+         * @param {Object} options - Check options
+         * @param {Object} options.offset - Added to program coordinates to get machine coordinates
+         * @param {number} options.surfaceZ - Program Z of the material top (default datum Z)
+         * @param {number} options.materialThickness - Default from global settings
+         * @param {number} options.spoilboardAllowance - Default from global settings
+         * @param {number} options.safeZ - Program safe Z (default global safe Z above the datum)
+         * @returns {Object} {ok, issues: [{line, type, message, point, tag}]} where type is
+         *   'envelope', 'depth', 'rapid', 'safe_z' or 'program'; for a toolpath, line is
+         *   the operation number and tag the operation's tag
+         */
+        preflightCheck(program, options = {}) {
+            const settings = this.getGlobalSettings();
+            const offset = Object.assign({ x: 0, y: 0, z: 0 }, options.offset);
+            const datumZ = this.getDatumOffset().z;
+            const surfaceZ = options.surfaceZ !== undefined ? options.surfaceZ : datumZ;
+            const thickness = options.materialThickness !== undefined ? options.materialThickness : settings.materialThickness;
+            const allowance = options.spoilboardAllowance !== undefined ? options.spoilboardAllowance : settings.spoilboardAllowance;
+            const safeZ = options.safeZ !== undefined ? options.safeZ : settings.safeZ + datumZ;
+            const floorZ = surfaceZ - thickness - allowance;
+            const tolerance = 1e-6;
+            
+            const result = this._simulate(program, {
+                start: { x: 0, y: 0, z: safeZ },
+                safeZ: safeZ,
+                probeContact: { z: datumZ + settings.probePlateThickness }
+            });
+            const where = typeof program === 'string' ? 'Line' : 'Step';
+            const tags = typeof program === 'string' ? [] : program.operations.map(op => op.tag);
+            
+            const issues = [];
+            const reported = new Set();
+            const report = (line, type, message, point) => {
+                const key = `${line}:${type}`;
+                if (reported.has(key)) return;
+                reported.add(key);
+                issues.push({ line: line, type: type, message: message, point: point, tag: tags[line - 1] !== undefined ? tags[line - 1] : null });
+            };
+            const fmt = (p) => `X${this.formatSBPNumber(p.x)} Y${this.formatSBPNumber(p.y)} Z${this.formatSBPNumber(p.z)}`;
+            
+            if (safeZ <= surfaceZ) {
+                report(null, 'safe_z', `Safe Z ${this.formatLength(safeZ)} is not above the material surface`, null);
+            }
+            
+            result.errors.forEach(error => {
+                report(error.line, 'program', `${where} ${error.line}: ${error.message}`, null);
+            });
+            
+            result.segments.forEach(segment => {
+                const machine = {
+                    x: segment.to.x + offset.x,
+                    y: segment.to.y + offset.y,
+                    z: segment.to.z + offset.z
+                };
+                
+                if (!this.isWithinEnvelope(machine.x, machine.y, machine.z)) {
+                    report(segment.line, 'envelope', `${where} ${segment.line}: ${fmt(machine)} is outside the machine envelope`, machine);
+                }
+                
+                if (segment.to.z < floorZ - tolerance) {
+                    report(segment.line, 'depth',
+                        `${where} ${segment.line}: cuts to Z${this.formatSBPNumber(segment.to.z)}, below the material ` +
+                        `(${this.formatLength(thickness)} + ${this.formatLength(allowance)} allowance)`, machine);
+                }
+                
+                const movesXY = Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y) > tolerance;
+                if (segment.type === 'rapid' && movesXY && Math.min(segment.from.z, segment.to.z) < surfaceZ + tolerance) {
+                    report(segment.line, 'rapid', `${where} ${segment.line}: rapid move at Z${this.formatSBPNumber(segment.to.z)} is not above the material`, machine);
+                }
+            });
+            
+            return {
+                ok: issues.length === 0,
+                issues: issues
+            };
+        }
+
+        // ====================================================================
+        // PROJECTS
+        // ====================================================================
+
+        /**
+         * Create a project document for the current app (not yet saved)
+         * 
+         * Projects use one format across the workshop apps (see
+         * CobotCore.PROJECT_FORMAT). The shared fields are filled from the
+         * current workshop state; app-specific content such as holes or cut
+         * lists goes in data.
+         * @param {Object} fields - Project fields
+         * @param {string} fields.name - Project name
+         * @param {string} fields.description - Optional description
+         * @param {Object} fields.material - {key, thickness}; default: the global settings
+         * @param {Object} fields.tools - Tool selections, e.g. {activeToolId, assignments}
+         * @param {string} fields.summary - Short contents for project lists, e.g. "12 holes"
+         * @param {Object} fields.data - App-specific content
+         * @returns {Object} Project document
+         */
+        createProject(fields = {}) {
+            const settings = this.getGlobalSettings();
+            const now = new Date().toISOString();
+            const datum = this.getDatum();
+            
+            return Object.assign({
+                format: CobotCore.PROJECT_FORMAT,
+                version: CobotCore.PROJECT_VERSION,
+                id: null,
+                name: '',
+                description: '',
+                appName: this.appName,
+                appVersion: this.version,
+                created: now,
+                modified: now,
+                units: this.units,
+                material: { key: settings.material, thickness: settings.materialThickness },
+                datum: datum ? this._projectDatum(datum) : null,
+                tools: { activeToolId: settings.activeToolId },
+                summary: '',
+                data: {}
+            }, fields);
+        }
+
+        /**
+         * Save a project to workshop storage
+         * @param {Object} project - Project document; a project without an id is added
+         * @returns {Object} The saved project
+         * @throws {Error} If the project is not valid
+         */
+        saveProject(project) {
+            const errors = this.validateProject(project);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
+            }
+            
+            const saved = Object.assign({}, project, {
+                id: project.id || `project_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+                name: project.name.trim(),
+                appVersion: project.appName === this.appName ? this.version : project.appVersion,
+                modified: new Date().toISOString()
+            });
+            
+            this.storage.setItem(this.PROJECT_KEY_PREFIX + saved.id, JSON.stringify(saved));
+            
+            const index = this._getProjectIndex().filter(entry => entry.id !== saved.id);
+            index.push(this._projectSummary(saved));
+            this.storage.setItem(this.PROJECTS_KEY, JSON.stringify(index));
+            
+            console.log('Project saved:', saved.name);
+            return saved;
+        }
+
+        /**
+         * List saved projects, newest first
+         * @param {Object} options - List options
+         * @param {string} options.appName - Only projects of this app
+         * @returns {Array} Summaries {id, name, description, appName, modified, units, summary}
+         */
+        getProjects(options = {}) {
+            return this._getProjectIndex()
+                .filter(entry => !options.appName || entry.appName === options.appName)
+                .sort((a, b) => b.modified.localeCompare(a.modified));
+        }
+
+        /**
+         * Get a saved project
+         * @param {string} id - Project id
+         * @returns {Object|null} Project document, or null if not found or unreadable
+         */
+        getProject(id) {
+            const projectStr = this.storage.getItem(this.PROJECT_KEY_PREFIX + id);
+            if (!projectStr) return null;
+            
+            try {
+                return JSON.parse(projectStr);
+            } catch (e) {
+                console.error('Failed to parse project:', e);
+                return null;
+            }
+        }
+
+        /**
+         * Save a copy of a project under a new name
+         * @param {string} id - Project id
+         * @param {string} name - Name for the copy (default: "<name> (copy)")
+         * @returns {Object} The new project
+         */
+        duplicateProject(id, name) {
+            const project = this.getProject(id);
+            if (!project) {
+                throw new Error(`Unknown project: ${id}`);
+            }
+            
+            return this.saveProject(Object.assign({}, project, {
+                id: null,
+                name: name || `${project.name} (copy)`,
+                created: new Date().toISOString()
+            }));
+        }
+
+        /**
+         * Remove a project from workshop storage
+         * @param {string} id - Project id
+         */
+        deleteProject(id) {
+            this.storage.removeItem(this.PROJECT_KEY_PREFIX + id);
+            this.storage.setItem(this.PROJECTS_KEY, JSON.stringify(
+                this._getProjectIndex().filter(entry => entry.id !== id)
+            ));
+            console.log('Project deleted:', id);
+        }
+
+        /**
+         * Validate a project document
+         * @param {Object} project - Project document
+         * @returns {Array} Error messages
+         */
+        validateProject(project) {
+            const errors = [];
+            
+            if (!project || typeof project !== 'object') {
+                return ['Project must be an object'];
+            }
+            if (project.format !== CobotCore.PROJECT_FORMAT) {
+                errors.push('Not a workshop project file');
+            }
+            if (!Number.isInteger(project.version) || project.version < 1) {
+                errors.push('Project version must be a whole number');
+            } else if (project.version > CobotCore.PROJECT_VERSION) {
+                errors.push(`Project was saved by a newer version of the workshop apps (format ${project.version})`);
+            }
+            if (!project.name || !String(project.name).trim()) {
+                errors.push('Project name is required');
+            }
+            if (!project.appName) {
+                errors.push('Project app is required');
+            }
+            if (!CobotCore.UNITS[project.units]) {
+                errors.push('Project units must be in or mm');
+            }
+            if (!project.data || typeof project.data !== 'object' || Array.isArray(project.data)) {
+                errors.push('Project data must be an object');
+            }
+            
+            return errors;
+        }
+
+        /**
+         * Export a project as JSON for download
+         * @param {string|Object} project - Project id or document
+         * @returns {string} JSON document for importProject
+         */
+        exportProject(project) {
+            const saved = typeof project === 'string' ? this.getProject(project) : project;
+            if (!saved) {
+                throw new Error(`Unknown project: ${project}`);
+            }
+            return JSON.stringify(saved, null, 2);
+        }
+
+        /**
+         * Import a project exported by exportProject
+         * 
+         * A project whose id is already saved is imported as a new project
+         * so uploads never overwrite existing work.
+         * @param {string|Object} json - Exported document (or its parsed object)
+         * @returns {Object} The saved project
+         */
+        importProject(json) {
+            let project;
+            try {
+                project = typeof json === 'string' ? JSON.parse(json) : json;
+            } catch (e) {
+                throw new Error('Project file is not valid JSON');
+            }
+            
+            const errors = this.validateProject(project);
+            if (errors.length > 0) {
+                throw new Error(errors.join(', '));
+            }
+            
+            const exists = project.id && this.getProject(project.id);
+            return this.saveProject(Object.assign({}, project, {
+                id: exists ? null : project.id
+            }));
+        }
+
+        /**
+         * Read the project index
+         * @private
+         */
+        _getProjectIndex() {
+            const indexStr = this.storage.getItem(this.PROJECTS_KEY);
+            if (!indexStr) return [];
+            
+            try {
+                const index = JSON.parse(indexStr);
+                return Array.isArray(index) ? index : [];
+            } catch (e) {
+                console.error('Failed to parse project index:', e);
+                return [];
+            }
+        }
+
+        /**
+         * Index entry for a project
+         * @private
+         */
+        _projectSummary(project) {
+            return {
+                id: project.id,
+                name: project.name,
+                description: project.description || '',
+                appName: project.appName,
+                modified: project.modified,
+                units: project.units,
+                summary: project.summary || ''
+            };
+        }
+
+        /**
+         * Datum reference stored in a project: the registry id plus a copy
+         * so the datum can be restored where it is not in the registry
+         * @private
+         */
+        _projectDatum(datum) {
+            return {
+                id: datum.id,
+                label: datum.label,
+                x: datum.x,
+                y: datum.y,
+                z: datum.z,
+                rotation: datum.rotation || 0,
+                units: datum.units || this.units
+            };
+        }
+
+        // ====================================================================
+        // JOB MANAGEMENT
+        // ====================================================================
+
+        /**
+         * Submit an OpenSBP or G-code job to FabMo
+         * @param {string} sbpCode - Program to run
+         * @param {Object} options - Job options
+         * @param {string} options.format - Program format, a key of CobotCore.POST_PROCESSORS (default 'sbp');
+         *   FabMo picks the runtime from the file extension
+         * @returns {Promise} Resolves when job is submitted
+         */
+        async submitJob(sbpCode, options = {}) {
+            const name = options.name || `${this.appName} Job`;
+            const jobOptions = {
+                name: name,
+                filename: `${name.replace(/[^\w\- ]+/g, '').trim() || 'job'}.${this.getPostProcessor(options.format || 'sbp').extension}`,
+                description: options.description || '',
+                compressed: false
+            };
+
+            return new Promise((resolve, reject) => {
+                this.fabmo.submitJob(sbpCode, jobOptions, (err, result) => {
+                    if (err) {
+                        console.error('Failed to submit job:', err);
+                        reject(err);
+                        return;
+                    }
+                    console.log('Job submitted:', result);
+                    resolve(result);
+                });
+            });
+        }
+
+        /**
+         * Run an OpenSBP or G-code job immediately
+         * @param {string} sbpCode - Program to run
+         * @param {Object} options - Job options, see submitJob
+         * @returns {Promise} Resolves when job starts
+         */
+        async runJob(sbpCode, options = {}) {
+            const result = await this.submitJob(sbpCode, options);
+            
+            return new Promise((resolve, reject) => {
+                this.fabmo.runNext((err) => {
+                    if (err) {
+                        console.error('Failed to run job:', err);
+                        reject(err);
+                        return;
+                    }
+                    resolve(result);
+                });
+            });
+        }
+
+        /**
+         * Run OpenSBP code directly, without adding it to the job queue
+         * @param {string} sbpCode - OpenSBP code to run
+         * @returns {Promise} Resolves when the code is accepted by the tool
+         */
+        async runSBP(sbpCode) {
+            return new Promise((resolve, reject) => {
+                this.fabmo.runSBP(sbpCode, (err) => {
+                    if (err) {
+                        console.error('Failed to run OpenSBP:', err);
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        /**
+         * Wait for the tool to finish the job or code it is running
+         * 
+         * Listens to FabMoDashboard status events; start listening before
+         * running the job so a short job cannot finish unseen.
+         * @param {Object} options - Wait options
+         * @param {number} options.timeout - Milliseconds to wait (default 120000)
+         * @returns {Promise} Resolves with the final status once the tool is idle again
+         */
+        waitForIdle(options = {}) {
+            const timeout = options.timeout || 120000;
+            
+            return new Promise((resolve, reject) => {
+                let started = false;
+                let settled = false;
+                let timer = null;
+                
+                const finish = (err, status) => {
+                    settled = true;
+                    clearTimeout(timer);
+                    // off() is unreliable in some dashboard versions; settled mutes the listener anyway
+                    if (this.fabmo.off) {
+                        this.fabmo.off('status', onStatus);
+                    }
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(status);
+                    }
+                };
+                
+                const onStatus = (status) => {
+                    if (settled) return;
+                    const error = status.info && status.info.error;
+                    if (error || status.state === 'stopped' || status.state === 'dead') {
+                        finish(new Error(error || `Machine ${status.state}`));
+                    } else if (status.state === 'idle') {
+                        if (started) finish(null, status);
+                    } else {
+                        started = true;
+                    }
+                };
+                
+                timer = setTimeout(() => finish(new Error('Timed out waiting for the machine')), timeout);
+                this.fabmo.on('status', onStatus);
+            });
+        }
+
+        // ====================================================================
+        // PROBING
+        // ====================================================================
+
+        /**
+         * Generate an OpenSBP Z touch-plate probe sequence
+         * 
+         * The bit is lowered onto the plate until the probe input trips; with
+         * double-touch it backs off and touches again at the slow speed. The
+         * program ends retracted exactly options.retract above the contact
+         * point, so the contact Z is the final Z minus the retract.
+         * @param {Object} options - Probe options (default: probe settings)
+         * @returns {string} OpenSBP probe program
+         */
+        generateProbeZSBP(options = {}) {
+            const opts = this._getProbeOptions(options);
+            const fmt = (v) => this.formatSBPNumber(v);
+            const lines = [
+                `' Z Touch-Plate Probe - ${this.appName}`,
+                `' Plate Thickness: ${fmt(opts.plateThickness)} ${this.units}`,
+                `' Place the plate under the bit and attach the clip`,
+                '',
+                `&target = %(3) - ${fmt(opts.maxTravel)}`
+            ];
+            
+            lines.push(...this._probeTouchLines('Z', '&target', -1, opts));
+            lines.push(`&retract = %(3) + ${fmt(opts.retract)}`);
+            lines.push(`JZ,&retract  ' Clear the plate`);
+            lines.push('');
+            lines.push('END');
+            
+            return lines.join('\n');
+        }
+
+        /**
+         * Probe the material top with a touch plate and set the datum Z
+         * 
+         * Runs the probe sequence, waits for it to finish and sets the active
+         * datum's Z to the material top (contact Z minus plate thickness). A
+         * datum at X0 Y0 is created when none is active.
+         * @param {Object} options - Probe options (default: probe settings)
+         * @param {number} options.plateThickness - Touch plate thickness
+         * @param {number} options.speed - Probe speed (units/s)
+         * @param {number} options.fastSpeed - First-touch speed when double-touching
+         * @param {number} options.retract - Height to retract above the contact
+         * @param {number} options.maxTravel - Maximum Z travel before giving up
+         * @param {number} options.input - Probe input number
+         * @param {boolean} options.doubleTouch - Touch twice, the second time slowly
+         * @returns {Promise<Object>} {contactZ, surfaceZ, datum}
+         */
+        async probeZ(options = {}) {
+            const opts = this._getProbeOptions(options);
+            const start = await this.getPosition();
+            
+            const done = this.waitForIdle({ timeout: opts.timeout });
+            await this.runSBP(this.generateProbeZSBP(opts));
+            const status = await done;
+            
+            const contactZ = (status.posz || 0) - opts.retract;
+            if (contactZ <= start.z - opts.maxTravel + 1e-4) {
+                throw new Error('Probe did not touch the plate');
+            }
+            const surfaceZ = contactZ - opts.plateThickness;
+            
+            const active = this.getDatum();
+            const datum = this.setDatum({
+                x: active ? active.x : 0,
+                y: active ? active.y : 0,
+                z: surfaceZ,
+                label: 'Material Top',
+                appName: this.appName
+            });
+            
+            console.log('Probed material top:', surfaceZ);
+            return { contactZ, surfaceZ, datum };
+        }
+
+        /**
+         * Generate an OpenSBP edge probe sequence along X or Y
+         * 
+         * Starting over the stock, less than the clearance from the edge, the
+         * probe moves off the edge, lowers beside the stock and probes back
+         * toward it. The program ends retracted exactly options.retract from
+         * the contact point, with Z back at the start height.
+         * @param {string} axis - 'X' or 'Y'
+         * @param {number} direction - +1 when the stock lies toward +axis from the edge, -1 otherwise
+         * @param {Object} options - Probe options (default: probe settings)
+         * @param {Object} options.start - Start position {x, y, z} over the stock
+         * @returns {string} OpenSBP probe program
+         */
+        generateProbeEdgeSBP(axis, direction, options = {}) {
+            const opts = this._getProbeOptions(options);
+            const fmt = (v) => this.formatSBPNumber(v);
+            const start = opts.start;
+            const along = start[axis.toLowerCase()];
+            const index = axis === 'X' ? 1 : 2;
+            const lines = [
+                `' ${axis} Edge Probe - ${this.appName}`,
+                `' Probe Diameter: ${fmt(opts.diameter)} ${this.units}`,
+                '',
+                `JZ,${fmt(start.z)}`,
+                `J2,${fmt(start.x)},${fmt(start.y)}  ' Start over the stock`,
+                `J${axis},${fmt(along - direction * (opts.clearance + opts.diameter / 2))}  ' Move off the edge`,
+                `MZ,${fmt(start.z - opts.depth)}  ' Lower beside the stock`
+            ];
+            
+            lines.push(...this._probeTouchLines(axis, fmt(along), direction, opts));
+            lines.push(`&retract = %(${index}) ${direction > 0 ? '-' : '+'} ${fmt(opts.retract)}`);
+            lines.push(`J${axis},&retract  ' Clear the edge`);
+            lines.push(`JZ,${fmt(start.z)}`);
+            lines.push('');
+            lines.push('END');
+            
+            return lines.join('\n');
+        }
+
+        /**
+         * Probe one edge of the stock
+         * @param {string} axis - 'X' or 'Y'
+         * @param {number} direction - +1 when the stock lies toward +axis from the edge, -1 otherwise
+         * @param {Object} options - Probe options (default: probe settings)
+         * @param {Object} options.start - Start position over the stock (default: current position)
+         * @returns {Promise<number>} Edge coordinate, compensated for the probe radius
+         */
+        async probeEdge(axis, direction, options = {}) {
+            const opts = this._getProbeOptions(options);
+            const start = opts.start || await this.getPosition();
+            
+            const done = this.waitForIdle({ timeout: opts.timeout });
+            await this.runSBP(this.generateProbeEdgeSBP(axis, direction, Object.assign({}, opts, { start })));
+            const status = await done;
+            
+            const contact = (status[`pos${axis.toLowerCase()}`] || 0) + direction * opts.retract;
+            if (direction * (start[axis.toLowerCase()] - contact) <= 1e-4) {
+                throw new Error(`${axis} probe did not touch the stock`);
+            }
+            return contact + direction * opts.diameter / 2;
+        }
+
+        /**
+         * Find a corner of the stock with X and Y edge probes and set the datum there
+         * 
+         * Start with the probe over the stock near the corner, less than the
+         * probe clearance from both edges and just above the top. Edges are
+         * probed along the machine axes; the active datum's Z and rotation
+         * are kept.
+         * @param {Object} options - Probe options (default: probe settings)
+         * @param {string} options.corner - 'front-left', 'front-right', 'back-left' or 'back-right'
+         * @param {number} options.diameter - Probe (or bit) diameter
+         * @returns {Promise<Object>} {x, y, datum}
+         */
+        async probeCorner(options = {}) {
+            const directions = CobotCore.PROBE_CORNERS[options.corner || 'front-left'];
+            if (!directions) {
+                throw new Error(`Unknown corner: ${options.corner}`);
+            }
+            
+            const start = await this.getPosition();
+            const probeOptions = Object.assign({}, options, { start });
+            const x = await this.probeEdge('X', directions.x, probeOptions);
+            const y = await this.probeEdge('Y', directions.y, probeOptions);
+            
+            const active = this.getDatum();
+            const datum = this.setDatum({
+                x,
+                y,
+                z: active ? active.z : 0,
+                label: 'Stock Corner',
+                appName: this.appName
+            });
+            
+            console.log('Probed stock corner:', x, y);
+            return { x, y, datum };
+        }
+
+        /**
+         * Probe moves toward a target: one slow touch, or a fast touch, a
+         * back-off and a slow touch
+         * @private
+         */
+        _probeTouchLines(axis, target, direction, opts) {
+            const fmt = (v) => this.formatSBPNumber(v);
+            const index = { X: 1, Y: 2, Z: 3 }[axis];
+            const lines = [];
+            
+            if (opts.doubleTouch) {
+                lines.push(`P${axis},${target},${fmt(opts.fastSpeed)},${opts.input}  ' First touch`);
+                lines.push(`&backoff = %(${index}) ${direction > 0 ? '-' : '+'} ${fmt(opts.backoff)}`);
+                lines.push(`J${axis},&backoff`);
+            }
+            lines.push(`P${axis},${target},${fmt(opts.speed)},${opts.input}  ' ${opts.doubleTouch ? 'Second touch' : 'Touch'}`);
+            return lines;
+        }
+
+        /**
+         * Merge probe options with the probe settings
+         * @private
+         */
+        _getProbeOptions(options) {
+            const settings = this.getGlobalSettings();
+            return Object.assign({
+                plateThickness: settings.probePlateThickness,
+                speed: settings.probeSpeed,
+                fastSpeed: settings.probeFastSpeed,
+                retract: settings.probeRetract,
+                backoff: settings.probeBackoff,
+                maxTravel: settings.probeMaxTravel,
+                input: settings.probeInput,
+                doubleTouch: settings.probeDoubleTouch,
+                diameter: settings.probeDiameter,
+                clearance: settings.probeClearance,
+                depth: settings.probeEdgeDepth,
+                timeout: 120000
+            }, options);
+        }
+
+        // ====================================================================
+        // UTILITY FUNCTIONS
+        // ====================================================================
+
+        /**
+         * Check if a point is within machine envelope
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {number} z - Z coordinate
+         * @returns {boolean} True if within bounds
+         */
+        isWithinEnvelope(x, y, z) {
+            if (!this.machineEnvelope) return true; // No bounds checking if not initialized
+            
+            return (
+                x >= this.machineEnvelope.xmin && x <= this.machineEnvelope.xmax &&
+                y >= this.machineEnvelope.ymin && y <= this.machineEnvelope.ymax &&
+                z >= this.machineEnvelope.zmin && z <= this.machineEnvelope.zmax
+            );
+        }
+
+        /**
+         * Convert a length (or a rate per second) between units
+         * @param {number} value - Value to convert
+         * @param {string} from - Units of value: 'in' or 'mm'
+         * @param {string} to - Units to convert to (default: machine units)
+         * @returns {number} Converted value
+         */
+        convertLength(value, from, to = this.units) {
+            if (from === to || value === null || value === undefined) return value;
+            return value * CobotCore.UNITS[to].perInch / CobotCore.UNITS[from].perInch;
+        }
+
+        /**
+         * Convert an inch value to machine units
+         * @param {number} inches - Value in inches
+         * @returns {number} Value in machine units
+         */
+        fromInches(inches) {
+            return this.convertLength(inches, 'in');
+        }
+
+        /**
+         * Convert a value in machine units to inches
+         * @param {number} value - Value in machine units
+         * @returns {number} Value in inches
+         */
+        toInches(value) {
+            return this.convertLength(value, this.units, 'in');
+        }
+
+        /**
+         * Format a length in machine units with its unit label
+         * @param {number} value - Length in machine units
+         * @param {number} decimals - Decimal places (default: per units)
+         * @returns {string} e.g. "0.250 in" or "6.35 mm"
+         */
+        formatLength(value, decimals = CobotCore.UNITS[this.units].decimals) {
+            return `${Number(value).toFixed(decimals)} ${this.units}`;
+        }
+
+        /**
+         * Get the label for speeds in machine units
+         * @returns {string} e.g. "in/s" or "mm/s"
+         */
+        getRateLabel() {
+            return `${this.units}/s`;
+        }
+
+        /**
+         * Get safe Z height
+         * @returns {number} Safe Z coordinate
+         */
+        getSafeZ() {
+            const settings = this.getGlobalSettings();
+            return settings.safeZ;
+        }
+
+        /**
+         * Show a notification to the user
+         * @param {string} message - Message to display
+         * @param {string} type - Notification type: 'info', 'success', 'warning', 'error'
          */
         notify(message, type = 'info') {
             const methodMap = {
@@ -478,5 +2763,176 @@
         }
     }
 
+    /**
+     * Tool types supported by the tool library
+     * @static
+     */
+    CobotCore.TOOL_TYPES = {
+        end_mill: 'End Mill',
+        drill: 'Drill',
+        v_bit: 'V-Bit',
+        ball_nose: 'Ball Nose'
+    };
+
+    /**
+     * Machine units: size relative to an inch, display decimals and name
+     * @static
+     */
+    CobotCore.UNITS = {
+        in: { perInch: 1, decimals: 3, name: 'inches' },
+        mm: { perInch: 25.4, decimals: 2, name: 'millimeters' }
+    };
+
+    /**
+     * Program formats written by postProcess: name and file extension
+     * 
+     * dwellUnits is the unit of the G-code P word in G4 and G82: 'seconds'
+     * (LinuxCNC, Grbl) or 'milliseconds' (Fanuc style controllers).
+     * @static
+     */
+    CobotCore.POST_PROCESSORS = {
+        sbp: { name: 'OpenSBP (ShopBot)', extension: 'sbp' },
+        gcode: { name: 'G-code (RS-274)', extension: 'nc', dwellUnits: 'seconds' }
+    };
+
+    /**
+     * Global settings schema
+     * 
+     * Field types are number, integer, string, boolean, object or array,
+     * with optional min, max, enum and nullable. length marks lengths and
+     * speeds, converted when the machine units change. Each migration upgrades
+     * settings saved under the previous version; settings saved before
+     * versioning are version 0.
+     * @static
+     */
+    CobotCore.SETTINGS_SCHEMA = {
+        version: 1,
+        fields: {
+            safeZ: { type: 'number', length: true },
+            units: { type: 'string', enum: ['in', 'mm'] },
+            spindleStartupTime: { type: 'number', min: 0 },
+            feedRate: { type: 'number', min: 0, length: true },
+            plungeRate: { type: 'number', min: 0, length: true },
+            toolDiameter: { type: 'number', min: 0, length: true },
+            bitType: { type: 'string', enum: Object.keys(CobotCore.TOOL_TYPES) },
+            activeToolId: { type: 'string', nullable: true },
+            toolChangeX: { type: 'number', length: true },
+            toolChangeY: { type: 'number', length: true },
+            material: { type: 'string' },
+            jogSpeedXY: { type: 'number', min: 0, length: true },
+            jogSpeedZ: { type: 'number', min: 0, length: true },
+            materialThickness: { type: 'number', min: 0, length: true },
+            spoilboardAllowance: { type: 'number', min: 0, length: true },
+            toolChangeTime: { type: 'number', min: 0 },
+            machineHourlyRate: { type: 'number', min: 0 },
+            currencySymbol: { type: 'string' },
+            probePlateThickness: { type: 'number', min: 0, length: true },
+            probeSpeed: { type: 'number', min: 0, length: true },
+            probeFastSpeed: { type: 'number', min: 0, length: true },
+            probeBackoff: { type: 'number', min: 0, length: true },
+            probeRetract: { type: 'number', min: 0, length: true },
+            probeMaxTravel: { type: 'number', min: 0, length: true },
+            probeInput: { type: 'integer', min: 1 },
+            probeDoubleTouch: { type: 'boolean' },
+            probeDiameter: { type: 'number', min: 0, length: true },
+            probeClearance: { type: 'number', min: 0, length: true },
+            probeEdgeDepth: { type: 'number', min: 0, length: true },
+            maxFeedRate: { type: 'number', min: 0, length: true },
+            maxPlungeRate: { type: 'number', min: 0, length: true },
+            minSpindleRPM: { type: 'number', min: 0 },
+            maxSpindleRPM: { type: 'number', min: 0 },
+            preferMetric: { type: 'boolean' },
+            postProcessor: { type: 'string', enum: Object.keys(CobotCore.POST_PROCESSORS) }
+        },
+        migrations: {
+            // Settings from before the tool library: link the bit to a library tool
+            1: function(settings) {
+                if (!settings.activeToolId && settings.toolDiameter) {
+                    const tool = this.findTools(Number(settings.toolDiameter), settings.bitType)[0];
+                    settings.activeToolId = tool ? tool.id : null;
+                }
+                return settings;
+            }
+        }
+    };
+
+    /**
+     * Project document format shared by the workshop apps
+     * 
+     * A project is {format, version, id, name, description, appName,
+     * appVersion, created, modified, units, material: {key, thickness},
+     * datum: {id, label, x, y, z, rotation, units} or null,
+     * tools: {activeToolId, ...}, summary, data}; data holds the app's own
+     * content. Bump the version when the shared fields change.
+     * @static
+     */
+    CobotCore.PROJECT_FORMAT = 'cobot-workshop-project';
+    CobotCore.PROJECT_VERSION = 1;
+
+    /**
+     * Stock corners for probeCorner, with the direction from each edge
+     * toward the stock (front is the -Y side of the machine)
+     * @static
+     */
+    CobotCore.PROBE_CORNERS = {
+        'front-left': { x: 1, y: 1 },
+        'front-right': { x: -1, y: 1 },
+        'back-left': { x: 1, y: -1 },
+        'back-right': { x: -1, y: -1 }
+    };
+
+    /**
+     * Material database for feeds and speeds
+     * 
+     * chipload maps tool diameter (in) to [min, max] chipload in inches per
+     * tooth. plungeFactor is plunge rate as a fraction of feed rate;
+     * stepdownFactor is depth per pass as a multiple of tool diameter.
+     * @static
+     */
+    CobotCore.MATERIALS = {
+        plywood: {
+            name: 'Plywood',
+            rpm: 18000,
+            chipload: { 0.125: [0.003, 0.005], 0.25: [0.009, 0.011], 0.5: [0.015, 0.019] },
+            plungeFactor: 0.3,
+            stepdownFactor: 1.0
+        },
+        mdf: {
+            name: 'MDF',
+            rpm: 18000,
+            chipload: { 0.125: [0.004, 0.006], 0.25: [0.011, 0.013], 0.5: [0.021, 0.023] },
+            plungeFactor: 0.3,
+            stepdownFactor: 1.0
+        },
+        hardwood: {
+            name: 'Hardwood',
+            rpm: 18000,
+            chipload: { 0.125: [0.003, 0.005], 0.25: [0.009, 0.011], 0.5: [0.015, 0.017] },
+            plungeFactor: 0.25,
+            stepdownFactor: 0.5
+        },
+        hdpe: {
+            name: 'HDPE',
+            rpm: 16000,
+            chipload: { 0.125: [0.003, 0.006], 0.25: [0.007, 0.010], 0.5: [0.010, 0.012] },
+            plungeFactor: 0.25,
+            stepdownFactor: 0.5
+        },
+        acrylic: {
+            name: 'Acrylic',
+            rpm: 16000,
+            chipload: { 0.125: [0.002, 0.004], 0.25: [0.006, 0.008], 0.5: [0.010, 0.012] },
+            plungeFactor: 0.25,
+            stepdownFactor: 0.5
+        },
+        aluminum: {
+            name: 'Aluminum',
+            rpm: 16000,
+            chipload: { 0.125: [0.002, 0.003], 0.25: [0.003, 0.005], 0.5: [0.004, 0.006] },
+            plungeFactor: 0.2,
+            stepdownFactor: 0.25
+        }
+    };
+
     return CobotCore;
 }));
\ No newline at end of file
@@ -0,0 +1,339 @@
+/**
+ * CNC Cobot Workshop - Datum Picker
+ * 
+ * Reusable selector for the active work datum, backed by the CobotCore
+ * datum registry. The selection is shared by every workshop app. An
+ * optional manager dialog adds, edits, deletes, imports and exports
+ * named datums (fixtures).
+ * 
+ * @module cobot-datum-picker
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['cobot-core'], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('./cobot-core'));
+    } else {
+        root.CobotDatumPicker = factory(root.CobotCore);
+    }
+}(this, function(CobotCore) {
+    'use strict';
+
+    /**
+     * Datum picker UI component
+     * @class CobotDatumPicker
+     */
+    class CobotDatumPicker {
+        /**
+         * @param {CobotCore} cobot - Initialized CobotCore instance
+         * @param {HTMLElement|string} container - Element (or element id) to render into
+         * @param {Object} options - Picker options
+         * @param {string} options.noneLabel - Label for machine coordinates (no datum)
+         * @param {boolean} options.allowManage - Show the Manage button (default true)
+         * @param {Function} options.onSelect - Called with the active datum (or null)
+         */
+        constructor(cobot, container, options = {}) {
+            this.cobot = cobot;
+            this.container = typeof container === 'string' ? document.getElementById(container) : container;
+            this.options = Object.assign({
+                noneLabel: 'No datum (machine coordinates)',
+                allowManage: true,
+                onSelect: null
+            }, options);
+            this.modal = null;
+            
+            this.render();
+        }
+
+        /**
+         * Render the picker into its container
+         */
+        render() {
+            const active = this.cobot.getDatum();
+            
+            this.container.innerHTML = '';
+            this.container.classList.add('datum-picker');
+            
+            const select = document.createElement('select');
+            select.className = 'datum-picker-select';
+            
+            select.appendChild(this._option('', this.options.noneLabel));
+            this.cobot.getDatums().forEach(datum => {
+                select.appendChild(this._option(datum.id, this.formatDatum(datum)));
+            });
+            select.value = active ? active.id : '';
+            
+            select.addEventListener('change', () => {
+                this.cobot.setActiveDatum(select.value || null);
+                if (this.options.onSelect) {
+                    this.options.onSelect(this.cobot.getDatum());
+                }
+            });
+            
+            this.container.appendChild(select);
+            
+            if (this.options.allowManage) {
+                const manageBtn = document.createElement('button');
+                manageBtn.type = 'button';
+                manageBtn.className = 'btn-sm btn-outline';
+                manageBtn.textContent = 'Manage…';
+                manageBtn.addEventListener('click', () => this.openManager());
+                this.container.appendChild(manageBtn);
+            }
+        }
+
+        /**
+         * Format a datum for display in a list
+         * @param {Object} datum - Datum
+         * @returns {string} Display text
+         */
+        formatDatum(datum) {
+            return `${datum.label} ${this._formatPosition(datum)}`;
+        }
+
+        /**
+         * Open the datum manager dialog
+         */
+        openManager() {
+            if (!this.modal) {
+                this.modal = document.createElement('div');
+                this.modal.className = 'modal datum-manager';
+                document.body.appendChild(this.modal);
+            }
+            
+            this.modal.classList.remove('hidden');
+            this._renderManager(null);
+        }
+
+        /**
+         * Close the datum manager dialog
+         */
+        closeManager() {
+            if (this.modal) {
+                this.modal.classList.add('hidden');
+            }
+            this.render();
+        }
+
+        /**
+         * Download the registry as a JSON file
+         */
+        exportDatums() {
+            const blob = new Blob([this.cobot.exportDatums()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'cobot-datums.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+
+        /**
+         * Ask for a JSON file and import its datums into the registry
+         */
+        importDatums() {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return;
+                
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        const count = this.cobot.importDatums(reader.result);
+                        this.cobot.notify(`Imported ${count} datum${count === 1 ? '' : 's'}`, 'success');
+                        this._renderManager(null);
+                    } catch (error) {
+                        this.cobot.notify('Import failed: ' + error.message, 'error');
+                    }
+                };
+                reader.readAsText(file);
+            });
+            input.click();
+        }
+
+        /**
+         * Render the manager dialog, optionally with a datum loaded into the form
+         * @private
+         */
+        _renderManager(editDatum) {
+            const datum = editDatum || { x: 0, y: 0, z: 0, rotation: 0 };
+            const active = this.cobot.getDatum();
+            const units = this.cobot.units;
+            const value = (v) => (v === undefined || v === null ? '' : this._escape(v));
+            
+            const rows = this.cobot.getDatums().map(d => `
+                <div class="datum-manager-item${active && active.id === d.id ? ' active' : ''}">
+                    <div>
+                        <strong>${this._escape(d.label)}</strong>
+                        <span class="text-muted">${this._formatPosition(d)}</span>
+                        ${d.description ? `<div class="text-muted">${this._escape(d.description)}</div>` : ''}
+                    </div>
+                    <div class="hole-actions">
+                        <button class="btn-sm btn-accent" data-action="activate" data-id="${d.id}">Use</button>
+                        <button class="btn-sm btn-secondary" data-action="edit" data-id="${d.id}">Edit</button>
+                        <button class="btn-sm btn-outline" data-action="delete" data-id="${d.id}">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+            
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2>Work Datums</h2>
+                        <button class="modal-close" data-action="close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="datum-manager-list">${rows || '<p class="text-center text-muted">No saved datums.</p>'}</div>
+                        <h3 class="mt-lg">${editDatum ? 'Edit Datum' : 'Add Datum'}</h3>
+                        <div class="input-row">
+                            <div class="input-group">
+                                <label>Name</label>
+                                <input type="text" data-field="label" value="${value(datum.label)}" placeholder="e.g. Left Fence">
+                            </div>
+                            <div class="input-group">
+                                <label>Description</label>
+                                <input type="text" data-field="description" value="${value(datum.description)}">
+                            </div>
+                        </div>
+                        <div class="input-row">
+                            <div class="input-group">
+                                <label>X (${units})</label>
+                                <input type="number" step="0.001" data-field="x" value="${value(datum.x)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Y (${units})</label>
+                                <input type="number" step="0.001" data-field="y" value="${value(datum.y)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Z (${units})</label>
+                                <input type="number" step="0.001" data-field="z" value="${value(datum.z)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Rotation (°)</label>
+                                <input type="number" step="0.01" data-field="rotation" value="${value(datum.rotation)}">
+                            </div>
+                        </div>
+                        <button class="btn-sm btn-outline" data-action="current">Use Current Position</button>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn-outline" data-action="import">Import…</button>
+                        <button class="btn-outline" data-action="export">Export</button>
+                        ${editDatum ? '<button class="btn-outline" data-action="new">New Datum</button>' : ''}
+                        <button class="btn-primary" data-action="save">${editDatum ? 'Save Datum' : 'Add Datum'}</button>
+                        <button class="btn-secondary" data-action="close">Done</button>
+                    </div>
+                </div>
+            `;
+            
+            this.modal.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const action = btn.dataset.action;
+                    
+                    if (action === 'close') {
+                        this.closeManager();
+                    } else if (action === 'new') {
+                        this._renderManager(null);
+                    } else if (action === 'edit') {
+                        this._renderManager(this.cobot.getDatumById(btn.dataset.id));
+                    } else if (action === 'activate') {
+                        this.cobot.setActiveDatum(btn.dataset.id);
+                        if (this.options.onSelect) {
+                            this.options.onSelect(this.cobot.getDatum());
+                        }
+                        this._renderManager(editDatum);
+                    } else if (action === 'delete') {
+                        const target = this.cobot.getDatumById(btn.dataset.id);
+                        if (target && confirm(`Delete datum ${target.label}?`)) {
+                            this.cobot.deleteDatum(target.id);
+                            this._renderManager(null);
+                        }
+                    } else if (action === 'current') {
+                        this._fillCurrentPosition();
+                    } else if (action === 'import') {
+                        this.importDatums();
+                    } else if (action === 'export') {
+                        this.exportDatums();
+                    } else if (action === 'save') {
+                        this._saveManagerForm(editDatum);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Save the datum in the manager form
+         * @private
+         */
+        _saveManagerForm(editDatum) {
+            const datum = Object.assign({}, editDatum);
+            
+            this.modal.querySelectorAll('[data-field]').forEach(input => {
+                const field = input.dataset.field;
+                if (field === 'label' || field === 'description') {
+                    datum[field] = input.value;
+                } else {
+                    const num = parseFloat(input.value);
+                    datum[field] = isNaN(num) ? 0 : num;
+                }
+            });
+            
+            try {
+                const saved = this.cobot.saveDatum(datum);
+                this.cobot.notify(`Saved ${saved.label}`, 'success');
+                this._renderManager(null);
+            } catch (error) {
+                this.cobot.notify('Invalid datum: ' + error.message, 'error');
+            }
+        }
+
+        /**
+         * Fill the form's X/Y/Z from the machine position
+         * @private
+         */
+        async _fillCurrentPosition() {
+            try {
+                const pos = await this.cobot.getPosition();
+                ['x', 'y', 'z'].forEach(axis => {
+                    this.modal.querySelector(`[data-field="${axis}"]`).value = pos[axis].toFixed(4);
+                });
+            } catch (error) {
+                this.cobot.notify('Failed to read machine position', 'error');
+            }
+        }
+
+        /**
+         * Format a datum's position and rotation, e.g. "(1, 2, 0, 90°)"
+         * @private
+         */
+        _formatPosition(datum) {
+            const rotation = datum.rotation ? `, ${datum.rotation}°` : '';
+            return `(${datum.x}, ${datum.y}, ${datum.z}${rotation})`;
+        }
+
+        /**
+         * Escape text for use in HTML
+         * @private
+         */
+        _escape(text) {
+            return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        }
+
+        /**
+         * Create an option element
+         * @private
+         */
+        _option(value, text) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            return option;
+        }
+    }
+
+    return CobotDatumPicker;
+}));
\ No newline at end of file
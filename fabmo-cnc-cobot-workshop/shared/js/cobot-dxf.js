@@ -0,0 +1,230 @@
+/**
+ * CNC Cobot Workshop - DXF Reader and Writer
+ * 
+ * Reads the parts of an ASCII DXF drawing the workshop apps use: the
+ * drawing units ($INSUNITS), the layer names, and CIRCLE and POINT
+ * entities from the ENTITIES section. Other entities are counted so apps
+ * can tell the user what was left out. Block references (INSERT) are
+ * not expanded; explode them in CAD before exporting.
+ * 
+ * Writes R12 (AC1009) drawings with CIRCLE, POINT, LINE and TEXT
+ * entities, which every CAD program opens.
+ * 
+ * Works in the browser (window.CobotDXF) and in Node (require).
+ * 
+ * @module cobot-dxf
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    } else {
+        root.CobotDXF = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * ASCII DXF reader and writer
+     * @class CobotDXF
+     */
+    class CobotDXF {
+        /**
+         * Parse a DXF drawing
+         * @param {string} text - DXF file contents
+         * @returns {Object} Drawing:
+         *   units - 'in', 'ft', 'mm', 'cm', 'm' or null when the drawing is unitless
+         *   layers - layer names used by the read entities, sorted
+         *   entities - [{type: 'CIRCLE'|'POINT', layer, x, y, radius}]
+         *   skipped - counts of unread entity types, e.g. {INSERT: 2}
+         * @throws {Error} If the text is not an ASCII DXF file
+         */
+        parse(text) {
+            const pairs = this._readPairs(text);
+            const drawing = { units: null, layers: [], entities: [], skipped: {} };
+            const layers = new Set();
+            let section = null;
+            let entity = null;
+            
+            const finishEntity = () => {
+                if (!entity) return;
+                if (CobotDXF.ENTITY_TYPES.includes(entity.type)) {
+                    drawing.entities.push(this._toEntity(entity));
+                    layers.add(entity.layer);
+                } else if (section === 'ENTITIES') {
+                    drawing.skipped[entity.type] = (drawing.skipped[entity.type] || 0) + 1;
+                }
+                entity = null;
+            };
+            
+            for (let i = 0; i < pairs.length; i++) {
+                const [code, value] = pairs[i];
+                
+                if (code === 0) {
+                    finishEntity();
+                    if (value === 'SECTION') {
+                        const name = pairs[i + 1];
+                        section = name && name[0] === 2 ? name[1] : null;
+                        i++;
+                    } else if (value === 'ENDSEC') {
+                        section = null;
+                    } else if (section === 'ENTITIES') {
+                        entity = { type: value, layer: '0', codes: {} };
+                    }
+                } else if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+                    const units = pairs[i + 1];
+                    if (units && units[0] === 70) {
+                        drawing.units = CobotDXF.INSUNITS[parseInt(units[1], 10)] || null;
+                        i++;
+                    }
+                } else if (entity) {
+                    if (code === 8) {
+                        entity.layer = value;
+                    } else if (!(code in entity.codes)) {
+                        entity.codes[code] = parseFloat(value);
+                    }
+                }
+            }
+            finishEntity();
+            
+            drawing.layers = Array.from(layers).sort();
+            return drawing;
+        }
+
+        /**
+         * Write a drawing as an ASCII DXF file
+         * @param {Object} drawing - Drawing in the shape returned by parse:
+         *   units - 'in', 'ft', 'mm', 'cm' or 'm'
+         *   entities - [{type: 'CIRCLE'|'POINT'|'LINE'|'TEXT', layer, x, y, ...}] where
+         *     circles have radius, lines end at x2, y2 and text has text, height and an
+         *     optional align ('start', 'middle' or 'end')
+         * @returns {string} DXF file contents
+         * @throws {Error} If an entity type cannot be written
+         */
+        write(drawing) {
+            const insunits = Object.keys(CobotDXF.INSUNITS).find(code => CobotDXF.INSUNITS[code] === drawing.units);
+            const layers = Array.from(new Set(drawing.entities.map(entity => entity.layer || '0')));
+            const pairs = [
+                [0, 'SECTION'], [2, 'HEADER'],
+                [9, '$ACADVER'], [1, 'AC1009'],
+                [9, '$INSUNITS'], [70, insunits || 0],
+                [0, 'ENDSEC'],
+                [0, 'SECTION'], [2, 'TABLES'],
+                [0, 'TABLE'], [2, 'LAYER'], [70, layers.length]
+            ];
+            
+            layers.forEach((layer, i) => {
+                pairs.push([0, 'LAYER'], [2, layer], [70, 0], [62, CobotDXF.LAYER_COLORS[i % CobotDXF.LAYER_COLORS.length]], [6, 'CONTINUOUS']);
+            });
+            pairs.push([0, 'ENDTAB'], [0, 'ENDSEC'], [0, 'SECTION'], [2, 'ENTITIES']);
+            
+            drawing.entities.forEach(entity => {
+                pairs.push([0, entity.type], [8, entity.layer || '0'], [10, entity.x], [20, entity.y], [30, 0]);
+                if (entity.type === 'CIRCLE') {
+                    pairs.push([40, entity.radius]);
+                } else if (entity.type === 'LINE') {
+                    pairs.push([11, entity.x2], [21, entity.y2], [31, 0]);
+                } else if (entity.type === 'TEXT') {
+                    pairs.push([40, entity.height], [1, entity.text]);
+                    if (CobotDXF.TEXT_ALIGN[entity.align]) {
+                        pairs.push([72, CobotDXF.TEXT_ALIGN[entity.align]], [11, entity.x], [21, entity.y], [31, 0]);
+                    }
+                } else if (entity.type !== 'POINT') {
+                    throw new Error(`Cannot write ${entity.type} entities`);
+                }
+            });
+            pairs.push([0, 'ENDSEC'], [0, 'EOF']);
+            
+            return pairs.map(([code, value]) => `${code}\r\n${this._formatValue(value)}`).join('\r\n') + '\r\n';
+        }
+
+        /**
+         * Split DXF text into [group code, value] pairs
+         * @private
+         */
+        _readPairs(text) {
+            const lines = String(text).split(/\r?\n/);
+            const pairs = [];
+            
+            for (let i = 0; i + 1 < lines.length; i += 2) {
+                const code = parseInt(lines[i].trim(), 10);
+                if (isNaN(code)) {
+                    throw new Error(`Not an ASCII DXF file (line ${i + 1})`);
+                }
+                pairs.push([code, lines[i + 1].trim()]);
+            }
+            
+            if (!pairs.some(([code, value]) => code === 0 && value === 'SECTION')) {
+                throw new Error('Not a DXF file: no sections found');
+            }
+            return pairs;
+        }
+
+        /**
+         * Build an entity from its group codes
+         * @private
+         */
+        _toEntity(raw) {
+            const c = raw.codes;
+            // Entities drawn with a flipped extrusion (Z down) are mirrored in X
+            const mirror = c[230] < 0 ? -1 : 1;
+            const entity = {
+                type: raw.type,
+                layer: raw.layer,
+                x: mirror * (c[10] || 0),
+                y: c[20] || 0
+            };
+            
+            if (raw.type === 'CIRCLE') {
+                entity.radius = c[40] || 0;
+            }
+            
+            return entity;
+        }
+
+        /**
+         * Format a group value, trimming float noise from numbers
+         * @private
+         */
+        _formatValue(value) {
+            if (typeof value !== 'number') return String(value);
+            return Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(6)));
+        }
+    }
+
+    /**
+     * Entity types read from the drawing
+     * @static
+     */
+    CobotDXF.ENTITY_TYPES = ['CIRCLE', 'POINT'];
+
+    /**
+     * Drawing units by $INSUNITS code
+     * @static
+     */
+    CobotDXF.INSUNITS = { 1: 'in', 2: 'ft', 4: 'mm', 5: 'cm', 6: 'm' };
+
+    /**
+     * Inches per drawing unit
+     * @static
+     */
+    CobotDXF.INCHES_PER_UNIT = { in: 1, ft: 12, mm: 1 / 25.4, cm: 1 / 2.54, m: 1 / 0.0254 };
+
+    /**
+     * AutoCAD color numbers given to written layers, in order
+     * @static
+     */
+    CobotDXF.LAYER_COLORS = [7, 1, 5, 3, 6, 4, 2];
+
+    /**
+     * TEXT horizontal justification codes by alignment
+     * @static
+     */
+    CobotDXF.TEXT_ALIGN = { start: 0, middle: 1, end: 2 };
+
+    return CobotDXF;
+}));
\ No newline at end of file
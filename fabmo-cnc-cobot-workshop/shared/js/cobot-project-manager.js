@@ -0,0 +1,215 @@
+/**
+ * CNC Cobot Workshop - Project Manager
+ * 
+ * Reusable dialog listing the saved projects of an app, backed by the
+ * CobotCore project store. Projects can be opened, duplicated, deleted,
+ * downloaded as JSON files and uploaded again. Saving is left to the app,
+ * which knows what goes in the project.
+ * 
+ * @module cobot-project-manager
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['cobot-core'], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('./cobot-core'));
+    } else {
+        root.CobotProjectManager = factory(root.CobotCore);
+    }
+}(this, function(CobotCore) {
+    'use strict';
+
+    /**
+     * Project manager UI component
+     * @class CobotProjectManager
+     */
+    class CobotProjectManager {
+        /**
+         * @param {CobotCore} cobot - Initialized CobotCore instance
+         * @param {Object} options - Manager options
+         * @param {string} options.appName - Only list this app's projects (default: the cobot's app)
+         * @param {Function} options.onOpen - Called with the project document to open
+         * @param {Function} options.getCurrentId - Returns the id of the open project, to mark it in the list
+         */
+        constructor(cobot, options = {}) {
+            this.cobot = cobot;
+            this.options = Object.assign({
+                appName: cobot.appName,
+                onOpen: null,
+                getCurrentId: null
+            }, options);
+            this.modal = null;
+        }
+
+        /**
+         * Open the project dialog
+         */
+        open() {
+            if (!this.modal) {
+                this.modal = document.createElement('div');
+                this.modal.className = 'modal project-manager';
+                document.body.appendChild(this.modal);
+            }
+            
+            this.modal.classList.remove('hidden');
+            this._render();
+        }
+
+        /**
+         * Close the project dialog
+         */
+        close() {
+            if (this.modal) {
+                this.modal.classList.add('hidden');
+            }
+        }
+
+        /**
+         * Download a project as a JSON file
+         * @param {string|Object} project - Project id or document
+         */
+        download(project) {
+            const json = this.cobot.exportProject(project);
+            const name = JSON.parse(json).name;
+            const blob = new Blob([json], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${name.replace(/[^\w\- ]+/g, '').trim() || 'project'}.cobot.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        }
+
+        /**
+         * Ask for a project JSON file and save it to the project store
+         */
+        upload() {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,application/json';
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return;
+                
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        const project = this.cobot.importProject(reader.result);
+                        if (project.appName !== this.options.appName) {
+                            this.cobot.notify(`${project.name} is a ${project.appName} project; open it in that app`, 'warning');
+                        } else {
+                            this.cobot.notify(`Uploaded ${project.name}`, 'success');
+                        }
+                        this._render();
+                    } catch (error) {
+                        this.cobot.notify('Upload failed: ' + error.message, 'error');
+                    }
+                };
+                reader.readAsText(file);
+            });
+            input.click();
+        }
+
+        /**
+         * Render the project list
+         * @private
+         */
+        _render() {
+            const currentId = this.options.getCurrentId ? this.options.getCurrentId() : null;
+            
+            const rows = this.cobot.getProjects({ appName: this.options.appName }).map(p => `
+                <div class="project-manager-item${p.id === currentId ? ' active' : ''}">
+                    <div>
+                        <strong>${this._escape(p.name)}</strong>
+                        <span class="text-muted">${this._escape(p.summary)}</span>
+                        <div class="text-muted">Saved ${new Date(p.modified).toLocaleString()}${p.units !== this.cobot.units ? ` (${p.units}, converted on open)` : ''}</div>
+                        ${p.description ? `<div class="text-muted">${this._escape(p.description)}</div>` : ''}
+                    </div>
+                    <div class="hole-actions">
+                        <button class="btn-sm btn-accent" data-action="open" data-id="${p.id}">Open</button>
+                        <button class="btn-sm btn-secondary" data-action="duplicate" data-id="${p.id}">Duplicate</button>
+                        <button class="btn-sm btn-secondary" data-action="download" data-id="${p.id}">Download</button>
+                        <button class="btn-sm btn-outline" data-action="delete" data-id="${p.id}">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+            
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2>${this._escape(this.options.appName)} Projects</h2>
+                        <button class="modal-close" data-action="close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="project-manager-list">${rows || '<p class="text-center text-muted">No saved projects.</p>'}</div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn-outline" data-action="upload">Upload…</button>
+                        <button class="btn-secondary" data-action="close">Done</button>
+                    </div>
+                </div>
+            `;
+            
+            this.modal.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const action = btn.dataset.action;
+                    
+                    if (action === 'close') {
+                        this.close();
+                    } else if (action === 'upload') {
+                        this.upload();
+                    } else if (action === 'open') {
+                        this._openProject(btn.dataset.id);
+                    } else if (action === 'duplicate') {
+                        const copy = this.cobot.duplicateProject(btn.dataset.id);
+                        this.cobot.notify(`Saved ${copy.name}`, 'success');
+                        this._render();
+                    } else if (action === 'download') {
+                        this.download(btn.dataset.id);
+                    } else if (action === 'delete') {
+                        const target = this.cobot.getProject(btn.dataset.id);
+                        if (target && confirm(`Delete project ${target.name}?`)) {
+                            this.cobot.deleteProject(target.id);
+                            this._render();
+                        }
+                    }
+                });
+            });
+        }
+
+        /**
+         * Hand a saved project to the app and close the dialog
+         * @private
+         */
+        _openProject(id) {
+            const project = this.cobot.getProject(id);
+            if (!project) {
+                this.cobot.notify('Project could not be read', 'error');
+                return;
+            }
+            
+            const errors = this.cobot.validateProject(project);
+            if (errors.length > 0) {
+                this.cobot.notify('Cannot open project: ' + errors.join(', '), 'error');
+                return;
+            }
+            
+            this.close();
+            if (this.options.onOpen) {
+                this.options.onOpen(project);
+            }
+        }
+
+        /**
+         * Escape text for use in HTML
+         * @private
+         */
+        _escape(text) {
+            return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        }
+    }
+
+    return CobotProjectManager;
+}));
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * CNC Cobot Workshop - Storage
+ * 
+ * Key/value storage for workshop state that follows the machine rather
+ * than the browser. Reads and writes are synchronous against a
+ * localStorage cache; changes are pushed to the machine and pulled back
+ * on sync, so every tablet and laptop sees the same data.
+ * 
+ * Shared keys (datums, tool library, settings, projects) are kept in the
+ * machine configuration (getConfig/setConfig), which every app on every
+ * device reads. Keys that belong to one app (options.appKeys) are kept in
+ * that app's own config (getAppConfig/setAppConfig); FabMo keeps a
+ * separate app config per app. Other apps' keys in the same cache are
+ * left alone.
+ * 
+ * Each key carries a modification time. When the same key was changed
+ * both locally and on the machine since the last sync, the newer change
+ * wins and 'conflict' listeners are told which side was kept. While the
+ * machine is unreachable the cache keeps working and unsynced changes are
+ * pushed on the next successful sync.
+ * 
+ * @module cobot-storage
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    } else {
+        root.CobotStorage = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * Machine-backed storage with a localStorage cache
+     * @class CobotStorage
+     */
+    class CobotStorage {
+        /**
+         * @param {FabMoDashboard} fabmo - Dashboard used for app config
+         * @param {Object} options - Storage options
+         * @param {string} options.prefix - Only localStorage keys with this prefix are synced
+         * @param {string} options.namespace - Config property holding the synced keys
+         * @param {Function} options.isShared - True for keys kept in the machine config (default: all)
+         * @param {Array} options.appKeys - Keys kept in this app's config instead
+         * @param {number} options.syncDelay - Milliseconds to batch writes before syncing (default 500)
+         */
+        constructor(fabmo, options = {}) {
+            this.fabmo = fabmo;
+            this.prefix = options.prefix || 'cobot_workshop_';
+            this.namespace = options.namespace || 'cobotWorkshop';
+            this.syncDelay = options.syncDelay !== undefined ? options.syncDelay : 500;
+            this.appKeys = options.appKeys || [];
+            this.isShared = options.isShared || (() => true);
+            this.META_KEY = this.prefix + 'storage_meta';
+            
+            this.online = false; // Last sync reached the machine
+            this.syncing = null; // Promise of the sync in progress
+            this.syncPending = false;
+            this.syncTimer = null;
+            this.listeners = { change: [], conflict: [] };
+        }
+
+        /**
+         * Read a value from the cache
+         * @param {string} key - Storage key
+         * @returns {string|null} Stored value or null
+         */
+        getItem(key) {
+            return localStorage.getItem(key);
+        }
+
+        /**
+         * Write a value and schedule a sync to the machine
+         * @param {string} key - Storage key
+         * @param {string} value - Value to store
+         */
+        setItem(key, value) {
+            localStorage.setItem(key, value);
+            this._touch(key);
+        }
+
+        /**
+         * Remove a value and schedule a sync to the machine
+         * @param {string} key - Storage key
+         */
+        removeItem(key) {
+            localStorage.removeItem(key);
+            this._touch(key);
+        }
+
+        /**
+         * Register a storage event listener
+         * 
+         * 'change' is called with the key when a sync brings in a value from
+         * the machine; 'conflict' with {key, local, remote, resolution} when
+         * both sides changed a key ('local' or 'remote' was kept).
+         * @param {string} event - 'change' or 'conflict'
+         * @param {Function} callback - Event callback
+         */
+        on(event, callback) {
+            if (!this.listeners[event]) {
+                throw new Error(`Unknown storage event: ${event}`);
+            }
+            this.listeners[event].push(callback);
+        }
+
+        /**
+         * Sync after a short delay, batching several writes into one sync
+         */
+        scheduleSync() {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = setTimeout(() => {
+                this.sync().catch(error => {
+                    console.warn('Workshop data not saved to the machine, kept locally:', error);
+                });
+            }, this.syncDelay);
+        }
+
+        /**
+         * Exchange changes with the machine's app config
+         * @returns {Promise} Resolves when synced; rejects if the machine is unreachable
+         */
+        async sync() {
+            if (this.syncing) {
+                this.syncPending = true;
+                return this.syncing;
+            }
+            
+            this.syncing = this._sync().finally(() => {
+                this.syncing = null;
+            });
+            await this.syncing;
+            
+            if (this.syncPending) {
+                this.syncPending = false;
+                await this.sync();
+            }
+        }
+
+        /**
+         * Merge local and machine changes key by key
+         * @private
+         */
+        async _sync() {
+            const remotes = {};
+            try {
+                remotes.shared = await this._getRemote('shared');
+                if (this.appKeys.length > 0) {
+                    remotes.app = await this._getRemote('app');
+                }
+            } catch (error) {
+                this.online = false;
+                throw error;
+            }
+            
+            const original = this._getMeta();
+            const meta = this._getMeta();
+            const keys = new Set(Object.keys(meta).concat(
+                this._localKeys(),
+                ...Object.keys(remotes).map(name => Object.keys(remotes[name]))
+            ));
+            const remoteChanged = {};
+            const changed = [];
+            
+            keys.forEach(key => {
+                const owner = this._remoteFor(key);
+                if (!remotes[owner]) return;
+                
+                const remote = remotes[owner];
+                const entry = remote[key];
+                const local = localStorage.getItem(key);
+                // Cached data from before syncing existed defers to the machine's copy
+                const state = meta[key] || { modified: entry ? 0 : 1, synced: 0 };
+                // A value the machine has never had is pushed, whatever was synced before
+                const localDirty = state.modified > state.synced || (!entry && local !== null);
+                const remoteNewer = entry && entry.modified > state.synced;
+                
+                let useRemote = remoteNewer && !localDirty;
+                if (localDirty && remoteNewer && entry.value !== local) {
+                    useRemote = entry.modified > state.modified;
+                    this._emit('conflict', {
+                        key,
+                        local,
+                        remote: entry.value,
+                        resolution: useRemote ? 'remote' : 'local'
+                    });
+                }
+                
+                if (useRemote) {
+                    if (entry.value === null) {
+                        localStorage.removeItem(key);
+                    } else {
+                        localStorage.setItem(key, entry.value);
+                    }
+                    meta[key] = { modified: entry.modified, synced: entry.modified };
+                    if (entry.value !== local) changed.push(key);
+                } else if (localDirty) {
+                    // Cached data from before syncing existed is stamped when first pushed
+                    const modified = meta[key] ? state.modified : Date.now();
+                    remote[key] = { value: local, modified };
+                    meta[key] = { modified, synced: modified };
+                    remoteChanged[owner] = true;
+                }
+            });
+            
+            for (const name of Object.keys(remoteChanged)) {
+                await this._setRemote(name, remotes[name]);
+            }
+            
+            // Keys written while the machine was being updated stay unsynced
+            const current = this._getMeta();
+            Object.keys(meta).forEach(key => {
+                const before = original[key];
+                if (!current[key] || (before && current[key].modified === before.modified)) {
+                    current[key] = meta[key];
+                }
+            });
+            localStorage.setItem(this.META_KEY, JSON.stringify(current));
+            this.online = true;
+            
+            changed.forEach(key => this._emit('change', key));
+        }
+
+        /**
+         * Remote a key is synced with: 'app', 'shared', or null for another app's key
+         * @private
+         */
+        _remoteFor(key) {
+            if (this.appKeys.includes(key)) return 'app';
+            return this.isShared(key) ? 'shared' : null;
+        }
+
+        /**
+         * Record a local change and schedule a sync
+         * @private
+         */
+        _touch(key) {
+            const meta = this._getMeta();
+            const state = meta[key] || { synced: 0 };
+            meta[key] = { modified: Date.now(), synced: state.synced };
+            localStorage.setItem(this.META_KEY, JSON.stringify(meta));
+            this.scheduleSync();
+        }
+
+        /**
+         * Read per-key sync state
+         * @private
+         */
+        _getMeta() {
+            try {
+                return JSON.parse(localStorage.getItem(this.META_KEY)) || {};
+            } catch (e) {
+                console.error('Failed to parse storage sync state:', e);
+                return {};
+            }
+        }
+
+        /**
+         * Cached keys that are synced
+         * @private
+         */
+        _localKeys() {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(this.prefix) && key !== this.META_KEY) {
+                    keys.push(key);
+                }
+            }
+            return keys;
+        }
+
+        /**
+         * Read the synced keys from the machine config (shared) or the app config
+         * 
+         * Only this app's keys are taken from the app config, so copies of
+         * shared keys left there by earlier versions are dropped when it is
+         * next written.
+         * @private
+         */
+        _getRemote(name) {
+            return new Promise((resolve, reject) => {
+                const done = (err, config) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    const entries = Object.assign({}, config && config[this.namespace]);
+                    if (name === 'app') {
+                        Object.keys(entries).forEach(key => {
+                            if (!this.appKeys.includes(key)) delete entries[key];
+                        });
+                    }
+                    resolve(entries);
+                };
+                if (name === 'app') {
+                    this.fabmo.getAppConfig(done);
+                } else {
+                    this.fabmo.getConfig(done);
+                }
+            });
+        }
+
+        /**
+         * Write the synced keys to the machine config (shared) or the app config
+         * @private
+         */
+        _setRemote(name, entries) {
+            return new Promise((resolve, reject) => {
+                const done = (err) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+                    resolve();
+                };
+                if (name === 'app') {
+                    this.fabmo.setAppConfig({ [this.namespace]: entries }, done);
+                } else {
+                    this.fabmo.setConfig({ [this.namespace]: entries }, done);
+                }
+            });
+        }
+
+        /**
+         * Call event listeners
+         * @private
+         */
+        _emit(event, data) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+
+    return CobotStorage;
+}));
\ No newline at end of file
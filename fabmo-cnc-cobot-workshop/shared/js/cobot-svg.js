@@ -0,0 +1,354 @@
+/**
+ * CNC Cobot Workshop - SVG Reader and Writer
+ * 
+ * Reads circle and ellipse elements from an SVG drawing (e.g. from
+ * Inkscape) in the same shape as CobotDXF drawings, so apps can handle
+ * both formats alike. Element transforms and the viewBox are applied and
+ * coordinates are given in the document's units with Y pointing up from
+ * the bottom-left corner of the page. Documents sized in pixels (or not
+ * sized) are read as inches at 96 pixels per inch.
+ * 
+ * Writes drawings as true-size SVG documents with one Inkscape layer per
+ * drawing layer, so they print 1:1 and open in CAD and drawing programs.
+ * 
+ * Reading uses the browser's DOMParser; writing works anywhere.
+ * 
+ * @module cobot-svg
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    } else {
+        root.CobotSVG = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * SVG reader and writer
+     * @class CobotSVG
+     */
+    class CobotSVG {
+        /**
+         * Parse an SVG drawing
+         * @param {string} text - SVG file contents
+         * @returns {Object} Drawing:
+         *   units - 'in', 'mm' or 'cm'
+         *   layers - Inkscape layer (or top-level group) names used by the read elements, sorted
+         *   entities - [{type: 'CIRCLE'|'ELLIPSE', layer, x, y, radius, rx, ry}]; radius
+         *     of an ellipse is the mean of its radii
+         *   skipped - counts of unread shape elements, e.g. {path: 3}
+         * @throws {Error} If the text is not an SVG document
+         */
+        parse(text) {
+            const doc = new DOMParser().parseFromString(String(text), 'image/svg+xml');
+            const svg = doc.documentElement;
+            if (!svg || svg.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('Not an SVG file');
+            }
+            
+            const page = this._pageTransform(svg);
+            const drawing = { units: page.units, layers: [], entities: [], skipped: {} };
+            const layers = new Set();
+            
+            const visit = (element, matrix, layer) => {
+                Array.from(element.children).forEach(child => {
+                    const name = child.localName;
+                    const childMatrix = this._multiply(matrix, this._parseTransform(child.getAttribute('transform')));
+                    
+                    if (name === 'g') {
+                        visit(child, childMatrix, layer || this._layerName(child));
+                    } else if (name === 'circle' || name === 'ellipse') {
+                        const entity = this._toEntity(child, childMatrix, page);
+                        entity.layer = layer || 'default';
+                        drawing.entities.push(entity);
+                        layers.add(entity.layer);
+                    } else if (CobotSVG.SHAPE_ELEMENTS.includes(name)) {
+                        drawing.skipped[name] = (drawing.skipped[name] || 0) + 1;
+                    }
+                });
+            };
+            visit(svg, [1, 0, 0, 1, 0, 0], null);
+            
+            drawing.layers = Array.from(layers).sort();
+            return drawing;
+        }
+
+        /**
+         * Write a drawing as an SVG document sized in real units
+         * @param {Object} drawing - Drawing in the shape written by CobotDXF:
+         *   units - 'in', 'mm' or 'cm'
+         *   entities - [{type: 'CIRCLE'|'LINE'|'TEXT', layer, x, y, ...}] where circles
+         *     have radius, lines end at x2, y2 and text has text, height and an
+         *     optional align ('start', 'middle' or 'end')
+         * @param {Object} options - Output options
+         * @param {Object} options.bounds - Page area {minX, minY, maxX, maxY} (default: the entities plus margin)
+         * @param {number} options.margin - Space around the entities (drawing units)
+         * @param {number} options.strokeWidth - Line width (drawing units)
+         * @param {string} options.title - Document title
+         * @returns {string} SVG file contents
+         * @throws {Error} If an entity type cannot be written
+         */
+        write(drawing, options = {}) {
+            const units = drawing.units || 'in';
+            const perInch = 1 / CobotSVG.UNIT_SCALE[units];
+            const margin = options.margin !== undefined ? options.margin : 0.5 * perInch;
+            const strokeWidth = options.strokeWidth || 0.01 * perInch;
+            const bounds = options.bounds || this._bounds(drawing.entities, margin);
+            const width = bounds.maxX - bounds.minX;
+            const height = bounds.maxY - bounds.minY;
+            const n = (value) => String(parseFloat(Number(value).toFixed(5)));
+            
+            // Entities are placed at (x, -y) so Y points up on the page
+            const layers = Array.from(new Set(drawing.entities.map(entity => entity.layer || 'default')));
+            const groups = layers.map((layer, i) => {
+                const color = CobotSVG.LAYER_COLORS[i % CobotSVG.LAYER_COLORS.length];
+                const elements = drawing.entities.filter(entity => (entity.layer || 'default') === layer).map(entity => {
+                    switch (entity.type) {
+                        case 'CIRCLE':
+                            return `<circle cx="${n(entity.x)}" cy="${n(-entity.y)}" r="${n(entity.radius)}"/>`;
+                        case 'LINE':
+                            return `<line x1="${n(entity.x)}" y1="${n(-entity.y)}" x2="${n(entity.x2)}" y2="${n(-entity.y2)}"/>`;
+                        case 'TEXT':
+                            return `<text x="${n(entity.x)}" y="${n(-entity.y)}" font-size="${n(entity.height)}" ` +
+                                `text-anchor="${entity.align || 'start'}" fill="${color}" stroke="none">${this._escape(entity.text)}</text>`;
+                        default:
+                            throw new Error(`Cannot write ${entity.type} entities`);
+                    }
+                });
+                
+                return `  <g inkscape:groupmode="layer" inkscape:label="${this._escape(layer)}" id="layer-${i + 1}" ` +
+                    `fill="none" stroke="${color}" stroke-width="${n(strokeWidth)}" font-family="Helvetica, Arial, sans-serif">\n` +
+                    elements.map(element => `    ${element}\n`).join('') +
+                    '  </g>\n';
+            });
+            
+            return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<svg xmlns="http://www.w3.org/2000/svg" ' +
+                'xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ' +
+                `width="${n(width)}${units}" height="${n(height)}${units}" ` +
+                `viewBox="${n(bounds.minX)} ${n(-bounds.maxY)} ${n(width)} ${n(height)}">\n` +
+                (options.title ? `  <title>${this._escape(options.title)}</title>\n` : '') +
+                groups.join('') +
+                '</svg>\n';
+        }
+
+        /**
+         * Area covered by entities, grown by a margin
+         * @private
+         */
+        _bounds(entities, margin) {
+            const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            const extend = (x, y, r = 0) => {
+                bounds.minX = Math.min(bounds.minX, x - r);
+                bounds.minY = Math.min(bounds.minY, y - r);
+                bounds.maxX = Math.max(bounds.maxX, x + r);
+                bounds.maxY = Math.max(bounds.maxY, y + r);
+            };
+            
+            entities.forEach(entity => {
+                extend(entity.x, entity.y, entity.radius || 0);
+                if (entity.type === 'LINE') extend(entity.x2, entity.y2);
+                if (entity.type === 'TEXT') {
+                    // Rough text width, as the font is not known here
+                    const width = 0.6 * entity.height * String(entity.text).length;
+                    const start = entity.x - width * ({ middle: 0.5, end: 1 }[entity.align] || 0);
+                    extend(start, entity.y + entity.height);
+                    extend(start + width, entity.y);
+                }
+            });
+            if (entities.length === 0) extend(0, 0);
+            
+            return {
+                minX: bounds.minX - margin,
+                minY: bounds.minY - margin,
+                maxX: bounds.maxX + margin,
+                maxY: bounds.maxY + margin
+            };
+        }
+
+        /**
+         * Escape text for use in XML
+         * @private
+         */
+        _escape(text) {
+            return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        }
+
+        /**
+         * Work out the page units and the mapping from user units to them
+         * @private
+         */
+        _pageTransform(svg) {
+            const width = this._length(svg.getAttribute('width'));
+            const height = this._length(svg.getAttribute('height'));
+            const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+            const hasViewBox = viewBox.length === 4 && viewBox.every(isFinite) && viewBox[2] > 0 && viewBox[3] > 0;
+            
+            // Without a viewBox (or a size) user units are CSS pixels
+            const units = width ? width.units : 'in';
+            const pixel = this._convert({ value: CobotSVG.UNIT_SCALE.px, units: 'in' }, units);
+            let scaleX = pixel;
+            let scaleY = pixel;
+            if (hasViewBox) {
+                scaleX = width ? width.value / viewBox[2] : pixel;
+                scaleY = height ? this._convert(height, units) / viewBox[3] : scaleX;
+            }
+            
+            return {
+                units: units,
+                scaleX: scaleX,
+                scaleY: scaleY,
+                originX: hasViewBox ? viewBox[0] : 0,
+                originY: hasViewBox ? viewBox[1] : 0,
+                // Y is flipped about the bottom of the page (about 0 if the page has no height)
+                height: height ? this._convert(height, units) : (hasViewBox ? viewBox[3] * scaleY : 0)
+            };
+        }
+
+        /**
+         * Parse an SVG length such as "210mm" into page units (in, mm, cm)
+         * @private
+         */
+        _length(value) {
+            const match = String(value || '').trim().match(/^([\d.eE+-]+)\s*(mm|cm|in|px|pt)?$/);
+            if (!match || !(parseFloat(match[1]) > 0)) return null;
+            
+            const number = parseFloat(match[1]);
+            const units = match[2] || 'px';
+            // Pixel and point sizes are read as inches
+            if (units === 'px' || units === 'pt') {
+                return { value: number * CobotSVG.UNIT_SCALE[units], units: 'in' };
+            }
+            return { value: number, units: units };
+        }
+
+        /**
+         * Convert a parsed length to other page units
+         * @private
+         */
+        _convert(length, units) {
+            return length.value * CobotSVG.UNIT_SCALE[length.units] / CobotSVG.UNIT_SCALE[units];
+        }
+
+        /**
+         * Build a circle or ellipse entity in page units
+         * @private
+         */
+        _toEntity(element, matrix, page) {
+            const attr = (name) => parseFloat(element.getAttribute(name)) || 0;
+            const [a, b, c, d, e, f] = matrix;
+            const cx = attr('cx');
+            const cy = attr('cy');
+            const rx = element.localName === 'circle' ? attr('r') : attr('rx');
+            const ry = element.localName === 'circle' ? attr('r') : attr('ry');
+            
+            // Apply the element transform, then the viewBox, flipping Y to point up
+            const ux = a * cx + c * cy + e;
+            const uy = b * cx + d * cy + f;
+            const radiusX = rx * Math.hypot(a, b) * page.scaleX;
+            const radiusY = ry * Math.hypot(c, d) * page.scaleY;
+            
+            return {
+                type: Math.abs(radiusX - radiusY) <= 1e-6 * Math.max(radiusX, radiusY) ? 'CIRCLE' : 'ELLIPSE',
+                x: (ux - page.originX) * page.scaleX,
+                y: page.height - (uy - page.originY) * page.scaleY,
+                radius: (radiusX + radiusY) / 2,
+                rx: radiusX,
+                ry: radiusY
+            };
+        }
+
+        /**
+         * Name of a group used as a layer: its Inkscape label, or its id
+         * @private
+         */
+        _layerName(group) {
+            return group.getAttribute('inkscape:label') || group.getAttribute('id') || null;
+        }
+
+        /**
+         * Parse a transform attribute into a matrix [a, b, c, d, e, f]
+         * @private
+         */
+        _parseTransform(transform) {
+            let matrix = [1, 0, 0, 1, 0, 0];
+            const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+            let match;
+            
+            while ((match = pattern.exec(transform || '')) !== null) {
+                const n = match[2].trim().split(/[\s,]+/).map(parseFloat);
+                let next;
+                switch (match[1]) {
+                    case 'matrix':
+                        next = n;
+                        break;
+                    case 'translate':
+                        next = [1, 0, 0, 1, n[0] || 0, n[1] || 0];
+                        break;
+                    case 'scale':
+                        next = [n[0], 0, 0, n[1] === undefined ? n[0] : n[1], 0, 0];
+                        break;
+                    case 'rotate': {
+                        const angle = n[0] * Math.PI / 180;
+                        const cos = Math.cos(angle);
+                        const sin = Math.sin(angle);
+                        const cx = n[1] || 0;
+                        const cy = n[2] || 0;
+                        next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                        break;
+                    }
+                    case 'skewX':
+                        next = [1, 0, Math.tan(n[0] * Math.PI / 180), 1, 0, 0];
+                        break;
+                    case 'skewY':
+                        next = [1, Math.tan(n[0] * Math.PI / 180), 0, 1, 0, 0];
+                        break;
+                }
+                matrix = this._multiply(matrix, next);
+            }
+            
+            return matrix;
+        }
+
+        /**
+         * Multiply two transform matrices
+         * @private
+         */
+        _multiply(m, n) {
+            return [
+                m[0] * n[0] + m[2] * n[1],
+                m[1] * n[0] + m[3] * n[1],
+                m[0] * n[2] + m[2] * n[3],
+                m[1] * n[2] + m[3] * n[3],
+                m[0] * n[4] + m[2] * n[5] + m[4],
+                m[1] * n[4] + m[3] * n[5] + m[5]
+            ];
+        }
+    }
+
+    /**
+     * Shape elements counted as skipped
+     * @static
+     */
+    CobotSVG.SHAPE_ELEMENTS = ['rect', 'line', 'polyline', 'polygon', 'path', 'text', 'use', 'image'];
+
+    /**
+     * Inches per SVG length unit
+     * @static
+     */
+    CobotSVG.UNIT_SCALE = { in: 1, mm: 1 / 25.4, cm: 1 / 2.54, px: 1 / 96, pt: 1 / 72 };
+
+    /**
+     * Stroke colors given to written layers, in order
+     * @static
+     */
+    CobotSVG.LAYER_COLORS = ['#000000', '#d32f2f', '#1565c0', '#2e7d32', '#6a1b9a'];
+
+    return CobotSVG;
+}));
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * CNC Cobot Workshop - Tool Picker
+ * 
+ * Reusable tool selector backed by the CobotCore tool library. Renders a
+ * select list of library tools and, optionally, a button that opens a
+ * manager dialog for adding, editing and deleting tools.
+ * 
+ * @module cobot-tool-picker
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['cobot-core'], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('./cobot-core'));
+    } else {
+        root.CobotToolPicker = factory(root.CobotCore);
+    }
+}(this, function(CobotCore) {
+    'use strict';
+
+    /**
+     * Tool picker UI component
+     * @class CobotToolPicker
+     */
+    class CobotToolPicker {
+        /**
+         * @param {CobotCore} cobot - Initialized CobotCore instance
+         * @param {HTMLElement|string} container - Element (or element id) to render into
+         * @param {Object} options - Picker options
+         * @param {Function} options.filter - Only list tools for which filter(tool) is true
+         * @param {string} options.selectedId - Initially selected tool id
+         * @param {string} options.noneLabel - Label for an empty choice; omit to require a tool
+         * @param {boolean} options.allowManage - Show the Manage button (default true)
+         * @param {Function} options.onSelect - Called with the selected tool (or null)
+         */
+        constructor(cobot, container, options = {}) {
+            this.cobot = cobot;
+            this.container = typeof container === 'string' ? document.getElementById(container) : container;
+            this.options = Object.assign({
+                filter: null,
+                noneLabel: null,
+                allowManage: true,
+                onSelect: null
+            }, options);
+            this.selectedId = options.selectedId || null;
+            this.modal = null;
+            
+            this.render();
+        }
+
+        /**
+         * Render the picker into its container
+         */
+        render() {
+            const tools = this._getTools();
+            
+            // Fall back to the first tool when the selection is no longer listed
+            if (!this.options.noneLabel && !tools.some(tool => tool.id === this.selectedId)) {
+                this.selectedId = tools.length > 0 ? tools[0].id : null;
+            }
+            
+            this.container.innerHTML = '';
+            this.container.classList.add('tool-picker');
+            
+            const select = document.createElement('select');
+            select.className = 'tool-picker-select';
+            
+            if (this.options.noneLabel) {
+                select.appendChild(this._option('', this.options.noneLabel));
+            }
+            tools.forEach(tool => {
+                select.appendChild(this._option(tool.id, this.formatTool(tool)));
+            });
+            select.value = this.selectedId || '';
+            
+            select.addEventListener('change', () => {
+                this.selectedId = select.value || null;
+                if (this.options.onSelect) {
+                    this.options.onSelect(this.getSelectedTool());
+                }
+            });
+            
+            this.container.appendChild(select);
+            
+            if (this.options.allowManage) {
+                const manageBtn = document.createElement('button');
+                manageBtn.type = 'button';
+                manageBtn.className = 'btn-sm btn-outline';
+                manageBtn.textContent = 'Manage…';
+                manageBtn.addEventListener('click', () => this.openManager());
+                this.container.appendChild(manageBtn);
+            }
+        }
+
+        /**
+         * Get the selected tool
+         * @returns {Object|null} Tool or null if none selected
+         */
+        getSelectedTool() {
+            return this.selectedId ? this.cobot.getTool(this.selectedId) : null;
+        }
+
+        /**
+         * Select a tool by id
+         * @param {string|null} id - Tool id
+         */
+        setSelected(id) {
+            this.selectedId = id;
+            this.render();
+        }
+
+        /**
+         * Format a tool for display in a list
+         * @param {Object} tool - Tool
+         * @returns {string} Display text
+         */
+        formatTool(tool) {
+            return `T${tool.toolNumber} - ${tool.name} (${tool.diameter} ${tool.units || this.cobot.units})`;
+        }
+
+        /**
+         * Open the tool library manager dialog
+         */
+        openManager() {
+            if (!this.modal) {
+                this.modal = document.createElement('div');
+                this.modal.className = 'modal tool-manager';
+                document.body.appendChild(this.modal);
+            }
+            
+            this.modal.classList.remove('hidden');
+            this._renderManager(null);
+        }
+
+        /**
+         * Close the tool library manager dialog
+         */
+        closeManager() {
+            if (this.modal) {
+                this.modal.classList.add('hidden');
+            }
+            this.render();
+        }
+
+        /**
+         * Render the manager dialog, optionally with a tool loaded into the form
+         * @private
+         */
+        _renderManager(editTool) {
+            const tool = editTool || { type: 'end_mill', fluteCount: 2, toolNumber: this._nextToolNumber() };
+            const units = this.cobot.units;
+            const value = (v) => (v === undefined || v === null ? '' : this._escape(v));
+            const typeOptions = Object.keys(CobotCore.TOOL_TYPES).map(type =>
+                `<option value="${type}"${tool.type === type ? ' selected' : ''}>${CobotCore.TOOL_TYPES[type]}</option>`
+            ).join('');
+            
+            const rows = this.cobot.getTools().map(t => `
+                <div class="tool-manager-item">
+                    <span>${this._escape(this.formatTool(t))} · ${this._escape(CobotCore.TOOL_TYPES[t.type] || t.type)}</span>
+                    <div class="hole-actions">
+                        <button class="btn-sm btn-secondary" data-action="edit" data-id="${t.id}">Edit</button>
+                        <button class="btn-sm btn-outline" data-action="delete" data-id="${t.id}">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+            
+            this.modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2>Tool Library</h2>
+                        <button class="modal-close" data-action="close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="tool-manager-list">${rows || '<p class="text-center text-muted">No tools in library.</p>'}</div>
+                        <h3 class="mt-lg">${editTool ? 'Edit Tool' : 'Add Tool'}</h3>
+                        <div class="input-row">
+                            <div class="input-group">
+                                <label>Name</label>
+                                <input type="text" data-field="name" value="${value(tool.name)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Type</label>
+                                <select data-field="type">${typeOptions}</select>
+                            </div>
+                        </div>
+                        <div class="input-row">
+                            <div class="input-group">
+                                <label>Diameter (${units})</label>
+                                <input type="number" step="0.001" min="0" data-field="diameter" value="${value(tool.diameter)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Flutes</label>
+                                <input type="number" step="1" min="1" data-field="fluteCount" value="${value(tool.fluteCount)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Flute Length (${units})</label>
+                                <input type="number" step="0.01" min="0" data-field="fluteLength" value="${value(tool.fluteLength)}">
+                            </div>
+                        </div>
+                        <div class="input-row">
+                            <div class="input-group">
+                                <label>Tool Number</label>
+                                <input type="number" step="1" min="1" data-field="toolNumber" value="${value(tool.toolNumber)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Spindle RPM</label>
+                                <input type="number" step="100" min="0" data-field="rpm" value="${value(tool.rpm)}">
+                            </div>
+                        </div>
+                        <div class="input-row">
+                            <div class="input-group">
+                                <label>Feed Rate (${units}/s)</label>
+                                <input type="number" step="0.1" min="0" data-field="feedRate" value="${value(tool.feedRate)}">
+                            </div>
+                            <div class="input-group">
+                                <label>Plunge Rate (${units}/s)</label>
+                                <input type="number" step="0.1" min="0" data-field="plungeRate" value="${value(tool.plungeRate)}">
+                            </div>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        ${editTool ? '<button class="btn-outline" data-action="new">New Tool</button>' : ''}
+                        <button class="btn-primary" data-action="save">${editTool ? 'Save Tool' : 'Add Tool'}</button>
+                        <button class="btn-secondary" data-action="close">Done</button>
+                    </div>
+                </div>
+            `;
+            
+            this.modal.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const action = btn.dataset.action;
+                    
+                    if (action === 'close') {
+                        this.closeManager();
+                    } else if (action === 'new') {
+                        this._renderManager(null);
+                    } else if (action === 'edit') {
+                        this._renderManager(this.cobot.getTool(btn.dataset.id));
+                    } else if (action === 'delete') {
+                        const target = this.cobot.getTool(btn.dataset.id);
+                        if (target && confirm(`Delete ${target.name} from the tool library?`)) {
+                            this.cobot.deleteTool(target.id);
+                            this._renderManager(null);
+                        }
+                    } else if (action === 'save') {
+                        this._saveManagerForm(editTool);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Save the tool in the manager form
+         * @private
+         */
+        _saveManagerForm(editTool) {
+            const tool = { id: editTool ? editTool.id : undefined };
+            
+            this.modal.querySelectorAll('[data-field]').forEach(input => {
+                const field = input.dataset.field;
+                if (field === 'name' || field === 'type') {
+                    tool[field] = input.value;
+                } else {
+                    const num = parseFloat(input.value);
+                    tool[field] = isNaN(num) ? null : num;
+                }
+            });
+            
+            try {
+                const saved = this.cobot.saveTool(tool);
+                this.cobot.notify(`Saved ${saved.name}`, 'success');
+                this._renderManager(null);
+            } catch (error) {
+                this.cobot.notify('Invalid tool: ' + error.message, 'error');
+            }
+        }
+
+        /**
+         * Get the library tools this picker lists
+         * @private
+         */
+        _getTools() {
+            const tools = this.cobot.getTools();
+            return this.options.filter ? tools.filter(this.options.filter) : tools;
+        }
+
+        /**
+         * Lowest tool number not used in the library
+         * @private
+         */
+        _nextToolNumber() {
+            const used = new Set(this.cobot.getTools().map(tool => tool.toolNumber));
+            let number = 1;
+            while (used.has(number)) number++;
+            return number;
+        }
+
+        /**
+         * Escape text for use in HTML
+         * @private
+         */
+        _escape(text) {
+            return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        }
+
+        /**
+         * Create an option element
+         * @private
+         */
+        _option(value, text) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            return option;
+        }
+    }
+
+    return CobotToolPicker;
+}));
\ No newline at end of file
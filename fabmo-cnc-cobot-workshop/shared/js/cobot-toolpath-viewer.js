@@ -0,0 +1,683 @@
+/**
+ * CNC Cobot Workshop - Toolpath Viewer
+ * 
+ * 3D preview of an OpenSBP program. Runs the program through SBPSimulator
+ * and draws the motion on a canvas: rapids and feeds in different colors,
+ * plunge depths, retract heights, the material block and the machine
+ * envelope. Drag to orbit, shift-drag to pan, wheel to zoom. A scrubber
+ * steps through the program line by line and highlights the SBP text.
+ * 
+ * @module cobot-toolpath-viewer
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['sbp-simulator'], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory(require('./sbp-simulator'));
+    } else {
+        root.CobotToolpathViewer = factory(root.SBPSimulator);
+    }
+}(this, function(SBPSimulator) {
+    'use strict';
+
+    const VIEWS = {
+        top: { yaw: 0, pitch: 0 },
+        front: { yaw: 0, pitch: Math.PI / 2 },
+        iso: { yaw: -Math.PI / 6, pitch: Math.PI / 3 }
+    };
+
+    const COLORS = {
+        rapid: '#f4a259',
+        feed: '#4a90e2',
+        active: '#2c5f2d',
+        plunge: '#f44336',
+        retract: '#757575',
+        material: 'rgba(205, 170, 125, 0.35)',
+        materialEdge: '#a07850',
+        envelope: '#bdbdbd',
+        text: '#212121'
+    };
+
+    /**
+     * Toolpath preview component
+     * @class CobotToolpathViewer
+     */
+    class CobotToolpathViewer {
+        /**
+         * @param {HTMLElement|string} container - Element (or element id) to render into
+         * @param {Object} options - Viewer options
+         * @param {Object} options.envelope - Machine envelope {xmin, xmax, ymin, ymax, zmin, zmax}
+         * @param {Object} options.material - Material block {xmin, xmax, ymin, ymax, top, thickness};
+         *   X/Y default to the cut extents plus a margin, top defaults to Z 0
+         * @param {string} options.units - Units label
+         * @param {Object} options.simulator - Options passed to SBPSimulator
+         * @param {number} options.playInterval - Milliseconds per line when playing
+         */
+        constructor(container, options = {}) {
+            this.container = typeof container === 'string' ? document.getElementById(container) : container;
+            this.options = Object.assign({
+                envelope: null,
+                material: null,
+                units: 'in',
+                simulator: {},
+                playInterval: 150
+            }, options);
+            
+            this.code = '';
+            this.result = null;
+            this.currentLine = 0;
+            this.view = Object.assign({ zoom: 1, panX: 0, panY: 0 }, VIEWS.iso);
+            this.fitTarget = 'job';
+            this.playTimer = null;
+            
+            this._build();
+        }
+
+        /**
+         * Simulate and display a program
+         * @param {string} code - OpenSBP program text
+         * @returns {Object} Simulation result
+         */
+        load(code) {
+            this.stop();
+            this.code = code;
+            this.result = new SBPSimulator(this.options.simulator).run(code);
+            this.lines = code.split(/\r?\n/);
+            this.material = this._materialBlock();
+            this.markers = this._findMarkers(this.result.segments);
+            
+            this._renderCode();
+            this.scrubber.max = this.lines.length;
+            this.setView('iso');
+            this.seek(this.lines.length);
+            
+            return this.result;
+        }
+
+        /**
+         * Show the program up to and including a line
+         * @param {number} line - 1-based line number (0 shows nothing)
+         */
+        seek(line) {
+            if (!this.result) return;
+            
+            this.currentLine = Math.max(0, Math.min(this.lines.length, line));
+            this.scrubber.value = this.currentLine;
+            
+            this.codeElement.querySelectorAll('.active').forEach(el => el.classList.remove('active'));
+            const lineElement = this.codeElement.children[this.currentLine - 1];
+            if (lineElement) {
+                lineElement.classList.add('active');
+                lineElement.scrollIntoView({ block: 'nearest' });
+            }
+            
+            this._updateReadout();
+            this.render();
+        }
+
+        /**
+         * Step forward or back one line
+         * @param {number} delta - Lines to move
+         */
+        step(delta) {
+            this.seek(this.currentLine + delta);
+        }
+
+        /**
+         * Play the program from the current line
+         */
+        play() {
+            if (this.playTimer) {
+                this.stop();
+                return;
+            }
+            if (this.currentLine >= this.lines.length) {
+                this.seek(0);
+            }
+            
+            this.playButton.textContent = '❚❚';
+            this.playTimer = setInterval(() => {
+                if (this.currentLine >= this.lines.length) {
+                    this.stop();
+                } else {
+                    this.step(1);
+                }
+            }, this.options.playInterval);
+        }
+
+        /**
+         * Stop playback
+         */
+        stop() {
+            if (this.playTimer) {
+                clearInterval(this.playTimer);
+                this.playTimer = null;
+            }
+            if (this.playButton) {
+                this.playButton.textContent = '▶';
+            }
+        }
+
+        /**
+         * Switch to a preset view and fit it
+         * @param {string} name - 'top', 'front' or 'iso'
+         */
+        setView(name) {
+            Object.assign(this.view, VIEWS[name], { zoom: 1, panX: 0, panY: 0 });
+            this.render();
+        }
+
+        /**
+         * Fit the view to the job or to the whole machine envelope
+         * @param {string} target - 'job' or 'machine'
+         */
+        fit(target) {
+            this.fitTarget = target;
+            Object.assign(this.view, { zoom: 1, panX: 0, panY: 0 });
+            this.render();
+        }
+
+        /**
+         * Redraw the canvas
+         */
+        render() {
+            const canvas = this.canvas;
+            const ratio = window.devicePixelRatio || 1;
+            const width = canvas.clientWidth;
+            const height = canvas.clientHeight;
+            
+            if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+                canvas.width = Math.round(width * ratio);
+                canvas.height = Math.round(height * ratio);
+            }
+            
+            const ctx = this.ctx;
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            
+            if (!this.result || width === 0) return;
+            
+            this._setupProjection(width, height);
+            
+            if (this.options.envelope) {
+                const env = this.options.envelope;
+                this._drawBox(env.xmin, env.ymin, env.zmin, env.xmax, env.ymax, env.zmax, null, COLORS.envelope, [4, 4]);
+            }
+            if (this.material) {
+                const m = this.material;
+                this._drawBox(m.xmin, m.ymin, m.top - m.thickness, m.xmax, m.ymax, m.top, COLORS.material, COLORS.materialEdge);
+            }
+            
+            this._drawSegments();
+            this._drawMarkers();
+            this._drawToolPosition();
+            this._drawLegend(width);
+        }
+
+        /**
+         * Build the viewer DOM and wire up interaction
+         * @private
+         */
+        _build() {
+            this.container.innerHTML = `
+                <div class="toolpath-viewer">
+                    <div class="toolpath-viewer-stage">
+                        <canvas class="toolpath-viewer-canvas"></canvas>
+                        <div class="toolpath-viewer-toolbar">
+                            <button type="button" class="btn-sm btn-outline" data-view="iso">3D</button>
+                            <button type="button" class="btn-sm btn-outline" data-view="top">Top</button>
+                            <button type="button" class="btn-sm btn-outline" data-view="front">Front</button>
+                            <button type="button" class="btn-sm btn-outline" data-fit="job">Fit Job</button>
+                            <button type="button" class="btn-sm btn-outline" data-fit="machine">Fit Machine</button>
+                        </div>
+                    </div>
+                    <div class="toolpath-viewer-code"></div>
+                    <div class="toolpath-viewer-scrubber">
+                        <button type="button" class="btn-sm btn-secondary" data-step="-1">|◀</button>
+                        <button type="button" class="btn-sm btn-primary" data-action="play">▶</button>
+                        <button type="button" class="btn-sm btn-secondary" data-step="1">▶|</button>
+                        <input type="range" min="0" max="0" step="1" value="0">
+                        <span class="toolpath-viewer-readout"></span>
+                    </div>
+                </div>
+            `;
+            
+            this.canvas = this.container.querySelector('canvas');
+            this.ctx = this.canvas.getContext('2d');
+            this.codeElement = this.container.querySelector('.toolpath-viewer-code');
+            this.scrubber = this.container.querySelector('input[type="range"]');
+            this.readout = this.container.querySelector('.toolpath-viewer-readout');
+            this.playButton = this.container.querySelector('[data-action="play"]');
+            
+            this.container.querySelectorAll('[data-view]').forEach(btn => {
+                btn.addEventListener('click', () => this.setView(btn.dataset.view));
+            });
+            this.container.querySelectorAll('[data-fit]').forEach(btn => {
+                btn.addEventListener('click', () => this.fit(btn.dataset.fit));
+            });
+            this.container.querySelectorAll('[data-step]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.stop();
+                    this.step(parseInt(btn.dataset.step));
+                });
+            });
+            this.playButton.addEventListener('click', () => this.play());
+            this.scrubber.addEventListener('input', () => {
+                this.stop();
+                this.seek(parseInt(this.scrubber.value));
+            });
+            this.codeElement.addEventListener('click', (e) => {
+                const line = e.target.closest('[data-line]');
+                if (line) {
+                    this.stop();
+                    this.seek(parseInt(line.dataset.line));
+                }
+            });
+            
+            this._setupOrbit();
+            window.addEventListener('resize', () => this.render());
+        }
+
+        /**
+         * Drag to orbit, shift-drag to pan, wheel to zoom
+         * @private
+         */
+        _setupOrbit() {
+            let drag = null;
+            
+            this.canvas.addEventListener('pointerdown', (e) => {
+                drag = { x: e.clientX, y: e.clientY, pan: e.shiftKey || e.button === 2 };
+                this.canvas.setPointerCapture(e.pointerId);
+            });
+            this.canvas.addEventListener('pointermove', (e) => {
+                if (!drag) return;
+                
+                const dx = e.clientX - drag.x;
+                const dy = e.clientY - drag.y;
+                drag.x = e.clientX;
+                drag.y = e.clientY;
+                
+                if (drag.pan) {
+                    this.view.panX += dx;
+                    this.view.panY += dy;
+                } else {
+                    this.view.yaw -= dx * 0.01;
+                    this.view.pitch = Math.max(0, Math.min(Math.PI / 2, this.view.pitch + dy * 0.01));
+                }
+                this.render();
+            });
+            this.canvas.addEventListener('pointerup', () => { drag = null; });
+            this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+            this.canvas.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                this.view.zoom = Math.max(0.1, Math.min(200, this.view.zoom * Math.exp(-e.deltaY * 0.001)));
+                this.render();
+            }, { passive: false });
+            this.canvas.addEventListener('dblclick', () => this.fit(this.fitTarget));
+        }
+
+        /**
+         * Render the SBP listing
+         * @private
+         */
+        _renderCode() {
+            const motionLines = new Set(this.result.segments.map(s => s.line));
+            const errorLines = new Set(this.result.errors.map(e => e.line));
+            
+            this.codeElement.innerHTML = '';
+            this.lines.forEach((text, i) => {
+                const div = document.createElement('div');
+                div.className = 'toolpath-viewer-line';
+                if (motionLines.has(i + 1)) div.classList.add('motion');
+                if (errorLines.has(i + 1)) div.classList.add('error');
+                div.dataset.line = i + 1;
+                div.textContent = text || ' ';
+                this.codeElement.appendChild(div);
+            });
+        }
+
+        /**
+         * Update the line/position/time readout
+         * @private
+         */
+        _updateReadout() {
+            const done = this.result.segments.filter(s => s.line <= this.currentLine);
+            const pos = done.length > 0 ? done[done.length - 1].to : this.result.segments.length > 0 ? this.result.segments[0].from : this.result.finalPosition;
+            const pauses = this.result.events
+                .filter(e => e.type === 'pause' && e.line <= this.currentLine)
+                .reduce((sum, e) => sum + (e.seconds || 0), 0);
+            const elapsed = done.reduce((sum, s) => sum + s.time, 0) + pauses;
+            
+            this.readout.textContent =
+                `Line ${this.currentLine}/${this.lines.length} · ` +
+                `X${pos.x.toFixed(3)} Y${pos.y.toFixed(3)} Z${pos.z.toFixed(3)} · ` +
+                `${this._formatTime(elapsed)} / ${this._formatTime(this.result.time.total)}`;
+        }
+
+        /**
+         * Find plunge bottoms (deepest point of each cut between rapids) and
+         * retract points (tops of vertical rapids)
+         * @private
+         */
+        _findMarkers(segments) {
+            const plunges = [];
+            const retracts = [];
+            const surfaceZ = this.material ? this.material.top : 0;
+            let deepest = null;
+            
+            const closeCut = () => {
+                if (!deepest) return;
+                const same = plunges.find(p => Math.hypot(p.x - deepest.x, p.y - deepest.y) < 0.001);
+                if (same) {
+                    same.z = Math.min(same.z, deepest.z);
+                } else if (deepest.z < surfaceZ) {
+                    plunges.push(deepest);
+                }
+                deepest = null;
+            };
+            
+            segments.forEach(segment => {
+                if (segment.type === 'rapid') {
+                    closeCut();
+                    const vertical = Math.hypot(segment.to.x - segment.from.x, segment.to.y - segment.from.y) < 1e-6;
+                    if (vertical && segment.to.z > segment.from.z) {
+                        retracts.push(Object.assign({ line: segment.line }, segment.to));
+                    }
+                } else if (!deepest || segment.to.z < deepest.z) {
+                    deepest = Object.assign({ line: segment.line }, segment.to);
+                }
+            });
+            closeCut();
+            
+            const retractHeights = Array.from(new Set(retracts.map(r => r.z.toFixed(3))));
+            return { plunges: plunges, retracts: retracts, retractHeights: retractHeights };
+        }
+
+        /**
+         * Material block from options, defaulting X/Y to the cut extents
+         * @private
+         */
+        _materialBlock() {
+            const material = this.options.material;
+            if (!material) return null;
+            
+            const cut = this.result.cutBounds;
+            const margin = 0.5;
+            const block = Object.assign({ top: 0 }, material);
+            if (cut) {
+                if (block.xmin === undefined) block.xmin = cut.min.x - margin;
+                if (block.xmax === undefined) block.xmax = cut.max.x + margin;
+                if (block.ymin === undefined) block.ymin = cut.min.y - margin;
+                if (block.ymax === undefined) block.ymax = cut.max.y + margin;
+            }
+            return block.xmin !== undefined ? block : null;
+        }
+
+        /**
+         * Compute the scene center and scale for the current view
+         * @private
+         */
+        _setupProjection(width, height) {
+            const box = this._fitBox();
+            this.center = {
+                x: (box.min.x + box.max.x) / 2,
+                y: (box.min.y + box.max.y) / 2,
+                z: (box.min.z + box.max.z) / 2
+            };
+            
+            // Measure the projected box at unit scale
+            this.scale = 1;
+            this.origin = { x: 0, y: 0 };
+            let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+            [box.min.x, box.max.x].forEach(x => [box.min.y, box.max.y].forEach(y => [box.min.z, box.max.z].forEach(z => {
+                const p = this._project(x, y, z);
+                minX = Math.min(minX, p.x);
+                maxX = Math.max(maxX, p.x);
+                minY = Math.min(minY, p.y);
+                maxY = Math.max(maxY, p.y);
+            })));
+            
+            const fit = Math.min(width / Math.max(maxX - minX, 1e-6), height / Math.max(maxY - minY, 1e-6)) * 0.85;
+            this.scale = fit * this.view.zoom;
+            this.origin = {
+                x: width / 2 + this.view.panX - (minX + maxX) / 2 * this.scale,
+                y: height / 2 + this.view.panY - (minY + maxY) / 2 * this.scale
+            };
+        }
+
+        /**
+         * Bounding box the view is fitted to
+         * @private
+         */
+        _fitBox() {
+            const env = this.options.envelope;
+            if (this.fitTarget === 'machine' && env) {
+                return { min: { x: env.xmin, y: env.ymin, z: env.zmin }, max: { x: env.xmax, y: env.ymax, z: env.zmax } };
+            }
+            
+            const box = {
+                min: Object.assign({}, this.result.bounds.min),
+                max: Object.assign({}, this.result.bounds.max)
+            };
+            if (this.material) {
+                box.min.x = Math.min(box.min.x, this.material.xmin);
+                box.min.y = Math.min(box.min.y, this.material.ymin);
+                box.min.z = Math.min(box.min.z, this.material.top - this.material.thickness);
+                box.max.z = Math.max(box.max.z, this.material.top);
+                box.max.x = Math.max(box.max.x, this.material.xmax);
+                box.max.y = Math.max(box.max.y, this.material.ymax);
+            }
+            return box;
+        }
+
+        /**
+         * Project a machine point to canvas pixels
+         * @private
+         */
+        _project(x, y, z) {
+            const dx = x - this.center.x;
+            const dy = y - this.center.y;
+            const dz = z - this.center.z;
+            const cosYaw = Math.cos(this.view.yaw);
+            const sinYaw = Math.sin(this.view.yaw);
+            const rx = dx * cosYaw - dy * sinYaw;
+            const ry = dx * sinYaw + dy * cosYaw;
+            
+            // Pitch 0 looks straight down, pitch 90° looks from the front
+            const up = ry * Math.cos(this.view.pitch) + dz * Math.sin(this.view.pitch);
+            return {
+                x: this.origin.x + rx * this.scale,
+                y: this.origin.y - up * this.scale
+            };
+        }
+
+        /**
+         * Draw a box as a filled top face plus edges
+         * @private
+         */
+        _drawBox(x0, y0, z0, x1, y1, z1, fill, stroke, dash = []) {
+            const ctx = this.ctx;
+            const corners = (z) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].map(([x, y]) => this._project(x, y, z));
+            const bottom = corners(z0);
+            const top = corners(z1);
+            
+            ctx.save();
+            if (fill) {
+                ctx.fillStyle = fill;
+                ctx.beginPath();
+                top.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                ctx.closePath();
+                ctx.fill();
+            }
+            
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = 1;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            [bottom, top].forEach(face => {
+                face.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                ctx.closePath();
+            });
+            for (let i = 0; i < 4; i++) {
+                ctx.moveTo(bottom[i].x, bottom[i].y);
+                ctx.lineTo(top[i].x, top[i].y);
+            }
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        /**
+         * Draw the motion trace; lines after the scrubber position are faded
+         * @private
+         */
+        _drawSegments() {
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ctx.lineCap = 'round';
+            this.result.segments.forEach(segment => {
+                const from = this._project(segment.from.x, segment.from.y, segment.from.z);
+                const to = this._project(segment.to.x, segment.to.y, segment.to.z);
+                const active = segment.line === this.currentLine;
+                
+                ctx.globalAlpha = segment.line <= this.currentLine ? 1 : 0.15;
+                ctx.strokeStyle = active ? COLORS.active : COLORS[segment.type];
+                ctx.lineWidth = active ? 3 : segment.type === 'feed' ? 1.5 : 1;
+                ctx.setLineDash(segment.type === 'rapid' ? [5, 4] : []);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        /**
+         * Draw plunge depth and retract height markers
+         * @private
+         */
+        _drawMarkers() {
+            const ctx = this.ctx;
+            const labels = this.markers.plunges.length <= 40;
+            
+            ctx.save();
+            ctx.font = '11px monospace';
+            this.markers.plunges.forEach(p => {
+                const pt = this._project(p.x, p.y, p.z);
+                ctx.globalAlpha = p.line <= this.currentLine ? 1 : 0.3;
+                ctx.fillStyle = COLORS.plunge;
+                ctx.beginPath();
+                ctx.arc(pt.x, pt.y, 3, 0, Math.PI * 2);
+                ctx.fill();
+                if (labels) {
+                    ctx.fillText(p.z.toFixed(3), pt.x + 5, pt.y + 4);
+                }
+            });
+            
+            ctx.strokeStyle = COLORS.retract;
+            this.markers.retracts.forEach(r => {
+                const pt = this._project(r.x, r.y, r.z);
+                ctx.globalAlpha = r.line <= this.currentLine ? 1 : 0.3;
+                ctx.beginPath();
+                ctx.moveTo(pt.x - 4, pt.y);
+                ctx.lineTo(pt.x + 4, pt.y);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        /**
+         * Draw the tool at the scrubber position
+         * @private
+         */
+        _drawToolPosition() {
+            const done = this.result.segments.filter(s => s.line <= this.currentLine);
+            if (done.length === 0) return;
+            
+            const pos = done[done.length - 1].to;
+            const tip = this._project(pos.x, pos.y, pos.z);
+            const shank = this._project(pos.x, pos.y, pos.z + 0.5);
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ctx.strokeStyle = COLORS.active;
+            ctx.fillStyle = COLORS.active;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(shank.x, shank.y);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(tip.x, tip.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        /**
+         * Draw the color key and depth summary
+         * @private
+         */
+        _drawLegend(width) {
+            const ctx = this.ctx;
+            const units = this.options.units;
+            const surfaceZ = this.material ? this.material.top : 0;
+            const maxDepth = this.markers.plunges.reduce((max, p) => Math.max(max, surfaceZ - p.z), 0);
+            const rows = [
+                { color: COLORS.rapid, dash: [5, 4], text: 'Rapid' },
+                { color: COLORS.feed, dash: [], text: 'Feed' },
+                { color: COLORS.plunge, dot: true, text: `Plunge (max depth ${maxDepth.toFixed(3)} ${units})` },
+                { color: COLORS.retract, text: `Retract Z ${this.markers.retractHeights.join(', ') || '-'}` }
+            ];
+            if (this.material) {
+                rows.push({ color: COLORS.materialEdge, text: `Material ${this.material.thickness} ${units} thick` });
+            }
+            
+            ctx.save();
+            ctx.font = '12px sans-serif';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillRect(8, 8, 230, rows.length * 18 + 8);
+            rows.forEach((row, i) => {
+                const y = 22 + i * 18;
+                ctx.strokeStyle = row.color;
+                ctx.fillStyle = row.color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash(row.dash || []);
+                ctx.beginPath();
+                if (row.dot) {
+                    ctx.arc(26, y - 4, 3, 0, Math.PI * 2);
+                    ctx.fill();
+                } else {
+                    ctx.moveTo(16, y - 4);
+                    ctx.lineTo(36, y - 4);
+                    ctx.stroke();
+                }
+                ctx.fillStyle = COLORS.text;
+                ctx.fillText(row.text, 44, y);
+            });
+            
+            if (this.result.errors.length > 0) {
+                ctx.fillStyle = COLORS.plunge;
+                ctx.textAlign = 'right';
+                ctx.fillText(`${this.result.errors.length} simulation error(s)`, width - 10, 22);
+            }
+            ctx.restore();
+        }
+
+        /**
+         * Format seconds as m:ss
+         * @private
+         */
+        _formatTime(seconds) {
+            const total = Math.round(seconds);
+            return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+        }
+    }
+
+    CobotToolpathViewer.VIEWS = VIEWS;
+    CobotToolpathViewer.COLORS = COLORS;
+
+    return CobotToolpathViewer;
+}));
\ No newline at end of file
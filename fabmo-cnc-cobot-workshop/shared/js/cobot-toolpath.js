@@ -0,0 +1,677 @@
+/**
+ * CNC Cobot Workshop - Toolpath Model
+ * 
+ * Structured description of a machine program: moves, arcs, drill cycles,
+ * spindle, pauses, tool changes and comments, in machine coordinates and
+ * machine units. Apps build a toolpath with the builder methods; CobotCore
+ * writes it as OpenSBP or G-code (postProcess), and estimates and checks
+ * read the data directly (simulate) instead of parsing program text.
+ * 
+ * Operations are plain objects with a type:
+ * - start {safeZ, feedRate, plungeRate}: program setup and move to safe Z
+ * - header {description, options}: program header (see CobotCore.generateSBPHeader)
+ * - comment {text}: comment line; no text gives a blank line
+ * - feedRate {xy, z}: cutting speeds in units per second
+ * - rapid {x, y, z} and feed {x, y, z}: straight moves, any axes
+ * - arc {x, y, i, j, clockwise, plunge, repetitions}: arc from the current
+ *   point to (x, y) about the center offset (i, j); with plunge it is a
+ *   helix lowering Z by plunge per turn, followed by a flat turn
+ * - drill {x, y, z, r, surface, peckDepth, retract, retractDistance, clearance, dwell}:
+ *   hole cycle down to z from the surface, starting and ending at the
+ *   retract height r; peckDepth > 0 pecks (see expandDrill)
+ * - spindle {on, rpm}, pause {seconds} (no seconds waits for the operator)
+ * - toolChange {tool, first, safeZ, spindleDelay, toolChangeX, toolChangeY,
+ *   touchOffX, touchOffY, surfaceZ}: later tools are touched off on the
+ *   material top at (touchOffX, touchOffY) so it stays at surfaceZ
+ * - end {safeZ, returnHome}: retract, spindle off and end the program
+ * Any operation may carry a comment shown at the end of its line, and a
+ * tag set with tag() that analysis results refer back to.
+ * 
+ * Works in the browser (window.CobotToolpath) and in Node (require).
+ * 
+ * @module cobot-toolpath
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    } else {
+        root.CobotToolpath = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * Toolpath builder and analyzer
+     * @class CobotToolpath
+     */
+    class CobotToolpath {
+        /**
+         * @param {Object} options - Defaults for the operations built
+         * @param {string} options.units - Machine units, 'in' or 'mm'
+         * @param {number} options.safeZ - Safe Z for start, tool changes and end
+         * @param {number} options.spindleDelay - Seconds to wait for the spindle to reach speed
+         * @param {number} options.toolChangeX - Machine X for manual tool changes
+         * @param {number} options.toolChangeY - Machine Y for manual tool changes
+         * @param {number} options.surfaceZ - Machine Z of the material top
+         * @param {Object} options.probe - Touch plate {plateThickness, speed, fastSpeed, backoff,
+         *   doubleTouch}, to simulate touching off later tools (null skips the probe moves)
+         */
+        constructor(options = {}) {
+            this.options = Object.assign({
+                units: 'in',
+                safeZ: 0.5,
+                spindleDelay: 3,
+                toolChangeX: 0,
+                toolChangeY: 0,
+                surfaceZ: 0,
+                probe: null
+            }, options);
+            this.operations = [];
+            this.currentTag = null;
+        }
+
+        // ====================================================================
+        // BUILDERS
+        // ====================================================================
+
+        /**
+         * Add an operation
+         * @param {Object} op - Operation (see the module description)
+         * @returns {CobotToolpath} This toolpath, for chaining
+         * @throws {Error} If the operation type is unknown
+         */
+        add(op) {
+            if (!CobotToolpath.OPERATION_TYPES.includes(op.type)) {
+                throw new Error(`Unknown toolpath operation: ${op.type}`);
+            }
+            
+            this.operations.push(this.currentTag !== null && op.tag === undefined ? Object.assign({ tag: this.currentTag }, op) : op);
+            return this;
+        }
+
+        /**
+         * Tag the operations added from now on, e.g. with the part they cut
+         * @param {*} tag - Any value, or null to stop tagging
+         * @returns {CobotToolpath} This toolpath
+         */
+        tag(tag) {
+            this.currentTag = tag;
+            return this;
+        }
+
+        /**
+         * Set up the program: cutting speeds and a move to safe Z
+         * @param {Object} options - {safeZ, feedRate, plungeRate}
+         * @returns {CobotToolpath} This toolpath
+         */
+        start(options = {}) {
+            return this.add({
+                type: 'start',
+                safeZ: options.safeZ !== undefined ? options.safeZ : this.options.safeZ,
+                feedRate: options.feedRate,
+                plungeRate: options.plungeRate
+            });
+        }
+
+        /**
+         * Add the program header
+         * @param {string} description - Brief description of the job
+         * @param {Object} options - Header options (see CobotCore.generateSBPHeader)
+         * @returns {CobotToolpath} This toolpath
+         */
+        header(description, options = {}) {
+            return this.add({ type: 'header', description: description, options: options });
+        }
+
+        /**
+         * Add a comment line, or a blank line without text
+         * @param {string} text - Comment text
+         * @returns {CobotToolpath} This toolpath
+         */
+        comment(text) {
+            return this.add(text ? { type: 'comment', text: text } : { type: 'comment' });
+        }
+
+        /**
+         * Set the cutting speeds
+         * @param {number} xy - XY feed rate (units per second)
+         * @param {number} z - Plunge rate (units per second)
+         * @returns {CobotToolpath} This toolpath
+         */
+        feedRate(xy, z) {
+            return this.add({ type: 'feedRate', xy: xy, z: z });
+        }
+
+        /**
+         * Rapid move; axes left out stay put
+         * @param {Object} point - {x, y, z}
+         * @param {string} comment - Optional line comment
+         * @returns {CobotToolpath} This toolpath
+         */
+        rapid(point, comment) {
+            return this.add(this._move('rapid', point, comment));
+        }
+
+        /**
+         * Cutting move; axes left out stay put
+         * @param {Object} point - {x, y, z}
+         * @param {string} comment - Optional line comment
+         * @returns {CobotToolpath} This toolpath
+         */
+        feed(point, comment) {
+            return this.add(this._move('feed', point, comment));
+        }
+
+        /**
+         * Arc or helix from the current point
+         * @param {Object} arc - {x, y, i, j, clockwise, plunge, repetitions}
+         * @param {string} comment - Optional line comment
+         * @returns {CobotToolpath} This toolpath
+         */
+        arc(arc, comment) {
+            return this.add(Object.assign({ type: 'arc', clockwise: true }, arc, comment ? { comment: comment } : {}));
+        }
+
+        /**
+         * Full circle starting and ending on the +X side of the center; the
+         * tool must already be at (cx + radius, cy)
+         * @param {number} cx - Center X
+         * @param {number} cy - Center Y
+         * @param {number} radius - Radius of the tool center
+         * @param {Object} options - {clockwise, plunge, repetitions, comment}
+         * @returns {CobotToolpath} This toolpath
+         */
+        circle(cx, cy, radius, options = {}) {
+            const arc = { x: cx + radius, y: cy, i: -radius, j: 0, clockwise: options.clockwise !== false };
+            if (options.plunge) {
+                arc.plunge = options.plunge;
+                arc.repetitions = options.repetitions || 1;
+            }
+            return this.arc(arc, options.comment);
+        }
+
+        /**
+         * Drill cycle
+         * @param {Object} cycle - {x, y, z, r, surface, peckDepth, retract, retractDistance, clearance, dwell}
+         * @param {string} comment - Optional line comment
+         * @returns {CobotToolpath} This toolpath
+         */
+        drill(cycle, comment) {
+            return this.add(Object.assign({ type: 'drill' }, cycle, comment ? { comment: comment } : {}));
+        }
+
+        /**
+         * Start or stop the spindle
+         * @param {boolean} on - True to start
+         * @param {number} rpm - Optional spindle speed
+         * @returns {CobotToolpath} This toolpath
+         */
+        spindle(on, rpm) {
+            return this.add(rpm ? { type: 'spindle', on: on, rpm: rpm } : { type: 'spindle', on: on });
+        }
+
+        /**
+         * Timed pause
+         * @param {number} seconds - Pause length
+         * @param {string} comment - Optional line comment
+         * @returns {CobotToolpath} This toolpath
+         */
+        pause(seconds, comment) {
+            return this.add(Object.assign({ type: 'pause', seconds: seconds }, comment ? { comment: comment } : {}));
+        }
+
+        /**
+         * Stop until the operator resumes the job
+         * @param {string} message - Shown to the operator
+         * @returns {CobotToolpath} This toolpath
+         */
+        waitForOperator(message) {
+            return this.add({ type: 'pause', comment: message });
+        }
+
+        /**
+         * Change tools; later tools stop at the tool change position, wait
+         * for the operator and are touched off on the material top
+         * @param {Object} tool - {number, name, diameter, rpm}
+         * @param {Object} options - {first, safeZ, touchOffX, touchOffY}; the
+         *   touch-off point must be over the material and defaults to the
+         *   tool change position
+         * @returns {CobotToolpath} This toolpath
+         */
+        toolChange(tool, options = {}) {
+            return this.add({
+                type: 'toolChange',
+                tool: tool,
+                first: !!options.first,
+                safeZ: options.safeZ !== undefined ? options.safeZ : this.options.safeZ,
+                spindleDelay: this.options.spindleDelay,
+                toolChangeX: this.options.toolChangeX,
+                toolChangeY: this.options.toolChangeY,
+                touchOffX: options.touchOffX !== undefined ? options.touchOffX : this.options.toolChangeX,
+                touchOffY: options.touchOffY !== undefined ? options.touchOffY : this.options.toolChangeY,
+                surfaceZ: this.options.surfaceZ,
+                probe: this.options.probe
+            });
+        }
+
+        /**
+         * Retract, stop the spindle and end the program
+         * @param {Object} options - {safeZ, returnHome}
+         * @returns {CobotToolpath} This toolpath
+         */
+        end(options = {}) {
+            return this.add({
+                type: 'end',
+                safeZ: options.safeZ !== undefined ? options.safeZ : this.options.safeZ,
+                returnHome: options.returnHome !== false
+            });
+        }
+
+        /**
+         * Add all operations of another toolpath
+         * @param {CobotToolpath} toolpath - Toolpath to copy operations from
+         * @returns {CobotToolpath} This toolpath
+         */
+        append(toolpath) {
+            toolpath.operations.forEach(op => this.add(op));
+            return this;
+        }
+
+        /**
+         * Build a move operation
+         * @private
+         */
+        _move(type, point, comment) {
+            const op = { type: type };
+            ['x', 'y', 'z'].forEach(axis => {
+                if (point[axis] !== undefined) op[axis] = point[axis];
+            });
+            if (comment) op.comment = comment;
+            return op;
+        }
+
+        // ====================================================================
+        // ANALYSIS
+        // ====================================================================
+
+        /**
+         * Simulate the toolpath
+         * 
+         * Produces the same result as SBPSimulator.run for the OpenSBP
+         * version of the toolpath, with segment and event lines giving the
+         * operation number (1-based) and segments carrying the operation tag.
+         * @param {Object} options - Simulation options
+         * @param {Object} options.start - Starting position {x, y, z}
+         * @param {number} options.moveSpeedXY - XY feed rate until one is set (units/s)
+         * @param {number} options.moveSpeedZ - Plunge rate until one is set (units/s)
+         * @param {number} options.jogSpeedXY - XY rapid speed (units/s)
+         * @param {number} options.jogSpeedZ - Z rapid speed (units/s)
+         * @param {number} options.operatorPauseTime - Seconds counted for each operator pause;
+         *   the pauses of one tool change count once
+         * @param {number} options.arcSegments - Line segments per full circle
+         * @returns {Object} {segments, events, bounds, cutBounds, time, distance,
+         *   toolChanges, finalPosition, lineCount, errors, warnings}
+         */
+        simulate(options = {}) {
+            const opts = Object.assign({
+                start: { x: 0, y: 0, z: 0 },
+                moveSpeedXY: 1.0,
+                moveSpeedZ: 0.5,
+                jogSpeedXY: 6.0,
+                jogSpeedZ: 3.0,
+                operatorPauseTime: 0,
+                arcSegments: 72
+            }, options);
+            const sim = {
+                options: opts,
+                position: { x: opts.start.x || 0, y: opts.start.y || 0, z: opts.start.z || 0 },
+                speeds: { moveXY: opts.moveSpeedXY, moveZ: opts.moveSpeedZ },
+                spindleOn: false,
+                toolChange: null, // {paused} from selecting a tool until the spindle starts
+                segments: [],
+                events: [],
+                errors: [],
+                warnings: [],
+                time: { rapid: 0, feed: 0, pause: 0, operator: 0 },
+                line: 0,
+                tag: null
+            };
+            
+            this.operations.forEach((op, index) => {
+                sim.line = index + 1;
+                sim.tag = op.tag !== undefined ? op.tag : null;
+                try {
+                    this._simulateOperation(op, sim);
+                } catch (e) {
+                    sim.errors.push({ line: sim.line, message: e.message });
+                }
+            });
+            
+            const cutSegments = sim.segments.filter(s => s.type === 'feed');
+            return {
+                segments: sim.segments,
+                events: sim.events,
+                bounds: this._bounds(sim.segments) || { min: Object.assign({}, sim.position), max: Object.assign({}, sim.position) },
+                cutBounds: this._bounds(cutSegments),
+                time: Object.assign({}, sim.time, {
+                    total: sim.time.rapid + sim.time.feed + sim.time.pause + sim.time.operator
+                }),
+                distance: {
+                    rapid: sim.segments.filter(s => s.type === 'rapid').reduce((sum, s) => sum + s.length, 0),
+                    feed: cutSegments.reduce((sum, s) => sum + s.length, 0)
+                },
+                toolChanges: sim.events.filter(e => e.type === 'tool_change').length,
+                finalPosition: Object.assign({}, sim.position),
+                lineCount: this.operations.length,
+                errors: sim.errors,
+                warnings: sim.warnings
+            };
+        }
+
+        /**
+         * Bounding boxes of the motion
+         * @param {Object} options - Simulation options (see simulate)
+         * @returns {Object} {bounds, cutBounds}; cutBounds is null without cutting moves
+         */
+        getBounds(options = {}) {
+            const result = this.simulate(options);
+            return { bounds: result.bounds, cutBounds: result.cutBounds };
+        }
+
+        /**
+         * Simulate one operation
+         * @private
+         */
+        _simulateOperation(op, sim) {
+            const event = (type, extra = {}) => sim.events.push(Object.assign({ type: type, line: sim.line }, extra));
+            
+            switch (op.type) {
+                case 'start':
+                    this._setSpeeds(sim, op.feedRate, op.plungeRate);
+                    this._simMove(sim, 'rapid', { z: op.safeZ });
+                    break;
+                case 'header':
+                case 'comment':
+                    break;
+                case 'feedRate':
+                    this._setSpeeds(sim, op.xy, op.z);
+                    break;
+                case 'rapid':
+                case 'feed':
+                    this._simMove(sim, op.type, op);
+                    break;
+                case 'arc':
+                    this._simArc(sim, op);
+                    break;
+                case 'drill':
+                    CobotToolpath.expandDrill(op, this.options.units).forEach(step => this._simulateOperation(step, sim));
+                    break;
+                case 'spindle':
+                    if (op.rpm) event('spindle_speed', { rpm: op.rpm });
+                    sim.spindleOn = !!op.on;
+                    if (op.on) sim.toolChange = null;
+                    event(op.on ? 'spindle_on' : 'spindle_off');
+                    break;
+                case 'pause':
+                    if (op.seconds > 0) {
+                        sim.time.pause += op.seconds;
+                        event('pause', { seconds: op.seconds, operator: false });
+                    } else {
+                        // The pauses of one tool change (install, touch off) are counted as one
+                        const first = !sim.toolChange || !sim.toolChange.paused;
+                        if (first) {
+                            sim.time.operator += sim.options.operatorPauseTime;
+                        }
+                        if (sim.toolChange) {
+                            sim.toolChange.paused = true;
+                        }
+                        event('pause', { seconds: null, operator: true, toolChange: !!sim.toolChange && first, message: op.comment || '' });
+                    }
+                    break;
+                case 'toolChange':
+                    if (!op.first) {
+                        this._simMove(sim, 'rapid', { z: op.safeZ });
+                        this._simulateOperation({ type: 'spindle', on: false }, sim);
+                        this._simMove(sim, 'rapid', { x: op.toolChangeX, y: op.toolChangeY });
+                    }
+                    event('tool_change', { tool: op.tool.number });
+                    sim.toolChange = { paused: false };
+                    if (!op.first) {
+                        this._simulateOperation({ type: 'pause', comment: `Install T${op.tool.number}` }, sim);
+                        this._simMove(sim, 'rapid', { x: op.touchOffX, y: op.touchOffY });
+                        this._simulateOperation({ type: 'pause', comment: 'Place the touch plate' }, sim);
+                        this._simTouchOff(sim, op);
+                        this._simulateOperation({ type: 'pause', comment: 'Remove the touch plate' }, sim);
+                    }
+                    this._simulateOperation({ type: 'spindle', on: true, rpm: op.tool.rpm }, sim);
+                    this._simulateOperation({ type: 'pause', seconds: op.spindleDelay }, sim);
+                    this._simMove(sim, 'rapid', { z: op.safeZ });
+                    break;
+                case 'end':
+                    this._simMove(sim, 'rapid', { z: op.safeZ });
+                    this._simulateOperation({ type: 'spindle', on: false }, sim);
+                    if (op.returnHome !== false) {
+                        this._simMove(sim, 'rapid', { x: 0, y: 0 });
+                    }
+                    break;
+                default:
+                    throw new Error(`Unknown toolpath operation: ${op.type}`);
+            }
+        }
+
+        /**
+         * Touch a new tool off on the plate, as the OpenSBP tool change does
+         * @private
+         */
+        _simTouchOff(sim, op) {
+            if (op.probe) {
+                const contact = op.surfaceZ + op.probe.plateThickness;
+                if (op.probe.doubleTouch) {
+                    this._simMove(sim, 'feed', { z: contact }, { probe: true, speed: op.probe.fastSpeed });
+                    this._simMove(sim, 'rapid', { z: contact + op.probe.backoff });
+                }
+                this._simMove(sim, 'feed', { z: contact }, { probe: true, speed: op.probe.speed });
+            }
+            this._simMove(sim, 'rapid', { z: op.safeZ });
+        }
+
+        /**
+         * Set the feed and plunge rates
+         * @private
+         */
+        _setSpeeds(sim, xy, z) {
+            if (xy !== undefined) sim.speeds.moveXY = xy;
+            if (z !== undefined) sim.speeds.moveZ = z;
+            sim.events.push({ type: 'speed', line: sim.line, speeds: Object.assign({}, sim.speeds) });
+        }
+
+        /**
+         * Straight move; axes left out stay put
+         * @private
+         */
+        _simMove(sim, type, target, extra = {}) {
+            const from = sim.position;
+            const to = {
+                x: target.x !== undefined ? target.x : from.x,
+                y: target.y !== undefined ? target.y : from.y,
+                z: target.z !== undefined ? target.z : from.z
+            };
+            [to.x, to.y, to.z].forEach(v => {
+                if (!isFinite(v)) throw new Error('Invalid coordinate');
+            });
+            
+            const dxy = Math.hypot(to.x - from.x, to.y - from.y);
+            const dz = Math.abs(to.z - from.z);
+            const length = Math.hypot(dxy, dz);
+            sim.position = to;
+            if (length === 0) return;
+            
+            const speedXY = extra.speed || (type === 'rapid' ? sim.options.jogSpeedXY : sim.speeds.moveXY);
+            const speedZ = extra.speed || (type === 'rapid' ? sim.options.jogSpeedZ : sim.speeds.moveZ);
+            
+            // Neither axis group may exceed its own speed
+            const time = Math.max(dxy / speedXY, dz / speedZ);
+            sim.time[type] += time;
+            
+            sim.segments.push(Object.assign({
+                type: type,
+                line: sim.line,
+                tag: sim.tag,
+                from: from,
+                to: to,
+                length: length,
+                time: time,
+                spindle: sim.spindleOn,
+                arc: false
+            }, extra, { speed: length / time }));
+            
+            if (type === 'feed' && !sim.spindleOn && !extra.probe) {
+                sim.warnings.push({ line: sim.line, message: 'Feed move with spindle off' });
+            }
+        }
+
+        /**
+         * Arc or helix as feed segments; a helix ends with a flat turn
+         * @private
+         */
+        _simArc(sim, op) {
+            const start = Object.assign({}, sim.position);
+            const cx = start.x + (op.i || 0);
+            const cy = start.y + (op.j || 0);
+            const radius = Math.hypot(start.x - cx, start.y - cy);
+            const startAngle = Math.atan2(start.y - cy, start.x - cx);
+            const endAngle = Math.atan2(op.y - cy, op.x - cx);
+            
+            let sweep = endAngle - startAngle;
+            if (op.clockwise !== false) {
+                while (sweep >= 0) sweep -= Math.PI * 2;
+            } else {
+                while (sweep <= 0) sweep += Math.PI * 2;
+            }
+            
+            const turn = (z0, z1) => {
+                const steps = Math.max(4, Math.ceil(Math.abs(sweep) / (Math.PI * 2) * sim.options.arcSegments));
+                for (let i = 1; i <= steps; i++) {
+                    const t = i / steps;
+                    const angle = startAngle + sweep * t;
+                    const last = i === steps;
+                    this._simMove(sim, 'feed', {
+                        x: last ? op.x : cx + radius * Math.cos(angle),
+                        y: last ? op.y : cy + radius * Math.sin(angle),
+                        z: z0 + (z1 - z0) * t
+                    }, { arc: true });
+                }
+            };
+            
+            let z = start.z;
+            if (!op.plunge) {
+                turn(z, z);
+                return;
+            }
+            for (let rep = 0; rep < (op.repetitions || 1); rep++) {
+                if (rep > 0) this._simMove(sim, 'feed', { x: start.x, y: start.y });
+                turn(z, z + op.plunge);
+                z += op.plunge;
+            }
+            this._simMove(sim, 'feed', { x: start.x, y: start.y });
+            turn(z, z);
+        }
+
+        /**
+         * Bounding box of segments
+         * @private
+         */
+        _bounds(segments) {
+            if (segments.length === 0) return null;
+            
+            const min = Object.assign({}, segments[0].from);
+            const max = Object.assign({}, segments[0].from);
+            segments.forEach(segment => {
+                [segment.from, segment.to].forEach(p => {
+                    ['x', 'y', 'z'].forEach(axis => {
+                        min[axis] = Math.min(min[axis], p[axis]);
+                        max[axis] = Math.max(max[axis], p[axis]);
+                    });
+                });
+            });
+            return { min: min, max: max };
+        }
+
+        /**
+         * Break a drill cycle into plain moves, pauses and comments
+         * 
+         * Pecks feed down from the surface in steps of peckDepth; a 'full'
+         * retract goes to the retract height and a 'partial' one lifts
+         * retractDistance, then each peck rapids back to clearance above the
+         * previous depth.
+         * @param {Object} op - drill operation
+         * @param {string} units - Machine units, for default distances and the comment
+         * @returns {Array} Operations
+         */
+        static expandDrill(op, units = 'in') {
+            const perInch = units === 'mm' ? 25.4 : 1;
+            const ops = [];
+            const surface = op.surface !== undefined ? op.surface : op.r;
+            const depth = surface - op.z;
+            
+            if (!(op.peckDepth > 0)) {
+                ops.push({ type: 'rapid', x: op.x, y: op.y, comment: 'Position over hole' });
+                ops.push({ type: 'feed', z: op.z, comment: 'Plunge to depth' });
+                if (op.dwell > 0) {
+                    ops.push({ type: 'pause', seconds: op.dwell, comment: 'Dwell at bottom' });
+                }
+                ops.push({ type: 'rapid', z: op.r, comment: 'Retract to safe Z' });
+                return ops;
+            }
+            
+            const peckDepth = Math.min(op.peckDepth, depth);
+            const numPecks = Math.ceil(depth / peckDepth - 1e-9);
+            const retract = op.retract || 'full';
+            const retractDistance = op.retractDistance || 0.05 * perInch;
+            const clearance = op.clearance || Math.min(retractDistance, 0.02 * perInch);
+            
+            ops.push({ type: 'comment', text: `Peck drill: ${numPecks} pecks of ${peckDepth.toFixed(units === 'mm' ? 2 : 3)} ${units}, ${retract} retract` });
+            ops.push({ type: 'rapid', x: op.x, y: op.y, comment: 'Position over hole' });
+            
+            let lastZ = surface;
+            for (let peck = 1; peck <= numPecks; peck++) {
+                const z = Math.max(surface - peckDepth * peck, op.z);
+                if (peck > 1) {
+                    ops.push({ type: 'rapid', z: lastZ + clearance, comment: 'Rapid back to previous depth' });
+                }
+                ops.push({ type: 'feed', z: z, comment: `Peck ${peck}` });
+                
+                if (peck < numPecks) {
+                    if (retract === 'partial') {
+                        ops.push({ type: 'rapid', z: z + retractDistance, comment: 'Partial retract' });
+                    } else {
+                        ops.push({ type: 'rapid', z: op.r, comment: 'Full retract to clear chips' });
+                    }
+                }
+                lastZ = z;
+            }
+            
+            if (op.dwell > 0) {
+                ops.push({ type: 'pause', seconds: op.dwell, comment: 'Dwell at bottom' });
+            }
+            ops.push({ type: 'rapid', z: op.r, comment: 'Retract to safe Z' });
+            return ops;
+        }
+    }
+
+    /**
+     * Operation types a toolpath may hold
+     * @static
+     */
+    CobotToolpath.OPERATION_TYPES = [
+        'start', 'header', 'comment', 'feedRate', 'rapid', 'feed', 'arc',
+        'drill', 'spindle', 'pause', 'toolChange', 'end'
+    ];
+
+    return CobotToolpath;
+}));
\ No newline at end of file
@@ -0,0 +1,586 @@
+/**
+ * CNC Cobot Workshop - OpenSBP Simulator
+ * 
+ * Offline interpreter for the OpenSBP subset the workshop apps emit. Runs a
+ * program without a machine and produces a motion trace (rapid and feed
+ * segments tagged with their source line), a run time estimate and the
+ * bounding box of the motion.
+ * 
+ * Supported: J2, J3, JX, JY, JZ, M2, M3, MX, MY, MZ, MS, JS, VS, CG, PX, PY,
+ * PZ, VA, C6, C7, C9 (and other C# macros as events), TR, PAUSE, END, &var
+ * assignment and %(var) substitution, with + - * / and parentheses in
+ * arguments.
+ * 
+ * Probe moves (PX/PY/PZ) are feed moves toward the target that stop at
+ * options.probeContact when it lies on the way; VA changes the offset, so
+ * later coordinates are read in the new frame.
+ * 
+ * Works in the browser (window.SBPSimulator) and in Node (require).
+ * 
+ * @module sbp-simulator
+ * @version 0.1.0
+ * @license Apache-2.0
+ */
+
+(function(root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof exports === 'object') {
+        module.exports = factory();
+    } else {
+        root.SBPSimulator = factory();
+    }
+}(this, function() {
+    'use strict';
+
+    /**
+     * OpenSBP interpreter producing a motion trace
+     * @class SBPSimulator
+     */
+    class SBPSimulator {
+        /**
+         * @param {Object} options - Simulation options
+         * @param {Object} options.start - Starting position {x, y, z}
+         * @param {number} options.moveSpeedXY - XY move speed until MS/VS sets one (units/s)
+         * @param {number} options.moveSpeedZ - Z move speed until MS/VS sets one (units/s)
+         * @param {number} options.jogSpeedXY - XY jog speed until JS/VS sets one (units/s)
+         * @param {number} options.jogSpeedZ - Z jog speed until JS/VS sets one (units/s)
+         * @param {number} options.safeZ - Pull-up height for CG with a plunge (default &safeZ)
+         * @param {number} options.operatorPauseTime - Seconds counted for each PAUSE without a time;
+         *   the pauses of one tool change (after C9, up to C6) count once
+         * @param {Object} options.probeContact - Where probe moves trip, {x, y, z}; axes left
+         *   out (or not on the way) probe all the way to the target
+         * @param {number} options.arcSegments - Line segments per full circle in the trace
+         */
+        constructor(options = {}) {
+            this.options = Object.assign({
+                start: { x: 0, y: 0, z: 0 },
+                moveSpeedXY: 1.0,
+                moveSpeedZ: 0.5,
+                jogSpeedXY: 6.0,
+                jogSpeedZ: 3.0,
+                safeZ: null,
+                operatorPauseTime: 0,
+                probeContact: {},
+                arcSegments: 72
+            }, options);
+        }
+
+        /**
+         * Run an OpenSBP program
+         * @param {string} code - OpenSBP program text
+         * @returns {Object} Simulation result:
+         *   segments - [{type: 'rapid'|'feed', line, from, to, length, time, speed, spindle, arc}]
+         *   events - [{type, line, ...}] for spindle, tool change, pause, offset and speed changes
+         *   bounds - {min, max} of all motion; cutBounds - {min, max} of feed moves (null if none)
+         *   time - {rapid, feed, pause, operator, total} in seconds
+         *   distance - {rapid, feed}
+         *   variables, finalPosition, errors [{line, message}], warnings [{line, message}]
+         */
+        run(code) {
+            this._reset();
+            
+            const lines = String(code).split(/\r?\n/);
+            for (let i = 0; i < lines.length; i++) {
+                this.lineNumber = i + 1;
+                try {
+                    if (this._executeLine(lines[i]) === false) break;
+                } catch (e) {
+                    this.errors.push({ line: this.lineNumber, message: e.message });
+                }
+            }
+            
+            return this._result(lines.length);
+        }
+
+        /**
+         * Reset interpreter state
+         * @private
+         */
+        _reset() {
+            const start = this.options.start;
+            this.position = { x: start.x || 0, y: start.y || 0, z: start.z || 0 };
+            this.speeds = {
+                moveXY: this.options.moveSpeedXY,
+                moveZ: this.options.moveSpeedZ,
+                jogXY: this.options.jogSpeedXY,
+                jogZ: this.options.jogSpeedZ
+            };
+            this.variables = {};
+            this.spindleOn = false;
+            this.toolChange = null; // {paused} between C9 and the next C6
+            this.segments = [];
+            this.events = [];
+            this.errors = [];
+            this.warnings = [];
+            this.time = { rapid: 0, feed: 0, pause: 0, operator: 0 };
+            this.lineNumber = 0;
+        }
+
+        /**
+         * Execute one program line
+         * @private
+         * @returns {boolean|undefined} false to stop the program
+         */
+        _executeLine(rawLine) {
+            const line = this._stripComment(rawLine).trim();
+            if (!line) return;
+            
+            // Variable assignment: &name = expression
+            const assignment = line.match(/^&(\w+)\s*=\s*(.+)$/);
+            if (assignment) {
+                this.variables[assignment[1].toLowerCase()] = this._evaluate(assignment[2]);
+                return;
+            }
+            
+            const match = line.match(/^([A-Za-z][A-Za-z0-9]*)\s*(?:[,\s]\s*(.*))?$/);
+            if (!match) {
+                throw new Error(`Cannot parse: ${line}`);
+            }
+            
+            const command = match[1].toUpperCase();
+            const argText = match[2] || '';
+            
+            switch (command) {
+                case 'J2': return this._move('rapid', this._args(argText, 2));
+                case 'J3': return this._move('rapid', this._args(argText, 3));
+                case 'JX': return this._move('rapid', [this._args(argText, 1)[0]]);
+                case 'JY': return this._move('rapid', [undefined, this._args(argText, 1)[0]]);
+                case 'JZ': return this._move('rapid', [undefined, undefined, this._args(argText, 1)[0]]);
+                case 'M2': return this._move('feed', this._args(argText, 2));
+                case 'M3': return this._move('feed', this._args(argText, 3));
+                case 'MX': return this._move('feed', [this._args(argText, 1)[0]]);
+                case 'MY': return this._move('feed', [undefined, this._args(argText, 1)[0]]);
+                case 'MZ': return this._move('feed', [undefined, undefined, this._args(argText, 1)[0]]);
+                case 'PX': return this._probe('x', this._args(argText, 3));
+                case 'PY': return this._probe('y', this._args(argText, 3));
+                case 'PZ': return this._probe('z', this._args(argText, 3));
+                case 'VA': return this._setLocation(this._args(argText, 3));
+                case 'MS': return this._setSpeeds(this._args(argText, 2), 'moveXY', 'moveZ');
+                case 'JS': return this._setSpeeds(this._args(argText, 2), 'jogXY', 'jogZ');
+                case 'VS': return this._setValueSpeeds(this._args(argText, 6));
+                case 'CG': return this._circle(this._args(argText, 15, [5]));
+                case 'TR': return this._spindleSpeed(this._args(argText, 1)[0]);
+                case 'PAUSE': return this._pause(argText);
+                case 'END': return false;
+                default:
+                    if (/^C\d+$/.test(command)) {
+                        return this._macro(parseInt(command.slice(1)));
+                    }
+                    this.warnings.push({ line: this.lineNumber, message: `Unsupported command ${command} ignored` });
+            }
+        }
+
+        /**
+         * Remove a trailing ' comment (outside of quotes)
+         * @private
+         */
+        _stripComment(line) {
+            let inQuote = false;
+            for (let i = 0; i < line.length; i++) {
+                if (line[i] === '"') inQuote = !inQuote;
+                if (line[i] === "'" && !inQuote) return line.slice(0, i);
+            }
+            return line;
+        }
+
+        /**
+         * Parse comma separated arguments; empty arguments are undefined
+         * @private
+         * @param {string} text - Argument text
+         * @param {number} count - Number of arguments the command takes
+         * @param {Array} rawIndexes - Argument indexes returned as text (not evaluated)
+         */
+        _args(text, count, rawIndexes = []) {
+            const parts = text.split(',');
+            const args = [];
+            for (let i = 0; i < count; i++) {
+                const part = parts[i] !== undefined ? parts[i].trim() : '';
+                if (part === '') {
+                    args.push(undefined);
+                } else if (rawIndexes.includes(i)) {
+                    args.push(part.toUpperCase());
+                } else {
+                    args.push(this._evaluate(part));
+                }
+            }
+            return args;
+        }
+
+        /**
+         * Evaluate an arithmetic expression with &var and %(var) references
+         * @private
+         */
+        _evaluate(text) {
+            const tokens = text.match(/%\(\s*&?\w+\s*\)|&\w+|\d*\.?\d+(?:[eE][-+]?\d+)?|[-+*/()]|\S/g) || [];
+            let pos = 0;
+            
+            const peek = () => tokens[pos];
+            const next = () => tokens[pos++];
+            
+            const primary = () => {
+                const token = next();
+                if (token === undefined) throw new Error(`Incomplete expression: ${text}`);
+                if (token === '(') {
+                    const value = sum();
+                    if (next() !== ')') throw new Error(`Missing ) in: ${text}`);
+                    return value;
+                }
+                if (token === '-') return -primary();
+                if (token === '+') return primary();
+                if (/^[\d.]/.test(token)) return parseFloat(token);
+                if (token[0] === '&' || token[0] === '%') {
+                    return this._lookup(token.replace(/^%\(\s*|\s*\)$/g, '').replace(/^&/, ''));
+                }
+                throw new Error(`Unexpected "${token}" in: ${text}`);
+            };
+            const product = () => {
+                let value = primary();
+                while (peek() === '*' || peek() === '/') {
+                    value = next() === '*' ? value * primary() : value / primary();
+                }
+                return value;
+            };
+            const sum = () => {
+                let value = product();
+                while (peek() === '+' || peek() === '-') {
+                    value = next() === '+' ? value + product() : value - product();
+                }
+                return value;
+            };
+            
+            const value = sum();
+            if (pos < tokens.length) {
+                throw new Error(`Unexpected "${tokens[pos]}" in: ${text}`);
+            }
+            return value;
+        }
+
+        /**
+         * Look up a user variable or a numbered system variable (%(1)-%(3) = X, Y, Z)
+         * @private
+         */
+        _lookup(name) {
+            const systemVariables = { 1: 'x', 2: 'y', 3: 'z' };
+            if (systemVariables[name]) {
+                return this.position[systemVariables[name]];
+            }
+            
+            const key = name.toLowerCase();
+            if (!(key in this.variables)) {
+                throw new Error(`Undefined variable &${name}`);
+            }
+            return this.variables[key];
+        }
+
+        /**
+         * Straight move to [x, y, z]; undefined axes stay put
+         * @private
+         */
+        _move(type, target, extra = {}) {
+            const to = {
+                x: target[0] !== undefined ? target[0] : this.position.x,
+                y: target[1] !== undefined ? target[1] : this.position.y,
+                z: target[2] !== undefined ? target[2] : this.position.z
+            };
+            [to.x, to.y, to.z].forEach(v => {
+                if (!isFinite(v)) throw new Error('Invalid coordinate');
+            });
+            
+            const from = this.position;
+            const dxy = Math.hypot(to.x - from.x, to.y - from.y);
+            const dz = Math.abs(to.z - from.z);
+            const length = Math.hypot(dxy, dz);
+            this.position = to;
+            if (length === 0) return;
+            
+            const speedXY = extra.speed || (type === 'rapid' ? this.speeds.jogXY : this.speeds.moveXY);
+            const speedZ = extra.speed || (type === 'rapid' ? this.speeds.jogZ : this.speeds.moveZ);
+            
+            // Neither axis group may exceed its own speed
+            const time = Math.max(dxy / speedXY, dz / speedZ);
+            this.time[type] += time;
+            
+            this.segments.push(Object.assign({
+                type: type,
+                line: this.lineNumber,
+                from: from,
+                to: to,
+                length: length,
+                time: time,
+                spindle: this.spindleOn,
+                arc: false
+            }, extra, { speed: length / time }));
+            
+            if (type === 'feed' && !this.spindleOn && !extra.probe) {
+                this.warnings.push({ line: this.lineNumber, message: 'Feed move with spindle off' });
+            }
+        }
+
+        /**
+         * PX / PY / PZ: Target, Speed, Input
+         * 
+         * Feeds toward the target at the probe speed (the move speed when
+         * left out) and stops at the probe contact if it lies on the way.
+         * @private
+         */
+        _probe(axis, args) {
+            const [target, speed] = args;
+            if (target === undefined) {
+                throw new Error(`P${axis.toUpperCase()} requires a target`);
+            }
+            
+            const contact = this.options.probeContact[axis];
+            const from = this.position[axis];
+            const onTheWay = contact !== undefined && contact !== null &&
+                (contact - from) * (target - from) >= 0 && Math.abs(contact - from) <= Math.abs(target - from);
+            const move = [undefined, undefined, undefined];
+            move[{ x: 0, y: 1, z: 2 }[axis]] = onTheWay ? contact : target;
+            this._move('feed', move, {
+                probe: true,
+                speed: speed !== undefined ? speed : (axis === 'z' ? this.speeds.moveZ : this.speeds.moveXY)
+            });
+        }
+
+        /**
+         * VA: set the current location (X, Y, Z), changing the offset
+         * 
+         * The tool does not move; later coordinates are in the new frame.
+         * @private
+         */
+        _setLocation(args) {
+            const offset = {};
+            ['x', 'y', 'z'].forEach((axis, index) => {
+                if (args[index] === undefined) return;
+                offset[axis] = args[index] - this.position[axis];
+                this.position = Object.assign({}, this.position, { [axis]: args[index] });
+            });
+            this.events.push({ type: 'offset', line: this.lineNumber, offset: offset });
+        }
+
+        /**
+         * MS / JS: set XY and Z speeds
+         * @private
+         */
+        _setSpeeds(args, xyKey, zKey) {
+            if (args[0] !== undefined) this.speeds[xyKey] = args[0];
+            if (args[1] !== undefined) this.speeds[zKey] = args[1];
+            this.events.push({ type: 'speed', line: this.lineNumber, speeds: Object.assign({}, this.speeds) });
+        }
+
+        /**
+         * VS: XY move, Z move, A move, B move, XY jog, Z jog
+         * @private
+         */
+        _setValueSpeeds(args) {
+            if (args[0] !== undefined) this.speeds.moveXY = args[0];
+            if (args[1] !== undefined) this.speeds.moveZ = args[1];
+            if (args[4] !== undefined) this.speeds.jogXY = args[4];
+            if (args[5] !== undefined) this.speeds.jogZ = args[5];
+            this.events.push({ type: 'speed', line: this.lineNumber, speeds: Object.assign({}, this.speeds) });
+        }
+
+        /**
+         * CG: Diameter, EndX, EndY, XCenterOffset, YCenterOffset, I-O-T, Direction,
+         * Plunge, Repetitions, PropX, PropY, Option, NoPullUp, PlungeFromZero
+         * 
+         * The center is offset from the current position. Direction 1 is
+         * clockwise, -1 counterclockwise. Plunge is a signed Z change per
+         * repetition: with Option 2 or 3 it is ramped over the circle (3 adds a
+         * flat pass at the bottom), otherwise the tool plunges before each
+         * repetition. Unless NoPullUp is 1, a CG with a plunge retracts to safe
+         * Z at the end. Tool offsets (I/O) and proportions are not simulated.
+         * @private
+         */
+        _circle(args) {
+            const [, endXArg, endYArg, offsetX, offsetY, , dirArg, plunge, repsArg, , , option, noPullUp, plungeFromZero] = args;
+            
+            if (offsetX === undefined && offsetY === undefined) {
+                throw new Error('CG requires a center offset');
+            }
+            
+            const start = Object.assign({}, this.position);
+            const cx = start.x + (offsetX || 0);
+            const cy = start.y + (offsetY || 0);
+            const endX = endXArg !== undefined ? endXArg : start.x;
+            const endY = endYArg !== undefined ? endYArg : start.y;
+            const direction = dirArg === -1 ? -1 : 1;
+            const reps = Math.max(1, Math.round(repsArg || 1));
+            const spiral = option === 2 || option === 3;
+            const radius = Math.hypot(start.x - cx, start.y - cy);
+            
+            const startAngle = Math.atan2(start.y - cy, start.x - cx);
+            const endAngle = Math.atan2(endY - cy, endX - cx);
+            let sweep = endAngle - startAngle;
+            if (direction === 1) {
+                while (sweep >= 0) sweep -= Math.PI * 2; // clockwise
+            } else {
+                while (sweep <= 0) sweep += Math.PI * 2;
+            }
+            if (Math.abs(Math.abs(sweep) - Math.PI * 2) > 1e-9 && Math.hypot(endX - start.x, endY - start.y) < 1e-6) {
+                sweep = direction * -Math.PI * 2;
+            }
+            
+            let z = plungeFromZero === 1 ? 0 : start.z;
+            
+            for (let rep = 0; rep < reps; rep++) {
+                if (plunge && !spiral) {
+                    z += plunge;
+                    this._move('feed', [undefined, undefined, z]);
+                }
+                const zEnd = plunge && spiral ? z + plunge : z;
+                if (rep > 0) {
+                    this._move('feed', [start.x, start.y, undefined]);
+                }
+                this._arc(cx, cy, radius, startAngle, sweep, z, zEnd, endX, endY);
+                z = zEnd;
+            }
+            
+            if (plunge && option === 3) {
+                this._move('feed', [start.x, start.y, undefined]);
+                this._arc(cx, cy, radius, startAngle, sweep, z, z, endX, endY);
+            }
+            
+            if (plunge && noPullUp !== 1) {
+                const safeZ = this.options.safeZ !== null ? this.options.safeZ : this.variables.safez;
+                if (safeZ !== undefined) {
+                    this._move('rapid', [undefined, undefined, safeZ]);
+                }
+            }
+        }
+
+        /**
+         * Emit an arc as feed segments, ramping Z from z0 to z1
+         * @private
+         */
+        _arc(cx, cy, radius, startAngle, sweep, z0, z1, endX, endY) {
+            const steps = Math.max(4, Math.ceil(Math.abs(sweep) / (Math.PI * 2) * this.options.arcSegments));
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const angle = startAngle + sweep * t;
+                const last = i === steps;
+                this._move('feed', [
+                    last ? endX : cx + radius * Math.cos(angle),
+                    last ? endY : cy + radius * Math.sin(angle),
+                    z0 + (z1 - z0) * t
+                ], { arc: true });
+            }
+        }
+
+        /**
+         * TR: spindle speed
+         * @private
+         */
+        _spindleSpeed(rpm) {
+            this.events.push({ type: 'spindle_speed', line: this.lineNumber, rpm: rpm });
+        }
+
+        /**
+         * PAUSE [seconds | "message"]
+         * @private
+         */
+        _pause(argText) {
+            const text = argText.replace(/^,/, '').trim();
+            const seconds = text !== '' && !/^"/.test(text) ? this._evaluate(text) : null;
+            
+            if (seconds !== null) {
+                this.time.pause += seconds;
+                this.events.push({ type: 'pause', line: this.lineNumber, seconds: seconds, operator: false });
+            } else {
+                // The pauses of one tool change (install, touch off) are counted as one
+                const first = !this.toolChange || !this.toolChange.paused;
+                if (first) {
+                    this.time.operator += this.options.operatorPauseTime;
+                }
+                if (this.toolChange) {
+                    this.toolChange.paused = true;
+                }
+                this.events.push({
+                    type: 'pause',
+                    line: this.lineNumber,
+                    seconds: null,
+                    operator: true,
+                    toolChange: !!this.toolChange && first,
+                    message: text.replace(/^"|"$/g, '')
+                });
+            }
+        }
+
+        /**
+         * C# macros: C6 spindle on (ends a tool change), C7 spindle off, C9 tool
+         * change (uses &Tool)
+         * @private
+         */
+        _macro(number) {
+            if (number === 6) {
+                this.spindleOn = true;
+                this.toolChange = null;
+                this.events.push({ type: 'spindle_on', line: this.lineNumber });
+            } else if (number === 7) {
+                this.spindleOn = false;
+                this.events.push({ type: 'spindle_off', line: this.lineNumber });
+            } else if (number === 9) {
+                this.toolChange = { paused: false };
+                this.events.push({
+                    type: 'tool_change',
+                    line: this.lineNumber,
+                    tool: this.variables.tool !== undefined ? this.variables.tool : null
+                });
+            } else {
+                this.events.push({ type: 'macro', line: this.lineNumber, macro: number });
+                this.warnings.push({ line: this.lineNumber, message: `Macro C${number} not simulated` });
+            }
+        }
+
+        /**
+         * Build the simulation result
+         * @private
+         */
+        _result(lineCount) {
+            const bounds = this._bounds(this.segments);
+            const cutSegments = this.segments.filter(s => s.type === 'feed');
+            
+            return {
+                segments: this.segments,
+                events: this.events,
+                bounds: bounds || { min: Object.assign({}, this.position), max: Object.assign({}, this.position) },
+                cutBounds: this._bounds(cutSegments),
+                time: Object.assign({}, this.time, {
+                    total: this.time.rapid + this.time.feed + this.time.pause + this.time.operator
+                }),
+                distance: {
+                    rapid: this.segments.filter(s => s.type === 'rapid').reduce((sum, s) => sum + s.length, 0),
+                    feed: cutSegments.reduce((sum, s) => sum + s.length, 0)
+                },
+                toolChanges: this.events.filter(e => e.type === 'tool_change').length,
+                variables: Object.assign({}, this.variables),
+                finalPosition: Object.assign({}, this.position),
+                lineCount: lineCount,
+                errors: this.errors,
+                warnings: this.warnings
+            };
+        }
+
+        /**
+         * Bounding box of segments
+         * @private
+         */
+        _bounds(segments) {
+            if (segments.length === 0) return null;
+            
+            const min = Object.assign({}, segments[0].from);
+            const max = Object.assign({}, segments[0].from);
+            segments.forEach(segment => {
+                [segment.from, segment.to].forEach(p => {
+                    ['x', 'y', 'z'].forEach(axis => {
+                        min[axis] = Math.min(min[axis], p[axis]);
+                        max[axis] = Math.max(max[axis], p[axis]);
+                    });
+                });
+            });
+            return { min: min, max: max };
+        }
+    }
+
+    return SBPSimulator;
+}));
\ No newline at end of file
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CobotCore, machine, createCore } = require('./helpers');
+
+const SETTINGS_KEY = 'cobot_workshop_settings';
+
+const near = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'value'}: ${actual} is not ${expected}`);
+};
+
+const stored = (key) => JSON.parse(localStorage.getItem(key));
+
+test('migrates settings saved before the tool library', async () => {
+    const cobot = await createCore({
+        storage: { [SETTINGS_KEY]: JSON.stringify({ safeZ: 0.75, toolDiameter: 0.25, bitType: 'end_mill' }) }
+    });
+    const tool = cobot.findTools(0.25, 'end_mill')[0];
+    
+    const settings = cobot.getGlobalSettings();
+    assert.equal(settings.activeToolId, tool.id);
+    assert.equal(settings.safeZ, 0.75);
+    assert.equal(stored(SETTINGS_KEY).schemaVersion, CobotCore.SETTINGS_SCHEMA.version);
+    assert.deepEqual(cobot.settingsErrors, []);
+});
+
+test('converts settings saved in other units', async () => {
+    const cobot = await createCore({
+        storage: { [SETTINGS_KEY]: JSON.stringify({ schemaVersion: 1, units: 'mm', safeZ: 12.7, feedRate: 50.8, toolChangeTime: 30 }) }
+    });
+    
+    const settings = cobot.getGlobalSettings();
+    near(settings.safeZ, 0.5, 'safe Z');
+    near(settings.feedRate, 2, 'feed rate');
+    assert.equal(settings.toolChangeTime, 30);
+    assert.equal(stored(SETTINGS_KEY).units, 'in');
+});
+
+test('replaces invalid values with defaults and reports them', async () => {
+    const cobot = await createCore({
+        storage: { [SETTINGS_KEY]: JSON.stringify({ schemaVersion: 1, safeZ: '1.5', feedRate: -2, postProcessor: 'dos' }) }
+    });
+    const errors = [];
+    cobot.onSettingsError(error => errors.push(error));
+    
+    const settings = cobot.getGlobalSettings();
+    assert.equal(settings.safeZ, 1.5);
+    assert.equal(settings.feedRate, cobot._getDefaultGlobalSettings().feedRate);
+    assert.equal(settings.postProcessor, 'sbp');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /feedRate/);
+    assert.match(errors[0].message, /postProcessor/);
+});
+
+test('keeps one local backup of corrupt settings', async () => {
+    const cobot = await createCore({ storage: { [SETTINGS_KEY]: '{"safeZ": ' } });
+    const errors = [];
+    cobot.onSettingsError(error => errors.push(error));
+    
+    assert.deepEqual(cobot.getGlobalSettings(), cobot._getDefaultGlobalSettings());
+    assert.equal(errors[0].backupKey, `${SETTINGS_KEY}_corrupt`);
+    assert.equal(localStorage.getItem(`${SETTINGS_KEY}_corrupt`), '{"safeZ": ');
+    assert.equal(localStorage.getItem(SETTINGS_KEY), null);
+    
+    localStorage.setItem(SETTINGS_KEY, '[]');
+    cobot.getGlobalSettings();
+    assert.equal(localStorage.getItem(`${SETTINGS_KEY}_corrupt`), '[]');
+    
+    await cobot.syncStorage();
+    assert.ok(!(`${SETTINGS_KEY}_corrupt` in machine.config.cobotWorkshop));
+});
+
+test('leaves settings from a newer schema alone', async () => {
+    const saved = JSON.stringify({ schemaVersion: 99, safeZ: 2 });
+    const cobot = await createCore({ storage: { [SETTINGS_KEY]: saved } });
+    
+    assert.equal(cobot.getGlobalSettings().safeZ, 2);
+    assert.match(cobot.settingsErrors[0].message, /newer version/);
+    assert.equal(localStorage.getItem(SETTINGS_KEY), saved);
+});
+
+test('runs app settings migrations in order', async () => {
+    const cobot = await createCore({
+        appName: 'Rip Saw',
+        storage: { cobot_workshop_rip_saw: JSON.stringify({ kerf: 0.125 }) }
+    });
+    cobot.setAppSettingsSchema({
+        version: 2,
+        fields: { bitDiameter: { type: 'number', min: 0, length: true }, passes: { type: 'integer', min: 1 } },
+        migrations: {
+            1: settings => Object.assign(settings, { bitDiameter: settings.kerf }),
+            2: settings => Object.assign(settings, { passes: settings.bitDiameter > 0.1 ? 2 : 1 })
+        },
+        defaults: { bitDiameter: 0.25, passes: 1 }
+    });
+    
+    const settings = cobot.getAppSettings();
+    assert.equal(settings.bitDiameter, 0.125);
+    assert.equal(settings.passes, 2);
+    assert.equal(stored('cobot_workshop_rip_saw').schemaVersion, 2);
+});
+
+test('syncs shared data to the machine and app settings to the app', async () => {
+    const cobot = await createCore({ appName: 'Rip Saw' });
+    cobot.saveDatum({ label: 'Fence', x: 1, y: 2, z: 0 }, { activate: true });
+    cobot.setAppSettings({ passes: 3 });
+    
+    await cobot.syncStorage();
+    assert.ok('cobot_workshop_datums' in machine.config.cobotWorkshop);
+    assert.deepEqual(Object.keys(machine.appConfig.cobotWorkshop), ['cobot_workshop_rip_saw']);
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CobotToolpath, loadScript, createCore } = require('./helpers');
+
+const DrillToolpath = loadScript('apps/drill-press/js/drill-toolpath.js', 'DrillToolpath');
+
+const near = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'value'}: ${actual} is not ${expected}`);
+};
+
+const JOB = { diameter: 0.25, depth: 0.5, type: 'through', materialThickness: 0.75 };
+
+async function setup() {
+    const cobot = await createCore({ appName: 'Drill Press' });
+    cobot.setGlobalSettings({ toolDiameter: 0.25, safeZ: 0.5 });
+    return { cobot, drill: new DrillToolpath(cobot) };
+}
+
+const ofType = (toolpath, type) => toolpath.operations.filter(op => op.type === type);
+
+test('drills each hole to depth from safe Z', async () => {
+    const { drill } = await setup();
+    const toolpath = drill.generateToolpath([{ x: 1, y: 2 }, { x: 3, y: 2 }], JOB);
+    
+    const drills = ofType(toolpath, 'drill');
+    assert.equal(drills.length, 2);
+    drills.forEach(op => {
+        near(op.z, -0.5, 'hole bottom');
+        near(op.r, 0.5, 'retract height');
+        near(op.surface, 0, 'surface');
+    });
+    assert.deepEqual(drills.map(op => op.tag), [{ hole: 1 }, { hole: 2 }]);
+    assert.equal(ofType(toolpath, 'toolChange').length, 1);
+});
+
+test('pecks deep holes with the hole settings', async () => {
+    const { cobot, drill } = await setup();
+    const toolpath = drill.generateToolpath([{ x: 1, y: 1, type: 'peck', depth: 1, peckDepth: 0.3 }], JOB);
+    
+    const [op] = ofType(toolpath, 'drill');
+    near(op.z, -1, 'hole bottom');
+    near(op.peckDepth, 0.3, 'peck depth');
+    assert.equal(op.retract, 'full');
+    
+    // Four pecks, each full retract back to safe Z before the next
+    const steps = CobotToolpath.expandDrill(op);
+    const pecks = steps.filter(step => step.type === 'feed');
+    assert.equal(pecks.length, 4);
+    near(pecks[pecks.length - 1].z, -1, 'last peck');
+    assert.equal(steps.filter(step => step.type === 'rapid' && step.z === 0.5).length, 4);
+    
+    const gcode = cobot.postProcess(toolpath, 'gcode');
+    assert.doesNotMatch(gcode, /G83/);
+    assert.match(gcode, /G1 Z-1\.000 \(Peck 4\)/);
+});
+
+test('mills pockets inside the hole wall', async () => {
+    const { drill } = await setup();
+    const toolpath = drill.generateToolpath([{ x: 2, y: 2, type: 'pocket', diameter: 1 }], JOB);
+    
+    const arcs = ofType(toolpath, 'arc');
+    assert.ok(arcs.length > 0);
+    const sim = toolpath.simulate();
+    const cut = sim.cutBounds;
+    // Tool center stays a tool radius inside the 1" hole
+    near(cut.max.x - 2, 0.375, 'finish radius');
+    near(cut.min.y - 2, -0.375, 'finish radius');
+    near(cut.min.z, -0.5, 'pocket depth');
+});
+
+test('splits counterbores into a pilot and a milled bore', async () => {
+    const { drill } = await setup();
+    const holes = [{ x: 1, y: 1, type: 'counterbore', diameter: 0.25, cbDiameter: 0.75, cbDepth: 0.2 }];
+    const groups = drill.groupHoles(holes, JOB);
+    
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].operations.map(op => drill.operationLabel(op.config)), ['counterbore pilot', 'counterbore']);
+    
+    const toolpath = drill.generateToolpath(holes, JOB);
+    const cut = toolpath.simulate().cutBounds;
+    near(cut.max.x - 1, 0.375 - 0.125, 'bore finish radius');
+    near(cut.min.z, -0.5, 'pilot depth');
+});
+
+test('places holes relative to a rotated datum', async () => {
+    const { cobot, drill } = await setup();
+    cobot.saveDatum({ label: 'Fence', x: 10, y: 5, z: -0.25, rotation: 90 }, { activate: true });
+    
+    const toolpath = drill.generateToolpath([{ x: 1, y: 0 }], JOB);
+    
+    const [op] = ofType(toolpath, 'drill');
+    near(op.x, 10, 'machine X');
+    near(op.y, 6, 'machine Y');
+    near(op.z, -0.75, 'hole bottom');
+    near(op.surface, -0.25, 'surface');
+    near(op.r, 0.25, 'retract height');
+});
+
+test('validates the job configuration', async () => {
+    const { drill } = await setup();
+    
+    assert.deepEqual(drill.validateConfig(JOB), []);
+    assert.ok(drill.validateConfig(Object.assign({}, JOB, { diameter: 0 })).length > 0);
+    assert.throws(() => drill.generateToolpath([], JOB), /No holes/);
+});
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Test helpers: a browser-like environment for the workshop modules
+ *
+ * Provides localStorage, DOMParser and a FabMoDashboard stand-in backed by
+ * an in-memory machine, then loads the shared modules through their Node
+ * (CommonJS) branch and the app scripts the way the browser does, as
+ * plain scripts that see the shared modules as globals.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * In-memory localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * The machine behind the dashboard: its config and each app's config
+ */
+const machine = {
+    config: {},
+    appConfig: {}
+};
+
+/**
+ * FabMoDashboard stand-in answering from the in-memory machine
+ */
+class FakeDashboard {
+    getConfig(callback) {
+        callback(null, JSON.parse(JSON.stringify(machine.config)));
+    }
+
+    setConfig(config, callback) {
+        Object.assign(machine.config, JSON.parse(JSON.stringify(config)));
+        if (callback) callback(null);
+    }
+
+    getAppConfig(callback) {
+        callback(null, JSON.parse(JSON.stringify(machine.appConfig)));
+    }
+
+    setAppConfig(config, callback) {
+        Object.assign(machine.appConfig, JSON.parse(JSON.stringify(config)));
+        if (callback) callback(null);
+    }
+
+    getStatus(callback) {
+        callback(null, { posx: 0, posy: 0, posz: 0 });
+    }
+
+    on() {}
+
+    off() {}
+
+    notify() {}
+}
+
+// The modules log routine actions; keep the test report readable
+console.log = () => {};
+
+global.localStorage = new MemoryStorage();
+global.DOMParser = new JSDOM('').window.DOMParser;
+global.FabMoDashboard = FakeDashboard;
+
+const SBPSimulator = require('../shared/js/sbp-simulator');
+const CobotToolpath = require('../shared/js/cobot-toolpath');
+const CobotCore = require('../shared/js/cobot-core');
+const CobotDXF = require('../shared/js/cobot-dxf');
+const CobotSVG = require('../shared/js/cobot-svg');
+
+// App scripts refer to the shared modules as browser globals
+Object.assign(global, { SBPSimulator, CobotToolpath, CobotCore, CobotDXF, CobotSVG });
+
+const scripts = {};
+
+/**
+ * Load an app script and return the class it declares
+ * @param {string} file - Script path from the repository root
+ * @param {string} name - Name of the class the script declares
+ * @returns {Function} The class
+ */
+function loadScript(file, name) {
+    if (!scripts[file]) {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        scripts[file] = vm.runInThisContext(`${code}\n;${name}`, { filename: file });
+    }
+    return scripts[file];
+}
+
+/**
+ * Create an initialized CobotCore on a fresh machine and browser
+ * @param {Object} options - Setup options
+ * @param {string} options.appName - App name (default 'Test App')
+ * @param {string} options.units - Machine units (default 'in')
+ * @param {Object} options.storage - localStorage entries to start with
+ * @returns {Promise<CobotCore>} The core
+ */
+async function createCore(options = {}) {
+    localStorage.clear();
+    Object.keys(options.storage || {}).forEach(key => {
+        localStorage.setItem(key, options.storage[key]);
+    });
+    machine.config = { machine: { units: options.units || 'in' } };
+    machine.appConfig = {};
+    
+    const cobot = new CobotCore(options.appName || 'Test App', '0.0.0');
+    cobot.storage.syncDelay = 0;
+    await cobot.init();
+    return cobot;
+}
+
+module.exports = {
+    SBPSimulator,
+    CobotToolpath,
+    CobotCore,
+    CobotDXF,
+    CobotSVG,
+    machine,
+    loadScript,
+    createCore
+};
\ No newline at end of file
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CobotDXF, CobotSVG, loadScript, createCore } = require('./helpers');
+
+const HoleImporter = loadScript('apps/drill-press/js/hole-importer.js', 'HoleImporter');
+
+const dxf = (pairs) => pairs.map(([code, value]) => `${code}\n${value}`).join('\n') + '\n';
+
+const DXF_MM = dxf([
+    [0, 'SECTION'], [2, 'HEADER'], [9, '$INSUNITS'], [70, 4], [0, 'ENDSEC'],
+    [0, 'SECTION'], [2, 'ENTITIES'],
+    [0, 'CIRCLE'], [8, 'HOLES'], [10, 25.4], [20, 50.8], [30, 0], [40, 3.175],
+    [0, 'CIRCLE'], [8, 'HOLES'], [10, 76.2], [20, 50.8], [30, 0], [40, 3.175],
+    [0, 'CIRCLE'], [8, 'OUTLINE'], [10, 0], [20, 0], [30, 0], [40, 100],
+    [0, 'POINT'], [8, 'HOLES'], [10, 50.8], [20, 25.4], [30, 0],
+    [0, 'INSERT'], [8, 'HOLES'], [2, 'BOLT'], [10, 0], [20, 0], [30, 0],
+    [0, 'ENDSEC'], [0, 'EOF']
+]);
+
+const SVG_MM = `<?xml version="1.0"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"
+     width="200mm" height="100mm" viewBox="0 0 200 100">
+  <g inkscape:groupmode="layer" inkscape:label="Holes" transform="translate(10,0)">
+    <circle cx="15.4" cy="74.6" r="3.175"/>
+    <ellipse cx="66.2" cy="74.6" rx="4" ry="4"/>
+  </g>
+  <rect x="0" y="0" width="200" height="100"/>
+</svg>`;
+
+async function setup(units = 'in') {
+    const cobot = await createCore({ appName: 'Drill Press', units });
+    return new HoleImporter(cobot);
+}
+
+test('reads DXF circles in the drawing units', async () => {
+    const importer = await setup();
+    const drawing = new CobotDXF().parse(DXF_MM);
+    
+    assert.equal(drawing.units, 'mm');
+    assert.deepEqual(drawing.layers, ['HOLES', 'OUTLINE']);
+    assert.deepEqual(drawing.skipped, { INSERT: 1 });
+    
+    const { holes, warnings } = importer.fromDrawing(drawing, { layers: ['HOLES'] });
+    assert.deepEqual(holes, [
+        { x: 1, y: 2, diameter: 0.25, layer: 'HOLES' },
+        { x: 3, y: 2, diameter: 0.25, layer: 'HOLES' }
+    ]);
+    assert.ok(warnings.includes('Not imported: 1 INSERT'));
+    assert.ok(warnings.some(warning => /Explode blocks/.test(warning)));
+});
+
+test('imports DXF points and moves the lower-left hole to the datum', async () => {
+    const importer = await setup();
+    const drawing = new CobotDXF().parse(DXF_MM);
+    
+    const { holes } = importer.fromDrawing(drawing, { layers: ['HOLES'], includePoints: true, origin: 'lower-left', offsetX: 0.5 });
+    assert.deepEqual(holes.map(hole => [hole.x, hole.y]), [[0.5, 1], [2.5, 1], [1.5, 0]]);
+    assert.equal(holes[2].diameter, undefined);
+});
+
+test('reads a written DXF back', async () => {
+    const entities = [
+        { type: 'CIRCLE', layer: 'A', x: 1.5, y: 2, radius: 0.125 },
+        { type: 'POINT', layer: 'B', x: 3, y: 4 }
+    ];
+    const drawing = new CobotDXF().parse(new CobotDXF().write({ units: 'in', entities }));
+    
+    assert.equal(drawing.units, 'in');
+    assert.deepEqual(drawing.entities.map(e => [e.type, e.layer, e.x, e.y]), [['CIRCLE', 'A', 1.5, 2], ['POINT', 'B', 3, 4]]);
+    assert.equal(drawing.entities[0].radius, 0.125);
+});
+
+test('rejects files that are not DXF', () => {
+    assert.throws(() => new CobotDXF().parse('hello'));
+});
+
+test('reads SVG circles and ellipses with Y up from the page bottom', async () => {
+    const importer = await setup();
+    const drawing = new CobotSVG().parse(SVG_MM);
+    
+    assert.equal(drawing.units, 'mm');
+    assert.deepEqual(drawing.layers, ['Holes']);
+    assert.deepEqual(drawing.skipped, { rect: 1 });
+    
+    const { holes } = importer.fromDrawing(drawing);
+    assert.deepEqual(holes.map(hole => [hole.x, hole.y, hole.diameter]), [[1, 1, 0.25], [3, 1, 0.315]]);
+});
+
+test('reads a written SVG back, measured from the page corner', () => {
+    const entities = [{ type: 'CIRCLE', layer: 'Holes', x: 10, y: 20, radius: 2.5 }];
+    const bounds = { minX: 0, minY: 0, maxX: 50, maxY: 40 };
+    const drawing = new CobotSVG().parse(new CobotSVG().write({ units: 'mm', entities }, { bounds }));
+    
+    assert.equal(drawing.units, 'mm');
+    assert.equal(drawing.entities.length, 1);
+    const [circle] = drawing.entities;
+    assert.equal(circle.layer, 'Holes');
+    assert.ok(Math.abs(circle.x - 10) < 1e-6 && Math.abs(circle.y - 20) < 1e-6 && Math.abs(circle.radius - 2.5) < 1e-6);
+});
+
+test('rejects files that are not SVG', () => {
+    assert.throws(() => new CobotSVG().parse('<html></html>'), /Not an SVG file/);
+});
+
+test('matches CSV columns by header and reads the header units', async () => {
+    const importer = await setup();
+    const table = importer.readCSV('Type;Dia (mm);X (mm);Y (mm);Depth\npeck;6.35;25.4;50.8;-12.7\nCB;12.7;"76.2";0;\n');
+    
+    assert.equal(table.units, 'mm');
+    assert.deepEqual(table.columns, { x: 2, y: 3, diameter: 1, depth: 4, type: 0 });
+    
+    const { holes, warnings } = importer.fromCSV(table);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(holes, [
+        { x: 1, y: 2, diameter: 0.25, depth: 0.5, type: 'peck' },
+        { x: 3, y: 0, diameter: 0.5, type: 'counterbore' }
+    ]);
+});
+
+test('reads CSV without a header in column order, with fractions', async () => {
+    const importer = await setup();
+    const table = importer.readCSV('1,2,1/4",0.5,\n1 1/2,3,3/8\nx,4\n2,2,1/4,,rivet');
+    
+    assert.equal(table.hasHeader, false);
+    const { holes, warnings } = importer.fromCSV(table, { units: 'in' });
+    assert.deepEqual(holes.map(hole => [hole.x, hole.y, hole.diameter]), [[1, 2, 0.25], [1.5, 3, 0.375], [2, 2, 0.25]]);
+    assert.deepEqual(warnings, [
+        'Row 3 skipped: X and Y must be numbers',
+        'Row 4: unknown hole type "rivet", form type used'
+    ]);
+});
+
+test('reads CSV without units in the machine units', async () => {
+    const importer = await setup('mm');
+    const { holes, warnings } = importer.fromCSV(importer.readCSV('X,Y\n10,20\n10,20'));
+    
+    assert.deepEqual(holes, [{ x: 10, y: 20, diameter: undefined }]);
+    assert.deepEqual(warnings, ['Spreadsheet has no units; read as millimeters', '1 duplicate hole(s) skipped']);
+});
+
+test('rejects an empty CSV file', async () => {
+    const importer = await setup();
+    
+    assert.throws(() => importer.readCSV('\n\n'), /File is empty/);
+});
\ No newline at end of file
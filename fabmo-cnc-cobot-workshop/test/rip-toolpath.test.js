@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, createCore } = require('./helpers');
+
+const RipToolpath = loadScript('apps/rip-saw/js/rip-toolpath.js', 'RipToolpath');
+
+const near = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'value'}: ${actual} is not ${expected}`);
+};
+
+const config = (overrides = {}) => Object.assign({
+    sheetLength: 48,
+    sheetWidth: 24,
+    materialThickness: 0.75,
+    strips: [{ width: 5, count: 3 }],
+    direction: 'x',
+    tool: { number: 1, name: '1/4" end mill', diameter: 0.25 },
+    stepdown: 0.25,
+    overcut: 0.02,
+    leadIn: 0.5,
+    tabs: { count: 0, width: 1, height: 0.1 },
+    onionSkin: 0
+}, overrides);
+
+async function setup() {
+    const cobot = await createCore({ appName: 'Rip Saw' });
+    return { cobot, rip: new RipToolpath(cobot) };
+}
+
+test('lays strips out with a kerf between them', async () => {
+    const { rip } = await setup();
+    const layout = rip.layout(config());
+    
+    assert.deepEqual(layout.strips.map(strip => [strip.start, strip.end]), [[0, 5], [5.25, 10.25], [10.5, 15.5]]);
+    assert.deepEqual(layout.cuts.map(cut => cut.position), [5.125, 10.375, 15.625]);
+    assert.deepEqual(layout.offcut, { start: 15.75, end: 24, width: 8.25 });
+    assert.deepEqual(layout.unplaced, []);
+    near(layout.yield, 15 / 24, 'yield');
+});
+
+test('needs no cut after a strip that reaches the sheet edge', async () => {
+    const { rip } = await setup();
+    const layout = rip.layout(config({ sheetWidth: 10.25, strips: [{ width: 5, count: 2 }] }));
+    
+    assert.equal(layout.strips.length, 2);
+    assert.equal(layout.cuts.length, 1);
+    assert.equal(layout.offcut, null);
+});
+
+test('lists strips that do not fit', async () => {
+    const { rip } = await setup();
+    const layout = rip.layout(config({ sheetWidth: 12, strips: [{ width: 5, count: 2 }, { width: 3 }] }));
+    
+    assert.equal(layout.strips.length, 2);
+    assert.deepEqual(layout.unplaced, [3]);
+});
+
+test('splits the depth into even passes through the overcut', async () => {
+    const { rip } = await setup();
+    const passes = rip.passDepths(config());
+    
+    assert.equal(passes.depths.length, 4);
+    passes.depths.forEach((depth, i) => near(depth, 0.77 * (i + 1) / 4, `pass ${i + 1}`));
+    near(passes.finalDepth, 0.77, 'final depth');
+    assert.equal(passes.tabDepth, null);
+});
+
+test('leaves the onion skin and the tabs for the final pass', async () => {
+    const { rip } = await setup();
+    const passes = rip.passDepths(config({ onionSkin: 0.03, tabs: { count: 2, width: 1, height: 0.1 } }));
+    
+    assert.equal(passes.depths.length, 3);
+    near(passes.depths[2], 0.72, 'main depth');
+    near(passes.finalDepth, 0.77, 'final depth');
+    near(passes.tabDepth, 0.65, 'tab depth');
+    assert.deepEqual(rip.tabCenters(config({ tabs: { count: 2, width: 1, height: 0.1 } })), [16, 32]);
+});
+
+test('cuts each rip past the sheet ends to the final depth', async () => {
+    const { cobot, rip } = await setup();
+    cobot.saveDatum({ label: 'Sheet corner', x: 2, y: 2, z: 0 }, { activate: true });
+    
+    const toolpath = rip.generateToolpath(config());
+    const cut = toolpath.simulate().cutBounds;
+    
+    near(cut.min.x, 2 - 0.625, 'lead-in');
+    near(cut.max.x, 2 + 48 + 0.625, 'lead-out');
+    near(cut.min.y, 2 + 5.125, 'first cut');
+    near(cut.max.y, 2 + 15.625, 'last cut');
+    near(cut.min.z, -0.77, 'final depth');
+    assert.deepEqual(rip.preflight(toolpath).warnings, []);
+});
+
+test('ramps into the sheet end where the machine edge shortens the lead-in', async () => {
+    const { rip } = await setup();
+    const toolpath = rip.generateToolpath(config());
+    
+    near(toolpath.simulate().cutBounds.min.x, 0, 'shortened lead-in');
+    const warnings = rip.preflight(toolpath).warnings;
+    assert.equal(warnings.length, 3);
+    assert.ok(warnings.every(warning => warning.type === 'lead_in'));
+});
\ No newline at end of file
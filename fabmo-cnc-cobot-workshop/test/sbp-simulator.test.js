@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SBPSimulator } = require('./helpers');
+
+const near = (actual, expected, message) => {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || 'value'}: ${actual} is not ${expected}`);
+};
+
+test('moves and jogs at their own speeds', () => {
+    const sim = new SBPSimulator();
+    const result = sim.run([
+        'MS,2,1',
+        'JS,4,2',
+        'J2,4,3',
+        'M3,4,3,-1',
+        'MX,0'
+    ].join('\n'));
+    
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.segments.length, 3);
+    assert.equal(result.segments[0].type, 'rapid');
+    near(result.time.rapid, 5 / 4, 'jog time');
+    // The plunge is limited by the Z move speed, the cut along X by the XY speed
+    near(result.time.feed, 1 / 1 + 4 / 2, 'feed time');
+    near(result.distance.feed, 1 + 4, 'feed distance');
+    assert.deepEqual(result.finalPosition, { x: 0, y: 3, z: -1 });
+});
+
+test('tracks the bounds of all motion and of the cuts', () => {
+    const result = new SBPSimulator().run('J3,1,1,0.5\nM3,3,2,-0.25\nJZ,0.5\nJ2,-1,0');
+    
+    assert.deepEqual(result.bounds.min, { x: -1, y: 0, z: -0.25 });
+    assert.deepEqual(result.bounds.max, { x: 3, y: 2, z: 0.5 });
+    assert.deepEqual(result.cutBounds.min, { x: 1, y: 1, z: -0.25 });
+    assert.deepEqual(result.cutBounds.max, { x: 3, y: 2, z: 0.5 });
+});
+
+test('substitutes variables and evaluates expressions', () => {
+    const result = new SBPSimulator().run('&depth = 0.5\n&safe = 1\nJZ,%(safe)\nMZ,-1 * (&depth + 0.25)');
+    
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.variables.depth, 0.5);
+    near(result.finalPosition.z, -0.75, 'final Z');
+});
+
+test('reports errors with their line and keeps going', () => {
+    const result = new SBPSimulator().run('J2,1,1\nPZ\nJ2,2,2');
+    
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].line, 2);
+    assert.deepEqual(result.finalPosition, { x: 2, y: 2, z: 0 });
+});
+
+test('warns about cutting with the spindle off', () => {
+    const off = new SBPSimulator().run('M2,1,0');
+    const on = new SBPSimulator().run('C6\nM2,1,0');
+    
+    assert.equal(off.warnings.length, 1);
+    assert.deepEqual(on.warnings, []);
+});
+
+test('stops probe moves at the contact and sets the location with VA', () => {
+    const sim = new SBPSimulator({ start: { x: 0, y: 0, z: 1 }, probeContact: { z: 0.25 } });
+    const result = sim.run('PZ,-2,0.5\nVA,,,0.125\nMZ,0');
+    
+    const probe = result.segments[0];
+    assert.equal(probe.probe, true);
+    near(probe.to.z, 0.25, 'contact Z');
+    near(probe.time, 0.75 / 0.5, 'probe time');
+    assert.deepEqual(result.events.find(e => e.type === 'offset').offset, { z: 0.125 - 0.25 });
+    near(result.finalPosition.z, 0, 'final Z in the new frame');
+    // Probing is not cutting, so the spindle may be off
+    assert.ok(!result.warnings.some(w => w.line === 1));
+});
+
+test('probes to the target when the contact is not on the way', () => {
+    const result = new SBPSimulator({ probeContact: { x: -1 } }).run('PX,2,1');
+    
+    near(result.finalPosition.x, 2, 'final X');
+});
+
+test('counts timed pauses and each tool change once', () => {
+    const sim = new SBPSimulator({ operatorPauseTime: 30 });
+    const result = sim.run([
+        'PAUSE 2',
+        'PAUSE "Check the clamps"',
+        '&Tool = 2',
+        'C9',
+        'PAUSE "Install the bit"',
+        'PAUSE "Place the touch plate"',
+        'C6'
+    ].join('\n'));
+    
+    assert.equal(result.time.pause, 2);
+    assert.equal(result.time.operator, 60);
+    assert.equal(result.toolChanges, 1);
+    assert.equal(result.events.find(e => e.type === 'tool_change').tool, 2);
+    assert.equal(result.events.filter(e => e.toolChange).length, 1);
+});
+
+test('stops at END', () => {
+    const result = new SBPSimulator().run('J2,1,1\nEND\nJ2,5,5');
+    
+    assert.deepEqual(result.finalPosition, { x: 1, y: 1, z: 0 });
+});
\ No newline at end of file